@@ -11,9 +11,12 @@ import Login from './components/auth/Login';
 import MissionCard from './components/diagnostic/MissionCard';
 import PowerMap from './components/dashboard/PowerMap';
 import BossTracker from './components/dashboard/BossTracker';
+import ReviewDueCard from './components/dashboard/ReviewDueCard';
+import DiagnosticReportCard from './components/dashboard/DiagnosticReportCard';
 import Achievements from './components/dashboard/Achievements';
 import AchievementUnlock from './components/dashboard/AchievementUnlock';
 import ConceptPowerMap from './components/dashboard/ConceptPowerMap';
+import MasteryChecklistCard from './components/dashboard/MasteryChecklistCard';
 import MissionHistory from './components/dashboard/MissionHistory';
 import { auth } from './firebase/config';
 import { BlueNinjaTheme } from './theme/themeConfig';
@@ -23,6 +26,7 @@ import ParentDashboard from './components/parent/ParentDashboard';
 import AnalyticsLogViewer from './components/admin/AnalyticsLogViewer';
 import AdminAnalyticsDashboard from './components/admin/AdminAnalyticsDashboard';
 import AdminQuestionsPanel from './components/admin/AdminQuestionsPanel.jsx';
+import RescorePanel from './components/admin/RescorePanel';
 import CurriculumBrowser from './components/curriculum/CurriculumBrowser';
 import MissionPage from './components/daily-mission/MissionPage.jsx';
 
@@ -372,12 +376,19 @@ function BlueNinjaContent() {
               {/* Now using activeMastery (Persisted or Session) */}
               <PowerMap masteryData={activeMastery} />
               <ConceptPowerMap masteryData={activeMastery} />
+              <MasteryChecklistCard
+                studentId={user?.uid}
+                transferResults={ninjaStats?.transferResults}
+                refreshKey={sessionHistory?.[0]?.id}
+              />
               <StudentInsightsReport logs={sessionHistory} />
             </div>
 
             {/* Intel Column */}
             <div className="space-y-8">
               <BossTracker hurdles={activeHurdles} />
+              <ReviewDueCard reviewSchedule={ninjaStats?.reviewSchedule} />
+              <DiagnosticReportCard report={ninjaStats?.diagnosticReport} />
               <Achievements ninjaStats={ninjaStats} />
               {/*Detailed Mission History added to primary column */}
               <MissionHistory logs={sessionHistory} />
@@ -468,6 +479,15 @@ export default function App() {
             }
           />
           <Route path="/admin/questions" element={<AdminQuestionsPanel />} />
+          <Route
+            path="/admin/rescore"
+            element={
+              <ProtectedRoute
+                component={RescorePanel}
+                requiredRole="ADMIN"
+              />
+            }
+          />
           <Route path="/curriculum" element={<CurriculumBrowser />} />
           <Route path="/v2" element={<MissionPage />} />
 
@@ -0,0 +1,130 @@
+/**
+ * GradingQueuePanel.jsx
+ *
+ * Teacher view of explanations the rubric scorer could not grade confidently.
+ * The teacher sets a 0-2 score per rubric dimension; saving applies the
+ * override to the student's session log and atom mastery.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { ClipboardCheck, Loader2 } from 'lucide-react';
+import { auth } from '../../firebase/config';
+import { fetchPendingReviews, applyTeacherOverride } from '../../services/gradingQueueService';
+
+const DEFAULT_DIMENSIONS = ['reasoning', 'representation'];
+
+function dimensionsFor(entry) {
+  const fromRubric = (entry.rubric?.dimensions || []).map(d => d.id);
+  if (fromRubric.length > 0) return fromRubric;
+  const fromAuto = Object.keys(entry.autoScores || {});
+  return fromAuto.length > 0 ? fromAuto : DEFAULT_DIMENSIONS;
+}
+
+export default function GradingQueuePanel({ classId = null }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [drafts, setDrafts] = useState({});
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const pending = await fetchPendingReviews({ classId });
+      setEntries(pending);
+      setDrafts(Object.fromEntries(pending.map(entry => [
+        entry.id,
+        Object.fromEntries(dimensionsFor(entry).map(dim => [dim, entry.autoScores?.[dim] ?? 0]))
+      ])));
+    } catch (err) {
+      console.error('[GradingQueuePanel] Failed to load queue:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [classId]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const setScore = (entryId, dimension, score) => {
+    setDrafts(prev => ({ ...prev, [entryId]: { ...prev[entryId], [dimension]: score } }));
+  };
+
+  const saveOverride = async (entry) => {
+    setSavingId(entry.id);
+    setError(null);
+    try {
+      await applyTeacherOverride(entry.id, drafts[entry.id], { teacherId: auth.currentUser?.uid });
+      setEntries(prev => prev.filter(e => e.id !== entry.id));
+    } catch (err) {
+      console.error('[GradingQueuePanel] Override failed:', err);
+      setError(err.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-black text-indigo-900 mb-2 flex items-center gap-2">
+        <ClipboardCheck className="w-6 h-6" />
+        Explanations to Review
+        <span className="ml-2 px-3 py-1 bg-indigo-100 text-indigo-700 text-sm rounded-full">{entries.length}</span>
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        The auto-scorer was not confident about these. Your scores replace it and update the student's mastery.
+      </p>
+
+      {error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</p>}
+
+      {loading ? (
+        <p className="text-gray-500">Loading queue...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-500">Nothing waiting for review. 🎉</p>
+      ) : (
+        <div className="space-y-4">
+          {entries.map(entry => (
+            <div key={entry.id} className="border border-gray-200 rounded-xl p-4 space-y-3">
+              <div className="flex justify-between text-[10px] font-black text-gray-500 uppercase">
+                <span>{entry.questionId} · {entry.atomId || 'No atom'}</span>
+                <span>Auto confidence {Math.round((entry.autoConfidence || 0) * 100)}%</span>
+              </div>
+              {entry.prompt && <p className="font-bold text-gray-900">{entry.prompt}</p>}
+              <p className="p-3 bg-gray-50 rounded-lg text-gray-800 whitespace-pre-wrap">{entry.explanation}</p>
+
+              <div className="flex flex-wrap items-center gap-4">
+                {dimensionsFor(entry).map(dimension => (
+                  <div key={dimension} className="flex items-center gap-2">
+                    <span className="text-sm font-bold text-gray-700 capitalize">{dimension}</span>
+                    {[0, 1, 2].map(score => (
+                      <button
+                        key={score}
+                        onClick={() => setScore(entry.id, dimension, score)}
+                        className={`w-8 h-8 rounded-lg font-bold text-sm transition-colors ${
+                          drafts[entry.id]?.[dimension] === score
+                            ? 'bg-indigo-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-indigo-100'
+                        }`}
+                      >
+                        {score}
+                      </button>
+                    ))}
+                  </div>
+                ))}
+                <button
+                  onClick={() => saveOverride(entry)}
+                  disabled={savingId === entry.id}
+                  className="ml-auto px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg disabled:opacity-50 flex items-center gap-2"
+                >
+                  {savingId === entry.id && <Loader2 className="w-4 h-4 animate-spin" />}
+                  Save Score
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 /**
  * src/components/admin/QuestionReviewer.jsx
  * Interactive question review interface with inline editing
- * Features: side-by-side preview, error details, batch operations
+ * Features: side-by-side preview (math typeset), error details, batch operations
  */
 
 import React, { useState, useMemo } from 'react';
@@ -19,6 +19,7 @@ import {
   Plus,
   Trash2
 } from 'lucide-react';
+import { MathText, MathFormula } from '../templates/MathText';
 
 const QuestionReviewer = ({
   questions,
@@ -283,8 +284,11 @@ const QuestionReviewer = ({
                 ) : (
                   <div className="p-4 bg-slate-50 rounded-lg">
                     <p className="text-slate-900 font-medium">
-                      {selectedQuestion.content?.question || selectedQuestion.question}
+                      <MathText text={selectedQuestion.content?.question || selectedQuestion.question} />
                     </p>
+                    {selectedQuestion.prompt?.latex && (
+                      <MathFormula latex={selectedQuestion.prompt.latex} className="mt-2 text-slate-900" />
+                    )}
                   </div>
                 )}
 
@@ -360,7 +364,7 @@ const QuestionReviewer = ({
                             readOnly
                             className="w-4 h-4 cursor-pointer"
                           />
-                          <span className="text-slate-700 text-sm">{option.text}</span>
+                          <span className="text-slate-700 text-sm"><MathText text={option.text} /></span>
                         </label>
                       ))}
                     </div>
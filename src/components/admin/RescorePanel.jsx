@@ -0,0 +1,207 @@
+/**
+ * RescorePanel.jsx
+ *
+ * Admin tool for answer-key corrections. Load an item, fix its answer key,
+ * preview how every logged response scores under the corrected key, then
+ * apply: session logs, student mastery and the published key are updated
+ * together.
+ */
+
+import React, { useState } from 'react';
+import { RefreshCcw, Loader2, Search } from 'lucide-react';
+import { auth } from '../../firebase/config';
+import {
+  fetchItemForRescore,
+  fetchLogsForItem,
+  fetchStudentMastery,
+  buildRescorePlan,
+  applyRescore
+} from '../../services/rescoringService';
+
+const formatDelta = (value) => `${value > 0 ? '+' : ''}${Math.round(value * 1000) / 10}%`;
+
+export default function RescorePanel() {
+  const [itemId, setItemId] = useState('');
+  const [loaded, setLoaded] = useState(null);
+  const [keyText, setKeyText] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await task();
+    } catch (err) {
+      console.error('[RescorePanel]', err);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const loadItem = () => run(async () => {
+    const id = itemId.trim();
+    const { item, docId, source } = await fetchItemForRescore(id);
+    if (!item) throw new Error(`Item not found: ${id}`);
+
+    const logs = await fetchLogsForItem(id);
+    const mastery = await fetchStudentMastery(logs);
+    setLoaded({ item, docId, source, logs, mastery });
+    setKeyText(JSON.stringify(item.answer_key || {}, null, 2));
+    setPlan(null);
+  });
+
+  const correctedItem = () => {
+    try {
+      return { ...loaded.item, answer_key: JSON.parse(keyText) };
+    } catch {
+      throw new Error('Answer key is not valid JSON');
+    }
+  };
+
+  const preview = () => run(async () => {
+    setPlan(buildRescorePlan(correctedItem(), loaded.logs, loaded.mastery));
+  });
+
+  const apply = () => run(async () => {
+    const item = correctedItem();
+    const keyChanged = JSON.stringify(item.answer_key) !== JSON.stringify(loaded.item.answer_key);
+    const { logsUpdated, studentsUpdated } = await applyRescore(plan, {
+      adminId: auth.currentUser?.uid,
+      questionDocId: keyChanged ? loaded.docId : null,
+      answerKey: keyChanged ? item.answer_key : null
+    });
+    setMessage(`Updated ${logsUpdated} responses and ${studentsUpdated} mastery values.`);
+    setPlan(null);
+    setLoaded(null);
+  });
+
+  const changed = plan?.entries.filter(e => e.changed) || [];
+
+  return (
+    <div className="max-w-5xl mx-auto p-6">
+      <div className="bg-white rounded-2xl shadow-md p-6 mb-8">
+        <h2 className="text-2xl font-black text-indigo-900 mb-2 flex items-center gap-2">
+          <RefreshCcw className="w-6 h-6" />
+          Re-score After Key Correction
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Responses are re-scored with the corrected key and each student's mastery is adjusted by the difference.
+        </p>
+
+        {error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</p>}
+        {message && <p className="mb-4 p-3 bg-green-50 text-green-700 rounded-lg text-sm">{message}</p>}
+
+        <div className="flex gap-3 mb-6">
+          <input
+            value={itemId}
+            onChange={(e) => setItemId(e.target.value)}
+            placeholder="Item id, e.g. SAMPLE.NUM.0003"
+            className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-lg font-mono text-sm focus:border-indigo-500 focus:outline-none"
+          />
+          <button
+            onClick={loadItem}
+            disabled={busy || itemId.trim() === ''}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg disabled:opacity-50 flex items-center gap-2"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Search className="w-4 h-4" />}
+            Load
+          </button>
+        </div>
+
+        {loaded && (
+          <div className="space-y-4">
+            <div className="flex justify-between text-[10px] font-black text-gray-500 uppercase">
+              <span>{loaded.item.item_id} · {loaded.item.template_id || loaded.item.interaction?.type}</span>
+              <span>{loaded.logs.length} logged responses · from {loaded.source}</span>
+            </div>
+            {loaded.item.prompt?.text && <p className="font-bold text-gray-900">{loaded.item.prompt.text}</p>}
+
+            <label className="block text-sm font-bold text-gray-700">Answer key</label>
+            <textarea
+              value={keyText}
+              onChange={(e) => { setKeyText(e.target.value); setPlan(null); }}
+              rows={8}
+              className="w-full p-3 border-2 border-gray-200 rounded-lg font-mono text-xs focus:border-indigo-500 focus:outline-none"
+            />
+            {!loaded.docId && (
+              <p className="text-xs text-amber-700">
+                This item is not published, so only the session logs and mastery will be updated.
+              </p>
+            )}
+
+            <button
+              onClick={preview}
+              disabled={busy}
+              className="px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white font-bold rounded-lg disabled:opacity-50"
+            >
+              Preview
+            </button>
+          </div>
+        )}
+      </div>
+
+      {plan && (
+        <div className="bg-white rounded-2xl shadow-md p-6">
+          <h3 className="text-lg font-black text-gray-900 mb-1">
+            {changed.length} of {plan.entries.length} responses change
+          </h3>
+          <p className="text-sm text-gray-500 mb-4">
+            {plan.skipped.length} skipped (no recorded response, or graded by a teacher).
+          </p>
+
+          {changed.length > 0 && (
+            <table className="w-full text-sm mb-6">
+              <thead>
+                <tr className="text-left text-[10px] font-black text-gray-500 uppercase border-b">
+                  <th className="py-2">Student</th>
+                  <th>Atom</th>
+                  <th>Before</th>
+                  <th>After</th>
+                  <th>Mastery change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changed.map(({ log, scored, previousIsCorrect, previousScore, correction }) => (
+                  <tr key={log.path} className="border-b border-gray-100">
+                    <td className="py-2 font-mono text-xs">{log.studentId}</td>
+                    <td className="text-xs">{log.atomId || '—'}{log.isTransfer && ' (transfer)'}</td>
+                    <td>{previousIsCorrect ? '✓' : '✗'} {Math.round(previousScore * 100)}%</td>
+                    <td>{scored.isCorrect ? '✓' : '✗'} {Math.round(scored.score * 100)}%</td>
+                    <td className={correction > 0 ? 'text-green-700 font-bold' : correction < 0 ? 'text-red-700 font-bold' : 'text-gray-400'}>
+                      {correction === 0 ? '—' : formatDelta(correction)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {plan.masteryUpdates.length > 0 && (
+            <div className="mb-6 space-y-1">
+              <p className="text-sm font-bold text-gray-700">Resulting mastery</p>
+              {plan.masteryUpdates.map(u => (
+                <p key={`${u.studentId}|${u.atomId}`} className="text-xs font-mono text-gray-600">
+                  {u.studentId} · {u.atomId}: {Math.round((u.masteryBefore ?? 0) * 100)}% → {Math.round(u.masteryAfter * 100)}%
+                </p>
+              ))}
+            </div>
+          )}
+
+          <button
+            onClick={apply}
+            disabled={busy || changed.length === 0}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg disabled:opacity-50 flex items-center gap-2"
+          >
+            {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+            Apply Re-score
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+/**
+ * ReviewForecastPanel.jsx
+ *
+ * Teacher view of the class's spaced review load: reviews falling due each
+ * day for the next week (overdue ones count today) and the review minutes
+ * they need, each student capped at the daily review limit.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { CalendarClock, Loader2 } from 'lucide-react';
+import { fetchClassReviewSchedules, forecastDueLoad, DAILY_REVIEW_CAP_MINUTES } from '../../services/reviewScheduler';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export default function ReviewForecastPanel({ classId = null }) {
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchClassReviewSchedules({ classId })
+      .then(schedules => { if (!cancelled) setStudents(schedules); })
+      .catch(err => {
+        console.error('[ReviewForecastPanel] Failed to load schedules:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [classId]);
+
+  const forecast = useMemo(() => forecastDueLoad(students), [students]);
+  const peak = Math.max(1, ...forecast.map(day => day.dueCount));
+
+  return (
+    <div className="bg-white rounded-2xl shadow-md p-6 mb-8">
+      <h2 className="text-2xl font-black text-indigo-900 mb-2 flex items-center gap-2">
+        <CalendarClock className="w-6 h-6" />
+        Review Load Forecast
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Skills falling due for spaced review over the next 7 days. Each student reviews at most {DAILY_REVIEW_CAP_MINUTES} minutes a day.
+      </p>
+
+      {error && <p className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</p>}
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" /> Loading schedules...
+        </div>
+      ) : (
+        <div className="grid grid-cols-7 gap-3 items-end">
+          {forecast.map(day => (
+            <div key={day.date} className="flex flex-col items-center gap-2">
+              <span className="text-xs font-bold text-indigo-900">{day.dueCount}</span>
+              <div className="w-full h-32 bg-indigo-50 rounded-lg flex items-end overflow-hidden">
+                <div
+                  className="w-full bg-gradient-to-t from-indigo-500 to-indigo-300 transition-all"
+                  style={{ height: `${(day.dueCount / peak) * 100}%` }}
+                />
+              </div>
+              <span className="text-[10px] font-black text-gray-600 uppercase">
+                {day.dayOffset === 0 ? 'Today' : DAY_LABELS[new Date(`${day.date}T00:00:00`).getDay()]}
+              </span>
+              <span className="text-[10px] text-gray-500">
+                {day.studentsDue} students · {Math.round(day.minutes)} min
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { db, auth } from '../../firebase/config';
 import { collection, query, where, getDocs, doc, getDoc } from 'firebase/firestore';
+import GradingQueuePanel from './GradingQueuePanel';
+import ReviewForecastPanel from './ReviewForecastPanel';
 
 export default function TeacherAnalyticsDashboard() {
     const [students, setStudents] = useState([]);
@@ -146,6 +148,12 @@ export default function TeacherAnalyticsDashboard() {
                     </div>
                 )}
 
+                {/* Low-confidence explanations awaiting a teacher score */}
+                <GradingQueuePanel classId={classId} />
+
+                {/* Spaced review due load for the coming week */}
+                <ReviewForecastPanel classId={classId} />
+
                 {/* Student List with Performance */}
                 <div className="bg-white rounded-2xl shadow-md p-6">
                     <h2 className="text-2xl font-black text-indigo-900 mb-6">Student Performance</h2>
@@ -44,8 +44,8 @@ const DailyMissionRunner = () => {
       const isRecovered = answer.isRecovered || false;
       const tag = answer.diagnosticTag || null;
 
-      // Submit answer
-      await submitDailyAnswer(isCorrect, choice, isRecovered, tag, timeSpent, speedRating);
+      // Submit answer (full template result rides along for rubric/review data)
+      await submitDailyAnswer(isCorrect, choice, isRecovered, tag, timeSpent, speedRating, answer);
     } catch (err) {
       console.error('[DailyMissionRunner] Error submitting answer:', err);
       setError(err.message);
@@ -0,0 +1,55 @@
+import React from 'react';
+
+/**
+ * DiagnosticReportCard: Entrance Quest results from the adaptive diagnostic.
+ * Module estimates, plus the skills the quest inferred from related answers
+ * instead of asking about them directly.
+ */
+function DiagnosticReportCard({ report }) {
+    if (!report?.modules?.length) return null;
+
+    const inferred = report.inferredAtoms || [];
+
+    return (
+        <div className="ninja-card bg-white border-2 border-blue-50">
+            <h3 className="text-xs font-black uppercase tracking-[0.2em] text-blue-400 mb-1 flex items-center gap-2">
+                <span className="text-lg">🧭</span> Entrance Quest Report
+            </h3>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-6">
+                {report.questionsAnswered} missions · {(report.testedAtoms || []).length} skills tested · {inferred.length} inferred
+            </p>
+
+            <ul className="space-y-3">
+                {report.modules.map(module => (
+                    <li key={module.moduleId}>
+                        <div className="flex justify-between text-xs mb-1">
+                            <span className="font-bold text-slate-800">{module.moduleName}</span>
+                            <span className="text-slate-500">
+                                {Math.round(module.estimate * 100)}%{!module.isConfident && ' · still unsure'}
+                            </span>
+                        </div>
+                        <div className="w-full h-1.5 bg-blue-50 rounded-full overflow-hidden">
+                            <div className="h-full bg-blue-500" style={{ width: `${module.estimate * 100}%` }} />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {inferred.length > 0 && (
+                <div className="mt-6">
+                    <p className="text-[10px] font-black uppercase tracking-widest text-slate-400 mb-2">Inferred, Not Asked</p>
+                    <ul className="space-y-1">
+                        {inferred.map(atom => (
+                            <li key={atom.atomId} className="flex justify-between text-xs text-slate-500">
+                                <span>{atom.name}</span>
+                                <span className="whitespace-nowrap">{Math.round(atom.estimate * 100)}%</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default DiagnosticReportCard;
@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import curriculumV2Service from '../../services/curriculumV2Service';
+import { evaluateStudentMastery, fetchRecentSessionLogs, MASTERY_LEVELS } from '../../services/masteryProfileEvaluator';
+
+const LEVEL_STYLES = {
+    [MASTERY_LEVELS.ACQUIRE]: 'bg-slate-100 text-slate-500',
+    [MASTERY_LEVELS.SECURE]: 'bg-blue-100 text-blue-600',
+    [MASTERY_LEVELS.FLUENT]: 'bg-green-100 text-green-600',
+    [MASTERY_LEVELS.TRANSFER]: 'bg-purple-100 text-purple-600'
+};
+
+/**
+ * MasteryChecklistCard: mastery level per practised skill from its mastery
+ * profile, with the requirements still missing for the next level.
+ * Skills closest to levelling up come first.
+ */
+function MasteryChecklistCard({ studentId, transferResults, refreshKey }) {
+    const [curriculum, setCurriculum] = useState(null);
+    const [logs, setLogs] = useState([]);
+
+    useEffect(() => {
+        if (!studentId) return undefined;
+        let cancelled = false;
+        Promise.all([curriculumV2Service.loadCurriculumV2(), fetchRecentSessionLogs(studentId)])
+            .then(([loadedCurriculum, recentLogs]) => {
+                if (cancelled) return;
+                setCurriculum(loadedCurriculum);
+                setLogs(recentLogs);
+            })
+            .catch(err => console.error('[MasteryChecklistCard] Failed to load history:', err));
+        return () => { cancelled = true; };
+    }, [studentId, refreshKey]);
+
+    const evaluations = useMemo(() => {
+        if (!curriculum) return [];
+        return Object.values(evaluateStudentMastery(curriculum, logs, { transferResults: transferResults || {} }))
+            .filter(evaluation => evaluation.nextLevel)
+            .sort((a, b) => a.missing.length - b.missing.length)
+            .slice(0, 5);
+    }, [curriculum, logs, transferResults]);
+
+    if (evaluations.length === 0) return null;
+
+    return (
+        <div className="ninja-card bg-white border-2 border-blue-50">
+            <h3 className="text-xs font-black uppercase tracking-[0.2em] text-blue-400 mb-1 flex items-center gap-2">
+                <span className="text-lg">🎯</span> What's Missing
+            </h3>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-6">
+                Next steps to level up each skill
+            </p>
+
+            <ul className="space-y-5">
+                {evaluations.map(evaluation => (
+                    <li key={evaluation.atomId}>
+                        <div className="flex justify-between items-center gap-3 mb-2">
+                            <span className="text-sm font-bold text-slate-800">
+                                {curriculum.atoms[evaluation.atomId]?.title || evaluation.atomId}
+                            </span>
+                            <span className="flex items-center gap-1 whitespace-nowrap">
+                                <span className={`text-[10px] font-black px-2 py-0.5 rounded-full ${LEVEL_STYLES[evaluation.level]}`}>
+                                    {evaluation.level}
+                                </span>
+                                <span className="text-[10px] text-slate-400">→ {evaluation.nextLevel}</span>
+                            </span>
+                        </div>
+                        <ul className="space-y-1">
+                            {evaluation.missing.map(item => (
+                                <li key={item.key} className="flex justify-between gap-3 text-xs text-slate-500">
+                                    <span>☐ {item.label}</span>
+                                    {typeof item.current === 'number' && (
+                                        <span className="whitespace-nowrap">{item.current} / {item.target}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </li>
+                ))}
+            </ul>
+
+            <p className="mt-6 text-[10px] font-bold text-slate-400 uppercase tracking-widest text-center">
+                Daily Flights bring the missing question types
+            </p>
+        </div>
+    );
+}
+
+export default MasteryChecklistCard;
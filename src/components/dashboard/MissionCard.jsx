@@ -10,8 +10,10 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { CheckCircle2, AlertCircle, ChevronRight } from 'lucide-react';
+import { CheckCircle2, AlertCircle, ChevronRight, Lightbulb } from 'lucide-react';
 import { TemplateRouter } from '../templates/TemplateRouter';
+import { MathText } from '../templates/MathText';
+import { useNinja } from '../../context/NinjaContext';
 
 const MissionCard = ({
   question,
@@ -20,6 +22,7 @@ const MissionCard = ({
   onSubmit,
   isSubmitting = false
 }) => {
+  const { bufferTelemetryEvent } = useNinja();
   const [timeSpent, setTimeSpent] = useState(0);
   const [hasAnswered, setHasAnswered] = useState(false);
 
@@ -82,11 +85,24 @@ const MissionCard = ({
         <div className="max-w-3xl mx-auto w-full flex-1 flex flex-col">
           {/* ========== QUESTION AREA (HERO) ========== */}
           <div className="bg-white rounded-2xl shadow-md p-8 md:p-12 flex-1">
+            {/* Micro-lesson added by an adaptation rule (e.g. two wrong in a row) */}
+            {question.microLesson && (
+              <div className="mb-6 p-4 bg-amber-50 border-l-4 border-amber-400 rounded-lg flex gap-3">
+                <Lightbulb className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" aria-hidden="true" />
+                <div className="text-sm text-amber-900 space-y-1">
+                  <p className="font-semibold">Quick idea: <MathText text={question.microLesson.title} /></p>
+                  <p><MathText text={question.microLesson.text} /></p>
+                  {question.microLesson.hint && <p className="text-amber-800"><MathText text={question.microLesson.hint} /></p>}
+                </div>
+              </div>
+            )}
+
             {/* Template content rendered by TemplateRouter */}
             <TemplateRouter
               question={question}
               onSubmit={handleSubmit}
               isSubmitting={isSubmitting}
+              onTelemetry={bufferTelemetryEvent}
             />
           </div>
         </div>
@@ -0,0 +1,67 @@
+import React, { useMemo } from 'react';
+import { buildDueView } from '../../services/reviewScheduler';
+
+/**
+ * ReviewDueCard: "Due for review" list from the spaced review schedule.
+ * Due skills come back in the next Daily Flight warm-up; upcoming ones show
+ * how many days they have left.
+ */
+function ReviewDueCard({ reviewSchedule }) {
+    const { due, upcoming } = useMemo(() => buildDueView(reviewSchedule || {}), [reviewSchedule]);
+
+    if (due.length === 0 && upcoming.length === 0) {
+        return (
+            <div className="ninja-card bg-blue-50/50 border-dashed border-blue-200 flex flex-col items-center justify-center py-10 text-center">
+                <span className="text-4xl mb-2">🗓️</span>
+                <p className="text-blue-400 font-black uppercase text-[10px] tracking-widest">No Reviews Yet</p>
+                <p className="text-slate-400 text-xs px-6 mt-1">Skills you practise come back here when it is time to review them.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="ninja-card bg-white border-2 border-blue-50">
+            <h3 className="text-xs font-black uppercase tracking-[0.2em] text-blue-400 mb-6 flex items-center gap-2">
+                <span className="text-lg">🔁</span> Due for Review
+                <span className="ml-auto px-2 py-0.5 bg-blue-100 text-blue-600 rounded-full">{due.length}</span>
+            </h3>
+
+            {due.length > 0 ? (
+                <ul className="space-y-3">
+                    {due.slice(0, 5).map(entry => (
+                        <li key={entry.atomId} className="flex justify-between items-center gap-3">
+                            <span className="text-sm font-bold text-slate-800">{entry.atomTitle}</span>
+                            <span className={`text-[10px] font-black px-2 py-0.5 rounded-full whitespace-nowrap ${
+                                entry.lastOutcome === 'DEMOTED' ? 'bg-orange-100 text-orange-600' : 'bg-blue-100 text-blue-600'
+                            }`}>
+                                {entry.daysOverdue > 0 ? `${entry.daysOverdue}d overdue` : 'Today'}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-slate-500">Nothing due today. Nice work!</p>
+            )}
+
+            {upcoming.length > 0 && (
+                <div className="mt-6">
+                    <p className="text-[10px] font-black uppercase tracking-widest text-slate-400 mb-2">Coming Up</p>
+                    <ul className="space-y-1">
+                        {upcoming.map(entry => (
+                            <li key={entry.atomId} className="flex justify-between text-xs text-slate-500">
+                                <span>{entry.atomTitle}</span>
+                                <span className="whitespace-nowrap">in {entry.inDays}d</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <p className="mt-6 text-[10px] font-bold text-slate-400 uppercase tracking-widest text-center">
+                Due skills warm up your next Daily Flight
+            </p>
+        </div>
+    );
+}
+
+export default ReviewDueCard;
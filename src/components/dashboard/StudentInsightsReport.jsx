@@ -1,6 +1,23 @@
 import React, { useEffect, useState } from 'react';
 import { useNinja } from '../../context/NinjaContext';
 import { generateStudentInsights } from '../../services/insightGenerator';
+import { CALIBRATION_LABELS, CONFIDENCE_LABELS } from '../../services/confidenceCalibration';
+
+const CALIBRATION_TEXT = {
+    [CALIBRATION_LABELS.OVERCONFIDENT]: 'You feel surer than your results show. Check your work before moving on.',
+    [CALIBRATION_LABELS.UNDERCONFIDENT]: 'You know more than you think! Trust your method.',
+    [CALIBRATION_LABELS.CALIBRATED]: 'Your confidence matches your results. Great self-awareness!',
+    [CALIBRATION_LABELS.INSUFFICIENT_DATA]: 'Rate a few more answers to see how well your confidence matches your results.',
+};
+
+const CALIBRATION_STYLE = {
+    [CALIBRATION_LABELS.OVERCONFIDENT]: 'bg-red-600 text-white',
+    [CALIBRATION_LABELS.UNDERCONFIDENT]: 'bg-yellow-600 text-white',
+    [CALIBRATION_LABELS.CALIBRATED]: 'bg-green-600 text-white',
+    [CALIBRATION_LABELS.INSUFFICIENT_DATA]: 'bg-gray-600 text-white',
+};
+
+const percent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
 
 /**
  * STUDENT INSIGHTS REPORT (FIXED)
@@ -11,6 +28,10 @@ import { generateStudentInsights } from '../../services/insightGenerator';
  * ✅ Falls back to context logs if props logs are stale
  * ✅ Adds manual refresh button for user
  * ✅ Properly monitors log updates
+ *
+ * Confidence check: self-rated confidence vs accuracy overall and per atom,
+ * plus the answers given with high confidence that were wrong (for the
+ * student and their teacher).
  */
 export default function StudentInsightsReport({ logs, sessionHistory }) {
     const { sessionHistory: contextLogs, refreshSessionLogs } = useNinja();
@@ -79,6 +100,7 @@ export default function StudentInsightsReport({ logs, sessionHistory }) {
         patterns,
         semanticScore,
         recommendations,
+        calibration,
         nextActions,
     } = insights;
 
@@ -131,6 +153,9 @@ export default function StudentInsightsReport({ logs, sessionHistory }) {
                         </span>
                         <span className="text-2xl font-black text-yellow-800">
                             {performanceMetrics.averageConfidence}
+                            {performanceMetrics.confidenceSource === 'SELF_RATED' && (
+                                <span className="text-sm text-yellow-600"> / 5</span>
+                            )}
                         </span>
                         <span className="text-[10px] text-yellow-600">
                             {performanceMetrics.confidenceTrend}
@@ -217,6 +242,98 @@ export default function StudentInsightsReport({ logs, sessionHistory }) {
                 </div>
             )}
 
+            {/* Confidence Calibration */}
+            {calibration && calibration.overall.rated > 0 && (
+                <div className="ninja-card">
+                    <div className="flex items-start justify-between mb-4">
+                        <h3 className="text-lg font-black text-blue-800 uppercase tracking-tight">
+                            🎯 Confidence Check
+                        </h3>
+                        <span className={`px-2 py-1 rounded text-[10px] font-black uppercase whitespace-nowrap ${CALIBRATION_STYLE[calibration.overall.label]}`}>
+                            {calibration.overall.label}
+                        </span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-4 mb-3">
+                        <div className="bg-indigo-50 p-3 rounded-2xl border border-indigo-100">
+                            <span className="block text-[10px] font-black text-indigo-500 uppercase mb-1">
+                                Felt Sure
+                            </span>
+                            <span className="text-xl font-black text-indigo-800">
+                                {percent(calibration.overall.expectedAccuracy)}
+                            </span>
+                        </div>
+                        <div className="bg-blue-50 p-3 rounded-2xl border border-blue-100">
+                            <span className="block text-[10px] font-black text-blue-400 uppercase mb-1">
+                                Got Right
+                            </span>
+                            <span className="text-xl font-black text-blue-800">
+                                {percent(calibration.overall.accuracy)}
+                            </span>
+                        </div>
+                        <div className="bg-red-50 p-3 rounded-2xl border border-red-100">
+                            <span className="block text-[10px] font-black text-red-500 uppercase mb-1">
+                                Sure But Wrong
+                            </span>
+                            <span className="text-xl font-black text-red-800">
+                                {calibration.overall.confidentlyWrong}
+                            </span>
+                        </div>
+                    </div>
+                    <p className="text-blue-700 font-semibold text-sm">
+                        {CALIBRATION_TEXT[calibration.overall.label]}
+                    </p>
+                    <p className="text-[11px] text-gray-500 mt-1">
+                        Based on {calibration.overall.rated} rated answer{calibration.overall.rated === 1 ? '' : 's'}
+                    </p>
+
+                    {/* Per-atom calibration */}
+                    {calibration.byAtom.some(a => a.label !== CALIBRATION_LABELS.INSUFFICIENT_DATA) && (
+                        <div className="mt-4 space-y-2">
+                            <h4 className="text-[11px] font-black text-gray-600 uppercase">By Skill</h4>
+                            {calibration.byAtom
+                                .filter(a => a.label !== CALIBRATION_LABELS.INSUFFICIENT_DATA)
+                                .slice(0, 5)
+                                .map(atom => (
+                                    <div key={atom.atomId} className="flex items-center justify-between gap-3 text-[12px]">
+                                        <span className="font-mono text-gray-700 truncate">{atom.atomId}</span>
+                                        <span className="text-gray-600 whitespace-nowrap">
+                                            felt {percent(atom.expectedAccuracy)} · got {percent(atom.accuracy)}
+                                        </span>
+                                        <span className={`px-2 py-0.5 rounded text-[10px] font-black uppercase ${CALIBRATION_STYLE[atom.label]}`}>
+                                            {atom.label}
+                                        </span>
+                                    </div>
+                                ))}
+                        </div>
+                    )}
+
+                    {/* Confidently wrong (for teacher follow-up) */}
+                    {calibration.confidentlyWrong.length > 0 && (
+                        <div className="mt-4 p-3 bg-red-50 border-l-4 border-l-red-600 rounded-lg">
+                            <h4 className="text-[11px] font-black text-red-800 uppercase mb-2">
+                                Sure But Wrong — worth a look with your teacher
+                            </h4>
+                            <ul className="space-y-1 text-[12px] text-red-900">
+                                {calibration.confidentlyWrong.slice(0, 5).map((entry, idx) => (
+                                    <li key={`${entry.questionId}-${idx}`} className="flex justify-between gap-3">
+                                        <span className="font-mono truncate">{entry.itemId || entry.questionId}</span>
+                                        <span className="whitespace-nowrap">
+                                            {CONFIDENCE_LABELS[entry.confidence]}
+                                            {entry.diagnosticTag && entry.diagnosticTag !== 'NONE' ? ` · ${entry.diagnosticTag}` : ''}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {calibration.confidentlyWrong.length > 5 && (
+                                <p className="text-[11px] text-red-700 mt-2">
+                                    +{calibration.confidentlyWrong.length - 5} more
+                                </p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Personalized Recommendations */}
             {recommendations && recommendations.length > 0 && (
                 <div className="ninja-card">
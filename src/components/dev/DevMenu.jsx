@@ -2,6 +2,17 @@ import React, { useState } from 'react';
 import { useDevMode } from '../../context/DevModeContext';
 import { pushQuestionsToCloud } from '../../services/nexusSync';
 import { validateNexusLogs } from '../../services/nexusValidator';
+import { fitBktParamsFromLogs } from '../../services/masteryService';
+import dailyMissionService from '../../services/dailyMissionService';
+import { CONSTRAINT_STATUS } from '../../services/missionSequencer';
+import { auth } from '../../firebase/config';
+
+const CONSTRAINT_STATUS_STYLES = {
+    [CONSTRAINT_STATUS.SATISFIED]: 'text-green-400',
+    [CONSTRAINT_STATUS.ENFORCED]: 'text-blue-400',
+    [CONSTRAINT_STATUS.RELAXED]: 'text-red-400',
+    [CONSTRAINT_STATUS.NOT_APPLICABLE]: 'text-slate-500'
+};
 
 
 /**
@@ -12,6 +23,7 @@ function DevMenu() {
     const { devConfig, setDevConfig, runInitialSync, startTestScenario, TEST_USER_ID } = useDevMode();
     const [report, setReport] = useState(null);
     const [showFullDetails, setShowFullDetails] = useState(false);
+    const [sequencingReport, setSequencingReport] = useState(null);
 
     const runIntegrityCheck = async () => {
         const result = await validateNexusLogs();
@@ -19,6 +31,11 @@ function DevMenu() {
         setShowFullDetails(result.status === 'FAIL');
     };
 
+    const runSequencingPreview = async () => {
+        const mission = await dailyMissionService.generateDailyMissionV2(auth.currentUser?.uid);
+        setSequencingReport(mission.metadata.sequencingReport);
+    };
+
     return (
         <div className="min-h-screen bg-[#0a0f1a] text-slate-300 p-8 font-mono">
             <div className="max-w-4xl mx-auto">
@@ -67,6 +84,21 @@ function DevMenu() {
                         <h3 className="text-2xl font-bold text-white mb-2">Cloud Deploy</h3>
                         <p className="text-sm text-slate-500">Push your local IndexedDB fixes to the production database.</p>
                     </button>
+
+                    {/* Mastery Model Tool */}
+                    <button
+                        onClick={async () => {
+                            if (window.confirm("FIT: Estimate BKT mastery parameters from session logs?")) {
+                                const { atoms, logCount } = await fitBktParamsFromLogs();
+                                alert(`FIT_COMPLETE: ${Object.keys(atoms).length} atoms from ${logCount} logs`);
+                            }
+                        }}
+                        className="p-8 bg-slate-900 border border-slate-800 rounded-xl text-left hover:border-green-500/50 transition-all"
+                    >
+                        <div className="text-green-500 text-xs font-black uppercase mb-2">Model Tool</div>
+                        <h3 className="text-2xl font-bold text-white mb-2">Fit Mastery Model</h3>
+                        <p className="text-sm text-slate-500">Estimate per-atom prior, learn, slip and guess from historical session logs.</p>
+                    </button>
                 </div>
 
                 {/* NEW: Integrity Validation Section */}
@@ -186,6 +218,48 @@ function DevMenu() {
 
 
 
+                {/* Interleaving Policy Report */}
+                <div className="mb-12 p-8 bg-slate-900 border border-slate-800 rounded-xl">
+                    <div className="flex justify-between items-center mb-6">
+                        <h3 className="text-xs font-black text-slate-500 uppercase tracking-widest">Interleaving_Policy_Report</h3>
+                        <button
+                            onClick={runSequencingPreview}
+                            className="px-4 py-2 bg-blue-500 text-black text-[10px] font-black uppercase rounded hover:bg-blue-400 transition-all"
+                        >
+                            Generate Preview Mission ↵
+                        </button>
+                    </div>
+
+                    {sequencingReport ? (
+                        <div className="space-y-4">
+                            {sequencingReport.constraints.map(constraint => (
+                                <div key={constraint.id} className="p-4 bg-black/30 rounded-lg border border-slate-800">
+                                    <div className="flex justify-between items-center mb-1">
+                                        <span className="text-xs font-bold text-white">{constraint.id}</span>
+                                        <span className={`text-[10px] font-black uppercase ${CONSTRAINT_STATUS_STYLES[constraint.status]}`}>{constraint.status}</span>
+                                    </div>
+                                    <div className="text-[10px] text-slate-500 mb-2">"{constraint.rule}"</div>
+                                    <div className="text-[10px] text-slate-400">Before: {constraint.before} → After: {constraint.after}</div>
+                                    {constraint.note && <div className="text-[10px] text-yellow-400/80 mt-1">{constraint.note}</div>}
+                                    {constraint.changes.length > 0 && (
+                                        <ul className="mt-2 space-y-1">
+                                            {constraint.changes.map((change, idx) => (
+                                                <li key={idx} className="text-[9px] text-slate-500">
+                                                    <span className="text-blue-400">{change.action}</span> {change.questionId}: {change.detail}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <div className="text-center py-6 text-slate-600 text-xs italic">
+                            Generate a mission to see which interleaving constraints held, were enforced or were relaxed.
+                        </div>
+                    )}
+                </div>
+
                 {/* 1Q/2Q Scenario Selector (The Menu You Need) */}
                 <div className="p-8 bg-slate-900/50 border border-slate-800 rounded-xl">
                     <h3 className="text-xs font-black text-slate-500 uppercase tracking-[0.3em] mb-8 text-center">Inquiry_Testing_Scenarios</h3>
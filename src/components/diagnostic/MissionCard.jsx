@@ -1,9 +1,10 @@
 import React, { useEffect, useState, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { MathText } from '../templates/MathText';
 
 /**
  * MissionCard: Complete Implementation with Consistent onAnswer Signature
- * Fully handles LaTeX rendering, engagement framing, and hurdle tracking.
+ * Fully handles LaTeX rendering (shared MathText, bundled KaTeX), engagement framing, and hurdle tracking.
  * Detailed comments explain the logic flow for VS Code diffing.
  * Ensures the 'Bonus Mission' (Follow-Up) is visible and interactable 
  * after an incorrect answer is submitted.
@@ -24,9 +25,6 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
     // Stores the specific distractor data for the selected wrong answer
     const [feedbackData, setFeedbackData] = useState(null);
 
-    // Add a local loading state for typeset
-    const [isTypesetting, setIsTypesetting] = useState(false);
-
     // Performance State
     const [isCorrectPulse, setIsCorrectPulse] = useState(false);
     const [speedRating, setSpeedRating] = useState(null); // 'SPRINT', 'NORMAL', 'SLOW'
@@ -49,19 +47,6 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
         setThinkingTime(0);
     }, [question?.id]);
 
-    /**
-     * Effect to trigger MathJax typeset whenever the content changes.
-     * This ensures formulas like $a^m \times a^n$ render correctly after every mission update.
-     */
-    useEffect(() => {
-        if (window.MathJax) {
-            setIsTypesetting(true);
-            window.MathJax.typesetPromise().then(() => {
-                setIsTypesetting(false);
-            });
-        }
-    }, [question, showFeedback]);
-
     /**
      * Memoized shuffle to ensure options appear in a different order every time.
      * Prevents pattern memorization based on option position.
@@ -190,12 +175,10 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
                 )}
             </div>
 
-            {/* Main Question Text */}
-            <div className={`mb-10 transition-opacity duration-300 ${
-                isTypesetting ? 'opacity-0' : 'opacity-100'
-            }`}>
+            {/* Main Question Text (formulas like $a^m \times a^n$ typeset by MathText) */}
+            <div className="mb-10">
                 <h2 className="text-2xl md:text-3xl font-bold text-slate-800 leading-tight">
-                    {question.text}
+                    <MathText text={question.text} />
                 </h2>
             </div>
 
@@ -217,7 +200,7 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
                                             : 'bg-white border-blue-50 text-slate-700 hover:border-blue-200 hover:bg-blue-50'
                                     } ${isCorrectPulse && isSelected ? 'animate-bounce' : ''}`}
                                 >
-                                    {option}
+                                    <MathText text={option} />
                                     {isCorrectPulse && isSelected && (
                                         <motion.span
                                             initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }}
@@ -254,7 +237,7 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
                             Ninja Insight! 💡
                         </h3>
                         <p className="text-lg text-yellow-900 font-medium">
-                            {feedbackData?.engagement_framing || "You're getting warmer! Let's try to look at this differently."}
+                            <MathText text={feedbackData?.engagement_framing || "You're getting warmer! Let's try to look at this differently."} />
                         </p>
                     </div>
 
@@ -262,7 +245,7 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
                     {feedbackData?.follow_up ? (
                         <div className="p-6 bg-blue-50 border-2 border-blue-100 rounded-3xl">
                             <h4 className="text-sm font-black text-blue-400 uppercase tracking-widest mb-3">Bonus Mission</h4>
-                            <p className="font-bold text-blue-800 mb-4">{feedbackData.follow_up.text}</p>
+                            <p className="font-bold text-blue-800 mb-4"><MathText text={feedbackData.follow_up.text} /></p>
                             <div className="grid grid-cols-1 gap-2">
                                 {feedbackData.follow_up.options?.map((opt, i) => (
                                     <button
@@ -287,7 +270,7 @@ function MissionCard({ question, onAnswer, onStartRecovery }) {
                                         }}
                                         className="p-4 bg-white border-2 border-blue-100 rounded-xl text-left font-bold text-blue-700 hover:border-blue-400 transition-all"
                                     >
-                                        {opt}
+                                        <MathText text={opt} />
                                     </button>
                                 ))}
                             </div>
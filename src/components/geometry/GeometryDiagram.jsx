@@ -0,0 +1,210 @@
+/**
+ * GeometryDiagram.jsx
+ *
+ * SVG renderer for declarative geometry diagrams (see services/geometryDiagram).
+ * Used interactively by GEOMETRY_TAP, and statically by any template that
+ * shows a `stimulus.diagram` or annotates a worked solution.
+ *
+ * Props:
+ * - diagram: raw spec ({ points, segments, angles, ... } or legacy figure_spec)
+ * - selectedIds / highlightedIds: ids drawn in the selected / highlight colours
+ * - correctIds / incorrectIds: ids marked after grading
+ * - onTap(id): makes tappable primitives interactive; omit for a static figure
+ * - disabled: keeps colours but ignores taps
+ */
+
+import React, { useMemo, useState } from 'react';
+import { normalizeDiagram, PRIMITIVE_KINDS, RENDER_ORDER } from '../../services/geometryDiagram';
+
+const COLORS = {
+  base: '#374151',
+  highlight: '#f59e0b',
+  selected: '#7c3aed',
+  hover: '#a78bfa',
+  correct: '#16a34a',
+  incorrect: '#dc2626'
+};
+
+function renderShape(p, color, isActive) {
+  const strokeWidth = isActive ? 3.5 : 2;
+  const fillOpacity = isActive ? 0.25 : 0;
+
+  switch (p.kind) {
+    case PRIMITIVE_KINDS.POLYGON:
+      return (
+        <polygon points={p.points} fill={p.fill || color} fillOpacity={p.fill && !isActive ? 0.15 : fillOpacity} stroke={color} strokeWidth={strokeWidth} />
+      );
+    case PRIMITIVE_KINDS.CIRCLE:
+      return <circle cx={p.cx} cy={p.cy} r={p.r} fill={color} fillOpacity={fillOpacity} stroke={color} strokeWidth={strokeWidth} />;
+    case PRIMITIVE_KINDS.ANGLE:
+      return (
+        <>
+          {p.hitPath && <path d={p.hitPath} fill={color} fillOpacity={fillOpacity} stroke="none" />}
+          {!p.hitPath && p.hitPolygon && (
+            <polygon points={p.hitPolygon.map(pt => pt.join(',')).join(' ')} fill={color} fillOpacity={fillOpacity} stroke="none" />
+          )}
+          {p.arcPath && <path d={p.arcPath} fill="none" stroke={color} strokeWidth={strokeWidth} />}
+        </>
+      );
+    case PRIMITIVE_KINDS.SEGMENT:
+      return (
+        <>
+          <line x1={p.x1} y1={p.y1} x2={p.x2} y2={p.y2} stroke={color} strokeWidth={strokeWidth} strokeDasharray={p.dashed ? '6 4' : undefined} strokeLinecap="round" />
+          {p.ticks.map((t, i) => (
+            <line key={i} x1={t.x1} y1={t.y1} x2={t.x2} y2={t.y2} stroke={color} strokeWidth={2} />
+          ))}
+        </>
+      );
+    case PRIMITIVE_KINDS.RAY: {
+      const head = 9;
+      const left = p.angle + Math.PI - 0.4;
+      const right = p.angle + Math.PI + 0.4;
+      return (
+        <>
+          <line x1={p.x1} y1={p.y1} x2={p.x2} y2={p.y2} stroke={color} strokeWidth={strokeWidth} strokeLinecap="round" />
+          <polygon
+            points={`${p.x2},${p.y2} ${p.x2 + Math.cos(left) * head},${p.y2 + Math.sin(left) * head} ${p.x2 + Math.cos(right) * head},${p.y2 + Math.sin(right) * head}`}
+            fill={color}
+          />
+        </>
+      );
+    }
+    case PRIMITIVE_KINDS.POINT:
+      return <circle cx={p.x} cy={p.y} r={isActive ? 6 : 4} fill={color} />;
+    case PRIMITIVE_KINDS.LABEL:
+      return <text x={p.x} y={p.y} fontSize={13} fill={color} textAnchor="start">{p.text}</text>;
+    default:
+      return null;
+  }
+}
+
+// Invisible, generously sized target so thin lines are easy to tap
+function renderHitArea(p) {
+  const common = { fill: 'transparent', stroke: 'transparent', pointerEvents: 'all' };
+  switch (p.kind) {
+    case PRIMITIVE_KINDS.POLYGON:
+      return <polygon points={p.points} {...common} />;
+    case PRIMITIVE_KINDS.CIRCLE:
+      return <circle cx={p.cx} cy={p.cy} r={p.r} {...common} fill="none" strokeWidth={16} />;
+    case PRIMITIVE_KINDS.ANGLE:
+      return p.hitPath
+        ? <path d={p.hitPath} {...common} />
+        : <polygon points={(p.hitPolygon || []).map(pt => pt.join(',')).join(' ')} {...common} />;
+    case PRIMITIVE_KINDS.SEGMENT:
+    case PRIMITIVE_KINDS.RAY:
+      return <line x1={p.x1} y1={p.y1} x2={p.x2} y2={p.y2} {...common} strokeWidth={16} />;
+    case PRIMITIVE_KINDS.POINT:
+      return <circle cx={p.x} cy={p.y} r={12} {...common} />;
+    default:
+      return null;
+  }
+}
+
+function renderLabel(p, color) {
+  if (!p.label || (!p.labelPos && p.kind !== PRIMITIVE_KINDS.POINT)) return null;
+  const x = p.kind === PRIMITIVE_KINDS.POINT ? p.x + 8 : p.labelPos.x;
+  const y = p.kind === PRIMITIVE_KINDS.POINT ? p.y - 8 : p.labelPos.y;
+  return (
+    <text x={x} y={y} fontSize={13} fontWeight="bold" fill={color} textAnchor="middle" dominantBaseline="middle" pointerEvents="none">
+      {p.label}
+    </text>
+  );
+}
+
+export default function GeometryDiagram({
+  diagram,
+  selectedIds = [],
+  highlightedIds = [],
+  correctIds = [],
+  incorrectIds = [],
+  onTap = null,
+  disabled = false,
+  title = 'Geometry diagram',
+  className = ''
+}) {
+  const [hoveredId, setHoveredId] = useState(null);
+
+  const { model, error } = useMemo(() => {
+    try {
+      return { model: normalizeDiagram(diagram || {}), error: null };
+    } catch (err) {
+      return { model: null, error: err.message };
+    }
+  }, [diagram]);
+
+  if (error) {
+    return <p className="p-4 bg-red-50 text-red-700 rounded-lg text-sm">This diagram could not be drawn: {error}</p>;
+  }
+
+  const interactive = typeof onTap === 'function';
+  const selected = new Set(selectedIds);
+  const highlighted = new Set([...model.highlightedIds, ...highlightedIds]);
+  const correct = new Set(correctIds);
+  const incorrect = new Set(incorrectIds);
+
+  const colorFor = (id) => {
+    if (correct.has(id)) return COLORS.correct;
+    if (incorrect.has(id)) return COLORS.incorrect;
+    if (selected.has(id)) return COLORS.selected;
+    if (highlighted.has(id)) return COLORS.highlight;
+    if (interactive && !disabled && hoveredId === id) return COLORS.hover;
+    return COLORS.base;
+  };
+
+  const ordered = RENDER_ORDER.flatMap(kind => model.primitives.filter(p => p.kind === kind));
+
+  return (
+    <svg
+      viewBox={`0 0 ${model.width} ${model.height}`}
+      className={`w-full h-auto select-none ${className}`}
+      role={interactive ? 'group' : 'img'}
+      aria-label={title}
+    >
+      {ordered.map(p => {
+        const color = colorFor(p.id);
+        const isActive = color !== COLORS.base;
+        const tappable = interactive && p.tappable;
+
+        if (!tappable) {
+          return (
+            <g key={`${p.kind}-${p.id}`} pointerEvents="none">
+              {renderShape(p, color, isActive && p.kind !== PRIMITIVE_KINDS.LABEL)}
+              {renderLabel(p, color)}
+            </g>
+          );
+        }
+
+        const activate = () => {
+          if (!disabled) onTap(p.id);
+        };
+
+        return (
+          <g
+            key={`${p.kind}-${p.id}`}
+            role="button"
+            tabIndex={disabled ? -1 : 0}
+            aria-label={p.label ? `${p.kind} ${p.id} (${p.label})` : `${p.kind} ${p.id}`}
+            aria-pressed={selected.has(p.id)}
+            aria-disabled={disabled}
+            className={disabled ? 'cursor-default' : 'cursor-pointer focus:outline-none'}
+            onClick={activate}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                activate();
+              }
+            }}
+            onMouseEnter={() => setHoveredId(p.id)}
+            onMouseLeave={() => setHoveredId(null)}
+            onFocus={() => setHoveredId(p.id)}
+            onBlur={() => setHoveredId(null)}
+          >
+            {renderShape(p, color, isActive)}
+            {renderHitArea(p)}
+            {renderLabel(p, color)}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
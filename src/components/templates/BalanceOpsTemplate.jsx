@@ -1,49 +1,127 @@
-import React, { useState } from 'react';
-import { CheckCircle, XCircle, RotateCcw } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { CheckCircle, XCircle, RotateCcw, Undo2, AlertTriangle } from 'lucide-react';
+import { gradeBalanceProcess, applyBalanceOperation, BALANCE_SIDES } from '../../services/balanceEquation';
+import { getBalanceSetup, scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { MathText } from './MathText';
 
 /**
  * BALANCE_OPS Template
  * Equation balancing with step-by-step operations
  * Best for: equations, inverse operations, procedures
+ *
+ * Process-graded: each move is applied to the equation state and any
+ * sequence of valid moves that isolates the variable is accepted.
  */
-export function BalanceOpsTemplate({ question, onAnswer, isSubmitting }) {
-  const [steps, setSteps] = useState([]);
+export function BalanceOpsTemplate({ question, onAnswer, onEvent, isSubmitting }) {
+  const config = question.interaction?.config || {};
+  const { maxSteps } = getBalanceSetup(question);
+
+  // V2 items declare op types (value typed by the student); legacy items list preset moves
+  const allowedOps = config.controls?.allowed_ops || config.controls?.allowedOps || config.allowedOps || [];
+  const presetOps = config.operations || [];
+
+  const [moves, setMoves] = useState([]);
+  const [rejectedMoves, setRejectedMoves] = useState([]);
+  const [lastError, setLastError] = useState(null);
+  const [selectedOp, setSelectedOp] = useState(allowedOps[0]?.id || null);
+  const [operand, setOperand] = useState('');
+  const [side, setSide] = useState(BALANCE_SIDES.BOTH);
+  const [undoCount, setUndoCount] = useState(0);
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
-  const [currentLeft, setCurrentLeft] = useState(question.interaction?.config?.equation?.left);
-  const [currentRight, setCurrentRight] = useState(question.interaction?.config?.equation?.right);
 
-  const operations = question.interaction?.config?.operations || [];
-  const maxSteps = question.interaction?.config?.maxSteps || 5;
-  const answerKey = question.answerKey;
+  // Replaying the accepted moves gives the current equation state
+  const { process, setupError, allowedOpIds } = useMemo(() => {
+    const { equation, allowedOpIds: ops } = getBalanceSetup(question);
+    try {
+      return {
+        process: gradeBalanceProcess(equation, moves, question.answerKey || {}, { allowedOps: ops, maxSteps }),
+        setupError: null,
+        allowedOpIds: ops
+      };
+    } catch (error) {
+      return { process: null, setupError: error.message, allowedOpIds: ops };
+    }
+  }, [question, moves, maxSteps]);
+
+  if (setupError) {
+    return (
+      <div className="w-full max-w-2xl mx-auto p-6 bg-red-50 border-2 border-red-200 rounded-lg text-red-800">
+        This equation could not be loaded: {setupError}
+      </div>
+    );
+  }
+
+  const steps = process.steps;
+  const [leftSide, rightSide] = steps.length > 0
+    ? process.finalEquation.split(' = ')
+    : [process.finalState.leftText, process.finalState.rightText];
+
+  const applyOperation = (move) => {
+    if (steps.length >= maxSteps || submitted) return;
 
-  const applyOperation = (op) => {
-    if (steps.length >= maxSteps) return;
+    // Invalid moves never change the equation; they are kept for telemetry
+    const attempt = applyBalanceOperation(process.finalState, move, { allowedOps: allowedOpIds });
+    if (!attempt.ok) {
+      setRejectedMoves(prev => [...prev, { ...move, reason: attempt.reason }]);
+      setLastError(attempt);
+      return;
+    }
 
-    const newSteps = [...steps, op];
-    setSteps(newSteps);
+    setLastError(null);
+    setMoves(prev => [...prev, move]);
+    setOperand('');
+    onEvent?.(TELEMETRY_EVENTS.STEP_ADDED, { op: move.op, value: move.value, side: move.side ?? null });
+  };
+
+  const handleApplyTyped = () => {
+    if (!selectedOp || operand.trim() === '') return;
+    applyOperation({ op: selectedOp, value: operand.trim(), side });
+  };
 
-    // Simple equation evaluation (this would be more complex in production)
-    // For now, just simulate the balance
+  const handleUndo = () => {
+    if (moves.length === 0) return;
+    onEvent?.(TELEMETRY_EVENTS.UNDO);
+    setMoves(prev => prev.slice(0, -1));
+    setUndoCount(count => count + 1);
+    setLastError(null);
   };
 
   const handleReset = () => {
-    setSteps([]);
-    setCurrentLeft(question.interaction?.config?.equation?.left);
-    setCurrentRight(question.interaction?.config?.equation?.right);
+    setMoves([]);
+    setRejectedMoves([]);
+    setLastError(null);
+    setUndoCount(0);
+    setOperand('');
+    setSide(BALANCE_SIDES.BOTH);
     setFeedback(null);
     setSubmitted(false);
   };
 
   const handleSubmit = () => {
-    const isCorrect = validateSteps(steps, answerKey);
+    const response = { moves };
+    const { isCorrect, score } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
-      steps,
+      score,
+      response,
+      steps: steps.map(({ op, value, description }) => ({ op, value, label: description })),
+      solvedValue: process.solvedValue,
+      finalEquation: process.finalEquation,
+      invalidMoves: rejectedMoves.map(m => m.reason),
+      telemetry: {
+        ...process.telemetry,
+        invalidMoveCount: rejectedMoves.length,
+        invalidMoveReasons: rejectedMoves.map(m => m.reason),
+        undoCount
+      },
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Perfect! You solved it!'
-        : question.feedbackMap?.onIncorrectAttempt1 || '✗ Try a different approach.',
+        : !process.solved
+          ? question.feedbackMap?.onIncorrectAttempt1 || '✗ Keep going until the variable is on its own.'
+          : question.feedbackMap?.onIncorrectAttempt1 || '✗ Try a different approach.',
     };
 
     setFeedback(result);
@@ -51,40 +129,56 @@ export function BalanceOpsTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validateSteps(steps, answerKey) {
-    // In production, this would validate the step sequence
-    return steps.length > 0 && steps.length <= maxSteps;
-  }
+  const canApply = !submitted && steps.length < maxSteps && !process.solved;
 
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-purple-50 to-indigo-50 rounded-lg">
       {/* Question Prompt */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-purple-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         {question.content?.instruction && (
           <p className="text-sm text-gray-600 mt-3">{question.content.instruction}</p>
         )}
       </div>
 
-      {/* Equation Display */}
+      {/* Equation Display (balance) */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-2 border-purple-200">
-        <div className="flex items-center justify-between text-2xl font-mono font-bold text-gray-900">
-          <div>3x + 5</div>
-          <div className="text-3xl">=</div>
-          <div>20</div>
+        <div className="flex items-end justify-between gap-4">
+          <div className="flex-1 text-center">
+            <div className="text-2xl font-mono font-bold text-gray-900 pb-2">{leftSide}</div>
+            <div className="h-2 bg-purple-300 rounded-full" />
+          </div>
+          <div className="text-3xl font-mono font-bold text-gray-900 pb-2">=</div>
+          <div className="flex-1 text-center">
+            <div className="text-2xl font-mono font-bold text-gray-900 pb-2">{rightSide}</div>
+            <div className="h-2 bg-purple-300 rounded-full" />
+          </div>
         </div>
+        <div className="mx-auto w-0 h-0 border-l-[14px] border-r-[14px] border-b-[20px] border-l-transparent border-r-transparent border-b-purple-500 mt-1" />
+        <p className="text-xs text-center text-gray-500 mt-2">
+          Steps used: {steps.length} / {maxSteps}
+        </p>
       </div>
 
+      {/* Invalid move explanation */}
+      {lastError && !submitted && (
+        <div className="p-4 rounded-lg border-l-4 bg-amber-50 border-amber-500 text-amber-900 flex gap-3">
+          <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          <p className="text-sm">{lastError.explanation}</p>
+        </div>
+      )}
+
       {/* Step Log */}
       {steps.length > 0 && (
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <h3 className="font-semibold text-blue-900 mb-3">Steps taken:</h3>
           <div className="space-y-2">
             {steps.map((step, idx) => (
-              <div key={idx} className="text-sm text-blue-800 bg-white p-2 rounded border-l-4 border-blue-400">
-                Step {idx + 1}: {step.label}
+              <div key={idx} className="text-sm text-blue-800 bg-white p-2 rounded border-l-4 border-blue-400 flex justify-between gap-3">
+                <span>Step {idx + 1}: {step.description}</span>
+                <span className="font-mono">{step.equation}</span>
               </div>
             ))}
           </div>
@@ -92,20 +186,72 @@ export function BalanceOpsTemplate({ question, onAnswer, isSubmitting }) {
       )}
 
       {/* Operations Panel */}
-      <div className="bg-white p-6 rounded-lg shadow-sm">
-        <h3 className="font-semibold text-gray-900 mb-3">Available Operations:</h3>
-        <div className="grid grid-cols-2 gap-3">
-          {operations.map((op, idx) => (
-            <button
-              key={idx}
-              onClick={() => applyOperation(op)}
-              disabled={steps.length >= maxSteps || submitted}
-              className="p-3 bg-gradient-to-br from-purple-100 to-purple-200 text-purple-900 rounded-lg font-semibold hover:from-purple-200 hover:to-purple-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all border border-purple-300"
-            >
-              {op.label}
-            </button>
-          ))}
-        </div>
+      <div className="bg-white p-6 rounded-lg shadow-sm space-y-4">
+        <h3 className="font-semibold text-gray-900">Available Operations:</h3>
+
+        {allowedOps.length > 0 && (
+          <>
+            <div className="grid grid-cols-2 gap-3">
+              {allowedOps.map(op => (
+                <button
+                  key={op.id}
+                  onClick={() => setSelectedOp(op.id)}
+                  disabled={!canApply}
+                  className={`p-3 rounded-lg font-semibold transition-all border disabled:opacity-50 disabled:cursor-not-allowed ${
+                    selectedOp === op.id
+                      ? 'bg-purple-600 text-white border-purple-700'
+                      : 'bg-gradient-to-br from-purple-100 to-purple-200 text-purple-900 border-purple-300 hover:from-purple-200 hover:to-purple-300'
+                  }`}
+                >
+                  {op.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <input
+                type="text"
+                value={operand}
+                onChange={(e) => setOperand(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleApplyTyped()}
+                disabled={!canApply}
+                placeholder="Number or term, e.g. 5 or 2x"
+                className="flex-1 min-w-32 px-4 py-3 border-2 border-purple-200 rounded-lg font-mono focus:border-purple-500 focus:outline-none"
+              />
+              <select
+                value={side}
+                onChange={(e) => setSide(e.target.value)}
+                disabled={!canApply}
+                className="px-3 py-3 border-2 border-purple-200 rounded-lg bg-white"
+              >
+                <option value={BALANCE_SIDES.BOTH}>Both sides</option>
+                <option value={BALANCE_SIDES.LEFT}>Left side only</option>
+                <option value={BALANCE_SIDES.RIGHT}>Right side only</option>
+              </select>
+              <button
+                onClick={handleApplyTyped}
+                disabled={!canApply || !selectedOp || operand.trim() === ''}
+                className="px-6 py-3 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Apply
+              </button>
+            </div>
+          </>
+        )}
+
+        {presetOps.length > 0 && (
+          <div className="grid grid-cols-2 gap-3">
+            {presetOps.map((op, idx) => (
+              <button
+                key={idx}
+                onClick={() => applyOperation(op)}
+                disabled={!canApply}
+                className="p-3 bg-gradient-to-br from-purple-100 to-purple-200 text-purple-900 rounded-lg font-semibold hover:from-purple-200 hover:to-purple-300 disabled:opacity-50 disabled:cursor-not-allowed transition-all border border-purple-300"
+              >
+                {op.label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Action Buttons */}
@@ -117,6 +263,14 @@ export function BalanceOpsTemplate({ question, onAnswer, isSubmitting }) {
           <RotateCcw className="w-4 h-4" />
           Reset
         </button>
+        <button
+          onClick={handleUndo}
+          disabled={submitted || steps.length === 0}
+          className="flex-1 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 disabled:opacity-50 transition-all flex items-center justify-center gap-2"
+        >
+          <Undo2 className="w-4 h-4" />
+          Undo
+        </button>
         {!submitted && (
           <button
             onClick={handleSubmit}
@@ -142,7 +296,14 @@ export function BalanceOpsTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
           )}
-          <p>{feedback.feedback}</p>
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            {feedback.isCorrect && feedback.telemetry.extraSteps > 0 && (
+              <p className="text-sm mt-1">
+                You used {feedback.telemetry.stepsUsed} steps — it can be done in {feedback.telemetry.idealSteps}.
+              </p>
+            )}
+          </div>
         </div>
       )}
 
@@ -1,20 +1,56 @@
-import React, { useState } from 'react';
+import React, { useEffect, useId, useRef, useState } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { keyboardAction, stepIndex, KEYBOARD_ACTIONS } from '../../services/keyboardInteraction';
+import { MathText } from './MathText';
+import { LiveRegion } from './LiveRegion';
 
 /**
  * CLASSIFY_SORT Template
  * Drag items into categories
  * Best for: categorization, properties
+ *
+ * Keyboard: Space/Enter picks a card up, arrow keys move it through the
+ * categories, Space/Enter drops it and Escape puts it back. Tapping a card
+ * and then a category does the same with a pointer.
+ *
+ * Partial credit: one point per correctly placed card.
  */
-export function ClassifySortTemplate({ question, onAnswer, isSubmitting }) {
+export function ClassifySortTemplate({ question, onAnswer, onEvent, isSubmitting }) {
   const [categorized, setCategorized] = useState({});
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
+  // Card picked up with the keyboard (or a tap): { itemId, from }
+  const [held, setHeld] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const cardRefs = useRef({});
+  const pendingFocus = useRef(null);
+  const instructionsId = useId();
 
   const items = question.interaction?.config?.items || [];
   const categories = question.interaction?.config?.categories || [];
   const correctClassification = question.answerKey?.classification || {};
 
+  // A moved card re-mounts in its new category; keep keyboard focus on it
+  useEffect(() => {
+    if (pendingFocus.current) {
+      cardRefs.current[pendingFocus.current]?.focus();
+      pendingFocus.current = null;
+    }
+  });
+
+  const labelOf = (itemId) => items.find(item => item.id === itemId)?.label ?? itemId;
+  const categoryLabel = (categoryId) => categories.find(c => c.id === categoryId)?.label ?? 'unsorted items';
+
+  const place = (itemId, categoryId) => {
+    const next = { ...categorized };
+    if (categoryId) next[itemId] = categoryId;
+    else delete next[itemId];
+    setCategorized(next);
+    pendingFocus.current = itemId;
+  };
+
   const handleDragStart = (e, itemId) => {
     e.dataTransfer.effectAllowed = 'move';
     e.dataTransfer.setData('itemId', itemId);
@@ -32,17 +68,104 @@ export function ClassifySortTemplate({ question, onAnswer, isSubmitting }) {
       ...categorized,
       [itemId]: categoryId,
     });
+    setHeld(null);
+    setAnnouncement(`Dropped ${labelOf(itemId)} in ${categoryLabel(categoryId)}.`);
+    onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: itemId, target: categoryId, input: 'pointer' });
+  };
+
+  const pickUp = (itemId) => {
+    setHeld({ itemId, from: categorized[itemId] ?? null });
+    setAnnouncement(
+      `Picked up ${labelOf(itemId)}. Use the arrow keys to choose a category, then press Space to drop. Escape cancels.`
+    );
+  };
+
+  const drop = (categoryId = categorized[held.itemId]) => {
+    if (categoryId !== categorized[held.itemId]) {
+      place(held.itemId, categoryId);
+      onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: held.itemId, target: categoryId ?? null, input: 'pick_up_drop' });
+    }
+    setAnnouncement(categoryId
+      ? `Dropped ${labelOf(held.itemId)} in ${categoryLabel(categoryId)}.`
+      : `${labelOf(held.itemId)} is still unsorted.`);
+    setHeld(null);
+  };
+
+  const handleCardKeyDown = (e, itemId) => {
+    const action = keyboardAction(e);
+    if (!action || submitted) return;
+    const isHeld = held?.itemId === itemId;
+
+    if (action === KEYBOARD_ACTIONS.TOGGLE) {
+      e.preventDefault();
+      if (isHeld) drop();
+      else if (!held) pickUp(itemId);
+      return;
+    }
+    if (!isHeld) return;
+    e.preventDefault();
+
+    if (action === KEYBOARD_ACTIONS.CANCEL) {
+      place(itemId, held.from);
+      setHeld(null);
+      setAnnouncement(`Cancelled. ${labelOf(itemId)} is back in ${categoryLabel(held.from)}.`);
+      return;
+    }
+
+    const current = categories.findIndex(c => c.id === categorized[itemId]);
+    const index = current === -1
+      ? (action === KEYBOARD_ACTIONS.PREVIOUS || action === KEYBOARD_ACTIONS.LAST ? categories.length - 1 : 0)
+      : stepIndex(current, action, categories.length, { wrap: true });
+    const target = categories[index];
+    if (!target) return;
+    place(itemId, target.id);
+    setAnnouncement(`${labelOf(itemId)} over ${target.label} (${index + 1} of ${categories.length}).`);
+  };
+
+  // Tap or click: pick a card up, tap it again to put it down
+  const handleCardClick = (itemId) => {
+    if (submitted) return;
+    if (held?.itemId === itemId) drop();
+    else if (!held) pickUp(itemId);
+  };
+
+  const renderCard = (item, className) => {
+    const isHeld = held?.itemId === item.id;
+    return (
+      <button
+        key={item.id}
+        type="button"
+        ref={(el) => { cardRefs.current[item.id] = el; }}
+        draggable={!submitted}
+        onDragStart={(e) => handleDragStart(e, item.id)}
+        onClick={() => handleCardClick(item.id)}
+        onKeyDown={(e) => handleCardKeyDown(e, item.id)}
+        aria-pressed={isHeld}
+        aria-describedby={instructionsId}
+        aria-disabled={submitted}
+        className={`${className} ${isHeld ? 'ring-4 ring-lime-400' : ''} focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-400`}
+      >
+        <MathText text={item.label} />
+      </button>
+    );
   };
 
   const handleSubmit = () => {
-    const isCorrect = validateClassification(categorized, correctClassification);
+    const response = { categorized };
+    const { details: scored } = scoreResponse(question, response);
 
     const result = {
-      isCorrect,
+      isCorrect: scored.isCorrect,
       categorized,
-      feedback: isCorrect
+      response,
+      score: scored.score,
+      elementResults: scored.elements,
+      misconceptionIds: scored.misconceptionIds,
+      diagnosticTag: scored.diagnosticTag,
+      feedback: scored.isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Perfect classification!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Try again.',
+      summary: `${scored.correctCount} of ${scored.totalCount} placed correctly`
     };
 
     setFeedback(result);
@@ -50,12 +173,6 @@ export function ClassifySortTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validateClassification(user, correct) {
-    return Object.entries(correct).every(([itemId, catId]) =>
-      user[itemId] === catId
-    );
-  }
-
   const unclassified = items.filter(item => !categorized[item.id]);
 
   return (
@@ -63,53 +180,61 @@ export function ClassifySortTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-lime-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">Drag items into their categories:</p>
+        <p id={instructionsId} className="text-xs text-gray-500 mt-1">
+          Keyboard: Space picks up a card, arrow keys move it between categories, Space drops it, Escape cancels.
+        </p>
       </div>
 
       {/* Items */}
       <div className="bg-white p-4 rounded-lg shadow-sm">
-        <div className="flex flex-wrap gap-2">
-          {unclassified.map((item) => (
-            <div
-              key={item.id}
-              draggable
-              onDragStart={(e) => handleDragStart(e, item.id)}
-              className="px-3 py-2 bg-gradient-to-br from-blue-400 to-blue-600 text-white rounded-lg cursor-move hover:shadow-lg transition-all"
-            >
-              {item.label}
-            </div>
+        <div role="group" aria-label="Unsorted items" className="flex flex-wrap gap-2">
+          {unclassified.map((item) => renderCard(
+            item,
+            'px-3 py-2 bg-gradient-to-br from-blue-400 to-blue-600 text-white rounded-lg cursor-move hover:shadow-lg transition-all'
           ))}
         </div>
       </div>
 
       {/* Categories */}
       <div className="grid grid-cols-2 gap-4">
-        {categories.map((category) => (
-          <div
-            key={category.id}
-            onDragOver={handleDragOver}
-            onDrop={(e) => handleDrop(e, category.id)}
-            className="p-4 bg-white rounded-lg border-2 border-dashed border-gray-300 min-h-32 space-y-2"
-          >
-            <h4 className="font-semibold text-gray-900">{category.label}</h4>
-            <div className="space-y-2">
-              {items
-                .filter((item) => categorized[item.id] === category.id)
-                .map((item) => (
-                  <div
-                    key={item.id}
-                    className="px-3 py-2 bg-green-100 text-green-900 rounded-lg text-sm"
-                  >
-                    {item.label}
-                  </div>
+        {categories.map((category) => {
+          const placed = items.filter((item) => categorized[item.id] === category.id);
+          return (
+            <div
+              key={category.id}
+              role="group"
+              aria-label={`${category.label}: ${placed.length} ${placed.length === 1 ? 'item' : 'items'}`}
+              onDragOver={handleDragOver}
+              onDrop={(e) => handleDrop(e, category.id)}
+              onClick={(e) => {
+                // Tap an empty part of the category to drop the held card here
+                if (held && e.target === e.currentTarget) drop(category.id);
+              }}
+              className={`p-4 bg-white rounded-lg border-2 border-dashed min-h-32 space-y-2 ${
+                held && categorized[held.itemId] === category.id ? 'border-lime-500' : 'border-gray-300'
+              }`}
+            >
+              <h4 className="font-semibold text-gray-900"><MathText text={category.label} /></h4>
+              <div className="flex flex-col gap-2">
+                {placed.map((item) => renderCard(
+                  item,
+                  `px-3 py-2 rounded-lg text-sm text-left ${
+                    submitted && correctClassification[item.id] !== category.id
+                      ? 'bg-red-100 text-red-900 line-through'
+                      : 'bg-green-100 text-green-900'
+                  }`
                 ))}
+              </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
+      <LiveRegion message={announcement} />
+
       {/* Submit */}
       {!submitted && (
         <button
@@ -135,7 +260,10 @@ export function ClassifySortTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            {!feedback.isCorrect && <p className="text-sm mt-1">{feedback.summary}</p>}
+          </div>
         </div>
       )}
     </div>
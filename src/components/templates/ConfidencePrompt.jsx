@@ -0,0 +1,58 @@
+import React, { useEffect, useId, useRef } from 'react';
+import { Gauge } from 'lucide-react';
+import { CONFIDENCE_LEVELS, CONFIDENCE_LABELS } from '../../services/confidenceCalibration';
+
+/**
+ * "How sure are you?" 1-5 rating shown above a template when the mission
+ * turns it on. Optional: the answer can be checked without a rating. The
+ * rating locks once the first answer is checked, so it reflects what the
+ * student believed before seeing feedback. Mount with a key per question.
+ */
+export function ConfidencePrompt({ value = null, onRate, disabled = false }) {
+  const startedAt = useRef(null);
+  const name = useId();
+
+  // Same performance.now() clock as hint timings
+  useEffect(() => {
+    startedAt.current = performance.now();
+  }, []);
+
+  const rate = (event, rating) => {
+    if (disabled) return;
+    onRate?.({ rating, ratedAtMs: Math.round(event.timeStamp - startedAt.current) });
+  };
+
+  return (
+    <fieldset className="mb-6 p-3 bg-indigo-50 border border-indigo-100 rounded-lg" disabled={disabled}>
+      <legend className="flex items-center gap-2 px-1 text-sm font-semibold text-indigo-900">
+        <Gauge className="w-4 h-4 text-indigo-600" aria-hidden="true" />
+        How sure are you? <span className="text-xs font-normal text-indigo-600">(optional)</span>
+      </legend>
+      <div className="flex flex-wrap gap-2 mt-1">
+        {CONFIDENCE_LEVELS.map(level => (
+          <label
+            key={level}
+            className={`flex items-center gap-1 px-3 py-1.5 rounded-full border-2 text-sm cursor-pointer transition-colors has-[:focus-visible]:ring-4 has-[:focus-visible]:ring-blue-400 ${
+              value === level
+                ? 'border-indigo-600 bg-indigo-600 text-white'
+                : 'border-indigo-200 bg-white text-indigo-900 hover:border-indigo-400'
+            } ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`}
+          >
+            <input
+              type="radio"
+              name={name}
+              value={level}
+              checked={value === level}
+              onChange={(e) => rate(e, level)}
+              className="sr-only"
+            />
+            <span className="font-bold">{level}</span>
+            <span className="text-xs">{CONFIDENCE_LABELS[level]}</span>
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+export default ConfidencePrompt;
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText } from './MathText';
 
 /**
  * ERROR_ANALYSIS Template
@@ -13,17 +15,20 @@ export function ErrorAnalysisTemplate({ question, onAnswer, isSubmitting }) {
   const [feedback, setFeedback] = useState(null);
 
   const errors = question.interaction?.config?.errors || [];
-  const correctErrorId = question.answerKey?.errorId;
+  const studentWork = question.interaction?.config?.studentWork || [];
 
   const handleSubmit = () => {
     if (selectedError === null || explanation === '') return;
 
-    const isCorrect = selectedError === correctErrorId;
+    const response = { selectedError, explanation };
+    const { isCorrect, score } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
+      score,
       selectedError,
       explanation,
+      response,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Good error detection!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Look more carefully.',
@@ -39,11 +44,23 @@ export function ErrorAnalysisTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-red-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">Find and explain the error:</p>
       </div>
 
+      {/* Student Work */}
+      {studentWork.length > 0 && (
+        <ol className="bg-white p-4 rounded-lg shadow-sm space-y-1 font-mono text-sm text-gray-900">
+          {studentWork.map((line, idx) => (
+            <li key={line.line_no ?? idx} className="flex gap-3">
+              <span className="text-gray-400">{line.line_no ?? idx + 1}.</span>
+              <MathText text={line.text} />
+            </li>
+          ))}
+        </ol>
+      )}
+
       {/* Error Options */}
       <div className="space-y-3">
         {errors.map((error, idx) => (
@@ -61,7 +78,7 @@ export function ErrorAnalysisTemplate({ question, onAnswer, isSubmitting }) {
             />
             <div className="flex-1">
               <p className="font-mono text-sm text-gray-900 bg-gray-100 p-2 rounded">
-                {error.text}
+                <MathText text={error.text} />
               </p>
               {selectedError === idx && (
                 <textarea
@@ -103,7 +120,7 @@ export function ErrorAnalysisTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <p><MathText text={feedback.feedback} /></p>
         </div>
       )}
     </div>
@@ -1,28 +1,35 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText, MathFormula } from './MathText';
 
 /**
  * EXPRESSION_INPUT Template
  * Mathematical expression input with equivalence checking
  * Best for: algebra, simplification, generalization
  */
-export function ExpressionInputTemplate({ question, onAnswer, isSubmitting }) {
+export function ExpressionInputTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
   const [expression, setExpression] = useState('');
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
 
   const expectedExpression = question.answerKey?.expression;
-  const format = question.interaction?.config?.format || 'algebraic';
 
   const handleSubmit = async () => {
     if (expression === '') return;
 
-    const isCorrect = checkExpressionEquivalence(expression, expectedExpression);
+    const response = { expression };
+    const { isCorrect, score, details: check } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
+      score,
       expression,
+      response,
       expectedExpression,
+      isEquivalent: check.isEquivalent,
+      rejectionReason: check.reason,
+      rejectionMessage: check.message,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Correct simplification!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Check your expression.',
@@ -33,23 +40,15 @@ export function ExpressionInputTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function checkExpressionEquivalence(expr1, expr2) {
-    // Simplified check - in production, use a proper math parser like Math.js
-    const normalize = (e) => e.replace(/\s/g, '').toLowerCase();
-    return normalize(expr1) === normalize(expr2);
-  }
-
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-orange-50 to-red-50 rounded-lg">
       {/* Question Prompt */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-orange-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         {question.content?.prompt?.latex && (
-          <div className="text-lg text-gray-700 font-mono bg-gray-50 p-3 rounded mt-2">
-            {question.content.prompt.latex}
-          </div>
+          <MathFormula latex={question.content.prompt.latex} className="text-lg text-gray-700 bg-gray-50 p-3 rounded mt-2" />
         )}
         {question.content?.instruction && (
           <p className="text-sm text-gray-600 mt-3">{question.content.instruction}</p>
@@ -102,8 +101,11 @@ export function ExpressionInputTemplate({ question, onAnswer, isSubmitting }) {
             <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
           )}
           <div>
-            <p className="font-semibold">{feedback.feedback}</p>
-            {!feedback.isCorrect && (
+            <p className="font-semibold"><MathText text={feedback.feedback} /></p>
+            {!feedback.isCorrect && feedback.rejectionMessage && (
+              <p className="text-sm mt-1">{feedback.rejectionMessage}</p>
+            )}
+            {!feedback.isCorrect && !feedback.isEquivalent && revealAnswer && (
               <p className="text-sm mt-1 font-mono">Expected: {feedback.expectedExpression}</p>
             )}
           </div>
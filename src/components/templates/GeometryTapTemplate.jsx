@@ -1,36 +1,60 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import GeometryDiagram from '../geometry/GeometryDiagram';
+import {
+  getDiagramSpec,
+  getCorrectIds,
+  getStepHighlights
+} from '../../services/geometryDiagram';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText } from './MathText';
 
 /**
  * GEOMETRY_TAP Template
  * Tap elements in a geometry diagram
  * Best for: geometric properties, spatial reasoning
+ *
+ * The figure comes from the item's declarative diagram spec; every point,
+ * segment, angle, etc. with an id can be tapped and is graded by id.
  */
-export function GeometryTapTemplate({ question, onAnswer, isSubmitting }) {
-  const [selected, setSelected] = useState(new Set());
+export function GeometryTapTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
+  const [selected, setSelected] = useState([]);
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
+  const [activeStep, setActiveStep] = useState(null);
 
-  const tapElements = question.interaction?.config?.tapElements || [];
-  const correctElements = new Set(question.answerKey?.correctElementIds || []);
+  const config = question.interaction?.config || {};
+  const diagram = getDiagramSpec(question);
+  const correctIds = getCorrectIds(question.answerKey || {});
+  const allowMultiple = config.selection?.allow_multiple ?? config.selection?.allowMultiple ?? config.allowMultiple ?? true;
+  const maxSelect = config.selection?.max_select ?? config.selection?.maxSelect ?? config.maxSelect ?? null;
+
+  // Items authored before diagram specs only list tap targets
+  const tapElements = config.tapElements || [];
 
   const handleTap = (elementId) => {
     if (submitted) return;
-    const newSelected = new Set(selected);
-    if (newSelected.has(elementId)) {
-      newSelected.delete(elementId);
-    } else {
-      newSelected.add(elementId);
+    if (selected.includes(elementId)) {
+      setSelected(selected.filter(id => id !== elementId));
+    } else if (!allowMultiple) {
+      setSelected([elementId]);
+    } else if (!maxSelect || selected.length < maxSelect) {
+      setSelected([...selected, elementId]);
     }
-    setSelected(newSelected);
   };
 
   const handleSubmit = () => {
-    const isCorrect = validateSelection(selected, correctElements);
+    const response = { selected };
+    const { isCorrect, score, details: grade } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
-      selected: Array.from(selected),
+      score,
+      selected,
+      response,
+      correctSelected: grade.correctSelected,
+      incorrectSelected: grade.incorrectSelected,
+      missed: grade.missed,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Great observation!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Look again.',
@@ -41,56 +65,65 @@ export function GeometryTapTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validateSelection(userSet, correctSet) {
-    if (userSet.size !== correctSet.size) return false;
-    return Array.from(userSet).every(id => correctSet.has(id));
-  }
+  const showSolution = submitted && (revealAnswer || feedback?.isCorrect);
+  const steps = question.workedSolution?.steps || [];
+  const stepHighlights = activeStep !== null ? getStepHighlights(steps[activeStep]) : [];
 
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-violet-50 to-purple-50 rounded-lg">
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-violet-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
-        <p className="text-sm text-gray-600 mt-3">Tap to select the correct elements:</p>
+        <p className="text-sm text-gray-600 mt-3">
+          {allowMultiple ? 'Tap to select the correct elements:' : 'Tap the correct element:'}
+        </p>
       </div>
 
       {/* Diagram */}
       <div className="bg-white p-6 rounded-lg shadow-sm">
-        <div className="relative w-full h-64 bg-gray-100 rounded-lg border-2 border-gray-300 overflow-hidden flex items-center justify-center">
-          <svg viewBox="0 0 400 300" className="w-full h-full">
-            {/* Placeholder geometry diagram */}
-            <circle cx="100" cy="150" r="40" fill="#e5e7eb" stroke="#6b7280" strokeWidth="2" />
-            <rect x="200" y="100" width="100" height="100" fill="#e5e7eb" stroke="#6b7280" strokeWidth="2" />
-            <line x1="100" y1="150" x2="250" y2="150" stroke="#6b7280" strokeWidth="2" />
-          </svg>
-        </div>
-
-        {/* Tap Options */}
-        <div className="mt-4 grid grid-cols-2 gap-2">
-          {tapElements.map((element) => (
-            <button
-              key={element.id}
-              onClick={() => handleTap(element.id)}
-              disabled={submitted}
-              className={`p-3 rounded-lg font-semibold transition-all ${
-                selected.has(element.id)
-                  ? 'bg-violet-600 text-white'
-                  : 'bg-gray-200 text-gray-900 hover:bg-gray-300'
-              } disabled:opacity-50`}
-            >
-              {element.label}
-            </button>
-          ))}
-        </div>
+        {diagram ? (
+          <div className="w-full bg-gray-50 rounded-lg border-2 border-gray-200 overflow-hidden">
+            <GeometryDiagram
+              diagram={diagram}
+              selectedIds={submitted ? [] : selected}
+              highlightedIds={stepHighlights}
+              correctIds={showSolution ? correctIds : []}
+              incorrectIds={submitted ? feedback?.incorrectSelected || [] : []}
+              onTap={handleTap}
+              disabled={submitted || isSubmitting}
+              title={question.content?.prompt?.text}
+            />
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 gap-2">
+            {tapElements.map((element) => (
+              <button
+                key={element.id}
+                onClick={() => handleTap(element.id)}
+                disabled={submitted}
+                className={`p-3 rounded-lg font-semibold transition-all ${
+                  selected.includes(element.id)
+                    ? 'bg-violet-600 text-white'
+                    : 'bg-gray-200 text-gray-900 hover:bg-gray-300'
+                } disabled:opacity-50`}
+              >
+                {element.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {!submitted && maxSelect > 1 && (
+          <p className="mt-3 text-xs text-gray-500 text-right">{selected.length} / {maxSelect} selected</p>
+        )}
       </div>
 
       {/* Submit */}
       {!submitted && (
         <button
           onClick={handleSubmit}
-          disabled={selected.size === 0 || isSubmitting}
+          disabled={selected.length === 0 || isSubmitting}
           className="w-full py-3 bg-violet-600 text-white rounded-lg font-semibold hover:bg-violet-700 disabled:opacity-50 transition-all"
         >
           Check Selection
@@ -111,7 +144,31 @@ export function GeometryTapTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <p><MathText text={feedback.feedback} /></p>
+        </div>
+      )}
+
+      {/* Worked solution: steps can point at parts of the diagram */}
+      {showSolution && steps.length > 0 && (
+        <div className="bg-white p-5 rounded-lg shadow-sm space-y-2">
+          <p className="font-bold text-gray-900">💡 How to see it</p>
+          {steps.map((step, idx) => {
+            const hasHighlights = diagram && getStepHighlights(step).length > 0;
+            return (
+              <button
+                key={idx}
+                onClick={() => hasHighlights && setActiveStep(activeStep === idx ? null : idx)}
+                className={`w-full flex gap-3 p-2 rounded-lg text-left transition-colors ${
+                  activeStep === idx ? 'bg-amber-50' : hasHighlights ? 'hover:bg-violet-50' : 'cursor-default'
+                }`}
+              >
+                <span className="flex-shrink-0 w-6 h-6 bg-violet-600 text-white rounded-full flex items-center justify-center text-xs font-bold">
+                  {idx + 1}
+                </span>
+                <span className="text-sm text-gray-700 pt-0.5"><MathText text={typeof step === 'string' ? step : step.text} /></span>
+              </button>
+            );
+          })}
         </div>
       )}
     </div>
@@ -0,0 +1,332 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { CheckCircle, XCircle, Undo2, RotateCcw } from 'lucide-react';
+import {
+  normalizeGraphConfig,
+  snapPoint,
+  gridValues,
+  formatPoint,
+  PLOT_MODES
+} from '../../services/coordinatePlane';
+import { scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { MathText } from './MathText';
+
+/**
+ * GRAPH_PLOT Template
+ * Plot points, draw segments or read values on a coordinate plane
+ * Best for: coordinate plane, data handling, functions foundations
+ *
+ * Taps snap to the item's grid; grading is tolerance-based (see coordinatePlane).
+ * Points can also be typed as "(x, y)" for students who can't tap precisely.
+ */
+
+const SIZE = 360;
+const MARGIN = 30;
+
+export function GraphPlotTemplate({ question, onAnswer, onEvent, isSubmitting, revealAnswer = true }) {
+  const [points, setPoints] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [pendingStart, setPendingStart] = useState(null);
+  const [values, setValues] = useState({});
+  const [hover, setHover] = useState(null);
+  const [typed, setTyped] = useState('');
+  const [typedError, setTypedError] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+  const svgRef = useRef(null);
+
+  const { graph, setupError } = useMemo(() => {
+    try {
+      return { graph: normalizeGraphConfig(question.interaction?.config || {}), setupError: null };
+    } catch (error) {
+      return { graph: null, setupError: error.message };
+    }
+  }, [question]);
+
+  if (setupError) {
+    return (
+      <div className="w-full max-w-2xl mx-auto p-6 bg-red-50 border-2 border-red-200 rounded-lg text-red-800">
+        This graph could not be loaded: {setupError}
+      </div>
+    );
+  }
+
+  const { axes, mode, maxPoints, given, readFields } = graph;
+  const span = SIZE - 2 * MARGIN;
+  const toSvgX = (x) => MARGIN + ((x - axes.xMin) / (axes.xMax - axes.xMin)) * span;
+  const toSvgY = (y) => SIZE - MARGIN - ((y - axes.yMin) / (axes.yMax - axes.yMin)) * span;
+
+  const eventToPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const sx = ((e.clientX - rect.left) / rect.width) * SIZE;
+    const sy = ((e.clientY - rect.top) / rect.height) * SIZE;
+    return snapPoint({
+      x: axes.xMin + ((sx - MARGIN) / span) * (axes.xMax - axes.xMin),
+      y: axes.yMin + ((SIZE - MARGIN - sy) / span) * (axes.yMax - axes.yMin)
+    }, axes);
+  };
+
+  const samePoint = (a, b) => a && b && a.x === b.x && a.y === b.y;
+
+  const placePoint = (p) => {
+    if (submitted) return;
+    if (mode === PLOT_MODES.POINTS) {
+      if (points.some(q => samePoint(q, p))) {
+        setPoints(points.filter(q => !samePoint(q, p)));
+      } else if (!maxPoints || points.length < maxPoints) {
+        setPoints([...points, p]);
+      }
+    } else if (mode === PLOT_MODES.SEGMENTS) {
+      if (!pendingStart) {
+        setPendingStart(p);
+      } else if (samePoint(pendingStart, p)) {
+        setPendingStart(null);
+      } else {
+        setSegments([...segments, { from: pendingStart, to: p }]);
+        setPendingStart(null);
+      }
+    }
+  };
+
+  const handleTyped = (e) => {
+    e.preventDefault();
+    const match = typed.trim().match(/^\(?\s*(-?\d*\.?\d+)\s*,\s*(-?\d*\.?\d+)\s*\)?$/);
+    if (!match) {
+      setTypedError('Type a point like (2, -3)');
+      return;
+    }
+    const p = { x: Number(match[1]), y: Number(match[2]) };
+    if (p.x < axes.xMin || p.x > axes.xMax || p.y < axes.yMin || p.y > axes.yMax) {
+      setTypedError('That point is off the grid');
+      return;
+    }
+    setTypedError(null);
+    setTyped('');
+    placePoint(snapPoint(p, axes));
+  };
+
+  const handleUndo = () => {
+    onEvent?.(TELEMETRY_EVENTS.UNDO);
+    if (pendingStart) setPendingStart(null);
+    else if (mode === PLOT_MODES.SEGMENTS) setSegments(segments.slice(0, -1));
+    else setPoints(points.slice(0, -1));
+  };
+
+  const handleReset = () => {
+    setPoints([]);
+    setSegments([]);
+    setPendingStart(null);
+  };
+
+  const handleSubmit = () => {
+    const response = { points, segments, values };
+    const { isCorrect, score, details: grade } = scoreResponse(question, response);
+    const missText = grade.maxError !== null && !grade.isCorrect
+      ? ` Your furthest answer was ${Number(grade.maxError.toFixed(2))} units away.`
+      : '';
+
+    const result = {
+      isCorrect,
+      score,
+      points,
+      segments,
+      values,
+      response,
+      maxError: grade.maxError,
+      targetsCorrect: grade.summary.correct,
+      targetsTotal: grade.summary.targets,
+      grade,
+      feedback: isCorrect
+        ? question.feedbackMap?.onCorrect || '✓ Plotted perfectly!'
+        : (question.feedbackMap?.onIncorrectAttempt1 || `✗ ${grade.summary.correct} of ${grade.summary.targets} correct.`) + missText,
+    };
+
+    setFeedback(result);
+    setSubmitted(true);
+    onAnswer(result);
+  };
+
+  const hasResponse = mode === PLOT_MODES.READ
+    ? readFields.every(f => (values[f.id] || '').trim() !== '')
+    : points.length > 0 || segments.length > 0;
+
+  const xs = gridValues(axes.xMin, axes.xMax, axes.gridStep);
+  const ys = gridValues(axes.yMin, axes.yMax, axes.gridStep);
+  const isLabelled = (v) => Math.abs(v / axes.labelEvery - Math.round(v / axes.labelEvery)) < 1e-9;
+  const expectedPoints = submitted && revealAnswer ? feedback?.grade.points.missing.map(m => m.expected) || [] : [];
+  const extraPoints = submitted ? feedback?.grade.points.extra || [] : [];
+
+  return (
+    <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-sky-50 to-indigo-50 rounded-lg">
+      {/* Question Prompt */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-sky-500">
+        <h2 className="text-xl font-bold text-gray-900 mb-2">
+          <MathText text={question.content?.prompt?.text} />
+        </h2>
+        <p className="text-sm text-gray-600 mt-3">
+          {question.content?.instruction || {
+            [PLOT_MODES.POINTS]: 'Tap the grid to plot points. Tap a point again to remove it.',
+            [PLOT_MODES.SEGMENTS]: 'Tap a start point, then an end point, to draw each segment.',
+            [PLOT_MODES.READ]: 'Read the values from the graph.'
+          }[mode]}
+        </p>
+      </div>
+
+      {/* Coordinate Plane */}
+      <div className="bg-white p-4 rounded-lg shadow-sm">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${SIZE} ${SIZE}`}
+          className={`w-full max-w-md mx-auto h-auto select-none ${mode !== PLOT_MODES.READ && !submitted ? 'cursor-crosshair' : ''}`}
+          role="img"
+          aria-label={`Coordinate plane from x ${axes.xMin} to ${axes.xMax}, y ${axes.yMin} to ${axes.yMax}`}
+          onClick={(e) => mode !== PLOT_MODES.READ && placePoint(eventToPoint(e))}
+          onMouseMove={(e) => mode !== PLOT_MODES.READ && !submitted && setHover(eventToPoint(e))}
+          onMouseLeave={() => setHover(null)}
+        >
+          {/* Grid */}
+          {xs.map(x => (
+            <line key={`gx${x}`} x1={toSvgX(x)} y1={MARGIN} x2={toSvgX(x)} y2={SIZE - MARGIN} stroke={x === 0 ? '#374151' : '#e5e7eb'} strokeWidth={x === 0 ? 2 : 1} />
+          ))}
+          {ys.map(y => (
+            <line key={`gy${y}`} x1={MARGIN} y1={toSvgY(y)} x2={SIZE - MARGIN} y2={toSvgY(y)} stroke={y === 0 ? '#374151' : '#e5e7eb'} strokeWidth={y === 0 ? 2 : 1} />
+          ))}
+
+          {/* Axis labels sit on the axes when visible, else on the plane's edge */}
+          {xs.filter(isLabelled).map(x => (
+            <text key={`lx${x}`} x={toSvgX(x)} y={Math.min(SIZE - MARGIN, Math.max(MARGIN, toSvgY(0))) + 14} fontSize={10} textAnchor="middle" fill="#6b7280">{x}</text>
+          ))}
+          {ys.filter(y => y !== 0 && isLabelled(y)).map(y => (
+            <text key={`ly${y}`} x={Math.min(SIZE - MARGIN, Math.max(MARGIN, toSvgX(0))) - 6} y={toSvgY(y) + 3} fontSize={10} textAnchor="end" fill="#6b7280">{y}</text>
+          ))}
+          <text x={SIZE - MARGIN + 8} y={Math.min(SIZE - MARGIN, Math.max(MARGIN, toSvgY(0))) + 4} fontSize={12} fontWeight="bold" fill="#374151">{axes.xLabel}</text>
+          <text x={Math.min(SIZE - MARGIN, Math.max(MARGIN, toSvgX(0))) - 4} y={MARGIN - 10} fontSize={12} fontWeight="bold" fill="#374151">{axes.yLabel}</text>
+
+          {/* Given figure */}
+          {given.segments.map((s, i) => (
+            <line key={`gs${i}`} x1={toSvgX(s.from.x)} y1={toSvgY(s.from.y)} x2={toSvgX(s.to.x)} y2={toSvgY(s.to.y)} stroke="#0ea5e9" strokeWidth={2.5} />
+          ))}
+          {given.points.map((p, i) => (
+            <g key={`gp${i}`}>
+              <circle cx={toSvgX(p.x)} cy={toSvgY(p.y)} r={5} fill="#0ea5e9" />
+              {p.label && <text x={toSvgX(p.x) + 8} y={toSvgY(p.y) - 8} fontSize={12} fontWeight="bold" fill="#0369a1">{p.label}</text>}
+            </g>
+          ))}
+
+          {/* Student's work */}
+          {segments.map((s, i) => (
+            <line key={`s${i}`} x1={toSvgX(s.from.x)} y1={toSvgY(s.from.y)} x2={toSvgX(s.to.x)} y2={toSvgY(s.to.y)} stroke="#4f46e5" strokeWidth={3} strokeLinecap="round" />
+          ))}
+          {pendingStart && hover && (
+            <line x1={toSvgX(pendingStart.x)} y1={toSvgY(pendingStart.y)} x2={toSvgX(hover.x)} y2={toSvgY(hover.y)} stroke="#a5b4fc" strokeWidth={2} strokeDasharray="5 4" />
+          )}
+          {[...points, ...(pendingStart ? [pendingStart] : [])].map((p, i) => (
+            <circle
+              key={`p${i}`}
+              cx={toSvgX(p.x)}
+              cy={toSvgY(p.y)}
+              r={6}
+              fill={extraPoints.some(q => samePoint(q, p)) ? '#dc2626' : submitted && feedback?.isCorrect ? '#16a34a' : '#4f46e5'}
+            />
+          ))}
+
+          {/* After grading: where the missed points should have gone */}
+          {expectedPoints.map((p, i) => (
+            <circle key={`e${i}`} cx={toSvgX(p.x)} cy={toSvgY(p.y)} r={8} fill="none" stroke="#16a34a" strokeWidth={2} strokeDasharray="3 2" />
+          ))}
+
+          {hover && !submitted && (
+            <g pointerEvents="none">
+              <circle cx={toSvgX(hover.x)} cy={toSvgY(hover.y)} r={4} fill="#4f46e5" fillOpacity={0.35} />
+              <text x={toSvgX(hover.x) + 8} y={toSvgY(hover.y) - 8} fontSize={11} fill="#4338ca">{formatPoint(hover)}</text>
+            </g>
+          )}
+        </svg>
+
+        {mode !== PLOT_MODES.READ && !submitted && (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <form onSubmit={handleTyped} className="flex gap-2 flex-1 min-w-[12rem]">
+              <input
+                type="text"
+                value={typed}
+                onChange={(e) => setTyped(e.target.value)}
+                placeholder="(x, y)"
+                aria-label="Type a point"
+                className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-sky-500 focus:outline-none"
+              />
+              <button type="submit" className="px-4 py-2 bg-sky-600 text-white rounded-lg font-semibold hover:bg-sky-700">
+                Add
+              </button>
+            </form>
+            <button onClick={handleUndo} className="p-2 bg-gray-100 hover:bg-gray-200 rounded-lg" aria-label="Undo">
+              <Undo2 className="w-5 h-5 text-gray-700" />
+            </button>
+            <button onClick={handleReset} className="p-2 bg-gray-100 hover:bg-gray-200 rounded-lg" aria-label="Reset">
+              <RotateCcw className="w-5 h-5 text-gray-700" />
+            </button>
+          </div>
+        )}
+        {typedError && <p className="mt-2 text-sm text-red-600">{typedError}</p>}
+        {mode === PLOT_MODES.POINTS && (
+          <p className="mt-2 text-xs text-gray-500">
+            Plotted: {points.length > 0 ? points.map(formatPoint).join(', ') : 'none'}
+            {maxPoints ? ` (max ${maxPoints})` : ''}
+          </p>
+        )}
+      </div>
+
+      {/* Read-off fields */}
+      {mode === PLOT_MODES.READ && (
+        <div className="bg-white p-4 rounded-lg shadow-sm space-y-3">
+          {readFields.map(field => {
+            const result = feedback?.grade.values.find(v => v.id === field.id);
+            return (
+              <label key={field.id} className="flex items-center gap-3">
+                <span className="w-40 text-sm font-semibold text-gray-700">{field.label || field.id}</span>
+                <input
+                  type="text"
+                  value={values[field.id] || ''}
+                  onChange={(e) => setValues({ ...values, [field.id]: e.target.value })}
+                  disabled={submitted}
+                  className={`flex-1 px-3 py-2 border-2 rounded-lg focus:outline-none ${
+                    !submitted ? 'border-gray-300 focus:border-sky-500'
+                      : result?.isCorrect ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+                  }`}
+                />
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Submit */}
+      {!submitted && (
+        <button
+          onClick={handleSubmit}
+          disabled={!hasResponse || isSubmitting}
+          className="w-full py-3 bg-sky-600 text-white rounded-lg font-semibold hover:bg-sky-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+        >
+          Check Graph
+        </button>
+      )}
+
+      {/* Feedback */}
+      {submitted && feedback && (
+        <div
+          className={`p-4 rounded-lg border-l-4 flex gap-3 ${
+            feedback.isCorrect
+              ? 'bg-green-50 border-green-500 text-green-800'
+              : 'bg-red-50 border-red-500 text-red-800'
+          }`}
+        >
+          {feedback.isCorrect ? (
+            <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          ) : (
+            <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          )}
+          <p><MathText text={feedback.feedback} /></p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Lightbulb } from 'lucide-react';
+import { hintCreditFactor } from '../../services/hintService';
+import { MathText } from './MathText';
+
+/**
+ * Hint ladder shown above a template.
+ * Each tap reveals the next level (nudge → strategy → worked step) and
+ * reports it with the time since the question appeared. Mount with a key per
+ * question so the ladder starts closed on every new question.
+ */
+export function HintLadder({ hints = [], limitReason = null, onReveal, disabled = false }) {
+  const startedAt = useRef(null);
+  const [revealed, setRevealed] = useState(0);
+
+  // Event timestamps share the performance.now() clock
+  useEffect(() => {
+    startedAt.current = performance.now();
+  }, []);
+
+  const next = hints[revealed];
+  const creditAfterNext = Math.round(hintCreditFactor(revealed + 1) * 100);
+
+  const revealNext = (event) => {
+    if (!next || disabled) return;
+    const elapsedMs = Math.round(event.timeStamp - startedAt.current);
+    setRevealed(count => count + 1);
+    onReveal?.({ level: next.level, index: revealed, elapsedMs });
+  };
+
+  if (hints.length === 0) return null;
+
+  return (
+    <div className="mb-6 space-y-2">
+      {hints.slice(0, revealed).map(hint => (
+        <div key={hint.level} className="flex gap-3 p-3 bg-amber-50 border-l-4 border-amber-400 rounded-lg">
+          <Lightbulb className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="text-[10px] font-black text-amber-700 uppercase">{hint.label}</p>
+            <p className="text-sm text-amber-900"><MathText text={hint.text} /></p>
+          </div>
+        </div>
+      ))}
+
+      {next ? (
+        <button
+          onClick={revealNext}
+          disabled={disabled}
+          className="flex items-center gap-2 px-3 py-1.5 text-sm font-semibold text-amber-700 bg-amber-100 hover:bg-amber-200 rounded-full disabled:opacity-50 transition-colors"
+        >
+          <Lightbulb className="w-4 h-4" />
+          {revealed === 0 ? 'Need a hint?' : `Show ${next.label.toLowerCase()}`}
+          <span className="text-xs font-normal text-amber-600">(reward {creditAfterNext}%)</span>
+        </button>
+      ) : (
+        limitReason && <p className="text-xs text-gray-500">{limitReason}</p>
+      )}
+    </div>
+  );
+}
+
+export default HintLadder;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+/**
+ * Visually hidden live region. Templates put a short message here after
+ * each keyboard or pointer change ("Picked up 3/4", "Dropped in Fractions")
+ * so screen readers announce it.
+ */
+export function LiveRegion({ message, politeness = 'polite' }) {
+  return (
+    <div role="status" aria-live={politeness} aria-atomic="true" className="sr-only">
+      {message}
+    </div>
+  );
+}
+
+export default LiveRegion;
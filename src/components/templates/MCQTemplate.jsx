@@ -1,5 +1,9 @@
 import React, { useState } from 'react';
 import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
+import GeometryDiagram from '../geometry/GeometryDiagram';
+import { getDiagramSpec } from '../../services/geometryDiagram';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText, MathFormula } from './MathText';
 
 /**
  * REDESIGNED MCQTemplate
@@ -9,7 +13,7 @@ import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
  * - Encouraging feedback
  * - No anxiety-inducing metadata
  */
-export function MCQTemplate({ question, onAnswer, isSubmitting }) {
+export function MCQTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
   const [selectedIndex, setSelectedIndex] = useState(null);
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
@@ -18,6 +22,7 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
   const correctIndex = question.answerKey?.correctOptionIndex;
   const prompt = question.content?.prompt?.text || 'What is your answer?';
   const instruction = question.content?.instruction;
+  const diagram = getDiagramSpec(question);
 
   const handleSelect = (index) => {
     if (!submitted && !isSubmitting) {
@@ -28,10 +33,13 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
   const handleSubmit = async () => {
     if (selectedIndex === null || isSubmitting) return;
 
-    const isCorrect = selectedIndex === correctIndex;
+    const response = { selectedIndex };
+    const { isCorrect, score } = scoreResponse(question, response);
     const result = {
       isCorrect,
+      score,
       selectedIndex,
+      response,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Excellent! That\'s correct!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Not quite. Try thinking about it differently.',
@@ -47,13 +55,21 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
       {/* ========== QUESTION PROMPT (HERO) ========== */}
       <div className="space-y-3">
         <h2 className="text-2xl md:text-3xl font-bold text-gray-900 leading-tight">
-          {prompt}
+          <MathText text={prompt} />
         </h2>
+        {question.content?.prompt?.latex && (
+          <MathFormula latex={question.content.prompt.latex} className="text-xl text-gray-800" />
+        )}
         {instruction && (
           <p className="text-base text-gray-600 leading-relaxed">
             {instruction}
           </p>
         )}
+        {diagram && (
+          <div className="max-w-md bg-gray-50 rounded-xl border-2 border-gray-200 overflow-hidden">
+            <GeometryDiagram diagram={diagram} title={prompt} />
+          </div>
+        )}
       </div>
 
       {/* ========== OPTIONS (LARGE, TOUCHABLE) ========== */}
@@ -62,7 +78,7 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
           const isSelected = selectedIndex === index;
           const isCorrectOption = index === correctIndex;
           const isWrongSelected = submitted && isSelected && !isCorrectOption;
-          const isCorrectSelected = submitted && isCorrectOption;
+          const isCorrectSelected = submitted && isCorrectOption && (revealAnswer || isSelected);
 
           return (
             <button
@@ -110,7 +126,7 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
                 </div>
 
                 {/* Option text */}
-                <span className="flex-1">{option.text}</span>
+                <span className="flex-1"><MathText text={option.text} /></span>
               </div>
             </button>
           );
@@ -148,11 +164,11 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
                 feedback.isCorrect ? 'text-green-900' : 'text-blue-900'
               }`}
             >
-              {feedback.feedback}
+              <MathText text={feedback.feedback} />
             </p>
-            {!feedback.isCorrect && (
+            {!feedback.isCorrect && revealAnswer && (
               <p className="text-sm text-blue-700 mt-2">
-                The correct answer is: <strong>{options[correctIndex]?.text}</strong>
+                The correct answer is: <strong><MathText text={options[correctIndex]?.text} /></strong>
               </p>
             )}
           </div>
@@ -160,7 +176,7 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
       )}
 
       {/* ========== WORKED SOLUTION (COLLAPSIBLE) ========== */}
-      {submitted && question.workedSolution?.steps && question.workedSolution.steps.length > 0 && (
+      {submitted && (revealAnswer || feedback?.isCorrect) && question.workedSolution?.steps && question.workedSolution.steps.length > 0 && (
         <details className="bg-gradient-to-br from-purple-50 to-indigo-50 p-5 md:p-6 rounded-xl border-2 border-purple-200 group">
           <summary className="cursor-pointer font-bold text-gray-900 text-base md:text-lg flex items-center gap-2 hover:text-purple-600 transition-colors">
             <span>💡 See how to solve this</span>
@@ -173,7 +189,7 @@ export function MCQTemplate({ question, onAnswer, isSubmitting }) {
                   {idx + 1}
                 </div>
                 <p className="text-gray-700 text-sm md:text-base leading-relaxed flex-1 pt-0.5">
-                  {step}
+                  <MathText text={step} />
                 </p>
               </div>
             ))}
@@ -1,36 +1,130 @@
-import React, { useState } from 'react';
-import { CheckCircle, XCircle } from 'lucide-react';
+import React, { useId, useState } from 'react';
+import { CheckCircle, XCircle, X } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { keyboardAction, stepIndex, KEYBOARD_ACTIONS } from '../../services/keyboardInteraction';
+import { MathText } from './MathText';
+import { LiveRegion } from './LiveRegion';
 
 /**
  * MATCHING Template
  * Match pairs (left to right)
  * Best for: representation shifts, connections
+ *
+ * Partial credit: one point per correct pair.
+ *
+ * Answers sit in a bank and are dragged (or tapped, then placed) onto the
+ * items. Keyboard: Space/Enter picks an answer up, arrow keys choose the
+ * item, Space/Enter drops it and Escape cancels. An answer can be used more
+ * than once.
  */
-export function MatchingTemplate({ question, onAnswer, isSubmitting }) {
+export function MatchingTemplate({ question, onAnswer, onEvent, isSubmitting }) {
   const [matches, setMatches] = useState({});
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
+  // Answer card picked up from the bank: { rightId, target } (target = left row index)
+  const [held, setHeld] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const instructionsId = useId();
 
   const leftItems = question.interaction?.config?.leftItems || [];
   const rightItems = question.interaction?.config?.rightItems || [];
   const correctMatches = question.answerKey?.matches || {};
 
-  const handleMatch = (leftId, rightId) => {
+  const rightLabel = (rightId) => rightItems.find(r => r.id === rightId)?.label ?? rightId;
+
+  const handleMatch = (leftId, rightId, input) => {
     setMatches({
       ...matches,
       [leftId]: rightId,
     });
+    const left = leftItems.find(l => l.id === leftId);
+    setAnnouncement(`Matched ${left?.label ?? leftId} with ${rightLabel(rightId)}.`);
+    onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: rightId, target: leftId, input });
+  };
+
+  const handleClear = (leftId) => {
+    const next = { ...matches };
+    delete next[leftId];
+    setMatches(next);
+    setAnnouncement(`Cleared the match for ${leftItems.find(l => l.id === leftId)?.label ?? leftId}.`);
+  };
+
+  const pickUp = (rightId) => {
+    setHeld({ rightId, target: 0 });
+    setAnnouncement(
+      `Picked up ${rightLabel(rightId)}. Over ${leftItems[0]?.label ?? 'the first item'}. Use the arrow keys to choose an item, Space to drop, Escape to cancel.`
+    );
+  };
+
+  const dropOn = (leftId) => {
+    handleMatch(leftId, held.rightId, 'pick_up_drop');
+    setHeld(null);
+  };
+
+  const handleCardKeyDown = (e, rightId) => {
+    const action = keyboardAction(e);
+    if (!action || submitted) return;
+    const isHeld = held?.rightId === rightId;
+
+    if (action === KEYBOARD_ACTIONS.TOGGLE) {
+      e.preventDefault();
+      if (isHeld) dropOn(leftItems[held.target].id);
+      else if (!held) pickUp(rightId);
+      return;
+    }
+    if (!isHeld) return;
+    e.preventDefault();
+
+    if (action === KEYBOARD_ACTIONS.CANCEL) {
+      setHeld(null);
+      setAnnouncement(`Cancelled. ${rightLabel(rightId)} is back in the answers.`);
+      return;
+    }
+
+    const target = stepIndex(held.target, action, leftItems.length, { wrap: true });
+    setHeld({ ...held, target });
+    setAnnouncement(`Over ${leftItems[target].label} (${target + 1} of ${leftItems.length}).`);
+  };
+
+  const handleCardClick = (rightId) => {
+    if (submitted) return;
+    if (held?.rightId === rightId) {
+      setHeld(null);
+      setAnnouncement(`Put ${rightLabel(rightId)} back.`);
+    } else {
+      pickUp(rightId);
+    }
+  };
+
+  const handleDragStart = (e, rightId) => {
+    e.dataTransfer.effectAllowed = 'link';
+    e.dataTransfer.setData('rightId', rightId);
+  };
+
+  const handleDrop = (e, leftId) => {
+    e.preventDefault();
+    const rightId = e.dataTransfer.getData('rightId');
+    if (rightId) handleMatch(leftId, rightId, 'pointer');
+    setHeld(null);
   };
 
   const handleSubmit = () => {
-    const isCorrect = validateMatches(matches, correctMatches);
+    const response = { matches };
+    const { details: scored } = scoreResponse(question, response);
 
     const result = {
-      isCorrect,
+      isCorrect: scored.isCorrect,
       matches,
-      feedback: isCorrect
+      response,
+      score: scored.score,
+      elementResults: scored.elements,
+      misconceptionIds: scored.misconceptionIds,
+      diagnosticTag: scored.diagnosticTag,
+      feedback: scored.isCorrect
         ? question.feedbackMap?.onCorrect || '✓ All matches correct!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Check your matches.',
+      summary: `${scored.correctCount} of ${scored.totalCount} matches correct`
     };
 
     setFeedback(result);
@@ -38,48 +132,98 @@ export function MatchingTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validateMatches(user, correct) {
-    return Object.entries(correct).every(([leftId, rightId]) =>
-      user[leftId] === rightId
-    );
-  }
-
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-pink-50 to-rose-50 rounded-lg">
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-pink-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">Match the items on the left with the right:</p>
+        <p id={instructionsId} className="text-xs text-gray-500 mt-1">
+          Drag an answer onto an item, or tap an answer and then an item. Keyboard: Space picks up an answer,
+          arrow keys choose the item, Space drops it, Escape cancels.
+        </p>
+      </div>
+
+      {/* Answer bank */}
+      <div role="group" aria-label="Answers" className="bg-white p-4 rounded-lg shadow-sm flex flex-wrap gap-2">
+        {rightItems.map((right) => {
+          const isHeld = held?.rightId === right.id;
+          return (
+            <button
+              key={right.id}
+              type="button"
+              draggable={!submitted}
+              onDragStart={(e) => handleDragStart(e, right.id)}
+              onClick={() => handleCardClick(right.id)}
+              onKeyDown={(e) => handleCardKeyDown(e, right.id)}
+              aria-pressed={isHeld}
+              aria-describedby={instructionsId}
+              aria-disabled={submitted}
+              className={`px-3 py-2 rounded-lg border-2 font-semibold cursor-move transition-all focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-400 ${
+                isHeld ? 'border-pink-600 bg-pink-600 text-white' : 'border-pink-200 bg-white text-pink-900 hover:border-pink-400'
+              }`}
+            >
+              <MathText text={right.label} />
+            </button>
+          );
+        })}
       </div>
 
       {/* Matching Interface */}
       <div className="bg-white p-6 rounded-lg shadow-sm">
-        <div className="space-y-2">
-          {leftItems.map((left) => (
-            <div key={left.id} className="flex items-center gap-4">
-              <div className="flex-1 p-3 bg-pink-100 text-pink-900 rounded-lg font-semibold">
-                {left.label}
-              </div>
-              <select
-                value={matches[left.id] || ''}
-                onChange={(e) => handleMatch(left.id, e.target.value)}
-                disabled={submitted}
-                className="px-3 py-2 border border-gray-300 rounded-lg focus:border-pink-500 outline-none"
-              >
-                <option value="">Select...</option>
-                {rightItems.map((right) => (
-                  <option key={right.id} value={right.id}>
-                    {right.label}
-                  </option>
-                ))}
-              </select>
-            </div>
-          ))}
-        </div>
+        <ul aria-label="Items to match" className="space-y-2">
+          {leftItems.map((left, index) => {
+            const matched = matches[left.id];
+            const isTarget = held?.target === index;
+            return (
+              <li key={left.id} className="flex items-center gap-4">
+                <div className="flex-1 p-3 bg-pink-100 text-pink-900 rounded-lg font-semibold">
+                  <MathText text={left.label} />
+                </div>
+                <div
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => handleDrop(e, left.id)}
+                  className="flex-1 flex items-center gap-2"
+                >
+                  <button
+                    type="button"
+                    onClick={() => held && dropOn(left.id)}
+                    disabled={submitted || !held}
+                    aria-label={`Match for ${left.label}: ${matched ? rightLabel(matched) : 'empty'}`}
+                    className={`flex-1 min-h-[2.75rem] px-3 py-2 border-2 rounded-lg text-left transition-all ${
+                      submitted
+                        ? matched === correctMatches[left.id] ? 'border-green-500 bg-green-50' : 'border-red-400 bg-red-50'
+                        : isTarget ? 'border-pink-500 bg-pink-50 ring-2 ring-pink-300' : 'border-dashed border-gray-300'
+                    }`}
+                  >
+                    {matched
+                      ? <MathText text={rightLabel(matched)} />
+                      : <span className="text-sm text-gray-400">{held ? 'Drop here' : 'Empty'}</span>}
+                  </button>
+                  {submitted && (matched === correctMatches[left.id]
+                    ? <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" aria-label="Correct match" />
+                    : <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" aria-label="Incorrect match" />)}
+                  {matched && !submitted && (
+                    <button
+                      type="button"
+                      onClick={() => handleClear(left.id)}
+                      aria-label={`Clear the match for ${left.label}`}
+                      className="p-2 text-gray-400 hover:text-red-500 rounded-lg"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
       </div>
 
+      <LiveRegion message={announcement} />
+
       {/* Submit */}
       {!submitted && (
         <button
@@ -105,7 +249,10 @@ export function MatchingTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            {!feedback.isCorrect && <p className="text-sm mt-1">{feedback.summary}</p>}
+          </div>
         </div>
       )}
     </div>
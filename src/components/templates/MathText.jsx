@@ -0,0 +1,48 @@
+import React, { useMemo } from 'react';
+import 'katex/dist/katex.min.css';
+import { splitMath, latexFieldSegments, renderLatex } from '../../services/mathTypesetting';
+
+function Segments({ segments }) {
+  return segments.map((segment, index) => {
+    if (segment.type === 'text') return <React.Fragment key={index}>{segment.value}</React.Fragment>;
+
+    const { html, error } = renderLatex(segment.value, { displayMode: segment.display });
+    if (error) {
+      // Invalid LaTeX: show the source rather than nothing
+      return (
+        <code key={index} title={error} className="font-mono text-[0.9em] text-red-700 bg-red-50 px-1 rounded">
+          {segment.source}
+        </code>
+      );
+    }
+    return (
+      <span
+        key={index}
+        className={segment.display ? 'block my-2 overflow-x-auto text-center' : 'inline-block align-middle'}
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    );
+  });
+}
+
+/**
+ * Text with inline ($...$) or display ($$...$$) math.
+ * Plain text renders as it is, so any string can go through it.
+ */
+export function MathText({ text, className }) {
+  const segments = useMemo(() => splitMath(text), [text]);
+  if (text === null || text === undefined || text === '') return null;
+  return <span className={className}><Segments segments={segments} /></span>;
+}
+
+/**
+ * A LaTeX-only field such as prompt.latex (delimiters optional).
+ * Display mode by default; pass display={false} for an inline formula.
+ */
+export function MathFormula({ latex, display = true, className }) {
+  const segments = useMemo(() => latexFieldSegments(latex, { displayMode: display }), [latex, display]);
+  if (segments.length === 0) return null;
+  return <div className={className}><Segments segments={segments} /></div>;
+}
+
+export default MathText;
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText } from './MathText';
 
 /**
  * MULTI_STEP_WORD Template
@@ -12,22 +14,22 @@ export function MultiStepWordTemplate({ question, onAnswer, isSubmitting }) {
   const [feedback, setFeedback] = useState(null);
 
   const steps = question.interaction?.config?.steps || [];
-  const correctAnswers = question.answerKey?.stepAnswers || {};
 
   const handleChange = (stepId, value) => {
     setResponses({ ...responses, [stepId]: value });
   };
 
   const handleSubmit = () => {
-    const allCorrect = Object.entries(correctAnswers).every(
-      ([stepId, correct]) =>
-        parseFloat(responses[stepId]) === parseFloat(correct)
-    );
+    const response = { responses };
+    const { isCorrect, score, details } = scoreResponse(question, response);
 
     const result = {
-      isCorrect: allCorrect,
+      isCorrect,
+      score,
       responses,
-      feedback: allCorrect
+      response,
+      elementResults: details.elements,
+      feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Excellent problem solving!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Check your work.',
     };
@@ -42,10 +44,10 @@ export function MultiStepWordTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-teal-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3 whitespace-pre-line">
-          {question.content?.stimulus?.text}
+          <MathText text={question.content?.stimulus?.text} />
         </p>
       </div>
 
@@ -94,7 +96,7 @@ export function MultiStepWordTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <p><MathText text={feedback.feedback} /></p>
         </div>
       )}
     </div>
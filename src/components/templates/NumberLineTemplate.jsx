@@ -1,21 +1,63 @@
-import React, { useState, useRef } from 'react';
+import React, { useId, useState, useRef } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { snapToLine, parseLinePosition } from '../../services/keyboardInteraction';
+import { MathText } from './MathText';
+import { LiveRegion } from './LiveRegion';
 
 /**
  * NUMBER_LINE_PLACE Template
  * Drag numbers onto number line
  * Best for: magnitude, comparison, representation
+ *
+ * Every item can also be placed by typing its position (a decimal, fraction
+ * or mixed number); typed values are clamped and snapped like a drop.
  */
-export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
+export function NumberLineTemplate({ question, onAnswer, onEvent, isSubmitting }) {
   const [placed, setPlaced] = useState({});
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
+  // Typed positions and entry errors, by item id
+  const [typed, setTyped] = useState({});
+  const [errors, setErrors] = useState({});
+  const [announcement, setAnnouncement] = useState('');
   const containerRef = useRef(null);
+  const fieldId = useId();
 
   const items = question.interaction?.config?.items || [];
   const min = question.interaction?.config?.minValue || 0;
   const max = question.interaction?.config?.maxValue || 100;
-  const correctPositions = question.answerKey?.positions || {};
+  const snap = question.interaction?.config?.snap || 0.5;
+
+  const line = { min, max, snap };
+  const itemLabel = (itemId) => {
+    const item = items.find(i => i.id === itemId);
+    return item ? item.label || item.value : itemId;
+  };
+
+  const place = (itemId, value, input, note = '') => {
+    setPlaced({
+      ...placed,
+      [itemId]: value,
+    });
+    setErrors({ ...errors, [itemId]: null });
+    setAnnouncement(`Placed ${itemLabel(itemId)} at ${value}${note}.`);
+    onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: itemId, target: value, input });
+  };
+
+  const handleTyped = (e, itemId) => {
+    e.preventDefault();
+    if (submitted) return;
+
+    const position = parseLinePosition(typed[itemId] ?? '', line);
+    if (!position.ok) {
+      setErrors({ ...errors, [itemId]: position.error });
+      setAnnouncement(position.error);
+      return;
+    }
+    place(itemId, position.value, 'typed', position.clamped ? ', the nearest point on the line' : '');
+  };
 
   const handleDragStart = (e, itemId) => {
     e.dataTransfer.effectAllowed = 'move';
@@ -37,18 +79,18 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
     const percentage = Math.max(0, Math.min(100, (x / rect.width) * 100));
     const value = min + ((max - min) * percentage) / 100;
 
-    setPlaced({
-      ...placed,
-      [itemId]: Math.round(value * 2) / 2,
-    });
+    if (itemId) place(itemId, snapToLine(value, line), 'pointer');
   };
 
   const handleSubmit = () => {
-    const isCorrect = validatePlacement(placed, correctPositions);
+    const response = { placed };
+    const { isCorrect, score } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
+      score,
       placed,
+      response,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Perfectly placed!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Check the positions and try again.',
@@ -59,13 +101,6 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validatePlacement(placed, correct) {
-    return Object.entries(placed).every(([itemId, value]) => {
-      const expectedValue = correct[itemId];
-      return expectedValue && Math.abs(value - expectedValue) <= 2;
-    });
-  }
-
   const getPosition = (value) => ((value - min) / (max - min)) * 100;
 
   return (
@@ -73,7 +108,7 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question Prompt */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-green-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         {question.content?.instruction && (
           <p className="text-sm text-gray-600 mt-3">{question.content.instruction}</p>
@@ -81,20 +116,47 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
       </div>
 
       {/* Draggable Items */}
-      <div className="bg-white p-4 rounded-lg shadow-sm space-y-2">
-        <p className="text-sm font-semibold text-gray-700">Drag items to the number line:</p>
-        <div className="flex flex-wrap gap-2">
-          {items.map((item) => (
-            <div
-              key={item.id}
-              draggable
-              onDragStart={(e) => handleDragStart(e, item.id)}
-              className="px-4 py-2 bg-gradient-to-br from-blue-400 to-blue-600 text-white rounded-lg cursor-move hover:shadow-lg transition-all font-semibold"
-            >
-              {item.label || item.value}
+      <div className="bg-white p-4 rounded-lg shadow-sm space-y-3">
+        <p className="text-sm font-semibold text-gray-700">Drag items to the number line, or type where each one goes:</p>
+        {items.map((item) => {
+          const inputId = `${fieldId}-${item.id}`;
+          const errorId = `${inputId}-error`;
+          return (
+            <div key={item.id} className="flex flex-wrap items-center gap-2">
+              <div
+                draggable={!submitted}
+                onDragStart={(e) => handleDragStart(e, item.id)}
+                className="px-4 py-2 bg-gradient-to-br from-blue-400 to-blue-600 text-white rounded-lg cursor-move hover:shadow-lg transition-all font-semibold"
+              >
+                {item.label || item.value}
+              </div>
+              {!submitted && (
+                <form onSubmit={(e) => handleTyped(e, item.id)} className="flex gap-2 flex-1 min-w-[12rem]">
+                  <label htmlFor={inputId} className="sr-only">
+                    Position of {item.label || item.value} ({min} to {max})
+                  </label>
+                  <input
+                    id={inputId}
+                    type="text"
+                    inputMode="decimal"
+                    value={typed[item.id] ?? ''}
+                    onChange={(e) => setTyped({ ...typed, [item.id]: e.target.value })}
+                    placeholder={placed[item.id] !== undefined ? String(placed[item.id]) : `${min} to ${max}`}
+                    aria-invalid={Boolean(errors[item.id])}
+                    aria-describedby={errors[item.id] ? errorId : undefined}
+                    className="flex-1 px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-green-500 focus:outline-none"
+                  />
+                  <button type="submit" className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700">
+                    Place
+                  </button>
+                </form>
+              )}
+              {errors[item.id] && (
+                <p id={errorId} className="w-full text-xs text-red-600">{errors[item.id]}</p>
+              )}
             </div>
-          ))}
-        </div>
+          );
+        })}
       </div>
 
       {/* Number Line */}
@@ -104,6 +166,12 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
           ref={containerRef}
           onDragOver={handleDragOver}
           onDrop={handleDrop}
+          role="img"
+          aria-label={`Number line from ${min} to ${max}. ${
+            Object.keys(placed).length === 0
+              ? 'Nothing placed yet.'
+              : Object.entries(placed).map(([itemId, value]) => `${itemLabel(itemId)} at ${value}`).join(', ') + '.'
+          }`}
           className="relative h-20 bg-gradient-to-b from-gray-50 to-gray-100 rounded-lg border-2 border-dashed border-gray-300 flex items-center px-4"
         >
           {/* Line */}
@@ -138,6 +206,8 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
         </div>
       </div>
 
+      <LiveRegion message={announcement} />
+
       {/* Submit Button */}
       {!submitted && (
         <button
@@ -163,7 +233,7 @@ export function NumberLineTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
           )}
-          <p>{feedback.feedback}</p>
+          <p><MathText text={feedback.feedback} /></p>
         </div>
       )}
     </div>
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText, MathFormula } from './MathText';
 
 /**
  * REDESIGNED NumericInputTemplate
@@ -7,14 +9,16 @@ import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
  * - Clear question focus
  * - Large, easy-to-tap input field
  * - Encouraging feedback
+ * - Accepts fractions, mixed numbers, percentages and units
  */
-export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
+export function NumericInputTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
   const [value, setValue] = useState('');
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
 
-  const correctValue = question.answerKey?.value;
-  const tolerance = question.answerKey?.tolerance || 0.01;
+  const answerKey = question.answerKey || {};
+  const config = question.interaction?.config || {};
+  const correctValue = answerKey.value;
   const prompt = question.content?.prompt?.text || 'What is your answer?';
   const instruction = question.content?.instruction;
   const latexExpression = question.content?.prompt?.latex;
@@ -22,16 +26,25 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
   const handleSubmit = async () => {
     if (value.trim() === '') return;
 
-    const numValue = parseFloat(value);
-    const isCorrect = !isNaN(numValue) && Math.abs(numValue - correctValue) <= tolerance;
+    const response = { answer: value };
+    const { isCorrect, score, details: grade } = scoreResponse(question, response);
+    const { isValueCorrect } = grade;
 
     const result = {
       isCorrect,
-      value: numValue,
+      score,
+      isValueCorrect,
+      response,
+      value: grade.parsed.ok ? grade.parsed.value : NaN,
+      answerForm: grade.parsed.form || null,
+      unit: grade.parsed.unit || null,
       expectedValue: correctValue,
+      rejectionReason: grade.reason,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || 'Perfect! That\'s the correct answer!'
-        : question.feedbackMap?.onIncorrectAttempt1 || 'Not quite. Check your work and try again.',
+        : isValueCorrect
+          ? question.feedbackMap?.onWrongForm || grade.message
+          : question.feedbackMap?.onIncorrectAttempt1 || grade.message || 'Not quite. Check your work and try again.',
     };
 
     setFeedback(result);
@@ -50,15 +63,13 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
       {/* ========== QUESTION PROMPT (HERO) ========== */}
       <div className="space-y-4">
         <h2 className="text-2xl md:text-3xl font-bold text-gray-900 leading-tight">
-          {prompt}
+          <MathText text={prompt} />
         </h2>
 
         {/* LaTeX expression if available */}
         {latexExpression && (
           <div className="bg-gradient-to-r from-purple-50 to-indigo-50 p-5 md:p-6 rounded-xl border-2 border-purple-200">
-            <p className="text-lg md:text-xl font-mono text-gray-800 text-center">
-              {latexExpression}
-            </p>
+            <MathFormula latex={latexExpression} className="text-lg md:text-xl text-gray-800 text-center" />
           </div>
         )}
 
@@ -76,13 +87,13 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
         </label>
         <div className="flex gap-3">
           <input
-            type="number"
+            type="text"
+            inputMode="text"
             value={value}
             onChange={(e) => setValue(e.target.value)}
             onKeyPress={handleKeyPress}
             disabled={submitted || isSubmitting}
-            placeholder="Type your answer here"
-            step="any"
+            placeholder={config.placeholder || 'e.g. 12, 3/4, 1 1/2, 25%, 12 cm'}
             autoFocus
             className={`flex-1 px-5 py-4 md:py-5 border-2 rounded-xl text-lg md:text-xl font-semibold transition-all ${
               submitted
@@ -124,16 +135,18 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
                 feedback.isCorrect ? 'text-green-900' : 'text-blue-900'
               }`}
             >
-              {feedback.feedback}
+              <MathText text={feedback.feedback} />
             </p>
             {!feedback.isCorrect && (
               <div className="mt-3 space-y-2">
                 <p className="text-sm md:text-base text-blue-700">
                   Your answer: <span className="font-mono font-bold">{value}</span>
                 </p>
-                <p className="text-sm md:text-base text-blue-700">
-                  Correct answer: <span className="font-mono font-bold">{feedback.expectedValue}</span>
-                </p>
+                {!feedback.isValueCorrect && revealAnswer && (
+                  <p className="text-sm md:text-base text-blue-700">
+                    Correct answer: <span className="font-mono font-bold">{feedback.expectedValue}</span>
+                  </p>
+                )}
               </div>
             )}
           </div>
@@ -141,7 +154,7 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
       )}
 
       {/* ========== WORKED SOLUTION (COLLAPSIBLE) ========== */}
-      {submitted && question.workedSolution?.steps && question.workedSolution.steps.length > 0 && (
+      {submitted && (revealAnswer || feedback?.isCorrect) && question.workedSolution?.steps && question.workedSolution.steps.length > 0 && (
         <details className="bg-gradient-to-br from-purple-50 to-indigo-50 p-5 md:p-6 rounded-xl border-2 border-purple-200 group">
           <summary className="cursor-pointer font-bold text-gray-900 text-base md:text-lg flex items-center gap-2 hover:text-purple-600 transition-colors">
             <span>📖 Step-by-step solution</span>
@@ -154,7 +167,7 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
                   {idx + 1}
                 </div>
                 <p className="text-gray-700 text-sm md:text-base leading-relaxed flex-1 pt-0.5">
-                  {step}
+                  <MathText text={step} />
                 </p>
               </div>
             ))}
@@ -162,7 +175,7 @@ export function NumericInputTemplate({ question, onAnswer, isSubmitting }) {
               <div className="mt-4 p-4 bg-blue-100 border-2 border-blue-400 rounded-lg">
                 <p className="text-xs font-semibold text-blue-600 uppercase tracking-wide mb-1">Final Answer</p>
                 <p className="text-xl md:text-2xl font-bold text-blue-900 font-mono">
-                  {question.workedSolution.finalAnswer}
+                  <MathText text={question.workedSolution.finalAnswer} />
                 </p>
               </div>
             )}
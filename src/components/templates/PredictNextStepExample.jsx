@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Eye, EyeOff } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import {
+  getExampleSteps,
+  buildStepOptions,
+  scoreStepPredictions,
+  PREDICTION_MODES
+} from '../../services/stepPrediction';
+import { MathText } from './MathText';
+
+/**
+ * WORKED_EXAMPLE_COMPLETE in predict-the-next-step mode
+ * Steps are revealed one at a time; the student predicts each one first
+ * Best for: teach-by-example, learning a procedure by anticipating it
+ *
+ * "Hide steps" is on by default. Switching it off shows the rest of the
+ * solution; steps shown that way count as not predicted.
+ */
+export function PredictNextStepExample({ question, onAnswer, isSubmitting }) {
+  const [revealed, setRevealed] = useState(1);
+  const [predictions, setPredictions] = useState([]);
+  const [hideSteps, setHideSteps] = useState(true);
+  const [typed, setTyped] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+
+  const steps = getExampleSteps(question);
+  const finalAnswer = question.interaction?.config?.finalAnswer;
+  const seed = question.workedExampleSourceItemId || question.itemId || question.questionId;
+  const predicting = hideSteps && revealed < steps.length && !submitted;
+  const options = predicting ? buildStepOptions(steps, revealed, seed) : [];
+  const visibleSteps = hideSteps ? steps.slice(0, revealed) : steps;
+  const outcomeByStep = Object.fromEntries(
+    scoreStepPredictions(question, { predictions }).elements
+      .filter(e => e.given !== null)
+      .map(e => [e.step, e.isCorrect])
+  );
+
+  const predict = (mode, text) => {
+    if (!predicting || isSubmitting || text.trim() === '') return;
+    setPredictions([...predictions, { step: revealed, mode, text }]);
+    setRevealed(revealed + 1);
+    setTyped('');
+  };
+
+  const handleFinish = () => {
+    const response = { predictions };
+    const { isCorrect, score, details: scored } = scoreResponse(question, response);
+
+    const result = {
+      isCorrect,
+      score,
+      response,
+      elementResults: scored.elements,
+      stepPredictions: scored.elements.map(e => ({
+        step: e.step,
+        mode: e.mode,
+        predicted: e.given,
+        isCorrect: e.isCorrect
+      })),
+      predictionAccuracy: scored.predictionAccuracy,
+      feedback: isCorrect
+        ? question.feedbackMap?.onCorrect || '✓ You saw every step coming!'
+        : `You predicted ${scored.correctCount} of ${scored.totalCount} steps.`,
+      summary: `${scored.predictedCount} of ${scored.totalCount} steps predicted`
+    };
+
+    setFeedback(result);
+    setSubmitted(true);
+    onAnswer(result);
+  };
+
+  return (
+    <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-cyan-50 to-blue-50 rounded-lg">
+      <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-cyan-500">
+        <h2 className="text-xl font-bold text-gray-900 mb-2">
+          <MathText text={question.content?.prompt?.text} />
+        </h2>
+        <p className="text-sm text-gray-600 mt-3">
+          {question.content?.instruction || 'Before each step is shown, predict what comes next.'}
+        </p>
+      </div>
+
+      {/* Hide-steps toggle */}
+      <button
+        onClick={() => setHideSteps(false)}
+        disabled={!hideSteps || submitted}
+        className="flex items-center gap-2 text-sm font-semibold text-cyan-700 disabled:text-gray-400"
+      >
+        {hideSteps ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+        {hideSteps ? 'Hide steps: on (tap to show all)' : 'Hide steps: off'}
+      </button>
+
+      {/* Steps so far */}
+      <ol className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+        {visibleSteps.map((step, idx) => (
+          <li key={idx} className="flex gap-3 border-l-4 border-cyan-300 pl-4">
+            <span className="text-sm text-gray-700 font-mono leading-relaxed flex-1"><MathText text={step} /></span>
+            {outcomeByStep[idx] === true && <CheckCircle className="w-4 h-4 text-green-600 flex-shrink-0" />}
+            {outcomeByStep[idx] === false && <XCircle className="w-4 h-4 text-red-500 flex-shrink-0" />}
+          </li>
+        ))}
+        {!predicting && finalAnswer !== null && finalAnswer !== undefined && (
+          <li className="pl-4 text-base font-bold text-cyan-900">Answer: <MathText text={String(finalAnswer)} /></li>
+        )}
+      </ol>
+
+      {/* Prediction for the next step */}
+      {predicting && (
+        <div className="bg-white p-6 rounded-lg shadow-sm space-y-3">
+          <p className="text-sm font-bold text-gray-900">What is step {revealed + 1}?</p>
+          {options.length > 0 ? (
+            options.map((option, idx) => (
+              <button
+                key={idx}
+                onClick={() => predict(PREDICTION_MODES.CHOICE, option)}
+                disabled={isSubmitting}
+                className="w-full p-3 rounded-lg border-2 border-gray-200 text-left text-sm hover:border-cyan-400 hover:bg-cyan-50 disabled:opacity-50 transition-all"
+              >
+                <MathText text={option} />
+              </button>
+            ))
+          ) : (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={typed}
+                onChange={(e) => setTyped(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && predict(PREDICTION_MODES.TYPED, typed)}
+                placeholder="Type the next step"
+                className="flex-1 px-3 py-2 border-2 border-gray-200 rounded-lg text-sm focus:border-cyan-500 focus:outline-none"
+              />
+              <button
+                onClick={() => predict(PREDICTION_MODES.TYPED, typed)}
+                disabled={typed.trim() === '' || isSubmitting}
+                className="px-4 py-2 bg-cyan-600 text-white rounded-lg font-semibold hover:bg-cyan-700 disabled:opacity-50"
+              >
+                Reveal
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {!predicting && !submitted && (
+        <button
+          onClick={handleFinish}
+          disabled={isSubmitting}
+          className="w-full py-3 bg-cyan-600 text-white rounded-lg font-semibold hover:bg-cyan-700 disabled:opacity-50 transition-all"
+        >
+          Finish Example
+        </button>
+      )}
+
+      {submitted && feedback && (
+        <div
+          className={`p-4 rounded-lg border-l-4 flex gap-3 ${
+            feedback.isCorrect
+              ? 'bg-green-50 border-green-500 text-green-800'
+              : 'bg-amber-50 border-amber-500 text-amber-800'
+          }`}
+        >
+          {feedback.isCorrect ? (
+            <CheckCircle className="w-5 h-5 flex-shrink-0" />
+          ) : (
+            <XCircle className="w-5 h-5 flex-shrink-0" />
+          )}
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            <p className="text-sm mt-1">{feedback.summary}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PredictNextStepExample;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { RotateCcw, Lightbulb, BookOpen, ChevronRight } from 'lucide-react';
+import { RECOVERY_PHASES } from '../../services/recoveryService';
+import { MathText } from './MathText';
+
+const stepText = (step) => (typeof step === 'string' ? step : step?.text || '');
+
+/**
+ * Panel shown under a template between attempts.
+ * FEEDBACK: targeted feedback, the scaffold for this attempt and a retry
+ * button. WORKED_SOLUTION: the full solution once the attempts run out,
+ * with a button to move on.
+ */
+export function RecoveryFeedback({
+  phase,
+  attempt,
+  maxAttempts,
+  feedback,
+  scaffold,
+  workedSolution,
+  onRetry,
+  onContinue,
+  disabled = false
+}) {
+  if (phase === RECOVERY_PHASES.FEEDBACK) {
+    const attemptsLeft = maxAttempts - attempt;
+    return (
+      <div className="mt-6 p-5 bg-orange-50 border-2 border-orange-200 rounded-xl space-y-3">
+        {feedback && <p className="text-base font-semibold text-orange-900"><MathText text={feedback} /></p>}
+        {scaffold && (
+          <div className="flex gap-3 p-3 bg-white border-l-4 border-orange-400 rounded-lg">
+            <Lightbulb className="w-4 h-4 text-orange-600 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-[10px] font-black text-orange-700 uppercase">{scaffold.type}</p>
+              <p className="text-sm text-orange-900"><MathText text={scaffold.text} /></p>
+            </div>
+          </div>
+        )}
+        <button
+          onClick={onRetry}
+          disabled={disabled}
+          className="flex items-center gap-2 px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-bold rounded-lg disabled:opacity-50 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Try again
+          <span className="text-xs font-normal">({attemptsLeft} {attemptsLeft === 1 ? 'try' : 'tries'} left)</span>
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === RECOVERY_PHASES.WORKED_SOLUTION) {
+    const steps = (workedSolution?.steps || []).map(stepText).filter(Boolean);
+    return (
+      <div className="mt-6 p-5 bg-blue-50 border-2 border-blue-200 rounded-xl space-y-3">
+        <p className="flex items-center gap-2 text-sm font-black text-blue-800 uppercase">
+          <BookOpen className="w-4 h-4" />
+          Let&apos;s see how it works
+        </p>
+        {steps.length > 0 && (
+          <ol className="list-decimal list-inside space-y-1 text-sm text-blue-900">
+            {steps.map((step, index) => <li key={index}><MathText text={step} /></li>)}
+          </ol>
+        )}
+        {workedSolution?.finalAnswer !== undefined && workedSolution?.finalAnswer !== null && (
+          <p className="text-base font-bold text-blue-900">Answer: <MathText text={String(workedSolution.finalAnswer)} /></p>
+        )}
+        {workedSolution?.whyItWorks && <p className="text-sm text-blue-700"><MathText text={workedSolution.whyItWorks} /></p>}
+        <button
+          onClick={onContinue}
+          disabled={disabled}
+          className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg disabled:opacity-50 transition-colors"
+        >
+          Continue
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return null;
+}
+
+export default RecoveryFeedback;
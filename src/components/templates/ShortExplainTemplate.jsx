@@ -1,10 +1,16 @@
 import React, { useState } from 'react';
-import { CheckCircle, MessageCircle } from 'lucide-react';
+import { CheckCircle, MessageCircle, Clock, Lightbulb } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText } from './MathText';
 
 /**
  * SHORT_EXPLAIN Template
  * Short text explanation
  * Best for: reasoning, justification
+ *
+ * Scored offline against the item rubric (0-2 per dimension).
+ * Low-confidence scores are marked needsReview so the mission hook can
+ * send them to the teacher grading queue.
  */
 export function ShortExplainTemplate({ question, onAnswer, isSubmitting }) {
   const [explanation, setExplanation] = useState('');
@@ -14,10 +20,30 @@ export function ShortExplainTemplate({ question, onAnswer, isSubmitting }) {
   const handleSubmit = () => {
     if (explanation.trim() === '') return;
 
+    const response = { explanation };
+    const { score, details: scored } = scoreResponse(question, response);
+    const missingIdeas = scored.dimensions
+      .flatMap(d => d.criteria)
+      .filter(c => !c.found && c.kind === 'keyIdea')
+      .map(c => c.label);
+
     const result = {
-      isCorrect: true,
+      isCorrect: scored.isCorrect,
+      score,
       explanation,
-      feedback: question.feedbackMap?.onCorrect || '✓ Thanks for your explanation!',
+      response,
+      rubricScores: scored.scores,
+      rubricFraction: scored.fraction,
+      rubricConfidence: scored.confidence,
+      needsReview: scored.needsReview,
+      reviewReason: scored.reviewReason,
+      rubric: scored.rubric,
+      missingIdeas,
+      feedback: scored.needsReview
+        ? 'Thanks! Your teacher will review this explanation.'
+        : scored.isCorrect
+          ? question.feedbackMap?.onCorrect || '✓ Thanks for your explanation!'
+          : question.feedbackMap?.onIncorrectAttempt1 || 'Good start! Your explanation is missing some key ideas.',
     };
 
     setFeedback(result);
@@ -30,7 +56,7 @@ export function ShortExplainTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-slate-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3 flex items-start gap-2">
           <MessageCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
@@ -65,9 +91,37 @@ export function ShortExplainTemplate({ question, onAnswer, isSubmitting }) {
 
       {/* Feedback */}
       {submitted && feedback && (
-        <div className="p-4 rounded-lg border-l-4 bg-green-50 border-green-500 text-green-800 flex gap-3">
-          <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
-          <p>{feedback.feedback}</p>
+        <div
+          className={`p-4 rounded-lg border-l-4 flex gap-3 ${
+            feedback.needsReview
+              ? 'bg-slate-50 border-slate-400 text-slate-800'
+              : feedback.isCorrect
+                ? 'bg-green-50 border-green-500 text-green-800'
+                : 'bg-amber-50 border-amber-500 text-amber-800'
+          }`}
+        >
+          {feedback.needsReview ? (
+            <Clock className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          ) : feedback.isCorrect ? (
+            <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          ) : (
+            <Lightbulb className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          )}
+          <div className="space-y-2">
+            <p><MathText text={feedback.feedback} /></p>
+            {!feedback.needsReview && Object.keys(feedback.rubricScores).length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(feedback.rubricScores).map(([dimension, score]) => (
+                  <span key={dimension} className="px-2 py-1 bg-white rounded text-xs font-semibold capitalize">
+                    {dimension}: {score}/2
+                  </span>
+                ))}
+              </div>
+            )}
+            {!feedback.needsReview && !feedback.isCorrect && feedback.missingIdeas.length > 0 && (
+              <p className="text-sm">Try to mention: {feedback.missingIdeas.join('; ')}</p>
+            )}
+          </div>
         </div>
       )}
     </div>
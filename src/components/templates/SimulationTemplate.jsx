@@ -1,31 +1,87 @@
-import React, { useState } from 'react';
-import { CheckCircle, Zap, RotateCcw } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { CheckCircle, XCircle, Zap, RotateCcw } from 'lucide-react';
+import { runTrials, summarizeTrials, ANSWER_MODES } from '../../services/probabilitySimulation';
+import { getSimulationSetup, scoreResponse } from '../../services/scoringEngine';
+import { MathText } from './MathText';
 
 /**
  * SIMULATION Template
  * Interactive simulation for exploration
  * Best for: probability, intuition building
+ *
+ * The experiment (coin, dice, spinner or bag) is declared in
+ * interaction.config and runs from a seed, so every run is reproducible.
+ * The student's prediction or estimate is graded against the theoretical
+ * probability within the item's tolerance.
  */
-export function SimulationTemplate({ question, onAnswer, isSubmitting }) {
-  const [simCount, setSimCount] = useState(0);
-  const [results, setResults] = useState([]);
+export function SimulationTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
+  const { sim, configError } = useMemo(() => {
+    try {
+      return { sim: getSimulationSetup(question), configError: null };
+    } catch (error) {
+      return { sim: null, configError: error.message };
+    }
+  }, [question]);
+
+  const [rngState, setRngState] = useState(null);
+  const [trials, setTrials] = useState([]);
+  const [answer, setAnswer] = useState('');
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
 
-  const runSimulation = () => {
-    const outcome = Math.random() > 0.5 ? 'success' : 'failure';
-    setResults([...results, outcome]);
-    setSimCount(simCount + 1);
+  const summary = useMemo(() => (sim ? summarizeTrials(sim, trials) : null), [sim, trials]);
+
+  if (configError) {
+    return (
+      <div className="w-full max-w-2xl mx-auto p-6 bg-red-50 border-2 border-red-200 rounded-lg text-red-800">
+        Simulation is misconfigured: {configError}
+      </div>
+    );
+  }
+
+  const isPredict = sim.answerMode === ANSWER_MODES.PREDICT || sim.answerMode === ANSWER_MODES.COUNT;
+  // Predictions are locked in before the experiment; estimates need enough data
+  const canRun = isPredict ? submitted : !submitted;
+  const canSubmit = !submitted && answer.trim() !== '' && (isPredict || trials.length >= sim.minTrials);
+
+  const runBatch = (count) => {
+    const { trials: newTrials, state } = runTrials(sim, rngState ?? sim.seed, count);
+    setTrials(prev => [...prev, ...newTrials]);
+    setRngState(state);
+  };
+
+  const resetRun = () => {
+    // Restarting from the seed replays exactly the same sequence
+    setTrials([]);
+    setRngState(null);
   };
 
   const handleSubmit = () => {
-    const successRate = results.filter(r => r === 'success').length / results.length;
+    // The engine replays the run from the seed, so only the count is logged
+    const response = { answer, simCount: trials.length };
+    const { isCorrect, score, details: grade } = scoreResponse(question, response);
 
     const result = {
-      isCorrect: Math.abs(successRate - 0.5) < 0.1,
-      simCount,
-      successRate,
-      feedback: question.feedbackMap?.onCorrect || '✓ Great observation!',
+      isCorrect,
+      score,
+      response,
+      answerMode: sim.answerMode,
+      studentValue: grade.studentValue,
+      theoreticalProbability: grade.theoretical ?? null,
+      expectedValue: grade.expectedValue ?? null,
+      tolerance: grade.tolerance ?? null,
+      simCount: trials.length,
+      successRate: summary.eventRate,
+      seed: sim.seed,
+      rejectionReason: grade.reason,
+      feedback: isCorrect
+        ? question.feedbackMap?.onCorrect || '✓ Great observation!'
+        : question.feedbackMap?.onIncorrectAttempt1 ||
+          (grade.reason === 'OUTSIDE_TOLERANCE'
+            ? 'Not quite. Think about how many outcomes are possible and how many are favourable.'
+            : grade.reason === 'NO_THEORY'
+              ? 'This experiment has too many outcomes to check a prediction. Ask your teacher.'
+              : 'Enter a probability like 1/2, 0.5 or 50%.'),
     };
 
     setFeedback(result);
@@ -33,15 +89,24 @@ export function SimulationTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  const successCount = results.filter(r => r === 'success').length;
-  const failureCount = results.length - successCount;
+  const answerLabel = sim.answerMode === ANSWER_MODES.COUNT
+    ? `In ${sim.countTrials} trials, how many times do you expect: ${sim.eventLabel}?`
+    : sim.answerMode === ANSWER_MODES.PREDICT
+      ? `Predict the probability of: ${sim.eventLabel}`
+      : `Estimate the probability of: ${sim.eventLabel}`;
+
+  const recentTrials = trials.slice(-60);
+  const showTheory = submitted && (revealAnswer || feedback?.isCorrect);
+  // No theory column when the outcomes could not be enumerated
+  const showTheoryColumn = showTheory && summary.theoreticalEvent !== null;
+  const maxRelative = Math.max(0.01, ...summary.frequencies.map(f => Math.max(f.relative, showTheoryColumn ? f.theoretical || 0 : 0)));
 
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-fuchsia-50 to-pink-50 rounded-lg">
       {/* Question */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-fuchsia-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">{question.content?.instruction}</p>
       </div>
@@ -50,28 +115,71 @@ export function SimulationTemplate({ question, onAnswer, isSubmitting }) {
       <div className="bg-white p-6 rounded-lg shadow-sm space-y-4">
         <div className="grid grid-cols-3 gap-4 text-center">
           <div className="bg-green-50 p-4 rounded-lg">
-            <div className="text-2xl font-bold text-green-600">{successCount}</div>
-            <p className="text-xs text-green-700">Successes</p>
+            <div className="text-2xl font-bold text-green-600">{summary.eventCount}</div>
+            <p className="text-xs text-green-700">{sim.eventLabel}</p>
           </div>
           <div className="bg-red-50 p-4 rounded-lg">
-            <div className="text-2xl font-bold text-red-600">{failureCount}</div>
-            <p className="text-xs text-red-700">Failures</p>
+            <div className="text-2xl font-bold text-red-600">{summary.total - summary.eventCount}</div>
+            <p className="text-xs text-red-700">Other outcomes</p>
           </div>
           <div className="bg-blue-50 p-4 rounded-lg">
-            <div className="text-2xl font-bold text-blue-600">{simCount}</div>
-            <p className="text-xs text-blue-700">Total</p>
+            <div className="text-2xl font-bold text-blue-600">{summary.total}</div>
+            <p className="text-xs text-blue-700">Trials</p>
           </div>
         </div>
 
-        {/* Results Visualization */}
-        {results.length > 0 && (
+        {/* Frequency table + bar chart */}
+        {summary.total > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 uppercase">
+                <th className="py-1">Outcome</th>
+                <th className="py-1 text-right">Count</th>
+                <th className="py-1 text-right">Rel. freq.</th>
+                {showTheoryColumn && <th className="py-1 text-right">Theory</th>}
+                <th className="py-1 pl-3 w-1/3">Chart</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.frequencies.map(row => (
+                <tr key={row.id} className={row.isEvent ? 'font-semibold text-fuchsia-800' : 'text-gray-700'}>
+                  <td className="py-1">{row.key}</td>
+                  <td className="py-1 text-right font-mono">{row.count}</td>
+                  <td className="py-1 text-right font-mono">{row.relative.toFixed(2)}</td>
+                  {showTheoryColumn && (
+                    <td className="py-1 text-right font-mono">
+                      {row.theoretical === null ? '—' : row.theoretical.toFixed(2)}
+                    </td>
+                  )}
+                  <td className="py-1 pl-3">
+                    <div className="relative h-3 bg-gray-100 rounded">
+                      <div
+                        className={`h-3 rounded ${row.isEvent ? 'bg-fuchsia-500' : 'bg-gray-400'}`}
+                        style={{ width: `${(row.relative / maxRelative) * 100}%` }}
+                      />
+                      {showTheoryColumn && row.theoretical !== null && (
+                        <div
+                          className="absolute top-0 h-3 w-0.5 bg-blue-700"
+                          style={{ left: `${(row.theoretical / maxRelative) * 100}%` }}
+                          title="Theoretical probability"
+                        />
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {/* Results Visualization (most recent trials) */}
+        {recentTrials.length > 0 && (
           <div className="flex flex-wrap gap-1">
-            {results.map((result, idx) => (
+            {recentTrials.map((trial, idx) => (
               <div
                 key={idx}
-                className={`w-6 h-6 rounded-full ${
-                  result === 'success' ? 'bg-green-500' : 'bg-red-500'
-                }`}
+                title={trial.key}
+                className={`w-6 h-6 rounded-full ${trial.isEvent ? 'bg-green-500' : 'bg-red-500'}`}
               />
             ))}
           </div>
@@ -80,43 +188,81 @@ export function SimulationTemplate({ question, onAnswer, isSubmitting }) {
 
       {/* Controls */}
       <div className="flex gap-3">
+        {sim.trialBatches.map(count => (
+          <button
+            key={count}
+            onClick={() => runBatch(count)}
+            disabled={!canRun}
+            className="flex-1 py-3 bg-fuchsia-600 text-white rounded-lg font-semibold hover:bg-fuchsia-700 disabled:opacity-50 transition-all flex items-center justify-center gap-2"
+          >
+            <Zap className="w-4 h-4" />
+            {count === 1 ? 'Run Trial' : `Run ${count}`}
+          </button>
+        ))}
         <button
-          onClick={runSimulation}
-          disabled={submitted}
-          className="flex-1 py-3 bg-fuchsia-600 text-white rounded-lg font-semibold hover:bg-fuchsia-700 disabled:opacity-50 transition-all flex items-center justify-center gap-2"
-        >
-          <Zap className="w-4 h-4" />
-          Run Trial
-        </button>
-        <button
-          onClick={() => {
-            setSimCount(0);
-            setResults([]);
-            setSubmitted(false);
-          }}
-          className="flex-1 py-3 border-2 border-fuchsia-300 text-fuchsia-700 rounded-lg font-semibold hover:bg-fuchsia-50 transition-all flex items-center justify-center gap-2"
+          onClick={resetRun}
+          disabled={!canRun}
+          className="flex-1 py-3 border-2 border-fuchsia-300 text-fuchsia-700 rounded-lg font-semibold hover:bg-fuchsia-50 disabled:opacity-50 transition-all flex items-center justify-center gap-2"
         >
           <RotateCcw className="w-4 h-4" />
           Reset
         </button>
       </div>
 
-      {simCount >= 10 && !submitted && (
-        <button
-          onClick={handleSubmit}
-          className="w-full py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 transition-all"
-        >
-          Analyze Results
-        </button>
+      {/* Prediction / estimate */}
+      {!submitted && (
+        <div className="bg-white p-4 rounded-lg shadow-sm space-y-3">
+          <label className="block text-sm font-semibold text-gray-700">{answerLabel}</label>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              placeholder={sim.answerMode === ANSWER_MODES.COUNT ? 'e.g. 50' : 'e.g. 1/2, 0.5 or 50%'}
+              className="flex-1 px-4 py-3 border-2 border-fuchsia-200 rounded-lg focus:border-fuchsia-500 focus:outline-none"
+            />
+            <button
+              onClick={handleSubmit}
+              disabled={!canSubmit || isSubmitting}
+              className="px-6 py-3 bg-green-600 text-white rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50 transition-all"
+            >
+              {isPredict ? 'Lock Prediction' : 'Submit Estimate'}
+            </button>
+          </div>
+          {!isPredict && trials.length < sim.minTrials && (
+            <p className="text-xs text-gray-500">Run at least {sim.minTrials} trials before estimating.</p>
+          )}
+        </div>
       )}
 
       {/* Feedback */}
       {submitted && feedback && (
-        <div className="p-4 rounded-lg border-l-4 bg-green-50 border-green-500 text-green-800 flex gap-3">
-          <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+        <div
+          className={`p-4 rounded-lg border-l-4 flex gap-3 ${
+            feedback.isCorrect
+              ? 'bg-green-50 border-green-500 text-green-800'
+              : 'bg-orange-50 border-orange-500 text-orange-800'
+          }`}
+        >
+          {feedback.isCorrect ? (
+            <CheckCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          ) : (
+            <XCircle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+          )}
           <div>
-            <p className="font-semibold">{feedback.feedback}</p>
-            <p className="text-sm mt-1">Success rate: {(feedback.successRate * 100).toFixed(1)}%</p>
+            <p className="font-semibold"><MathText text={feedback.feedback} /></p>
+            {showTheory && feedback.theoreticalProbability !== null && (
+              <p className="text-sm mt-1">
+                Theoretical probability: {feedback.theoreticalProbability.toFixed(3)}
+                {summary.theoreticalEventDisplay && ` (${summary.theoreticalEventDisplay})`}
+              </p>
+            )}
+            {summary.total > 0 && (
+              <p className="text-sm mt-1">Observed rate: {(summary.eventRate * 100).toFixed(1)}%</p>
+            )}
+            {isPredict && (
+              <p className="text-sm mt-1">Now run the experiment and see how close the results get.</p>
+            )}
           </div>
         </div>
       )}
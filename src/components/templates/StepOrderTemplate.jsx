@@ -1,18 +1,35 @@
-import React, { useState } from 'react';
+import React, { useEffect, useId, useRef, useState } from 'react';
 import { CheckCircle, XCircle, GripVertical } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { keyboardAction, stepIndex, moveItem, KEYBOARD_ACTIONS } from '../../services/keyboardInteraction';
+import { MathText } from './MathText';
+import { LiveRegion } from './LiveRegion';
 
 /**
  * STEP_ORDER Template
  * Reorder steps in correct sequence
  * Best for: procedure understanding
+ *
+ * Partial credit: share of step pairs in the right relative order.
+ *
+ * Keyboard: arrow keys move focus between steps; Space/Enter picks a step
+ * up, arrow keys (Home/End) move it, Space/Enter drops it and Escape
+ * restores the previous order.
  */
-export function StepOrderTemplate({ question, onAnswer, isSubmitting }) {
+export function StepOrderTemplate({ question, onAnswer, onEvent, isSubmitting }) {
   const [steps, setSteps] = useState(
     question.interaction?.config?.steps?.map((s, i) => ({ ...s, originalIndex: i })) || []
   );
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
   const [dragging, setDragging] = useState(null);
+  // Step carried with the keyboard: { stepId, fromOrder }
+  const [held, setHeld] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const stepRefs = useRef({});
+  const pendingFocus = useRef(null);
+  const instructionsId = useId();
 
   const correctOrder = question.answerKey?.correctOrder || [];
 
@@ -31,19 +48,85 @@ export function StepOrderTemplate({ question, onAnswer, isSubmitting }) {
   };
 
   const handleDragEnd = () => {
+    if (dragging !== null) {
+      setAnnouncement(`Moved to position ${dragging + 1} of ${steps.length}.`);
+      onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: steps[dragging].originalIndex, target: dragging, input: 'pointer' });
+    }
     setDragging(null);
   };
 
+  // Keep focus on a step as it moves (or on the step focus moved to)
+  useEffect(() => {
+    if (pendingFocus.current !== null) {
+      stepRefs.current[pendingFocus.current]?.focus();
+      pendingFocus.current = null;
+    }
+  });
+
+  const describe = (step) => String(step.text ?? '').slice(0, 60);
+
+  const handleStepKeyDown = (e, index) => {
+    const action = keyboardAction(e);
+    if (!action || submitted) return;
+    const step = steps[index];
+    const isHeld = held?.stepId === step.originalIndex;
+
+    if (action === KEYBOARD_ACTIONS.TOGGLE) {
+      e.preventDefault();
+      if (isHeld) {
+        setHeld(null);
+        setAnnouncement(`Dropped at position ${index + 1} of ${steps.length}.`);
+        onEvent?.(TELEMETRY_EVENTS.DRAG_DROP, { item: step.originalIndex, target: index, input: 'pick_up_drop' });
+      } else if (!held) {
+        setHeld({ stepId: step.originalIndex, fromOrder: steps });
+        setAnnouncement(
+          `Picked up step "${describe(step)}", position ${index + 1} of ${steps.length}. Use the arrow keys to move it, Space to drop, Escape to cancel.`
+        );
+      }
+      return;
+    }
+
+    if (action === KEYBOARD_ACTIONS.CANCEL) {
+      if (!isHeld) return;
+      e.preventDefault();
+      setSteps(held.fromOrder);
+      setHeld(null);
+      pendingFocus.current = step.originalIndex;
+      setAnnouncement('Cancelled. The steps are back in their previous order.');
+      return;
+    }
+
+    e.preventDefault();
+    const target = stepIndex(index, action, steps.length);
+    if (target === index) return;
+
+    if (isHeld) {
+      setSteps(moveItem(steps, index, target));
+      pendingFocus.current = step.originalIndex;
+      setAnnouncement(`Position ${target + 1} of ${steps.length}.`);
+    } else if (!held) {
+      // Not carrying a step: arrows move focus between steps
+      stepRefs.current[steps[target].originalIndex]?.focus();
+    }
+  };
+
   const handleSubmit = () => {
     const userOrder = steps.map(s => s.originalIndex);
-    const isCorrect = JSON.stringify(userOrder) === JSON.stringify(correctOrder);
+    const response = { order: userOrder };
+    const { details: scored } = scoreResponse(question, response);
 
     const result = {
-      isCorrect,
+      isCorrect: scored.isCorrect,
       userOrder,
-      feedback: isCorrect
+      response,
+      score: scored.score,
+      elementResults: scored.elements,
+      misconceptionIds: scored.misconceptionIds,
+      diagnosticTag: scored.diagnosticTag,
+      feedback: scored.isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Perfect sequence!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Try a different order.',
+      summary: `${scored.correctCount} of ${scored.totalCount} steps in the right place`
     };
 
     setFeedback(result);
@@ -56,35 +139,57 @@ export function StepOrderTemplate({ question, onAnswer, isSubmitting }) {
       {/* Question Prompt */}
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-amber-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">Drag to reorder the steps:</p>
+        <p id={instructionsId} className="text-xs text-gray-500 mt-1">
+          Keyboard: arrow keys move between steps. Space picks a step up, arrow keys move it, Space drops it, Escape cancels.
+        </p>
       </div>
 
       {/* Steps */}
-      <div className="bg-white p-6 rounded-lg shadow-sm space-y-2">
-        {steps.map((step, index) => (
-          <div
-            key={index}
-            draggable
-            onDragStart={(e) => handleDragStart(e, index)}
-            onDragOver={(e) => {
-              e.preventDefault();
-              handleDragOver(e, index);
-            }}
-            onDragEnd={handleDragEnd}
-            className={`p-4 bg-white border-2 border-gray-200 rounded-lg cursor-move hover:bg-amber-50 transition-all flex items-start gap-3 ${
-              dragging === index ? 'opacity-50 bg-amber-100' : ''
-            }`}
-          >
-            <GripVertical className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" />
-            <div className="flex-1">
-              <div className="font-semibold text-gray-700">Step {index + 1}</div>
-              <p className="text-gray-900">{step.text}</p>
-            </div>
-          </div>
-        ))}
-      </div>
+      <ol aria-label="Steps in your order" className="bg-white p-6 rounded-lg shadow-sm space-y-2">
+        {steps.map((step, index) => {
+          const placedRight = submitted && correctOrder[index] === step.originalIndex;
+          const isHeld = held?.stepId === step.originalIndex;
+          return (
+            <li
+              key={step.originalIndex}
+              draggable={!submitted}
+              onDragStart={(e) => handleDragStart(e, index)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                handleDragOver(e, index);
+              }}
+              onDragEnd={handleDragEnd}
+              className={`bg-white border-2 rounded-lg cursor-move hover:bg-amber-50 transition-all ${
+                dragging === index ? 'opacity-50 bg-amber-100' : ''
+              } ${isHeld ? 'ring-4 ring-amber-400' : ''} ${!submitted ? 'border-gray-200' : placedRight ? 'border-green-400' : 'border-red-300'}`}
+            >
+              <button
+                type="button"
+                ref={(el) => { stepRefs.current[step.originalIndex] = el; }}
+                onKeyDown={(e) => handleStepKeyDown(e, index)}
+                aria-pressed={isHeld}
+                aria-describedby={instructionsId}
+                aria-disabled={submitted}
+                className="w-full p-4 flex items-start gap-3 text-left rounded-lg focus:outline-none focus-visible:ring-4 focus-visible:ring-blue-400"
+              >
+                <GripVertical className="w-5 h-5 text-gray-400 flex-shrink-0 mt-0.5" aria-hidden="true" />
+                <div className="flex-1">
+                  <div className="font-semibold text-gray-700">Step {index + 1}</div>
+                  <p className="text-gray-900"><MathText text={step.text} /></p>
+                </div>
+                {submitted && (placedRight
+                  ? <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" aria-label="In the right place" />
+                  : <XCircle className="w-5 h-5 text-red-500 flex-shrink-0" aria-label="Not in the right place" />)}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+
+      <LiveRegion message={announcement} />
 
       {/* Submit Button */}
       {!submitted && (
@@ -111,7 +216,10 @@ export function StepOrderTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            {!feedback.isCorrect && <p className="text-sm mt-1">{feedback.summary}</p>}
+          </div>
         </div>
       )}
     </div>
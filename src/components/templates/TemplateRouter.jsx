@@ -19,14 +19,29 @@
  * - MULTI_STEP_WORD
  * - SIMULATION
  * - SHORT_EXPLAIN
- * - TRANSFER_MINI (NEW)
+ * - TRANSFER_MINI
  * - DRAG_DROP_MATCH (NEW)
- * - GRAPH_PLOT (NEW)
+ * - GRAPH_PLOT
  * - TWO_TIER
  */
 
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { AlertCircle } from 'lucide-react';
+import { getTemplate } from '../../config/templateRegistry';
+import { buildHintLadder, getAvailableHints, summarizeHintUsage } from '../../services/hintService';
+import {
+  RECOVERY_PHASES,
+  getMaxAttempts,
+  getAttemptFeedback,
+  shouldRetry,
+  buildRecoveryResult
+} from '../../services/recoveryService';
+import { summarizeConfidence } from '../../services/confidenceCalibration';
+import { TELEMETRY_EVENTS } from '../../services/templateTelemetry';
+import { useTemplateTelemetry } from '../../hooks/useTemplateTelemetry';
+import { HintLadder } from './HintLadder';
+import { ConfidencePrompt } from './ConfidencePrompt';
+import { RecoveryFeedback } from './RecoveryFeedback';
 
 // Import all template components
 import { MCQTemplate } from './MCQTemplate';
@@ -44,6 +59,8 @@ import { GeometryTapTemplate } from './GeometryTapTemplate';
 import { MultiStepWordTemplate } from './MultiStepWordTemplate';
 import { SimulationTemplate } from './SimulationTemplate';
 import { ShortExplainTemplate } from './ShortExplainTemplate';
+import { GraphPlotTemplate } from './GraphPlotTemplate';
+import { TransferMiniTemplate } from './TransferMiniTemplate';
 
 /**
  * Template Registry
@@ -65,7 +82,7 @@ const TEMPLATE_REGISTRY = {
   // Spatial/visual
   'NUMBER_LINE_PLACE': NumberLineTemplate,
   'GEOMETRY_TAP': GeometryTapTemplate,
-  'GRAPH_PLOT': NumberLineTemplate, // Reuse NumberLineTemplate for graphs
+  'GRAPH_PLOT': GraphPlotTemplate,
   
   // Classification
   'CLASSIFY_SORT': ClassifySortTemplate,
@@ -89,7 +106,7 @@ const TEMPLATE_REGISTRY = {
   
   // Reflection
   'SHORT_EXPLAIN': ShortExplainTemplate,
-  'TRANSFER_MINI': ShortExplainTemplate // Reuse ShortExplainTemplate
+  'TRANSFER_MINI': TransferMiniTemplate
 };
 
 /**
@@ -97,17 +114,167 @@ const TEMPLATE_REGISTRY = {
  * 
  * Props:
  * - question: Question object with templateId and template-specific data
- * - onSubmit: Callback when answer is submitted
+ * - onSubmit: Callback when answer is submitted (templates receive it as onAnswer)
  * - isSubmitting: Loading state
  * - readOnly: Disable input (for review)
+ * - onTelemetry: Sink for interaction events (NinjaContext buffer); none = not recorded
+ *
+ * Templates whose registry entry supports hints get a hint ladder; the hints
+ * opened for a question are added to its result (hintsUsed, hintLevels,
+ * hintTimings, hintCredit).
+ *
+ * The router also runs the attempt lifecycle (recoveryService): a wrong
+ * answer shows targeted feedback and a scaffold, the template is remounted
+ * for another attempt, and the worked solution follows the last one. Only
+ * the combined result reaches onSubmit (isRecovered, attempts,
+ * recoveryVelocity, attemptHistory). Templates are told not to reveal the
+ * answer while attempts remain.
+ *
+ * When the mission turns it on (question.confidencePrompt), a 1-5 "how sure
+ * are you?" rating is offered until the first answer is checked and added to
+ * the result (confidence, confidenceRatedAtMs).
+ *
+ * Interaction events (useTemplateTelemetry) are emitted here for every
+ * template: item_viewed, first_action, attempt_submitted, feedback_shown,
+ * hint_used, retry and confidence_rated. Templates get `onEvent` for their
+ * own optional events (drag_drop, undo, step_added). Each item's events are
+ * checked against its template's contract when it is finished.
  */
-export function TemplateRouter({ question, onSubmit, isSubmitting = false, readOnly = false }) {
+export function TemplateRouter({ question, onSubmit, isSubmitting = false, readOnly = false, onTelemetry = null }) {
   // Get template component
   const TemplateComponent = useMemo(() => {
     if (!question?.templateId) return null;
     return TEMPLATE_REGISTRY[question.templateId] || null;
   }, [question?.templateId]);
 
+  // Hint ladder for this question (capped by the atom's mastery profile)
+  const questionKey = question?.questionId || question?.itemId || question?.id || null;
+  const { hints, limitReason } = useMemo(() => {
+    if (!question || !getTemplate(question.templateId)?.supportsHints) return { hints: [], limitReason: null };
+    const available = getAvailableHints(question);
+    const capped = available.length < buildHintLadder(question).length;
+    return {
+      hints: available,
+      limitReason: capped ? `Only ${available.length} hint${available.length === 1 ? '' : 's'} allowed for this skill.` : null
+    };
+  }, [question]);
+
+  const telemetry = useTemplateTelemetry(question, { onEvent: onTelemetry, enabled: !readOnly });
+
+  // Revealed hints and submit state belong to one question
+  const [hintState, setHintState] = useState({ key: questionKey, revealed: [], submitted: false });
+  const currentHints = hintState.key === questionKey ? hintState : { key: questionKey, revealed: [], submitted: false };
+
+  const handleReveal = (hint) => {
+    setHintState({ ...currentHints, revealed: [...currentHints.revealed, hint] });
+    telemetry.emit(TELEMETRY_EVENTS.HINT_USED, { hint_level: hint.level, hint_index: hint.index });
+  };
+
+  // Self-rated confidence, taken before the first answer is checked
+  const [confidenceState, setConfidenceState] = useState({ key: questionKey, rating: null });
+  const currentConfidence = confidenceState.key === questionKey ? confidenceState.rating : null;
+
+  const handleRate = (rating) => {
+    setConfidenceState({ key: questionKey, rating });
+    telemetry.emit(TELEMETRY_EVENTS.CONFIDENCE_RATED, { confidence_1_to_5: rating.rating });
+  };
+
+  // Attempt lifecycle (TRANSFER_MINI opts out: its inner router recovers)
+  const recoveryEnabled = !readOnly && getTemplate(question?.templateId)?.supportsRecovery !== false;
+  const maxAttempts = getMaxAttempts(question || {});
+  const initialAttempts = { key: questionKey, attempts: [], phase: RECOVERY_PHASES.ATTEMPT, feedback: null, scaffold: null };
+  const [attemptState, setAttemptState] = useState(initialAttempts);
+  const currentAttempts = attemptState.key === questionKey ? attemptState : initialAttempts;
+
+  // Attempt times are measured from when the question appeared
+  const shownAt = useRef(0);
+  useEffect(() => {
+    shownAt.current = performance.now();
+  }, [questionKey]);
+
+  const feedbackShown = (feedbackType, result) => {
+    telemetry.emit(TELEMETRY_EVENTS.FEEDBACK_SHOWN, {
+      feedback_type: feedbackType,
+      misconception_id: result.misconceptionIds?.[0] || result.diagnosticTag || null
+    });
+  };
+
+  const finish = (result) => {
+    setHintState({ ...currentHints, submitted: true });
+
+    // A contract miss goes into the event stream, not the console
+    const contract = telemetry.checkContract();
+    if (!contract.ok) {
+      telemetry.emit(TELEMETRY_EVENTS.CONTRACT_VIOLATION, {
+        missing_events: contract.missing,
+        undeclared_events: contract.undeclared
+      });
+    }
+    const { timeToFirstActionMs } = telemetry.summarize();
+
+    return onSubmit?.({
+      ...result,
+      ...(timeToFirstActionMs !== null && { timeToFirstActionMs }),
+      ...(hints.length > 0 && summarizeHintUsage(currentHints.revealed)),
+      ...(question.confidencePrompt && summarizeConfidence(currentConfidence))
+    });
+  };
+
+  const handleSubmit = (result) => {
+    const submittedAtMs = Math.round(performance.now() - shownAt.current);
+    telemetry.emit(TELEMETRY_EVENTS.ATTEMPT_SUBMITTED, {
+      attempt_id: currentAttempts.attempts.length + 1,
+      // JSON text: Firestore rejects nested arrays (e.g. plotted points)
+      response: JSON.stringify(result.response ?? result.choice ?? null),
+      is_correct: !!result.isCorrect,
+      time_on_task_ms: submittedAtMs,
+      hints_used: currentHints.revealed.length,
+      steps_used: result.telemetry?.stepsUsed ?? null
+    });
+
+    if (!recoveryEnabled) {
+      feedbackShown('result', result);
+      return finish(result);
+    }
+
+    const attempts = [...currentAttempts.attempts, { result, submittedAtMs }];
+    const attempt = attempts.length;
+
+    if (shouldRetry(result, attempt, maxAttempts)) {
+      const { feedback, scaffold } = getAttemptFeedback(question, result, attempt);
+      setAttemptState({
+        ...currentAttempts,
+        attempts,
+        phase: RECOVERY_PHASES.FEEDBACK,
+        // The template already shows its own feedback line
+        feedback: feedback === result.feedback ? null : feedback,
+        scaffold
+      });
+      feedbackShown('attempt_feedback', result);
+      return undefined;
+    }
+
+    if (!result.isCorrect && !result.needsReview && question.workedSolution) {
+      setAttemptState({ ...currentAttempts, attempts, phase: RECOVERY_PHASES.WORKED_SOLUTION });
+      feedbackShown('worked_solution', result);
+      return undefined;
+    }
+
+    setAttemptState({ ...currentAttempts, attempts });
+    feedbackShown('result', result);
+    return finish(buildRecoveryResult(attempts, question));
+  };
+
+  const handleRetry = () => {
+    setAttemptState({ ...currentAttempts, phase: RECOVERY_PHASES.ATTEMPT, feedback: null, scaffold: null });
+    telemetry.emit(TELEMETRY_EVENTS.RETRY, { attempt_id: currentAttempts.attempts.length + 1 });
+  };
+
+  const handleContinue = () => {
+    setAttemptState({ ...currentAttempts, phase: RECOVERY_PHASES.ATTEMPT });
+    return finish(buildRecoveryResult(currentAttempts.attempts, question));
+  };
+
   // Debug info
   const templateInfo = useMemo(() => {
     return {
@@ -149,14 +316,54 @@ export function TemplateRouter({ question, onSubmit, isSubmitting = false, readO
     );
   }
 
-  // Render template component
+  // Render template component (the first pointer, key or input event anywhere is first_action)
   return (
-    <TemplateComponent
-      question={question}
-      onSubmit={onSubmit}
-      isSubmitting={isSubmitting}
-      readOnly={readOnly}
-    />
+    <div
+      onPointerDownCapture={telemetry.markAction}
+      onKeyDownCapture={telemetry.markAction}
+      onChangeCapture={telemetry.markAction}
+    >
+      {!readOnly && (
+        <HintLadder
+          key={questionKey}
+          hints={hints}
+          limitReason={limitReason}
+          onReveal={handleReveal}
+          disabled={isSubmitting || currentHints.submitted || currentAttempts.phase !== RECOVERY_PHASES.ATTEMPT}
+        />
+      )}
+      {!readOnly && question.confidencePrompt && (
+        <ConfidencePrompt
+          key={questionKey}
+          value={currentConfidence?.rating ?? null}
+          onRate={handleRate}
+          disabled={isSubmitting || currentHints.submitted || currentAttempts.attempts.length > 0}
+        />
+      )}
+      <TemplateComponent
+        key={`${questionKey}:${currentAttempts.attempts.length}`}
+        question={question}
+        onSubmit={handleSubmit}
+        onAnswer={handleSubmit}
+        onEvent={telemetry.emit}
+        isSubmitting={isSubmitting}
+        readOnly={readOnly}
+        revealAnswer={!recoveryEnabled}
+      />
+      {recoveryEnabled && (
+        <RecoveryFeedback
+          phase={currentAttempts.phase}
+          attempt={currentAttempts.attempts.length}
+          maxAttempts={maxAttempts}
+          feedback={currentAttempts.feedback}
+          scaffold={currentAttempts.scaffold}
+          workedSolution={question.workedSolution}
+          onRetry={handleRetry}
+          onContinue={handleContinue}
+          disabled={isSubmitting || currentHints.submitted}
+        />
+      )}
+    </div>
   );
 }
 
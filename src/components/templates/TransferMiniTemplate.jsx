@@ -0,0 +1,54 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { TemplateRouter, isTemplateSupported } from './TemplateRouter';
+import { ShortExplainTemplate } from './ShortExplainTemplate';
+
+/**
+ * TRANSFER_MINI Template
+ * Same concept, different wrapper
+ * Best for: retention, generalization, new contexts
+ *
+ * Wraps the item's transfer question (built by transferService) and renders
+ * it with its own template. Results are tagged as transfer outcomes so they
+ * are logged apart from ordinary practice. Slots without a queued transfer
+ * item fall back to a short explanation.
+ */
+export function TransferMiniTemplate({ question, onAnswer, isSubmitting, readOnly }) {
+  const transfer = question.transfer;
+  const hasInner = !!transfer?.question &&
+    transfer.question.templateId !== question.templateId &&
+    isTemplateSupported(transfer.question.templateId);
+
+  if (!hasInner) {
+    return <ShortExplainTemplate question={question} onAnswer={onAnswer} isSubmitting={isSubmitting} />;
+  }
+
+  const handleAnswer = (result) => {
+    onAnswer({
+      ...result,
+      isTransfer: true,
+      transferSourceItemId: transfer.sourceItemId,
+      innerTemplateId: transfer.innerTemplateId
+    });
+  };
+
+  return (
+    <div className="w-full max-w-2xl mx-auto space-y-4">
+      {/* Context banner */}
+      <div className="flex items-center gap-3 p-4 bg-gradient-to-r from-violet-100 to-fuchsia-100 border-l-4 border-violet-500 rounded-lg">
+        <Repeat className="w-5 h-5 text-violet-700 flex-shrink-0" />
+        <div>
+          <p className="text-sm font-bold text-violet-900">New context</p>
+          <p className="text-xs text-violet-700">You've got this idea already. Can you use it somewhere new?</p>
+        </div>
+      </div>
+
+      <TemplateRouter
+        question={transfer.question}
+        onSubmit={handleAnswer}
+        isSubmitting={isSubmitting}
+        readOnly={readOnly}
+      />
+    </div>
+  );
+}
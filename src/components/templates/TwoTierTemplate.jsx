@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { MathText, MathFormula } from './MathText';
 
 /**
  * REDESIGNED TwoTierTemplate
@@ -9,7 +11,7 @@ import { CheckCircle2, XCircle, Lightbulb } from 'lucide-react';
  * - Focus on one thing at a time
  * - Encouraging feedback
  */
-export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
+export function TwoTierTemplate({ question, onAnswer, isSubmitting, revealAnswer = true }) {
   const [tier1Answer, setTier1Answer] = useState(null);
   const [tier2Answer, setTier2Answer] = useState('');
   const [submitted, setSubmitted] = useState(false);
@@ -24,12 +26,15 @@ export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
   const handleSubmit = async () => {
     if (tier1Answer === null || tier2Answer.trim() === '') return;
 
-    const isCorrect = tier1Answer === correctTier1;
+    const response = { tier1Answer, tier2Explanation: tier2Answer };
+    const { isCorrect, score } = scoreResponse(question, response);
 
     const result = {
       isCorrect,
+      score,
       tier1Answer,
       tier2Explanation: tier2Answer,
+      response,
       feedback: isCorrect
         ? question.feedbackMap?.onCorrect || 'Excellent! Your reasoning is spot on!'
         : question.feedbackMap?.onIncorrectAttempt1 || 'Great thinking! Let\'s explore this more.',
@@ -45,8 +50,11 @@ export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
       {/* ========== MAIN QUESTION (HERO) ========== */}
       <div className="space-y-4">
         <h2 className="text-2xl md:text-3xl font-bold text-gray-900 leading-tight">
-          {mainPrompt}
+          <MathText text={mainPrompt} />
         </h2>
+        {question.content?.prompt?.latex && (
+          <MathFormula latex={question.content.prompt.latex} className="text-xl text-gray-800" />
+        )}
         {instruction && (
           <p className="text-base text-gray-600 leading-relaxed">
             {instruction}
@@ -87,7 +95,7 @@ export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
                     <div className="w-2 h-2 bg-white rounded-full" />
                   )}
                 </div>
-                <span>{option.text}</span>
+                <span><MathText text={option.text} /></span>
               </div>
             </button>
           ))}
@@ -155,11 +163,11 @@ export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
                 feedback.isCorrect ? 'text-green-900' : 'text-blue-900'
               }`}
             >
-              {feedback.feedback}
+              <MathText text={feedback.feedback} />
             </p>
-            {!feedback.isCorrect && (
+            {!feedback.isCorrect && revealAnswer && (
               <p className="text-sm text-blue-700 mt-2">
-                The correct answer is: <strong>{tier1Options[correctTier1]?.text}</strong>
+                The correct answer is: <strong><MathText text={tier1Options[correctTier1]?.text} /></strong>
               </p>
             )}
           </div>
@@ -172,7 +180,7 @@ export function TwoTierTemplate({ question, onAnswer, isSubmitting }) {
           <h4 className="font-bold text-gray-900">Your Response:</h4>
           <div>
             <p className="text-xs font-semibold text-gray-600 uppercase tracking-wide mb-1">Answer</p>
-            <p className="text-gray-700 font-semibold">{tier1Options[tier1Answer]?.text}</p>
+            <p className="text-gray-700 font-semibold"><MathText text={tier1Options[tier1Answer]?.text} /></p>
           </div>
           <div>
             <p className="text-xs font-semibold text-gray-600 uppercase tracking-wide mb-1">Explanation</p>
@@ -1,32 +1,55 @@
 import React, { useState } from 'react';
 import { CheckCircle, XCircle } from 'lucide-react';
+import { scoreResponse } from '../../services/scoringEngine';
+import { isPredictMode } from '../../services/stepPrediction';
+import { PredictNextStepExample } from './PredictNextStepExample';
+import { MathText } from './MathText';
 
 /**
  * WORKED_EXAMPLE_COMPLETE Template
  * Complete worked example by filling blanks
  * Best for: scaffolded learning, procedures
+ *
+ * Partial credit: blanks weigh equally; numeric blanks accept equivalent
+ * values ("3/1" for 3).
+ *
+ * Items with interaction.config.mode 'predict_next_step' render the
+ * predict-the-next-step example instead (see PredictNextStepExample).
  */
-export function WorkedExampleTemplate({ question, onAnswer, isSubmitting }) {
+export function WorkedExampleTemplate(props) {
+  return isPredictMode(props.question) ? <PredictNextStepExample {...props} /> : <FillBlanksExample {...props} />;
+}
+
+function FillBlanksExample({ question, onAnswer, isSubmitting }) {
   const [blanks, setBlanks] = useState({});
   const [submitted, setSubmitted] = useState(false);
   const [feedback, setFeedback] = useState(null);
 
   const steps = question.interaction?.config?.steps || [];
-  const correctAnswers = question.answerKey?.blankAnswers || {};
+
+  // Authored blanks carry ids; older items number them by position
+  const blankId = (step, stepIdx, blankIdx) => step.blanks?.[blankIdx]?.id ?? `step${stepIdx}_blank${blankIdx}`;
 
   const handleBlankChange = (blankId, value) => {
     setBlanks({ ...blanks, [blankId]: value });
   };
 
   const handleSubmit = () => {
-    const isCorrect = validateBlanks(blanks, correctAnswers);
+    const response = { blanks };
+    const { details: scored } = scoreResponse(question, response);
 
     const result = {
-      isCorrect,
+      isCorrect: scored.isCorrect,
       blanks,
-      feedback: isCorrect
+      response,
+      score: scored.score,
+      elementResults: scored.elements,
+      misconceptionIds: scored.misconceptionIds,
+      diagnosticTag: scored.diagnosticTag,
+      feedback: scored.isCorrect
         ? question.feedbackMap?.onCorrect || '✓ Perfect completion!'
         : question.feedbackMap?.onIncorrectAttempt1 || '✗ Check your answers.',
+      summary: `${scored.correctCount} of ${scored.totalCount} blanks correct`
     };
 
     setFeedback(result);
@@ -34,17 +57,11 @@ export function WorkedExampleTemplate({ question, onAnswer, isSubmitting }) {
     onAnswer(result);
   };
 
-  function validateBlanks(filled, correct) {
-    return Object.entries(correct).every(([id, val]) =>
-      filled[id]?.toLowerCase() === val.toLowerCase()
-    );
-  }
-
   return (
     <div className="w-full max-w-2xl mx-auto space-y-6 p-6 bg-gradient-to-br from-cyan-50 to-blue-50 rounded-lg">
       <div className="bg-white p-6 rounded-lg shadow-sm border-l-4 border-cyan-500">
         <h2 className="text-xl font-bold text-gray-900 mb-2">
-          {question.content?.prompt?.text}
+          <MathText text={question.content?.prompt?.text} />
         </h2>
         <p className="text-sm text-gray-600 mt-3">Fill in the blanks to complete the solution:</p>
       </div>
@@ -53,17 +70,21 @@ export function WorkedExampleTemplate({ question, onAnswer, isSubmitting }) {
         {steps.map((step, idx) => (
           <div key={idx} className="border-l-4 border-cyan-300 pl-4">
             <p className="text-sm text-gray-700 font-mono leading-relaxed">
-              {step.text.split('___').map((part, i) => (
+              {step.text.split(/_{3,}/).map((part, i, parts) => (
                 <React.Fragment key={i}>
-                  {part}
-                  {i < step.text.split('___').length - 1 && (
+                  <MathText text={part} />
+                  {i < parts.length - 1 && (
                     <input
                       type="text"
-                      value={blanks[`step${idx}_blank${i}`] || ''}
-                      onChange={(e) => handleBlankChange(`step${idx}_blank${i}`, e.target.value)}
+                      value={blanks[blankId(step, idx, i)] || ''}
+                      onChange={(e) => handleBlankChange(blankId(step, idx, i), e.target.value)}
                       disabled={submitted}
-                      className="inline-block w-12 px-1 border-b-2 border-cyan-400 focus:border-cyan-600 outline-none bg-cyan-50 text-center"
-                      placeholder="___"
+                      className={`inline-block w-12 px-1 border-b-2 focus:border-cyan-600 outline-none text-center ${
+                        !submitted ? 'border-cyan-400 bg-cyan-50'
+                          : feedback?.elementResults?.find(e => e.id === blankId(step, idx, i))?.isCorrect
+                            ? 'border-green-500 bg-green-50' : 'border-red-400 bg-red-50'
+                      }`}
+                      placeholder={step.blanks?.[i]?.placeholder || '___'}
                     />
                   )}
                 </React.Fragment>
@@ -96,7 +117,10 @@ export function WorkedExampleTemplate({ question, onAnswer, isSubmitting }) {
           ) : (
             <XCircle className="w-5 h-5 flex-shrink-0" />
           )}
-          <p>{feedback.feedback}</p>
+          <div>
+            <p><MathText text={feedback.feedback} /></p>
+            {!feedback.isCorrect && <p className="text-sm mt-1">{feedback.summary}</p>}
+          </div>
         </div>
       )}
     </div>
@@ -1,3 +1,7 @@
+// Components used by getTemplateComponentLegacy below
+import { GraphPlotTemplate } from './GraphPlotTemplate';
+import { TransferMiniTemplate } from './TransferMiniTemplate';
+
 // Export all template components
 export { MCQTemplate } from './MCQTemplate';
 export { NumericInputTemplate } from './NumericInputTemplate';
@@ -14,6 +18,8 @@ export { GeometryTapTemplate } from './GeometryTapTemplate';
 export { MultiStepWordTemplate } from './MultiStepWordTemplate';
 export { SimulationTemplate } from './SimulationTemplate';
 export { ShortExplainTemplate } from './ShortExplainTemplate';
+export { GraphPlotTemplate } from './GraphPlotTemplate';
+export { TransferMiniTemplate } from './TransferMiniTemplate';
 
 // Export router and utilities
 export {
@@ -43,7 +49,7 @@ export function getTemplateComponentLegacy(templateId) {
     'ERROR_ANALYSIS': ErrorAnalysisTemplate,
     'CLASSIFY_SORT': ClassifySortTemplate,
     'NUMBER_LINE_PLACE': NumberLineTemplate,
-    'GRAPH_PLOT': NumberLineTemplate,
+    'GRAPH_PLOT': GraphPlotTemplate,
     'MATCHING': MatchingTemplate,
     'DRAG_DROP_MATCH': MatchingTemplate,
     'BALANCE_OPS': BalanceOpsTemplate,
@@ -52,7 +58,7 @@ export function getTemplateComponentLegacy(templateId) {
     'MULTI_STEP_WORD': MultiStepWordTemplate,
     'SIMULATION': SimulationTemplate,
     'SHORT_EXPLAIN': ShortExplainTemplate,
-    'TRANSFER_MINI': ShortExplainTemplate
+    'TRANSFER_MINI': TransferMiniTemplate
   };
   return templates[templateId] || null;
 }
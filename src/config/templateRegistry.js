@@ -3,6 +3,36 @@
  * Maps template IDs to their configurations, UI components, and metadata
  */
 
+/**
+ * ACCESSIBILITY CONTRACT
+ *
+ * Every template component must meet these rules:
+ *
+ * - Operable by keyboard alone: everything a pointer can do has a key path,
+ *   described by the template's keyboardModel (below)
+ * - Interactive parts are native controls (button, input, select) or carry an
+ *   ARIA role, with an accessible name that states their current value
+ * - Changes a sighted student sees happen (pick up, move, drop, place) are
+ *   announced through a polite live region (templates/LiveRegion)
+ * - Focus stays on the element being moved, and is never lost on re-render
+ * - Correct/incorrect results are given in text or a label, not colour alone
+ *
+ * Shared key handling lives in services/keyboardInteraction.
+ *
+ * KEYBOARD_MODELS: the key path for each template's keyboardModel field
+ */
+export const KEYBOARD_MODELS = {
+  choice: 'Tab to an option and press Space or Enter to choose it',
+  text_entry: 'Type the answer; Enter submits',
+  pick_up_drop: 'Space picks an item up, arrow keys choose where it goes, Space drops it, Escape cancels',
+  reorder: 'Space picks a step up, arrow keys (Home/End) move it, Space drops it, Escape restores the order',
+  numeric_placement: 'Type the position of each item and press Enter to place it',
+  typed_point: 'Type a point as (x, y) and press Enter to add it',
+  tap_targets: 'Tab to a target and press Space or Enter to select it',
+  // TRANSFER_MINI wraps another template
+  inherited: 'Follows the keyboard model of the wrapped template'
+};
+
 export const TEMPLATE_REGISTRY = {
   MCQ_CONCEPT: {
     id: 'MCQ_CONCEPT',
@@ -14,7 +44,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'choice',
     scoringModel: 'exact',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: true,
+    keyboardModel: 'choice',
     difficulty: 'Easy to Hard',
     timeEstimate: '2-3 min',
     example: {
@@ -34,7 +66,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'choice',
     scoringModel: 'exact',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'choice',
     difficulty: 'Medium',
     timeEstimate: '3-4 min',
     example: {
@@ -60,7 +94,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'number',
     scoringModel: 'exact',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: true,
+    keyboardModel: 'text_entry',
     difficulty: 'Easy to Hard',
     timeEstimate: '1-2 min',
     example: {
@@ -80,7 +116,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'math_input',
     scoringModel: 'equivalence',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'text_entry',
     difficulty: 'Hard',
     timeEstimate: '2-3 min',
     example: {
@@ -99,7 +137,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'fill',
     scoringModel: 'exact',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'text_entry',
     difficulty: 'Medium',
     timeEstimate: '3-5 min',
     example: {
@@ -122,7 +162,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'drag',
     scoringModel: 'order',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'reorder',
     difficulty: 'Medium',
     timeEstimate: '3-4 min',
     example: {
@@ -147,7 +189,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'select+explain',
     scoringModel: 'rubric_lite',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'choice',
     difficulty: 'Hard',
     timeEstimate: '4-5 min',
     example: {
@@ -171,7 +215,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'drag',
     scoringModel: 'set_membership',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'pick_up_drop',
     difficulty: 'Medium',
     timeEstimate: '3-4 min',
     example: {
@@ -192,7 +238,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'drag',
     scoringModel: 'tolerance',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'numeric_placement',
     difficulty: 'Easy to Medium',
     timeEstimate: '2-3 min',
     example: {
@@ -203,6 +251,32 @@ export const TEMPLATE_REGISTRY = {
     }
   },
 
+  GRAPH_PLOT: {
+    id: 'GRAPH_PLOT',
+    name: 'Plot on Grid',
+    description: 'Plot points, draw segments or read values on a coordinate plane',
+    icon: '📈',
+    category: 'Representation',
+    bestFor: ['coordinate plane', 'data handling', 'functions foundations'],
+    uiInputMode: 'tap',
+    scoringModel: 'tolerance',
+    supportsHints: true,
+    supportsRecovery: true,
+    supportsTimer: false,
+    keyboardModel: 'typed_point',
+    difficulty: 'Medium',
+    timeEstimate: '2-4 min',
+    example: {
+      prompt: 'Plot the point (2, -3)',
+      config: {
+        axes: { x_min: -5, x_max: 5, y_min: -5, y_max: 5, grid_step: 1, snap: 1 },
+        mode: 'plot_points',
+        max_points: 1
+      },
+      answerKey: { points: [[2, -3]], tolerance: 0.25 }
+    }
+  },
+
   MATCHING: {
     id: 'MATCHING',
     name: 'Matching Pairs',
@@ -213,7 +287,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'match',
     scoringModel: 'set_membership',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: true,
+    keyboardModel: 'pick_up_drop',
     difficulty: 'Medium',
     timeEstimate: '3-4 min',
     example: {
@@ -234,7 +310,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'tap',
     scoringModel: 'process',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'tap_targets',
     difficulty: 'Hard',
     timeEstimate: '4-6 min',
     example: {
@@ -255,14 +333,24 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'tap',
     scoringModel: 'set_membership',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'tap_targets',
     difficulty: 'Medium',
     timeEstimate: '2-3 min',
     example: {
       prompt: 'Tap on the hypotenuse',
-      diagramType: 'right_triangle',
-      tappableRegions: ['side1', 'side2', 'hypotenuse'],
-      correctRegions: ['hypotenuse']
+      diagram: {
+        points: { A: [60, 200], B: [240, 200], C: [60, 60] },
+        segments: [
+          { id: 'side1', from: 'A', to: 'B' },
+          { id: 'side2', from: 'A', to: 'C' },
+          { id: 'hypotenuse', from: 'B', to: 'C' }
+        ],
+        angles: [{ id: 'right', vertex: 'A', from: 'B', to: 'C', right: true }],
+        tappable: ['side1', 'side2', 'hypotenuse']
+      },
+      correctIds: ['hypotenuse']
     }
   },
 
@@ -276,7 +364,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'multi_part',
     scoringModel: 'process+exact',
     supportsHints: false,
+    supportsRecovery: true,
     supportsTimer: true,
+    keyboardModel: 'text_entry',
     difficulty: 'Hard',
     timeEstimate: '5-8 min',
     example: {
@@ -298,7 +388,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'varies',
     scoringModel: 'exact',
     supportsHints: false,
+    supportsRecovery: false,
     supportsTimer: true,
+    keyboardModel: 'inherited',
     difficulty: 'Medium to Hard',
     timeEstimate: '2-3 min',
     example: {
@@ -317,13 +409,21 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'interact',
     scoringModel: 'set_membership',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: false,
+    keyboardModel: 'tap_targets',
     difficulty: 'Medium',
     timeEstimate: '4-5 min',
     example: {
       prompt: 'Simulate 100 coin flips. How many heads?',
-      simulationType: 'coin_flip',
-      trials: 100
+      config: {
+        simulation: { type: 'coin' },
+        event: { outcomes: ['Heads'] },
+        answerMode: 'count',
+        countTrials: 100,
+        seed: 'coin-demo'
+      },
+      answerKey: { tolerance: 0.1 }
     }
   },
 
@@ -337,7 +437,9 @@ export const TEMPLATE_REGISTRY = {
     uiInputMode: 'short_text',
     scoringModel: 'rubric_lite',
     supportsHints: true,
+    supportsRecovery: true,
     supportsTimer: true,
+    keyboardModel: 'text_entry',
     difficulty: 'Hard',
     timeEstimate: '2-3 min',
     example: {
@@ -362,6 +464,14 @@ export function getTemplate(templateId) {
   return TEMPLATE_REGISTRY[templateId];
 }
 
+/**
+ * Keyboard model of a template (see ACCESSIBILITY CONTRACT above)
+ */
+export function getKeyboardModel(templateId) {
+  const model = TEMPLATE_REGISTRY[templateId]?.keyboardModel;
+  return model ? { id: model, description: KEYBOARD_MODELS[model] } : null;
+}
+
 /**
  * Get templates by category
  */
@@ -2,6 +2,8 @@ import React, { createContext, useContext, useState, useEffect, useRef } from 'r
 import { db, auth } from '../firebase/config';
 import { doc, getDoc, getDocs, setDoc, updateDoc, collection, writeBatch, serverTimestamp, query, orderBy, limit, addDoc, onSnapshot } from 'firebase/firestore';
 import { nexusDB } from '../services/nexusSync'; //;
+import { loadBktParams } from '../services/masteryService';
+import { mapFieldPath } from '../utils/firestoreKey';
 
 const NinjaContext = createContext();
 
@@ -55,8 +57,16 @@ export function NinjaProvider({ children }) {
      * React state batching causes them to overwrite each other's changes to localBuffer.
      * This Ref provides a synchronous accumulator for logs and points.
      */
-    const bufferRef = useRef({ logs: [], pointsGained: 0 });
-    const [localBuffer, setLocalBuffer] = useState({ logs: [], pointsGained: 0 });
+    const bufferRef = useRef({ logs: [], pointsGained: 0, events: [] });
+    const [localBuffer, setLocalBuffer] = useState({ logs: [], pointsGained: 0, events: [] });
+
+    /**
+     * syncedMasteryRef (Override Guard)
+     * WHY: Teachers (grading overrides) and admins (re-scoring) write mastery on
+     * the student doc. syncToCloud only writes the atoms this client changed
+     * since the last load/sync, so it does not put stale values back.
+     */
+    const syncedMasteryRef = useRef({});
 
     // Handle Authentication & Initial Hydration
     useEffect(() => {
@@ -65,6 +75,8 @@ export function NinjaProvider({ children }) {
             setUser(user);
             if (user) {
                 console.log('👤 User UID:', user.uid);
+                // Fitted mastery-model parameters (defaults until loaded)
+                loadBktParams();
                 // Priority 1: Check Local Storage for interrupted session (Zero Cost Read)
                 const localSession = localStorage.getItem(`ninja_session_${user.uid}`);
 
@@ -74,7 +86,9 @@ export function NinjaProvider({ children }) {
                     setNinjaStats(data.stats);
                     setLocalBuffer(data.buffer);
                     // Sync the synchronous ref with the recovered session
-                    bufferRef.current = data.buffer;
+                    bufferRef.current = { events: [], ...data.buffer };
+                    // Unknown what the cloud holds: the next sync writes every atom
+                    syncedMasteryRef.current = {};
                     setUserRole(data.role || 'STUDENT'); // Restore role
                 } else {
                     // Priority 2: Fetch from Firestore only if no local scratchpad exists
@@ -84,6 +98,7 @@ export function NinjaProvider({ children }) {
                         console.log('✅ Remote profile loaded successfully');
                         // Sync database status (including COMPLETED status) to local state
                         setNinjaStats(userDoc.data());
+                        syncedMasteryRef.current = { ...(userDoc.data().mastery || {}) };
                         setUserRole(userDoc.data().role || 'STUDENT'); // Get role from DB
                         // Phase 2.2: Fetch the latest 50 logs for analytics
                         fetchSessionLogs(user.uid);
@@ -102,6 +117,7 @@ export function NinjaProvider({ children }) {
                             lastMissionDate: null
                         };
                         await setDoc(doc(db, "students", user.uid), initialStats);
+                        syncedMasteryRef.current = {};
                         setNinjaStats(initialStats);
                     }
                 }
@@ -120,10 +136,13 @@ export function NinjaProvider({ children }) {
      * @param {boolean} isFinal - If true, clears the local storage buffer after sync.
      * @param {Array} overrideLogs - Optional. If provided, uses these logs instead of the buffer
      * to prevent race conditions during rapid state updates.
+     * Buffered template telemetry events ride in the same batch, one
+     * telemetry_events document per question.
      */
     const syncToCloud = async (isFinal = false, overrideLogs = null) => {
         // Use overrideLogs if provided, otherwise fallback to the synchronous Ref
         const logsToSync = overrideLogs || [...bufferRef.current.logs];
+        const eventsToSync = [...(bufferRef.current.events || [])];
 
         console.group('🚀 [syncToCloud] Firestore Transaction Start');
         console.log('Target Logs Count:', logsToSync.length);
@@ -163,22 +182,50 @@ export function NinjaProvider({ children }) {
                 console.log(`[Batch] Queueing Log ${idx + 1}: ${log.questionId}`);
             });
 
+            // Template telemetry: one document per question keeps the write count low
+            const eventsRef = collection(db, "students", auth.currentUser.uid, "telemetry_events");
+            const eventsByQuestion = {};
+            eventsToSync.forEach(event => {
+                const key = event.question_id || event.item_id || 'unknown';
+                (eventsByQuestion[key] = eventsByQuestion[key] || []).push(event);
+            });
+            Object.entries(eventsByQuestion).forEach(([questionId, events]) => {
+                batch.set(doc(eventsRef), {
+                    questionId,
+                    templateId: events[0].template_id,
+                    studentId: auth.currentUser.uid,
+                    events,
+                    timestamp: serverTimestamp()
+                });
+            });
+            console.log(`[Batch] Queueing ${eventsToSync.length} telemetry events`);
+
             // Update global student profile using the latest ref to avoid stale data
+            const { mastery = {}, ...stats } = statsRef.current;
             batch.update(userRef, {
-                ...statsRef.current,
-                powerPoints: statsRef.current.powerPoints,
+                ...stats,
+                powerPoints: stats.powerPoints,
                 lastUpdated: serverTimestamp(),
                 lastSyncTime: serverTimestamp()
             });
 
+            // Mastery: only the atoms changed here, each under its raw atom id
+            const changedMastery = Object.entries(mastery)
+                .filter(([atomId, value]) => syncedMasteryRef.current[atomId] !== value);
+            if (changedMastery.length > 0) {
+                batch.update(userRef, ...changedMastery.flatMap(([atomId, value]) => [mapFieldPath('mastery', atomId), value]));
+            }
+
             console.log('⏳ Committing batch to Firestore...');
             await batch.commit();
 
             console.log('✅ Cloud Persistence Successful!');
+            syncedMasteryRef.current = { ...syncedMasteryRef.current, ...Object.fromEntries(changedMastery) };
 
             // Reset synchronous Ref AND state AFTER successful cloud persistence
-            bufferRef.current = { logs: [], pointsGained: 0 };
-            setLocalBuffer({ logs: [], pointsGained: 0 });
+            // Events emitted while the batch was committing stay buffered
+            bufferRef.current = { logs: [], pointsGained: 0, events: (bufferRef.current.events || []).slice(eventsToSync.length) };
+            setLocalBuffer({ ...bufferRef.current });
             console.log('🗑️ Local buffer and Ref cleared');
 
             if (isFinal) {
@@ -443,6 +490,16 @@ export function NinjaProvider({ children }) {
         }
     };
 
+    /**
+     * bufferTelemetryEvent
+     * Queues one template interaction event (useTemplateTelemetry) for the
+     * next syncToCloud batch. No Firestore write of its own.
+     */
+    const bufferTelemetryEvent = (event) => {
+        if (!auth.currentUser) return;
+        bufferRef.current.events = [...(bufferRef.current.events || []), event];
+    };
+
     /**
      * updateStreak (Phase 2.0)
      * Increments the daily streak if a mission is completed.
@@ -535,6 +592,7 @@ export function NinjaProvider({ children }) {
             updatePower,
             logQuestionResult,
             logQuestionResultLocal,
+            bufferTelemetryEvent,
             updateStreak,
             syncToCloud,
             refreshSessionLogs,
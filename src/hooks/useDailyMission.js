@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { db, auth } from '../firebase/config';
 import { collection, getDocs, doc, updateDoc } from 'firebase/firestore';
 import { useNinja } from '../context/NinjaContext';
+import { updateMastery } from '../services/masteryService';
 
 /**
  * useDailyMission Hook
@@ -128,10 +129,13 @@ export function useDailyMission(devQuestions = null) {
         // We cap it at 60s to prevent outliers from skewing analytics.
         const cappedThinkingTime = Math.min(timeSpent, 60);
 
-        // 1. Mastery Delta Logic
-        const masteryBefore = ninjaStats.mastery[currentQuestion.atom] || 0.5;
-        let masteryChange = isCorrect ? 0.05 : (isRecovered ? 0.02 : -0.05);
-        const masteryAfter = Math.min(0.99, Math.max(0.1, masteryBefore + masteryChange));
+        // 1. Mastery Delta Logic (shared BKT model)
+        const { masteryBefore, masteryAfter } = updateMastery(ninjaStats.mastery?.[currentQuestion.atom], {
+            atomId: currentQuestion.atom,
+            evidenceType: 'recognition', // V1 missions are multiple choice
+            isCorrect,
+            isRecovered
+        });
 
         // 2. Recovery Velocity Logic (Gap #1 Fix)
         // Velocity = (Primary Thinking Time - Recovery Time) / Primary Thinking Time
@@ -191,12 +195,6 @@ export function useDailyMission(devQuestions = null) {
             mode: 'DAILY'
         }, currentIndex);
 
-        // Bayesian Mastery Update Logic (Phase 2.3)
-        // Daily practice moves mastery by 0.05 per success to ensure steady growth
-        const currentAtomMastery = ninjaStats.mastery[currentQuestion.atom] || 0.5;
-
-        const newAtomMastery = Math.min(0.99, Math.max(0.1, currentAtomMastery + masteryChange));
-
         // Calculate gains (Daily mode has higher stakes than diagnostic) and Update Performance Stats
         const gain = isCorrect ? 15 : (isRecovered ? 7 : 0); // Higher stakes for Daily mode
         updatePower(gain);
@@ -205,7 +203,7 @@ export function useDailyMission(devQuestions = null) {
         // For real users, this is an immediate write to ensure state persistence across refreshes.
         if (!isTestUser) {
             await updateDoc(studentRef, {
-                [`mastery.${currentQuestion.atom}`]: newAtomMastery,
+                [`mastery.${currentQuestion.atom}`]: masteryAfter,
                 hurdles: updatedHurdles,
                 consecutiveBossSuccesses: updatedConsecutive
             });
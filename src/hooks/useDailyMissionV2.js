@@ -6,98 +6,134 @@
  * 
  * Features:
  * - 14+ diverse question templates
- * - 5-phase mission structure (14-17 questions)
+ * - 6-phase mission structure (15-18 questions)
  * - Curriculum v2 atom selection
  * - Template metadata enrichment
  * - Full analytics support
+ * - Transfer items unlocked on mastery and logged as TRANSFER outcomes
+ * - Hint usage logged; hints reduce Flow points and mastery gain
+ * - Multi-attempt recovery (TemplateRouter): attempts, recovery velocity and
+ *   per-attempt history logged
+ * - Parameterized variants: seed logged, attempt count kept per item
+ * - Template interaction events buffered by NinjaContext (TemplateRouter
+ *   telemetry), with time to first action on the answer log
+ * - Adaptation rules (assessment guide) run after every answer and rewrite
+ *   the rest of the mission; triggered rules logged as `adaptations`
+ *   (scripted dev scenarios are served as given)
+ * - Spaced review schedule per atom (reviewScheduler) updated after every
+ *   answer and persisted on the student document
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { db, auth } from '../firebase/config';
-import { doc, updateDoc } from 'firebase/firestore';
+import { doc, updateDoc, deleteField, increment } from 'firebase/firestore';
 import { useNinja } from '../context/NinjaContext';
 import dailyMissionService from '../services/dailyMissionService';
 import curriculumV2Service from '../services/curriculumV2Service';
+import { updateMastery } from '../services/masteryService';
+import { createResponseId, enqueueForReview, GRADING_STATUS } from '../services/gradingQueueService';
+import { findTransferToUnlock, recordTransferOutcome, computeTransferLevel, transferKey } from '../services/transferService';
+import { firestoreKey } from '../utils/firestoreKey';
+import { hintCreditFactor } from '../services/hintService';
+import { applyAdaptationRules, createAdaptationState, toAdaptationAnswer } from '../services/adaptationRules';
+import { scheduleReview } from '../services/reviewScheduler';
+
+/**
+ * Generate 14+ slot mission with diverse templates
+ * @returns {Promise<{ mission: Object, curriculum: Object }|null>} null when generation fails
+ */
+async function generateMission(studentId) {
+  try {
+    // Generate 14+ mission using curriculum v2
+    const mission = await dailyMissionService.generateDailyMissionV2(studentId);
+    const curriculum = await curriculumV2Service.loadCurriculumV2();
+
+    console.log('[useDailyMissionV2] Mission generated:', {
+      totalQuestions: mission.questions.length,
+      templates: new Set(mission.questions.map(q => q.templateId)),
+      diversityScore: mission.metadata.diversityScore
+    });
+    return { mission, curriculum };
+  } catch (error) {
+    console.error('[useDailyMissionV2] Error generating mission:', error);
+    return null;
+  }
+}
 
 export function useDailyMissionV2(devQuestions = null) {
   const { ninjaStats, setNinjaStats, logQuestionResultLocal, updatePower, updateStreak, syncToCloud, refreshSessionLogs } = useNinja();
-  const [missionQuestions, setMissionQuestions] = useState([]);
+  // SCENARIO INJECTION: dev mode serves the given questions instead of a generated mission
+  const hasDevQuestions = !!devQuestions?.length;
+  const [missionQuestions, setMissionQuestions] = useState(() => (hasDevQuestions ? devQuestions : []));
   const [currentIndex, setCurrentIndex] = useState(0);
-  const [isLoading, setIsLoading] = useState(true);
+  const [isLoading, setIsLoading] = useState(!hasDevQuestions);
   const [isComplete, setIsComplete] = useState(false);
   const [missionMetadata, setMissionMetadata] = useState(null);
-  const [questionStartTime, setQuestionStartTime] = useState(Date.now());
   const [sessionResults, setSessionResults] = useState({
     correctCount: 0,
     flowGained: 0,
     templatesUsed: new Set(),
     phasesCompleted: new Set()
   });
+  // Answers seen by the adaptation rules this mission
+  const adaptationState = useRef(createAdaptationState());
+  // Curriculum the mission was generated from (adaptation rules read it per answer)
+  const curriculum = useRef(null);
 
-  /**
-   * Generate 14+ slot mission with diverse templates
-   */
-  const generateMission = useCallback(async () => {
-    // SCENARIO INJECTION: Allow dev mode with specific questions
-    if (devQuestions && devQuestions.length > 0) {
-      setMissionQuestions(devQuestions);
-      setIsLoading(false);
-      return;
-    }
-
-    setIsLoading(true);
-    try {
-      const studentId = auth.currentUser?.uid;
-      
-      // Generate 14+ mission using curriculum v2
-      const mission = await dailyMissionService.generateDailyMissionV2(studentId);
-      
-      setMissionQuestions(mission.questions);
-      setMissionMetadata(mission);
-      setQuestionStartTime(Date.now());
-      setIsLoading(false);
+  // Generate mission on mount; state is only set once generation settles
+  useEffect(() => {
+    if (hasDevQuestions || ninjaStats.currentQuest !== 'COMPLETED' || missionQuestions.length > 0) return;
 
-      console.log('[useDailyMissionV2] Mission generated:', {
-        totalQuestions: mission.questions.length,
-        templates: new Set(mission.questions.map(q => q.templateId)),
-        diversityScore: mission.metadata.diversityScore
-      });
-    } catch (error) {
-      console.error('[useDailyMissionV2] Error generating mission:', error);
-      setMissionQuestions([]);
+    generateMission(auth.currentUser?.uid).then(generated => {
+      if (generated) {
+        curriculum.current = generated.curriculum;
+        adaptationState.current = createAdaptationState();
+        setMissionQuestions(generated.mission.questions);
+        setMissionMetadata(generated.mission);
+      }
       setIsLoading(false);
-    }
-  }, [devQuestions]);
-
-  // Generate mission on mount
-  useEffect(() => {
-    if (ninjaStats.currentQuest === 'COMPLETED' && missionQuestions.length === 0) {
-      generateMission();
-    }
-  }, [generateMission, ninjaStats.currentQuest, missionQuestions.length]);
+    });
+  }, [hasDevQuestions, ninjaStats.currentQuest, missionQuestions.length]);
 
   /**
    * Submit answer with curriculum v2 enrichment
+   * @param {Object} responseDetails - Full template result (rubric scores, review flags)
    */
-  const submitDailyAnswer = async (isCorrect, choice, isRecovered, tag, timeSpent, speedRating) => {
+  const submitDailyAnswer = async (isCorrect, choice, isRecovered, tag, timeSpent, speedRating, responseDetails = {}) => {
     if (!auth.currentUser) return;
     
     const currentQuestion = missionQuestions[currentIndex];
     const studentRef = doc(db, 'students', auth.currentUser.uid);
     const isTestUser = auth.currentUser?.uid.includes('test_user');
 
-    // Calculate mastery delta
-    const masteryBefore = ninjaStats.mastery?.[currentQuestion.atomId] || 0.5;
-    let masteryChange = isCorrect ? 0.05 : (isRecovered ? 0.02 : -0.05);
-    const masteryAfter = Math.min(0.99, Math.max(0.1, masteryBefore + masteryChange));
-
-    // Recovery velocity
-    let recoveryVelocity = 0;
-    if (isRecovered) {
-      const totalMissionTime = (Date.now() - questionStartTime) / 1000;
-      const recoveryTime = totalMissionTime - timeSpent;
-      recoveryVelocity = Math.max(0, (timeSpent - recoveryTime) / timeSpent);
-    }
+    // Transfer answers are tracked in their own history, not in atom mastery
+    const transferSourceItemId = currentQuestion.transfer?.sourceItemId || null;
+    const isTransfer = !!transferSourceItemId;
+
+    // Parameterized gold item: the seed reproduces the exact variant served
+    const variant = currentQuestion.variant || null;
+
+    // BKT mastery update (responses awaiting teacher review hold mastery;
+    // partial answers count as a fractional observation)
+    const isPendingReview = !!responseDetails?.needsReview;
+    const score = typeof responseDetails?.score === 'number' ? responseDetails.score : undefined;
+    const hintsUsed = responseDetails?.hintsUsed || 0;
+    const { masteryBefore, masteryAfter } = updateMastery(
+      ninjaStats.mastery?.[currentQuestion.atomId],
+      {
+        atomId: currentQuestion.atomId,
+        templateId: currentQuestion.templateId,
+        isCorrect,
+        isRecovered,
+        isPendingReview: isPendingReview || isTransfer,
+        score,
+        hintsUsed
+      }
+    );
+    const responseId = createResponseId(auth.currentUser.uid, currentQuestion.questionId);
+
+    // Recovery velocity (TemplateRouter times the attempts, V1 formula)
+    const recoveryVelocity = isRecovered ? responseDetails?.recoveryVelocity || 0 : 0;
 
     // Update hurdles (boss clearing logic)
     const updatedHurdles = { ...ninjaStats.hurdles };
@@ -116,13 +152,82 @@ export function useDailyMissionV2(devQuestions = null) {
       }
     }
 
+    // Transfer bookkeeping: record the outcome, or unlock the next transfer item
+    const transferHistory = isTransfer
+      ? recordTransferOutcome(ninjaStats.transferResults?.[currentQuestion.atomId], {
+        itemId: transferSourceItemId,
+        isCorrect
+      })
+      : null;
+    const unlockedTransferId = isTransfer ? null : findTransferToUnlock(
+      {
+        atomId: currentQuestion.atomId,
+        itemId: currentQuestion.itemId || currentQuestion.item_id,
+        isCorrect,
+        isRecovered,
+        masteryAfter
+      },
+      { transferQueue: ninjaStats.transferQueue, transferResults: ninjaStats.transferResults }
+    );
+    const unlockedTransfer = unlockedTransferId
+      ? { itemId: unlockedTransferId, atomId: currentQuestion.atomId, unlockedAt: Date.now() }
+      : null;
+
+    // Spaced review: promote, hold or demote the atom's interval (answers still
+    // awaiting teacher review wait; transfer items are not reviews of the atom)
+    const reviewKey = firestoreKey(currentQuestion.atomId);
+    const reviewEntry = isPendingReview || isTransfer ? null : scheduleReview(ninjaStats.reviewSchedule?.[reviewKey], {
+      atomId: currentQuestion.atomId,
+      isCorrect,
+      hintsUsed,
+      // undefined = not asked, null = asked and skipped
+      confidence: currentQuestion.confidencePrompt ? responseDetails?.confidence ?? null : undefined,
+      misconceptionTag: tag || responseDetails?.misconceptionIds?.[0] || null
+    });
+
     // Update local state
-    setNinjaStats(prev => ({
-      ...prev,
-      mastery: { ...prev.mastery, [currentQuestion.atomId]: masteryAfter },
-      hurdles: updatedHurdles,
-      consecutiveBossSuccesses: updatedConsecutive
-    }));
+    setNinjaStats(prev => {
+      const transferQueue = { ...prev.transferQueue };
+      if (isTransfer) delete transferQueue[transferKey(transferSourceItemId)];
+      if (unlockedTransfer) transferQueue[transferKey(unlockedTransferId)] = unlockedTransfer;
+
+      return {
+        ...prev,
+        mastery: { ...prev.mastery, [currentQuestion.atomId]: masteryAfter },
+        hurdles: updatedHurdles,
+        consecutiveBossSuccesses: updatedConsecutive,
+        transferQueue,
+        ...(reviewEntry && { reviewSchedule: { ...prev.reviewSchedule, [reviewKey]: reviewEntry } }),
+        ...(transferHistory && {
+          transferResults: { ...prev.transferResults, [currentQuestion.atomId]: transferHistory }
+        })
+      };
+    });
+
+    // Adaptation rules: rewrite the questions after this one
+    let missionQueue = missionQuestions;
+    let adaptations = [];
+    if (!devQuestions && curriculum.current) {
+      const adapted = applyAdaptationRules({
+        queue: missionQuestions,
+        index: currentIndex,
+        answer: toAdaptationAnswer(currentQuestion, {
+          isCorrect,
+          timeSpent,
+          speedRating,
+          hintsUsed,
+          misconceptionIds: responseDetails?.misconceptionIds,
+          diagnosticTag: tag
+        }),
+        state: adaptationState.current,
+        curriculum: curriculum.current
+      });
+      adaptationState.current = adapted.state;
+      adaptations = adapted.triggered;
+      missionQueue = adapted.queue;
+
+      if (adaptations.length > 0) setMissionQuestions(missionQueue);
+    }
 
     // Enrich log with curriculum v2 metadata
     const enrichedLog = {
@@ -138,7 +243,94 @@ export function useDailyMissionV2(devQuestions = null) {
       masteryAfter,
       atomId: currentQuestion.atomId,
       atom_id: currentQuestion.atom_id,
-      mode: 'DAILY_V2',
+      itemId: currentQuestion.itemId || currentQuestion.item_id || null,
+      mode: isTransfer ? 'TRANSFER' : 'DAILY_V2',
+      responseId,
+
+      // Slot difficulty (mastery profiles ask for a high-difficulty solve)
+      ...(currentQuestion.difficulty && { difficulty: currentQuestion.difficulty }),
+
+      // Raw response, so the scoring engine can re-score it after a key correction
+      ...(responseDetails?.response && { response: responseDetails.response }),
+
+      // Transfer outcome (feeds the TRANSFER mastery level)
+      ...(isTransfer && {
+        isTransfer: true,
+        transferSourceItemId,
+        transferLevel: computeTransferLevel(transferHistory)
+      }),
+
+      // Score from the scoring engine, with per-element detail for partial-credit templates
+      ...(score !== undefined && {
+        score,
+        elementResults: responseDetails.elementResults || [],
+        misconceptionIds: responseDetails.misconceptionIds || []
+      }),
+
+      // Attempt lifecycle (first attempt decides isCorrect)
+      ...(responseDetails?.attempts && {
+        attempts: responseDetails.attempts,
+        attemptHistory: responseDetails.attemptHistory || []
+      }),
+
+      // Item variant (itemVariants.instantiateItem(item, variantSeed) rebuilds it)
+      ...(variant && {
+        variantItemId: variant.itemId,
+        variantSeed: variant.seed,
+        variantAttempt: variant.attempt,
+        variantParams: variant.params
+      }),
+
+      // Predict-the-next-step worked example (per-step accuracy)
+      ...(responseDetails?.stepPredictions && {
+        stepPredictions: responseDetails.stepPredictions,
+        predictionAccuracy: responseDetails.predictionAccuracy,
+        workedExampleSourceItemId: currentQuestion.workedExampleSourceItemId || null
+      }),
+
+      // Hint ladder usage (count, levels, ms after the question appeared)
+      hintsUsed,
+      ...(hintsUsed > 0 && {
+        hintLevels: responseDetails.hintLevels || [],
+        hintTimings: responseDetails.hintTimings || [],
+        hintCredit: hintCreditFactor(hintsUsed)
+      }),
+
+      // Self-rated confidence, when the mission asked (null = skipped)
+      ...(currentQuestion.confidencePrompt && {
+        confidence: responseDetails?.confidence ?? null,
+        confidenceRatedAtMs: responseDetails?.confidenceRatedAtMs ?? null
+      }),
+
+      // Time to first interaction (template telemetry stream)
+      ...(typeof responseDetails?.timeToFirstActionMs === 'number' && {
+        timeToFirstActionMs: responseDetails.timeToFirstActionMs
+      }),
+
+      // Spaced review schedule after this answer
+      ...(reviewEntry && {
+        reviewOutcome: reviewEntry.lastOutcome,
+        reviewIntervalDays: reviewEntry.intervalDays
+      }),
+      ...(typeof currentQuestion.spacedReviewDaysSinceLastSeen === 'number' && {
+        spacedReviewDaysSinceLastSeen: currentQuestion.spacedReviewDaysSinceLastSeen
+      }),
+
+      // Rules triggered by this answer, and why this question was served
+      ...(adaptations.length > 0 && { adaptations }),
+      ...(currentQuestion.adaptation && { adaptedBy: currentQuestion.adaptation }),
+      ...(currentQuestion.isInterleaved && { isInterleaved: true }),
+
+      // Template-specific process telemetry (e.g. BALANCE_OPS efficiency)
+      ...(responseDetails?.telemetry && { templateTelemetry: responseDetails.telemetry }),
+
+      // Rubric scoring (SHORT_EXPLAIN)
+      ...(responseDetails?.rubricScores && {
+        rubricScores: responseDetails.rubricScores,
+        rubricFraction: responseDetails.rubricFraction,
+        rubricConfidence: responseDetails.rubricConfidence,
+        gradingStatus: isPendingReview ? GRADING_STATUS.PENDING_REVIEW : GRADING_STATUS.AUTO
+      }),
       
       // Curriculum v2 enrichment
       curriculumData: {
@@ -153,8 +345,32 @@ export function useDailyMissionV2(devQuestions = null) {
 
     logQuestionResultLocal(enrichedLog, currentIndex);
 
+    // Low-confidence scores go to the teacher grading queue
+    if (isPendingReview && !isTestUser) {
+      try {
+        await enqueueForReview({
+          studentId: auth.currentUser.uid,
+          classId: ninjaStats.classId,
+          responseId,
+          questionId: currentQuestion.questionId,
+          atomId: currentQuestion.atomId,
+          templateId: currentQuestion.templateId,
+          prompt: currentQuestion.content?.prompt?.text,
+          explanation: responseDetails.explanation ?? choice,
+          rubric: responseDetails.rubric,
+          autoResult: {
+            scores: responseDetails.rubricScores,
+            confidence: responseDetails.rubricConfidence,
+            reviewReason: responseDetails.reviewReason
+          }
+        });
+      } catch (error) {
+        console.error('[useDailyMissionV2] Failed to queue response for review:', error);
+      }
+    }
+
     // Update power and session results
-    const gain = isCorrect ? 15 : (isRecovered ? 7 : 0);
+    const gain = Math.round((isCorrect ? 15 : (isRecovered ? 7 : 0)) * hintCreditFactor(hintsUsed));
     updatePower(gain);
 
     setSessionResults(prev => ({
@@ -171,12 +387,20 @@ export function useDailyMissionV2(devQuestions = null) {
         [`mastery.${currentQuestion.atomId}`]: masteryAfter,
         hurdles: updatedHurdles,
         consecutiveBossSuccesses: updatedConsecutive,
-        [`lastQuestionDates.${currentQuestion.atomId}`]: Date.now()
+        [`lastQuestionDates.${currentQuestion.atomId}`]: Date.now(),
+        ...(isTransfer && {
+          [`transferResults.${currentQuestion.atomId}`]: transferHistory,
+          [`transferQueue.${transferKey(transferSourceItemId)}`]: deleteField()
+        }),
+        ...(unlockedTransfer && { [`transferQueue.${transferKey(unlockedTransferId)}`]: unlockedTransfer }),
+        ...(reviewEntry && { [`reviewSchedule.${reviewKey}`]: reviewEntry }),
+        // Next mission serves the following variant of this item
+        ...(variant && { [`variantAttempts.${firestoreKey(variant.itemId)}`]: increment(1) })
       });
     }
 
     // Handle completion
-    if (currentIndex >= missionQuestions.length - 1) {
+    if (currentIndex >= missionQueue.length - 1) {
       setIsComplete(true);
 
       if (!isTestUser) {
@@ -204,7 +428,6 @@ export function useDailyMissionV2(devQuestions = null) {
       }
     } else {
       setCurrentIndex(prev => prev + 1);
-      setQuestionStartTime(Date.now());
     }
   };
 
@@ -1,16 +1,29 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import { db, auth } from '../firebase/config';
 import { collection, getDocs, doc, updateDoc } from 'firebase/firestore';
 import { useNinja } from '../context/NinjaContext'; // FIX: Imported Ninja Context
 import { SAMPLE_DIAGNOSTIC_QUESTIONS } from '../data/sampleDiagnosticQuestions.js';
+import {
+    buildItemBank,
+    createDiagnosticState,
+    applyDiagnosticAnswer,
+    selectNextItem,
+    shouldStop,
+    diagnosticMastery,
+    buildDiagnosticReport,
+    MAX_QUESTIONS
+} from '../services/adaptiveDiagnostic';
 
 /**
  * useDiagnostic Hook
  * Manages the "Ninja Entrance Exam" logic flow.
- * Tracks adaptive progress and Bayesian mastery thresholds.
+ * Computerized adaptive test (adaptiveDiagnostic): each next question is the
+ * one that best reduces uncertainty about atom mastery, and the quest stops
+ * once every module estimate is confident, or at the time/question cap.
  * Now tracks "Hurdles" (misconceptions) to identify Boss Levels.
  * Now optimized to persist final analytical data atomically.
- * Updated for Phase 3: Supports Scenario Injection for 1Q testing.
+ * Updated for Phase 3: Supports Scenario Injection for 1Q testing (the
+ * injected questions become the adaptive pool).
  * @param {Array} devQuestions - Optional array to override global question bank.
  */
 /**
@@ -19,11 +32,19 @@ import { SAMPLE_DIAGNOSTIC_QUESTIONS } from '../data/sampleDiagnosticQuestions.j
  */
 export function useDiagnostic(injectedQuestions = null) {
     const { logQuestionResult, setNinjaStats } = useNinja(); //
-    const [questions, setQuestions] = useState([]);
-    const [currentIndex, setCurrentIndex] = useState(0);
-    const [masteryData, setMasteryData] = useState({}); // { A1: 0.65, A3: 0.85 }
+    const [bank, setBank] = useState(() => buildItemBank([]));
+    const [diagState, setDiagState] = useState(null); // { estimates, modules, tested, answeredIds, startedAt }
+    const [diagnosticReport, setDiagnosticReport] = useState(null);
     const [isComplete, setIsComplete] = useState(false);
 
+    // Atom estimates so far: { A1: 0.65, A3: 0.85 } (tested and inferred)
+    const masteryData = useMemo(() => (diagState ? diagnosticMastery(diagState) : {}), [diagState]);
+    const currentQuestion = useMemo(
+        () => (diagState && !isComplete ? selectNextItem(diagState, bank) || undefined : undefined),
+        [diagState, bank, isComplete]
+    );
+    const currentIndex = diagState?.answeredIds.length || 0;
+
     // Track specific misconceptions (Hurdles) for the Boss Level tracker
     const [hurdles, setHurdles] = useState({}); // { SIGN_IGNORANCE: count }
 
@@ -34,27 +55,27 @@ export function useDiagnostic(injectedQuestions = null) {
     // Initial load: Fetch all diagnostic missions from Firestore
     useEffect(() => {
         const loadQuestions = async () => {
+            let pool = [];
             if (injectedQuestions && injectedQuestions.length > 0) {
-                setQuestions(injectedQuestions);
+                pool = injectedQuestions;
             } else {
                 try {
                     const qSnap = await getDocs(collection(db, 'diagnostic_questions'));
                     if (qSnap.empty) {
                         console.warn("No questions found");
-                        setQuestions([]);
-                        return;
                     }
-                    const sortedQs = qSnap.docs
+                    // Bank order (easier first) breaks ties between equally informative items
+                    pool = qSnap.docs
                         .map(doc => ({ id: doc.id, ...doc.data() }))
                         .sort((a, b) => (a.difficulty || 0) - (b.difficulty || 0));
-                    setQuestions(sortedQs);
 
                 } catch (error) {
                     console.error("Error loading diagnostic questions:", error);
-                    setQuestions([]);  // ADD THIS LINE
-
                 }
             }
+            const itemBank = buildItemBank(pool);
+            setBank(itemBank);
+            setDiagState(createDiagnosticState(itemBank));
             questionStartTime.current = Date.now();
         };
         loadQuestions();
@@ -87,19 +108,11 @@ export function useDiagnostic(injectedQuestions = null) {
             if (isComplete && auth.currentUser) {
                 const userRef = doc(db, "students", auth.currentUser.uid);
 
-                // Prepare mastery data - use defaults if empty
-                let finalMastery = masteryData;
+                // Atoms the diagnostic never reached keep no entry; they read as
+                // the mastery model's prior wherever mastery is used
+                const finalMastery = masteryData;
                 if (Object.keys(masteryData).length === 0) {
-                    console.warn('[useDiagnostic] ⚠️ masteryData is empty, using default values');
-                    // Initialize with neutral mastery (0.5) for all possible atoms
-                    // This is a failsafe in case the diagnostic completed without proper mastery tracking
-                    finalMastery = {
-                        'A1': 0.5,
-                        'A2': 0.5,
-                        'A3': 0.5,
-                        'A4': 0.5,
-                        'A5': 0.5
-                    };
+                    console.warn('[useDiagnostic] ⚠️ masteryData is empty, keeping existing mastery');
                 }
 
                 try {
@@ -110,8 +123,10 @@ export function useDiagnostic(injectedQuestions = null) {
 
                     await updateDoc(userRef, {
                         currentQuest: 'COMPLETED',
-                        mastery: finalMastery, // Save the actual mastery scores
+                        // Save the actual mastery scores
+                        ...(Object.keys(finalMastery).length > 0 && { mastery: finalMastery }),
                         hurdles: hurdles,     // Save the identified misconceptions
+                        ...(diagnosticReport && { diagnosticReport }), // Tested vs inferred atoms
                         lastUpdated: new Date().toISOString()
                     });
 
@@ -121,8 +136,9 @@ export function useDiagnostic(injectedQuestions = null) {
                     setNinjaStats(prev => ({
                         ...prev,
                         currentQuest: 'COMPLETED',
-                        mastery: finalMastery,
-                        hurdles: hurdles
+                        mastery: { ...prev.mastery, ...finalMastery },
+                        hurdles: hurdles,
+                        ...(diagnosticReport && { diagnosticReport })
                     }));
 
                     // 🎯 CRITICAL FIX: Also update localStorage so it doesn't have stale data on refresh
@@ -151,7 +167,7 @@ export function useDiagnostic(injectedQuestions = null) {
             }
         };
         saveCompletion();
-    }, [isComplete, masteryData, hurdles]); // Removed injectedQuestions dependency
+    }, [isComplete, masteryData, hurdles, diagnosticReport]); // Removed injectedQuestions dependency
 
     // Starts the high-precision timer for the "Bonus Mission" branch
     const startRecoveryTimer = () => {
@@ -159,8 +175,8 @@ export function useDiagnostic(injectedQuestions = null) {
     };
 
     /**
-     * Submits an answer and calculates Bayesian Mastery.
-     * Rewards Latent Knowledge if the student recovers quickly after a hint.
+     * Submits an answer and updates BKT mastery.
+     * A recovered answer counts as partial evidence of knowing the atom.
      * @param {string} questionId 
      * @param {boolean} isCorrect 
      * @param {string} atomId 
@@ -173,16 +189,14 @@ export function useDiagnostic(injectedQuestions = null) {
     // FIX: Match the MissionCard signature (isCorrect, choice, isRecovered, tag, timeSpent)
 
     const submitAnswer = async (questionId, isCorrect, atomId, isRecovered, diagnosticTag, studentAnswer, correctAnswer, timeSpentSeconds) => {
-        // Retrieve current question data internally instead of expecting it from params
-        const currentQuestion = questions[currentIndex];
-        // const questionId = currentQuestion.id;
-        // const atomId = currentQuestion.atom;
+        // The adaptively selected item being answered
+        if (!currentQuestion || !diagState) return;
         console.log('[useDiagnostic] submitAnswer called:', {
             questionId,
             isCorrect,
             atomId,
             currentIndex,
-            totalQuestions: questions.length
+            totalQuestions: Math.min(bank.items.length, MAX_QUESTIONS)
         });
 
         // ✅ FIXED: Use timeSpentSeconds from MissionCard if provided
@@ -197,9 +211,6 @@ export function useDiagnostic(injectedQuestions = null) {
             timeSpent = Math.round(timeSpentMs / 1000);
         }
 
-        // Implement Bayesian Update Logic
-        const currentScore = masteryData[atomId] || 0.5; // Default prior
-
         // Calculate speed rating based on thinking time (in seconds)
         const speedRating = timeSpent < 3 ? 'SPRINT' : (timeSpent < 15 ? 'STEADY' : 'DEEP');
 
@@ -225,20 +236,10 @@ export function useDiagnostic(injectedQuestions = null) {
             }));
         }
 
-        /* Apply Bayesian weighting based on Specification:
-     - Correct first try: +0.1
-     - Recovered (High Velocity > 0.5): +0.08 (Latent Knowledge)
-     - Recovered (Low Velocity): +0.03 (Slow recovery)
-     - Incorrect/Stuck: -0.1
-    */
-        let updateAmount = -0.1;
-        if (isCorrect) updateAmount = 0.1;
-        else if (isRecovered)
-            // Reward "Latent Knowledge" based on velocity 
-            updateAmount = recoveryVelocity > 0.5 ? 0.08 : 0.03;
-
-        const updatedScore = Math.min(0.99, Math.max(0.1, currentScore + updateAmount));
-        const newMastery = { ...masteryData, [atomId]: updatedScore };
+        // BKT update of the answered atom and the atoms it informs (shared mastery model)
+        const nextState = applyDiagnosticAnswer(diagState, bank, currentQuestion, { isCorrect, isRecovered });
+        const masteryBefore = diagState.estimates[currentQuestion.atom];
+        const masteryAfter = Number(nextState.estimates[currentQuestion.atom].toFixed(4));
 
         // ✅ FIXED: PASS ALL REQUIRED FIELDS to logQuestionResult
         // The context will ensure they're all properly saved
@@ -252,44 +253,44 @@ export function useDiagnostic(injectedQuestions = null) {
             timeSpent,            // ✅ FIXED: Now in SECONDS
             speedRating,
             atomId,
-            masteryBefore: currentScore,
-            masteryAfter: updatedScore,
+            masteryBefore,
+            masteryAfter,
             mode: injectedQuestions ? 'DEV_TEST' : 'DIAGNOSTIC'
             // Note: timestamp will be added by Firestore
         });
 
-        setMasteryData(newMastery);
+        setDiagState(nextState);
 
         // Reset timers for the next mission
         questionStartTime.current = Date.now();
         branchStartTime.current = null;
 
-        // Adaptive Stopping Logic: Stop if 85% confidence reached
-        const avgMastery = Object.values(newMastery).reduce((a, b) => a + b, 0) / (Object.keys(newMastery).length || 1);
+        // Adaptive Stopping Logic: every module confident, or the time/question cap
+        const { stop, reason } = shouldStop(nextState, bank);
 
         console.log('[useDiagnostic] After answer:', {
-            currentIndex: currentIndex + 1,
-            totalQuestions: questions.length,
-            avgMastery,
-            shouldComplete: avgMastery > 0.85 || currentIndex >= questions.length - 1
+            answered: nextState.answeredIds.length,
+            totalQuestions: Math.min(bank.items.length, MAX_QUESTIONS),
+            shouldComplete: stop,
+            reason
         });
 
-        if (avgMastery > 0.85 || currentIndex >= questions.length - 1) {
-            console.log('[useDiagnostic] 🎉 DIAGNOSTIC COMPLETE!');
+        if (stop) {
+            console.log('[useDiagnostic] 🎉 DIAGNOSTIC COMPLETE!', reason);
+            setDiagnosticReport(buildDiagnosticReport(nextState, bank, { reason }));
             setIsComplete(true);
-        } else {
-            setCurrentIndex(prev => prev + 1);
         }
     };
 
     return {
-        currentQuestion: questions[currentIndex],
+        currentQuestion,
         currentIndex,
-        totalQuestions: questions.length,
+        totalQuestions: Math.min(bank.items.length, MAX_QUESTIONS),
         submitAnswer,
         startRecoveryTimer,
         isComplete,
         masteryData,
+        diagnosticReport,
         hurdles // Exposed for the Boss Tracker
     };
 }
\ No newline at end of file
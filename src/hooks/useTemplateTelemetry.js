@@ -0,0 +1,87 @@
+/**
+ * useTemplateTelemetry.js
+ *
+ * Shared telemetry hook for templates. TemplateRouter mounts it once per
+ * question and hands `emit` to the template, so every template reports
+ * through the same stream (see services/templateTelemetry).
+ *
+ * Features:
+ * - item_viewed when a question appears; t_ms of later events counts from it
+ * - first_action from the first pointer, key or input event (markAction)
+ * - Contract check of the item's events against the template library
+ * - Silent when no sink is given (admin review, inner TRANSFER_MINI router)
+ *
+ * Usage:
+ * ------
+ * const telemetry = useTemplateTelemetry(question, { onEvent: bufferTelemetryEvent });
+ * telemetry.emit(TELEMETRY_EVENTS.DRAG_DROP, { item: 'c1', target: 'bin2' });
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { createTelemetryEvent, checkEventContract, summarizeTelemetry, TELEMETRY_EVENTS } from '../services/templateTelemetry';
+
+// Keys that only move focus or modify others are not an action on the item
+const NON_ACTION_KEYS = ['Tab', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+export function useTemplateTelemetry(question, { onEvent = null, enabled = true } = {}) {
+  const questionKey = question?.questionId || question?.itemId || question?.id || null;
+  const sink = useRef({ question, onEvent: enabled ? onEvent : null });
+  const viewedAt = useRef(0);
+  const events = useRef([]);
+  const acted = useRef(false);
+
+  // Latest question and sink, for callbacks created once
+  useEffect(() => {
+    sink.current = { question, onEvent: enabled ? onEvent : null };
+  });
+
+  const emit = useCallback((event, payload = {}) => {
+    const { question: current, onEvent: send } = sink.current;
+    if (!send || !current) return null;
+
+    const record = createTelemetryEvent(event, current, performance.now() - viewedAt.current, payload);
+    events.current.push(record);
+    send(record);
+    return record;
+  }, []);
+
+  // New question: reset the stream and record the view
+  useEffect(() => {
+    if (!questionKey) return;
+    viewedAt.current = performance.now();
+    events.current = [];
+    acted.current = false;
+    emit(TELEMETRY_EVENTS.ITEM_VIEWED, {
+      difficulty: sink.current.question?.difficulty ?? null,
+      phase: sink.current.question?.phase ?? null
+    });
+  }, [questionKey, emit]);
+
+  /**
+   * Record first_action once; pass a DOM event or an action type string
+   */
+  const markAction = useCallback((eventOrType) => {
+    if (acted.current) return;
+    const type = typeof eventOrType === 'string' ? eventOrType : eventOrType?.type;
+    if (eventOrType?.key && NON_ACTION_KEYS.includes(eventOrType.key)) return;
+
+    acted.current = true;
+    emit(TELEMETRY_EVENTS.FIRST_ACTION, {
+      action_type: type || 'unknown',
+      time_to_first_action_ms: Math.round(performance.now() - viewedAt.current)
+    });
+  }, [emit]);
+
+  /**
+   * Contract check for this item's events so far
+   */
+  const checkContract = useCallback(() => {
+    return checkEventContract(sink.current.question?.templateId, events.current);
+  }, []);
+
+  const summarize = useCallback(() => summarizeTelemetry(events.current), []);
+
+  return { emit, markAction, checkContract, summarize };
+}
+
+export default useTemplateTelemetry;
@@ -15,6 +15,9 @@ import { StepOrderTemplate } from '../components/templates/StepOrderTemplate';
 import { MultiStepWordTemplate } from '../components/templates/MultiStepWordTemplate';
 import { SimulationTemplate } from '../components/templates/SimulationTemplate';
 import { ShortExplainTemplate } from '../components/templates/ShortExplainTemplate';
+import { GraphPlotTemplate } from '../components/templates/GraphPlotTemplate';
+import { TransferMiniTemplate } from '../components/templates/TransferMiniTemplate';
+import { buildTransferQuestion } from '../services/transferService';
 
 // Sample questions for each template
 const SAMPLE_QUESTIONS = {
@@ -201,15 +204,29 @@ const SAMPLE_QUESTIONS = {
       prompt: { text: 'Identify the right angles in the figure' },
       instruction: 'Tap on the right angles.'
     },
-    interaction: {
-      config: {
-        tapElements: [
-          { id: 'a', label: 'Angle A' },
-          { id: 'b', label: 'Angle B' },
-          { id: 'c', label: 'Angle C' }
-        ]
+    stimulus: {
+      diagram: {
+        width: 320,
+        height: 240,
+        points: { A: [60, 200], B: [260, 200], C: [260, 60], D: [60, 60] },
+        segments: [
+          { from: 'A', to: 'B', ticks: 1 },
+          { from: 'B', to: 'C', ticks: 2 },
+          { from: 'C', to: 'D', ticks: 1 },
+          { from: 'D', to: 'A', ticks: 2 },
+          { from: 'A', to: 'C', dashed: true }
+        ],
+        angles: [
+          { id: 'a', vertex: 'A', from: 'B', to: 'D', right: true },
+          { id: 'b', vertex: 'A', from: 'B', to: 'C' },
+          { id: 'c', vertex: 'B', from: 'C', to: 'A', right: true }
+        ],
+        tappable: ['a', 'b', 'c']
       }
     },
+    interaction: {
+      config: { selection: { allow_multiple: true, max_select: 3 } }
+    },
     answerKey: { correctElementIds: ['a', 'c'] },
     feedbackMap: { onCorrect: '✓ Correct identification!' }
   },
@@ -248,13 +265,41 @@ const SAMPLE_QUESTIONS = {
   },
   SIMULATION: {
     content: {
-      prompt: { text: 'Simulate coin tosses' },
-      instruction: 'Run trials to understand probability.'
+      prompt: { text: 'A spinner has 2 red sectors, 1 blue and 1 green. Spin it!' },
+      instruction: 'Run trials, then estimate the probability of landing on red.'
     },
-    interaction: {},
-    answerKey: {},
+    interaction: {
+      config: {
+        simulation: {
+          type: 'spinner',
+          sectors: [
+            { label: 'Red', weight: 2 },
+            { label: 'Blue', weight: 1 },
+            { label: 'Green', weight: 1 }
+          ]
+        },
+        event: { outcomes: ['Red'] },
+        answerMode: 'estimate',
+        seed: 'showcase-spinner'
+      }
+    },
+    answerKey: { tolerance: 0.1 },
     feedbackMap: { onCorrect: '✓ Great observation!' }
   },
+  GRAPH_PLOT: {
+    content: {
+      prompt: { text: 'Plot the points A(2, 3) and B(-1, -2)' }
+    },
+    interaction: {
+      config: {
+        axes: { x_min: -5, x_max: 5, y_min: -5, y_max: 5, grid_step: 1, snap: 1 },
+        mode: 'plot_points',
+        max_points: 2
+      }
+    },
+    answerKey: { points: [[2, 3], [-1, -2]], tolerance: 0.25 },
+    feedbackMap: { onCorrect: '✓ Both points are spot on!' }
+  },
   SHORT_EXPLAIN: {
     content: {
       prompt: { text: 'Explain your solution' },
@@ -263,7 +308,8 @@ const SAMPLE_QUESTIONS = {
     interaction: {},
     answerKey: {},
     feedbackMap: { onCorrect: '✓ Thanks for your explanation!' }
-  }
+  },
+  TRANSFER_MINI: buildTransferQuestion('SAMPLE.NUM.0003')
 };
 
 const TEMPLATES = [
@@ -281,7 +327,9 @@ const TEMPLATES = [
   { id: 'STEP_ORDER', name: 'Step Order', component: StepOrderTemplate, color: 'from-amber-400 to-amber-600' },
   { id: 'MULTI_STEP_WORD', name: 'Multi-Step', component: MultiStepWordTemplate, color: 'from-indigo-400 to-indigo-600' },
   { id: 'SIMULATION', name: 'Simulation', component: SimulationTemplate, color: 'from-fuchsia-400 to-fuchsia-600' },
-  { id: 'SHORT_EXPLAIN', name: 'Short Explain', component: ShortExplainTemplate, color: 'from-slate-400 to-slate-600' }
+  { id: 'GRAPH_PLOT', name: 'Graph Plot', component: GraphPlotTemplate, color: 'from-sky-400 to-sky-600' },
+  { id: 'SHORT_EXPLAIN', name: 'Short Explain', component: ShortExplainTemplate, color: 'from-slate-400 to-slate-600' },
+  { id: 'TRANSFER_MINI', name: 'Transfer Mini', component: TransferMiniTemplate, color: 'from-violet-400 to-fuchsia-600' }
 ];
 
 export function TemplateShowcase() {
@@ -375,7 +423,9 @@ export function TemplateShowcase() {
                   STEP_ORDER: 'Reorder procedure steps',
                   MULTI_STEP_WORD: 'Structured word problem solving',
                   SIMULATION: 'Interactive probability simulation',
-                  SHORT_EXPLAIN: 'Brief text-based explanation'
+                  GRAPH_PLOT: 'Plot points on a coordinate grid',
+                  SHORT_EXPLAIN: 'Brief text-based explanation',
+                  TRANSFER_MINI: 'Same concept in a new context'
                 }[template.id]}
               </div>
 
@@ -0,0 +1,62 @@
+import diagnosticSpec from '../../data/diagnostic-questions-v4.0.json';
+import {
+    buildItemBank,
+    createDiagnosticState,
+    applyDiagnosticAnswer,
+    moduleEstimates,
+    selectNextItem,
+    shouldStop,
+    MAX_QUESTIONS,
+    MIN_QUESTIONS_PER_ATOM,
+    STOP_REASONS
+} from '../adaptiveDiagnostic';
+
+const bank = buildItemBank(diagnosticSpec.questions);
+
+// Run the diagnostic to its stop with a simulated student
+function simulate(answer) {
+    let state = createDiagnosticState(bank, { now: 0 });
+    let result = shouldStop(state, bank, { now: 0 });
+    while (!result.stop) {
+        const item = selectNextItem(state, bank);
+        state = applyDiagnosticAnswer(state, bank, item, { isCorrect: answer(item, state.answeredIds.length) });
+        result = shouldStop(state, bank, { now: 0 });
+    }
+    return { state, reason: result.reason, modules: moduleEstimates(state, bank) };
+}
+
+describe('adaptive diagnostic', () => {
+    describe('Simulated runs on the shipped bank', () => {
+        test('should stop on confidence before the cap for a student who gets everything right', () => {
+            const run = simulate(() => true);
+            expect(run.reason).toBe(STOP_REASONS.CONFIDENT);
+            expect(run.state.answeredIds.length).toBeLessThan(MAX_QUESTIONS);
+        });
+
+        test('should stop on confidence before the cap for a student who gets everything wrong', () => {
+            const run = simulate(() => false);
+            expect(run.reason).toBe(STOP_REASONS.CONFIDENT);
+            expect(run.state.answeredIds.length).toBeLessThan(MAX_QUESTIONS);
+            run.modules.forEach(m => expect(m.isConfident).toBe(true));
+        });
+
+        test('should test every module before stopping on confidence', () => {
+            [() => true, () => false].forEach(answer => {
+                simulate(answer).modules.forEach(m => expect(m.answered).toBeGreaterThan(0));
+            });
+        });
+
+        test('should not call a module confident before the minimum number of answers', () => {
+            const run = simulate(() => false);
+            run.modules.forEach(m => {
+                const itemCount = bank.items.filter(item => bank.atoms[item.atom].moduleId === m.moduleId).length;
+                expect(m.answered).toBeGreaterThanOrEqual(Math.min(MIN_QUESTIONS_PER_ATOM, itemCount));
+            });
+        });
+
+        test('should stay within the question cap for mixed answers', () => {
+            const run = simulate((item, index) => index % 2 === 0);
+            expect(run.state.answeredIds.length).toBeLessThanOrEqual(MAX_QUESTIONS);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+import { checkExpressionAnswer, EXPRESSION_REJECTION_REASONS } from '../expressionEquivalence';
+
+describe('checkExpressionAnswer', () => {
+    describe('requireSimplified', () => {
+        test('should reject an unreduced numeric fraction in a term', () => {
+            const result = checkExpressionAnswer('6x/3', '2x', { requireSimplified: true });
+            expect(result.isCorrect).toBe(false);
+            expect(result.reason).toBe(EXPRESSION_REJECTION_REASONS.NOT_SIMPLIFIED);
+        });
+
+        test('should reject division by 1', () => {
+            expect(checkExpressionAnswer('x/1', 'x', { requireSimplified: true }).isCorrect).toBe(false);
+        });
+
+        test('should accept fractions already in lowest terms', () => {
+            expect(checkExpressionAnswer('3x/4', '3x/4', { requireSimplified: true }).isCorrect).toBe(true);
+            expect(checkExpressionAnswer('x/2 + 1', '1 + x/2', { requireSimplified: true }).isCorrect).toBe(true);
+        });
+
+        test('should still accept "6x/3" when simplified form is not required', () => {
+            expect(checkExpressionAnswer('6x/3', '2x').isCorrect).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+import { updateMastery, observationParams, DEFAULT_BKT_PARAMS } from '../masteryService';
+
+describe('updateMastery', () => {
+    describe('Hints', () => {
+        const evidenceTypes = ['retrieval', 'recognition', 'concept'];
+
+        test('should not soften a wrong answer after hints', () => {
+            evidenceTypes.forEach(evidenceType => {
+                const unaided = updateMastery(0.5, { isCorrect: false, evidenceType });
+                const hinted = updateMastery(0.5, { isCorrect: false, evidenceType, hintsUsed: 3 });
+                expect(hinted.masteryAfter).toBeLessThanOrEqual(unaided.masteryAfter);
+            });
+        });
+
+        test('should credit a hinted correct answer less than an unaided one', () => {
+            evidenceTypes.forEach(evidenceType => {
+                const unaided = updateMastery(0.5, { isCorrect: true, evidenceType });
+                const hinted = updateMastery(0.5, { isCorrect: true, evidenceType, hintsUsed: 3 });
+                expect(hinted.masteryAfter).toBeLessThan(unaided.masteryAfter);
+                expect(hinted.masteryAfter).toBeGreaterThanOrEqual(0.5);
+            });
+        });
+    });
+});
+
+describe('observationParams', () => {
+    test('should keep guess below 1 - slip', () => {
+        const params = { ...DEFAULT_BKT_PARAMS, guess: 0.3, slip: 0.3 };
+        ['recognition', 'transfer', 'recognition+reason'].forEach(evidenceType => {
+            [0, 1, 3].forEach(hintsUsed => {
+                const { guess, slip } = observationParams(params, { evidenceType, hintsUsed });
+                expect(guess).toBeLessThan(1 - slip);
+            });
+        });
+    });
+});
@@ -0,0 +1,57 @@
+import { gradeNumericAnswer, parseNumericAnswer, NUMERIC_REJECTION_REASONS } from '../numericAnswerParser';
+
+describe('gradeNumericAnswer', () => {
+    describe('Trailing words', () => {
+        test('should grade the number when the key has no unit', () => {
+            expect(gradeNumericAnswer('12 apples', { value: 12 }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('12 students', { value: 12 }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('13 apples', { value: 12 }).reason).toBe(NUMERIC_REJECTION_REASONS.WRONG_VALUE);
+        });
+
+        test('should report a unit mismatch when the key declares a unit', () => {
+            const result = gradeNumericAnswer('12 apples', { value: 12, unit: 'cm' });
+            expect(result.isCorrect).toBe(false);
+            expect(result.reason).toBe(NUMERIC_REJECTION_REASONS.WRONG_UNITS);
+        });
+
+        test('should still convert known units', () => {
+            expect(gradeNumericAnswer('120 mm', { value: 12, unit: 'cm' }).isCorrect).toBe(true);
+        });
+    });
+
+    describe('Decimal tolerance', () => {
+        test('should compare exact decimal keys exactly', () => {
+            expect(gradeNumericAnswer('2.5', { value: 2.5 }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('2.50', { value: 2.5 }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('2.51', { value: 2.5 }).isCorrect).toBe(false);
+            expect(gradeNumericAnswer('2.49', { value: 2.5 }).isCorrect).toBe(false);
+            expect(gradeNumericAnswer('12.01', { value: 12 }).isCorrect).toBe(false);
+            expect(gradeNumericAnswer('0.125', { value: 0.12 }).isCorrect).toBe(false);
+        });
+
+        test('should accept a correctly rounded decimal for a non-terminating key', () => {
+            expect(gradeNumericAnswer('0.33', { value: '1/3' }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('0.333', { value: '1/3' }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('0.67', { value: '2/3' }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('0.42', { value: 0.41666666666666663 }).isCorrect).toBe(true);
+        });
+
+        test('should scale the tolerance to the decimals given', () => {
+            expect(gradeNumericAnswer('0.34', { value: '1/3' }).isCorrect).toBe(false);
+            expect(gradeNumericAnswer('0.334', { value: '1/3' }).isCorrect).toBe(false);
+            expect(gradeNumericAnswer('0.66', { value: '2/3' }).isCorrect).toBe(false);
+        });
+
+        test('should keep a tolerance declared on the key', () => {
+            expect(gradeNumericAnswer('14.86', { value: 14.8571428571, tolerance: 0.01 }).isCorrect).toBe(true);
+            expect(gradeNumericAnswer('2.51', { value: 2.5, tolerance: 0.01 }).isCorrect).toBe(true);
+        });
+    });
+});
+
+describe('parseNumericAnswer', () => {
+    test('should reject an unknown unit unless allowed', () => {
+        expect(parseNumericAnswer('12 apples').ok).toBe(false);
+        expect(parseNumericAnswer('12 apples', { allowUnknownUnit: true }).unknownUnit).toBe(true);
+    });
+});
@@ -0,0 +1,39 @@
+import goldBank from '../../data/cbse7_mathquest_gold_questions_v2.json';
+import { scoreResponse } from '../scoringEngine';
+import { toTemplateQuestion } from '../itemAdapter';
+
+describe('scoreResponse', () => {
+    describe('ERROR_ANALYSIS gold items', () => {
+        const items = goldBank.items.filter(item => item.interaction?.type === 'error_analysis');
+
+        test('should cover the shipped error-analysis items', () => {
+            expect(items.length).toBeGreaterThan(0);
+        });
+
+        test('should render one option per authored error type', () => {
+            items.forEach(item => {
+                const errors = toTemplateQuestion(item).interaction.config.errors;
+                expect(errors.length).toBe(item.interaction.config.error_type_options.length);
+            });
+        });
+
+        test('should score the correct error type as correct', () => {
+            items.forEach(item => {
+                const errors = toTemplateQuestion(item).interaction.config.errors;
+                const correctIndex = errors.findIndex(e => e.id === item.answer_key.correct_error_type);
+                expect(scoreResponse(item, { selectedError: correctIndex }).isCorrect).toBe(true);
+                expect(scoreResponse(item, { selectedError: item.answer_key.correct_error_type }).isCorrect).toBe(true);
+            });
+        });
+
+        test('should score every other option as wrong', () => {
+            items.forEach(item => {
+                const errors = toTemplateQuestion(item).interaction.config.errors;
+                errors.forEach((error, idx) => {
+                    if (error.id === item.answer_key.correct_error_type) return;
+                    expect(scoreResponse(item, { selectedError: idx }).isCorrect).toBe(false);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,498 @@
+/**
+ * adaptationRules.js
+ *
+ * Runtime adaptation of a daily mission. The assessment guide's
+ * `sequencing_engine.adaptation_rules` are read as data: each rule names a
+ * condition (`if`) and the actions to take (`then`). After every answer the
+ * conditions are checked against the mission's answers and the triggered
+ * rules rewrite the questions still to come.
+ *
+ * Features:
+ * - Rules parsed from the guide JSON; authors can reorder, drop or re-word
+ *   rules without code changes (unknown conditions/actions are reported and
+ *   skipped)
+ * - `then` grammar: "a + b" and "a then b" run in sequence, "a or b" takes
+ *   the first alternative that applies, "(...)" carries an argument
+ * - Actions: representation template + micro-lesson, repair item for the
+ *   misconception then a retry of the original, harder items or an
+ *   interleaved neighbour atom, a problem-solving strategy item
+ * - A rule only looks at answers given since it last fired, so one streak
+ *   triggers it once
+ * - Every triggered rule is returned for the answer log (`adaptations`);
+ *   served questions carry `adaptation` (why they were served)
+ *
+ * Usage:
+ * ------
+ * const { queue, state, triggered } = applyAdaptationRules({
+ *   queue: missionQuestions, index: currentIndex, answer, state, curriculum
+ * });
+ */
+
+import assessmentGuide from '../data/cbse7_mathquest_assessment_guide_v2.json';
+import goldBank from '../data/cbse7_mathquest_gold_questions_v2.json';
+import { toTemplateQuestion } from './itemAdapter';
+import { buildQuestionShell } from './questionShell';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ADAPTATION_CONDITIONS = {
+  TWO_WRONG_SAME_ATOM: 'two_wrong_in_a_row_same_atom',
+  KNOWN_MISCONCEPTION: 'wrong_matches_known_misconception',
+  FAST_CORRECT_3X: 'fast_correct_3x',
+  HIGH_HINT_USE: 'high_hint_use'
+};
+
+export const ADAPTATION_ACTIONS = {
+  SWITCH_TEMPLATE: 'switch_template',
+  SHOW_MICRO_LESSON: 'show_micro_lesson',
+  SERVE_REPAIR_ITEM: 'serve_repair_item',
+  RETRY_ORIGINAL: 'retry_original',
+  INCREASE_DIFFICULTY: 'increase_difficulty',
+  INTRODUCE_INTERLEAVING: 'introduce_interleaving',
+  SERVE_STRATEGY_ATOM: 'serve_strategy_atom'
+};
+
+// Templates that show the idea through a model rather than symbols
+export const REPRESENTATION_TEMPLATES = [
+  'NUMBER_LINE_PLACE',
+  'BALANCE_OPS',
+  'GEOMETRY_TAP',
+  'GRAPH_PLOT',
+  'TABLE_FILL',
+  'MATCHING'
+];
+
+// Correct in under 60% of the expected time (8s per difficulty level), no hints
+const EXPECTED_SECONDS_PER_DIFFICULTY = 8;
+const FAST_SPEED_FACTOR = 0.6;
+const FAST_STREAK = 3;
+
+export const HIGH_HINT_USE = 2;
+
+// Cap on questions the rules may add to one mission
+export const MAX_INSERTED_QUESTIONS = 6;
+
+// Used when serve_strategy_atom names no module the curriculum has
+const STRATEGY_MODULE_ID = 'CBSE7-PS-FOUNDATIONS';
+
+// Diagnostic tags that name no misconception
+const UNTAGGED = ['NONE', 'UNTAGGED'];
+
+const goldItems = goldBank.items || [];
+
+// ============================================================================
+// ANSWERS
+// ============================================================================
+
+/**
+ * The fields of an answer the conditions look at
+ * @param {Object} question - Mission question
+ * @param {Object} result - { isCorrect, timeSpent (s), speedRating, hintsUsed, misconceptionIds, diagnosticTag }
+ */
+export function toAdaptationAnswer(question = {}, result = {}) {
+  return {
+    questionId: question.questionId,
+    atomId: question.atomId || question.atom_id,
+    templateId: question.templateId,
+    difficulty: question.difficulty || 2,
+    isCorrect: !!result.isCorrect,
+    timeSpent: typeof result.timeSpent === 'number' ? result.timeSpent : null,
+    speedRating: result.speedRating || null,
+    hintsUsed: result.hintsUsed || 0,
+    misconceptionIds: result.misconceptionIds || [],
+    diagnosticTag: result.diagnosticTag || null
+  };
+}
+
+/**
+ * Correct, unaided and quick for the item's difficulty
+ */
+export function isFastCorrect(answer) {
+  if (!answer?.isCorrect || answer.hintsUsed > 0) return false;
+  if (answer.speedRating) return answer.speedRating === 'SPRINT';
+  if (answer.timeSpent === null) return false;
+  return answer.timeSpent < answer.difficulty * EXPECTED_SECONDS_PER_DIFFICULTY * FAST_SPEED_FACTOR;
+}
+
+/**
+ * Misconception id (or diagnostic tag) a wrong answer points at, else null
+ */
+export function knownMisconception(answer) {
+  if (!answer || answer.isCorrect) return null;
+  if (answer.misconceptionIds.length > 0) return answer.misconceptionIds[0];
+  if (answer.diagnosticTag && !UNTAGGED.includes(answer.diagnosticTag)) return answer.diagnosticTag;
+  return null;
+}
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Condition id -> test over the answers since the rule last fired (oldest first)
+ */
+const CONDITION_TESTS = {
+  [ADAPTATION_CONDITIONS.TWO_WRONG_SAME_ATOM]: (answers) => {
+    if (answers.length < 2) return false;
+    const [previous, last] = answers.slice(-2);
+    return !previous.isCorrect && !last.isCorrect && previous.atomId === last.atomId;
+  },
+  [ADAPTATION_CONDITIONS.KNOWN_MISCONCEPTION]: (answers) =>
+    knownMisconception(answers[answers.length - 1]) !== null,
+  [ADAPTATION_CONDITIONS.FAST_CORRECT_3X]: (answers) =>
+    answers.length >= FAST_STREAK && answers.slice(-FAST_STREAK).every(isFastCorrect),
+  [ADAPTATION_CONDITIONS.HIGH_HINT_USE]: (answers) =>
+    (answers[answers.length - 1]?.hintsUsed || 0) >= HIGH_HINT_USE
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * One action phrase, e.g. "serve_repair_item(target_misconception)" or
+ * "show micro-lesson"
+ * @returns {{ action: string|null, arg: string|null, phrase: string }}
+ */
+function parseAction(phrase) {
+  const argMatch = phrase.match(/\(([^)]*)\)/);
+  const name = phrase
+    .replace(/\([^)]*\)/g, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const action = Object.values(ADAPTATION_ACTIONS).find(known => name.startsWith(known)) || null;
+  return { action, arg: argMatch ? argMatch[1].trim() : null, phrase: phrase.trim() };
+}
+
+/**
+ * Parse the guide's adaptation rules
+ * @param {Array<{ if: string, then: string }>} rules
+ * @returns {{ rules: Array<{ condition, then, steps: Array<Array<{ action, arg, phrase }>> }>, issues: string[] }}
+ */
+export function parseAdaptationRules(rules = []) {
+  const issues = [];
+  const parsed = [];
+
+  rules.forEach((rule, i) => {
+    const condition = String(rule?.if || '').trim();
+    if (!CONDITION_TESTS[condition]) {
+      issues.push(`Rule ${i + 1}: unknown condition "${condition}"`);
+      return;
+    }
+
+    const steps = String(rule.then || '')
+      .split(/\s+(?:\+|then)\s+/)
+      .map(step => step.split(/\s+or\s+/).map(parseAction).filter(alternative => {
+        if (alternative.action) return true;
+        issues.push(`Rule ${i + 1} (${condition}): unknown action "${alternative.phrase}"`);
+        return false;
+      }))
+      .filter(alternatives => alternatives.length > 0);
+
+    if (steps.length === 0) {
+      issues.push(`Rule ${i + 1} (${condition}): no known actions`);
+      return;
+    }
+    parsed.push({ condition, then: rule.then, steps });
+  });
+
+  return { rules: parsed, issues };
+}
+
+let defaultRules = null;
+
+/**
+ * Rules from the assessment guide (parsed once; issues logged once)
+ */
+export function getAdaptationRules() {
+  if (!defaultRules) {
+    const { rules, issues } = parseAdaptationRules(assessmentGuide.sequencing_engine?.adaptation_rules || []);
+    issues.forEach(issue => console.warn('[adaptationRules] Skipped:', issue));
+    defaultRules = rules;
+  }
+  return defaultRules;
+}
+
+// ============================================================================
+// QUESTION BUILDERS
+// ============================================================================
+
+const servedItemIds = (queue) => new Set(queue.map(q => q.itemId || q.item_id).filter(Boolean));
+
+// Gold item for an atom with one of the given templates, not already in the mission
+function findGoldItem(queue, predicate) {
+  const served = servedItemIds(queue);
+  return goldItems.find(item => !served.has(item.item_id) && predicate(item)) || null;
+}
+
+// Gold items tag misconceptions by id and by tag; either may come back from scoring
+function itemTargetsMisconception(item, misconception) {
+  return (item.misconceptions || []).some(m => m.misconception_id === misconception || m.tag === misconception);
+}
+
+/**
+ * Atom next to this one: a prerequisite still in the curriculum, else the
+ * following (or previous) atom in its module
+ */
+function neighbourAtom(curriculum, atomId) {
+  const atom = curriculum.atoms?.[atomId];
+  if (!atom) return null;
+
+  const prerequisite = (atom.prerequisites || []).map(id => curriculum.atoms[id]).find(Boolean);
+  if (prerequisite) return prerequisite;
+
+  const siblings = (curriculum.modules || []).find(m => m.module_id === atom.moduleId)?.atoms || [];
+  const position = siblings.findIndex(a => a.atom_id === atomId);
+  const sibling = siblings[position + 1] || siblings[position - 1];
+  return sibling ? curriculum.atoms[sibling.atom_id] : null;
+}
+
+function strategyAtoms(curriculum, arg) {
+  const wanted = (arg || '').toLowerCase();
+  const module = (curriculum.modules || []).find(m => wanted && m.title?.toLowerCase().startsWith(wanted))
+    || (curriculum.modules || []).find(m => m.module_id === STRATEGY_MODULE_ID);
+  return (module?.atoms || []).map(a => curriculum.atoms[a.atom_id]).filter(Boolean);
+}
+
+function preferredTemplate(atom, candidates, exclude) {
+  return candidates.find(t => t !== exclude && (atom.template_ids || []).includes(t))
+    || (atom.template_ids || []).find(t => t !== exclude)
+    || candidates.find(t => t !== exclude);
+}
+
+/**
+ * Mission question for an inserted item: a gold item when one fits, else
+ * a shell like the generated slots
+ */
+function buildInsertedQuestion(ctx, { atom, templateId, item = null, suffix, fields = {} }) {
+  const { question, curriculum, index } = ctx;
+  const slotFields = {
+    phase: question.phase,
+    confidencePrompt: false,
+    difficulty: item?.difficulty || question.difficulty,
+    ...fields
+  };
+
+  if (item) {
+    return {
+      ...toTemplateQuestion(item),
+      ...slotFields,
+      questionId: `${item.item_id}:${suffix}:${index}`
+    };
+  }
+
+  return buildQuestionShell(curriculum, atom, templateId, {
+    ...slotFields,
+    questionId: `q_${suffix}_${index}_${atom.atom_id}_${templateId}`
+  });
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Insert a question at the plan's cursor (after the current question and
+ * anything this answer already inserted)
+ */
+function insert(plan, ctx, question) {
+  if (plan.state.inserted >= MAX_INSERTED_QUESTIONS) return null;
+  const tagged = { ...question, adaptation: { ...ctx.reason } };
+  plan.queue.splice(plan.cursor, 0, tagged);
+  plan.cursor += 1;
+  plan.state = { ...plan.state, inserted: plan.state.inserted + 1 };
+  plan.lastInserted = plan.cursor - 1;
+  return { questionIds: [tagged.questionId] };
+}
+
+/**
+ * Action -> (plan, ctx, arg) => { questionIds } when applied, null when not
+ */
+const ACTION_HANDLERS = {
+  [ADAPTATION_ACTIONS.SWITCH_TEMPLATE]: (plan, ctx) => {
+    const { atom, question } = ctx;
+    if (!atom) return null;
+    const item = findGoldItem(plan.queue, i =>
+      i.atom_id === atom.atom_id && i.template_id !== question.templateId && REPRESENTATION_TEMPLATES.includes(i.template_id)
+    );
+    const templateId = item?.template_id || preferredTemplate(atom, REPRESENTATION_TEMPLATES, question.templateId);
+    return insert(plan, ctx, buildInsertedQuestion(ctx, { atom, templateId, item, suffix: 'represent' }));
+  },
+
+  [ADAPTATION_ACTIONS.SHOW_MICRO_LESSON]: (plan, ctx) => {
+    const { atom, question, answer } = ctx;
+    const target = plan.lastInserted ?? (plan.cursor < plan.queue.length ? plan.cursor : null);
+    if (!atom || target === null) return null;
+
+    const misconception = (question.misconceptions || []).find(m =>
+      answer.misconceptionIds.includes(m.misconception_id) || m.tag === answer.diagnosticTag
+    );
+    plan.queue[target] = {
+      ...plan.queue[target],
+      microLesson: {
+        atomId: atom.atom_id,
+        title: atom.title,
+        text: atom.core_idea,
+        hint: misconception?.hint || null
+      }
+    };
+    return { questionIds: [plan.queue[target].questionId] };
+  },
+
+  [ADAPTATION_ACTIONS.SERVE_REPAIR_ITEM]: (plan, ctx) => {
+    const { atom, question } = ctx;
+    const misconception = knownMisconception(ctx.answer);
+    if (!misconception) return null;
+
+    const item = findGoldItem(plan.queue, i => i.item_id !== question.itemId && itemTargetsMisconception(i, misconception));
+    if (!item && !atom) return null;
+    const repairAtom = (item && ctx.curriculum.atoms?.[item.atom_id]) || atom;
+    return insert(plan, ctx, buildInsertedQuestion(ctx, {
+      atom: repairAtom,
+      templateId: item?.template_id || preferredTemplate(repairAtom, ['ERROR_ANALYSIS', 'TWO_TIER'], null),
+      item,
+      suffix: 'repair',
+      fields: { repair: { misconceptionId: misconception, forQuestionId: question.questionId } }
+    }));
+  },
+
+  [ADAPTATION_ACTIONS.RETRY_ORIGINAL]: (plan, ctx) => {
+    const { question } = ctx;
+    // A retry is not retried again
+    if (question.adaptation?.action === ADAPTATION_ACTIONS.RETRY_ORIGINAL) return null;
+    return insert(plan, ctx, {
+      ...question,
+      questionId: `${question.questionId}:retry`,
+      confidencePrompt: false,
+      microLesson: null,
+      retryOf: question.questionId
+    });
+  },
+
+  [ADAPTATION_ACTIONS.INCREASE_DIFFICULTY]: (plan, ctx) => {
+    const { answer } = ctx;
+    const questionIds = [];
+    // Content-less slots only: a gold item's difficulty is part of its content
+    for (let i = plan.cursor; i < plan.queue.length; i++) {
+      const next = plan.queue[i];
+      if (next.atomId !== answer.atomId || next.interaction || (next.difficulty || 2) >= 3) continue;
+      plan.queue[i] = { ...next, difficulty: (next.difficulty || 2) + 1, adaptation: { ...ctx.reason } };
+      questionIds.push(next.questionId);
+    }
+    return questionIds.length > 0 ? { questionIds } : null;
+  },
+
+  [ADAPTATION_ACTIONS.INTRODUCE_INTERLEAVING]: (plan, ctx) => {
+    const { question, curriculum } = ctx;
+    const neighbour = neighbourAtom(curriculum, ctx.answer.atomId);
+    if (!neighbour) return null;
+    const templateId = preferredTemplate(neighbour, [question.templateId], null);
+    return insert(plan, ctx, buildInsertedQuestion(ctx, {
+      atom: neighbour,
+      templateId,
+      suffix: 'interleave',
+      fields: { isInterleaved: true, interleavedWith: ctx.answer.atomId }
+    }));
+  },
+
+  [ADAPTATION_ACTIONS.SERVE_STRATEGY_ATOM]: (plan, ctx, arg) => {
+    const candidates = strategyAtoms(ctx.curriculum, arg);
+    if (candidates.length === 0) return null;
+    // The strategy atom this mission has shown least
+    const seen = (atomId) => plan.queue.filter(q => q.atomId === atomId).length;
+    const atom = [...candidates].sort((a, b) => seen(a.atom_id) - seen(b.atom_id))[0];
+    return insert(plan, ctx, buildInsertedQuestion(ctx, {
+      atom,
+      templateId: preferredTemplate(atom, [], null),
+      suffix: 'strategy'
+    }));
+  }
+};
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+/**
+ * Fresh per-mission state
+ * @returns {{ answers: Array, lastFired: Object, inserted: number }}
+ */
+export function createAdaptationState() {
+  return { answers: [], lastFired: {}, inserted: 0 };
+}
+
+/**
+ * Record an answer, run the rules and rewrite the questions after `index`
+ *
+ * @param {Object} params
+ * @param {Array} params.queue - Mission questions
+ * @param {number} params.index - Index of the question just answered
+ * @param {Object} params.answer - toAdaptationAnswer() of that answer
+ * @param {Object} params.state - createAdaptationState() or a previous result's state
+ * @param {Object} params.curriculum - loadCurriculumV2() result
+ * @param {Array} params.rules - Parsed rules (defaults to the guide's)
+ * @returns {{ queue: Array, state: Object, triggered: Array<{ rule, then, questionId, atomId, actions }> }}
+ */
+export function applyAdaptationRules({ queue, index, answer, state = createAdaptationState(), curriculum = {}, rules = getAdaptationRules() }) {
+  const question = queue[index] || {};
+  const plan = {
+    queue: [...queue],
+    cursor: index + 1,
+    lastInserted: null,
+    state: { ...state, answers: [...state.answers, answer] }
+  };
+  const answerNumber = plan.state.answers.length;
+  const triggered = [];
+
+  rules.forEach(rule => {
+    const since = plan.state.lastFired[rule.condition] || 0;
+    if (!CONDITION_TESTS[rule.condition](plan.state.answers.slice(since))) return;
+
+    plan.lastInserted = null;
+    const actions = rule.steps.map(alternatives => {
+      for (const { action, arg } of alternatives) {
+        const ctx = {
+          question,
+          answer,
+          curriculum,
+          index,
+          atom: curriculum.atoms?.[answer.atomId] || null,
+          reason: { rule: rule.condition, action, sourceQuestionId: question.questionId }
+        };
+        const applied = ACTION_HANDLERS[action](plan, ctx, arg);
+        if (applied) return { action, applied: true, ...applied };
+      }
+      return { action: alternatives.map(a => a.action).join('|'), applied: false };
+    });
+
+    plan.state = { ...plan.state, lastFired: { ...plan.state.lastFired, [rule.condition]: answerNumber } };
+    triggered.push({
+      rule: rule.condition,
+      then: rule.then,
+      questionId: question.questionId,
+      atomId: answer.atomId,
+      actions
+    });
+  });
+
+  return { queue: triggered.length > 0 ? plan.queue : queue, state: plan.state, triggered };
+}
+
+export default {
+  parseAdaptationRules,
+  getAdaptationRules,
+  applyAdaptationRules,
+  createAdaptationState,
+  toAdaptationAnswer,
+  isFastCorrect,
+  knownMisconception,
+  ADAPTATION_CONDITIONS,
+  ADAPTATION_ACTIONS,
+  REPRESENTATION_TEMPLATES,
+  HIGH_HINT_USE,
+  MAX_INSERTED_QUESTIONS
+};
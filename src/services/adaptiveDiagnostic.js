@@ -0,0 +1,377 @@
+/**
+ * adaptiveDiagnostic.js
+ *
+ * Computerized adaptive testing (CAT) for the entrance diagnostic: instead
+ * of the whole question bank in difficulty order, each next item is the one
+ * expected to remove the most uncertainty about atom mastery.
+ *
+ * Features:
+ * - Atom estimates are BKT mastery (masteryService), starting at the prior.
+ *   The diagnostic only measures, so updates skip BKT's learn step.
+ * - Answers also move related atoms, weighted by the item's
+ *   `influences_math_atoms` links: a secondary atom both ways, prerequisites
+ *   on success (DIRECT_DEPENDENCE / SCAFFOLDING_BOOST), dependents on failure
+ * - Module estimates pool every answer on the module's atoms (most atoms
+ *   have a single item, so per-atom confidence is out of reach under the
+ *   question cap)
+ * - Next item: largest expected drop in total uncertainty (Σ p(1-p)) over
+ *   the modules not yet confident
+ * - Stops when every module is confident (or out of items), at the time cap
+ *   or at the question cap (`test_metadata.adaptive_stopping`). A module is
+ *   confident once its estimate reaches the threshold after at least
+ *   min_questions_per_atom answers (or all of its items, when it has fewer).
+ * - Report: module estimates, and which atoms were tested vs inferred
+ *
+ * Usage:
+ * ------
+ * const bank = buildItemBank(questions);
+ * let state = createDiagnosticState(bank);
+ * const item = selectNextItem(state, bank);
+ * state = applyDiagnosticAnswer(state, bank, item, { isCorrect, isRecovered });
+ * const { stop, reason } = shouldStop(state, bank);
+ */
+
+import diagnosticSpec from '../data/diagnostic-questions-v4.0.json';
+import curriculum from '../data/curriculum.json';
+import { bktStep, clampMastery, getBktParams, getEvidenceType, observationParams, observedScore } from './masteryService';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const stopping = diagnosticSpec.test_metadata?.adaptive_stopping || {};
+
+export const CONFIDENCE_THRESHOLD = stopping.confidence_threshold || 0.85;
+export const MIN_QUESTIONS_PER_ATOM = stopping.min_questions_per_atom || 2;
+export const MAX_QUESTIONS = stopping.max_questions_total || 24;
+export const TIME_CAP_MINUTES = stopping.timeout_minutes || 30;
+
+export const STOP_REASONS = {
+  CONFIDENT: 'CONFIDENT', // Every module confident or out of items
+  TIME_CAP: 'TIME_CAP',
+  QUESTION_CAP: 'QUESTION_CAP',
+  NO_ITEMS: 'NO_ITEMS'
+};
+
+// Share of an answer's evidence a linked atom receives
+export const INFLUENCE_WEIGHTS = {
+  PRIMARY: 1,
+  SECONDARY: 0.5,
+  DIRECT_DEPENDENCE: 0.5,
+  SCAFFOLDING_BOOST: 0.25
+};
+
+// Links that make the item's atom a prerequisite of the linked atom
+const PREREQUISITE_LINKS = ['DIRECT_DEPENDENCE', 'SCAFFOLDING_BOOST'];
+
+const curriculumAtoms = Object.fromEntries(
+  (curriculum.modules || []).flatMap(m => (m.atoms || []).map(a => [a.id, { moduleId: m.module_id, moduleName: m.name, name: a.name }]))
+);
+
+// ============================================================================
+// ITEM BANK
+// ============================================================================
+
+function moduleOf(question) {
+  const [moduleId, moduleName] = String(question.module || '').split(':').map(s => s.trim());
+  const known = curriculumAtoms[question.atom];
+  return {
+    moduleId: known?.moduleId || moduleId || 'UNKNOWN',
+    moduleName: known?.moduleName || moduleName || moduleId || 'Unknown'
+  };
+}
+
+function addLink(map, from, atomId, weight) {
+  (map[from] = map[from] || []).push({ atomId, weight });
+}
+
+/**
+ * Index a diagnostic question pool: atoms, modules and prerequisite links
+ * @param {Array} questions - diagnostic_questions documents (or injected test questions)
+ * @returns {Object} { items, atoms: { [atomId]: { moduleId, moduleName, name, itemCount } },
+ *   modules: { [moduleId]: { moduleName, atomIds } }, prerequisites, dependents }
+ */
+export function buildItemBank(questions = []) {
+  const items = questions.filter(q => q?.id && q.atom);
+  const atoms = {};
+  const modules = {};
+  const prerequisites = {}; // atom -> atoms it builds on
+  const dependents = {}; // atom -> atoms that build on it
+
+  const registerAtom = (atomId, fallbackModule) => {
+    if (!atoms[atomId]) {
+      const known = curriculumAtoms[atomId];
+      atoms[atomId] = {
+        moduleId: known?.moduleId || fallbackModule.moduleId,
+        moduleName: known?.moduleName || fallbackModule.moduleName,
+        name: known?.name || atomId,
+        itemCount: 0
+      };
+    }
+    return atoms[atomId];
+  };
+
+  items.forEach(item => {
+    const itemModule = moduleOf(item);
+    registerAtom(item.atom, itemModule).itemCount += 1;
+
+    Object.entries(item.influences_math_atoms || {}).forEach(([atomId, link]) => {
+      if (atomId === item.atom) return;
+      // Linked atoms outside the curriculum map sit with the item's module
+      registerAtom(atomId, itemModule);
+      if (PREREQUISITE_LINKS.includes(link)) {
+        const weight = INFLUENCE_WEIGHTS[link];
+        addLink(dependents, item.atom, atomId, weight);
+        addLink(prerequisites, atomId, item.atom, weight);
+      }
+    });
+  });
+
+  // Confidence is judged on atoms the bank can test directly
+  Object.entries(atoms).forEach(([atomId, atom]) => {
+    if (atom.itemCount === 0) return;
+    modules[atom.moduleId] = modules[atom.moduleId] || { moduleName: atom.moduleName, atomIds: [] };
+    modules[atom.moduleId].atomIds.push(atomId);
+  });
+
+  return { items, atoms, modules, prerequisites, dependents };
+}
+
+// ============================================================================
+// STATE AND EVIDENCE
+// ============================================================================
+
+/**
+ * Fresh diagnostic: every atom and module at the mastery model's prior
+ * @returns {Object} { estimates, modules: { [moduleId]: { estimate, answered } },
+ *   tested, answeredIds, startedAt }
+ */
+export function createDiagnosticState(bank, { now = Date.now() } = {}) {
+  return {
+    estimates: Object.fromEntries(Object.keys(bank.atoms).map(atomId => [atomId, getBktParams(atomId).prior])),
+    modules: Object.fromEntries(Object.entries(bank.modules).map(([moduleId, module]) => {
+      const priors = module.atomIds.map(atomId => getBktParams(atomId).prior);
+      return [moduleId, { estimate: priors.reduce((a, b) => a + b, 0) / priors.length, answered: 0 }];
+    })),
+    tested: {},
+    answeredIds: [],
+    startedAt: now
+  };
+}
+
+// Diagnostic items are multiple choice unless they name a template
+export function itemEvidenceType(item) {
+  return getEvidenceType(item?.templateId) || 'recognition';
+}
+
+// Related atoms an answer moves, with the share of evidence each gets
+function evidenceTargets(bank, item, isSuccess) {
+  const targets = [];
+  Object.entries(item.influences_math_atoms || {}).forEach(([atomId, link]) => {
+    if (atomId !== item.atom && link === 'SECONDARY') targets.push({ atomId, weight: INFLUENCE_WEIGHTS.SECONDARY });
+  });
+  // Knowing an atom implies its prerequisites; missing it says its dependents are shaky
+  const links = isSuccess ? bank.prerequisites[item.atom] : bank.dependents[item.atom];
+  (links || []).forEach(link => targets.push(link));
+  return targets;
+}
+
+// BKT conditioning on one answer without the learn step: no teaching
+// happens between diagnostic items
+function assessmentUpdate(estimate, atomId, item, outcome) {
+  const params = observationParams(getBktParams(atomId), { evidenceType: itemEvidenceType(item) });
+  return clampMastery(bktStep(estimate, observedScore(outcome), { ...params, learn: 0 }));
+}
+
+function weightedUpdate(estimate, atomId, item, outcome, weight) {
+  return estimate + weight * (assessmentUpdate(estimate, atomId, item, outcome) - estimate);
+}
+
+/**
+ * State after an answer (pure)
+ * @param {Object} outcome - { isCorrect, isRecovered }
+ */
+export function applyDiagnosticAnswer(state, bank, item, outcome) {
+  const estimates = { ...state.estimates };
+  const prior = (atomId) => estimates[atomId] ?? getBktParams(atomId).prior;
+
+  estimates[item.atom] = weightedUpdate(prior(item.atom), item.atom, item, outcome, 1);
+  evidenceTargets(bank, item, !!(outcome.isCorrect || outcome.isRecovered)).forEach(({ atomId, weight }) => {
+    estimates[atomId] = weightedUpdate(prior(atomId), atomId, item, outcome, weight);
+  });
+
+  // The module estimate takes the answer in full, whichever of its atoms it tested
+  const moduleId = bank.atoms[item.atom]?.moduleId;
+  const modules = { ...state.modules };
+  if (modules[moduleId]) {
+    modules[moduleId] = {
+      estimate: assessmentUpdate(modules[moduleId].estimate, item.atom, item, outcome),
+      answered: modules[moduleId].answered + 1
+    };
+  }
+
+  return {
+    ...state,
+    estimates,
+    modules,
+    tested: { ...state.tested, [item.atom]: (state.tested[item.atom] || 0) + 1 },
+    answeredIds: [...state.answeredIds, item.id]
+  };
+}
+
+// ============================================================================
+// ESTIMATES AND STOPPING
+// ============================================================================
+
+export function atomConfidence(estimate) {
+  return Math.max(estimate, 1 - estimate);
+}
+
+function remainingItems(state, bank) {
+  const answered = new Set(state.answeredIds);
+  return bank.items.filter(item => !answered.has(item.id));
+}
+
+/**
+ * Module estimates: the pooled module mastery and its confidence. A module
+ * is confident only after MIN_QUESTIONS_PER_ATOM answers (or all of its
+ * items, when it has fewer).
+ * @returns {Array<{ moduleId, moduleName, estimate, confidence, isConfident, answered, remainingItems }>}
+ */
+export function moduleEstimates(state, bank) {
+  const remaining = remainingItems(state, bank);
+  return Object.entries(bank.modules).map(([moduleId, module]) => {
+    const { estimate, answered } = state.modules[moduleId];
+    const itemCount = module.atomIds.reduce((sum, atomId) => sum + bank.atoms[atomId].itemCount, 0);
+    const confidence = atomConfidence(estimate);
+    return {
+      moduleId,
+      moduleName: module.moduleName,
+      estimate: Number(estimate.toFixed(3)),
+      confidence: Number(confidence.toFixed(3)),
+      isConfident: answered >= Math.min(MIN_QUESTIONS_PER_ATOM, itemCount) && confidence >= CONFIDENCE_THRESHOLD,
+      answered,
+      remainingItems: remaining.filter(item => bank.atoms[item.atom].moduleId === moduleId).length
+    };
+  });
+}
+
+/**
+ * Whether the diagnostic is done
+ * @returns {{ stop: boolean, reason: string|null }}
+ */
+export function shouldStop(state, bank, { now = Date.now() } = {}) {
+  if (remainingItems(state, bank).length === 0) return { stop: true, reason: STOP_REASONS.NO_ITEMS };
+  if (state.answeredIds.length >= MAX_QUESTIONS) return { stop: true, reason: STOP_REASONS.QUESTION_CAP };
+  if (now - state.startedAt >= TIME_CAP_MINUTES * 60 * 1000) return { stop: true, reason: STOP_REASONS.TIME_CAP };
+  if (moduleEstimates(state, bank).every(m => m.isConfident || m.remainingItems === 0)) {
+    return { stop: true, reason: STOP_REASONS.CONFIDENT };
+  }
+  return { stop: false, reason: null };
+}
+
+// ============================================================================
+// ITEM SELECTION
+// ============================================================================
+
+function uncertainty(estimates, atomIds) {
+  return atomIds.reduce((sum, atomId) => sum + estimates[atomId] * (1 - estimates[atomId]), 0);
+}
+
+/**
+ * Expected drop in uncertainty over `atomIds` if `item` were answered
+ */
+export function expectedInformationGain(state, bank, item, atomIds) {
+  const p = state.estimates[item.atom];
+  // Chance of a correct answer under the item's own guess/slip
+  const { guess, slip } = observationParams(getBktParams(item.atom), { evidenceType: itemEvidenceType(item) });
+  const pCorrect = p * (1 - slip) + (1 - p) * guess;
+  const afterCorrect = applyDiagnosticAnswer(state, bank, item, { isCorrect: true });
+  const afterWrong = applyDiagnosticAnswer(state, bank, item, { isCorrect: false });
+
+  return uncertainty(state.estimates, atomIds)
+    - (pCorrect * uncertainty(afterCorrect.estimates, atomIds) + (1 - pCorrect) * uncertainty(afterWrong.estimates, atomIds));
+}
+
+/**
+ * Next item: the most informative unanswered one for modules not yet
+ * confident (bank order, i.e. easier first, breaks ties)
+ * @returns {Object|null}
+ */
+export function selectNextItem(state, bank) {
+  const open = new Set(moduleEstimates(state, bank).filter(m => !m.isConfident).map(m => m.moduleId));
+  const atomIds = Object.keys(bank.atoms).filter(atomId => open.has(bank.atoms[atomId].moduleId));
+  const candidates = remainingItems(state, bank).filter(item => open.has(bank.atoms[item.atom].moduleId));
+
+  let best = null;
+  candidates.forEach(item => {
+    const gain = expectedInformationGain(state, bank, item, atomIds);
+    if (!best || gain > best.gain) best = { item, gain };
+  });
+  return best?.item || null;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Mastery to store: tested atoms and inferred ones the answers moved
+ */
+export function diagnosticMastery(state) {
+  return Object.fromEntries(
+    Object.entries(state.estimates)
+      .filter(([atomId, p]) => state.tested[atomId] || Math.abs(p - getBktParams(atomId).prior) > 0.001)
+      .map(([atomId, p]) => [atomId, Number(p.toFixed(4))])
+  );
+}
+
+/**
+ * End-of-diagnostic report
+ * @returns {Object} { stopReason, questionsAnswered, durationMinutes, modules,
+ *   testedAtoms, inferredAtoms } - atoms as { atomId, name, moduleId, estimate }
+ */
+export function buildDiagnosticReport(state, bank, { reason = null, now = Date.now() } = {}) {
+  const mastery = diagnosticMastery(state);
+  const describe = (atomId) => ({
+    atomId,
+    name: bank.atoms[atomId]?.name || atomId,
+    moduleId: bank.atoms[atomId]?.moduleId || null,
+    estimate: mastery[atomId]
+  });
+
+  return {
+    stopReason: reason,
+    questionsAnswered: state.answeredIds.length,
+    durationMinutes: Number(((now - state.startedAt) / 60000).toFixed(1)),
+    modules: moduleEstimates(state, bank).map(m => ({
+      moduleId: m.moduleId,
+      moduleName: m.moduleName,
+      estimate: m.estimate,
+      confidence: m.confidence,
+      isConfident: m.isConfident
+    })),
+    testedAtoms: Object.keys(state.tested).map(describe),
+    inferredAtoms: Object.keys(mastery).filter(atomId => !state.tested[atomId]).map(describe)
+  };
+}
+
+export default {
+  buildItemBank,
+  createDiagnosticState,
+  applyDiagnosticAnswer,
+  itemEvidenceType,
+  atomConfidence,
+  moduleEstimates,
+  shouldStop,
+  expectedInformationGain,
+  selectNextItem,
+  diagnosticMastery,
+  buildDiagnosticReport,
+  CONFIDENCE_THRESHOLD,
+  MIN_QUESTIONS_PER_ATOM,
+  MAX_QUESTIONS,
+  TIME_CAP_MINUTES,
+  STOP_REASONS,
+  INFLUENCE_WEIGHTS
+};
@@ -268,6 +268,26 @@ export const ANALYTICS_SCHEMA_V2 = {
     notes: 'Key for SM2-lite scheduling analysis'
   },
 
+  reviewOutcome: {
+    type: 'string',
+    required: false,
+    enum: ['PROMOTED', 'HELD', 'DEMOTED', 'EARLY'],
+    description: 'What this answer did to the atom\'s review interval',
+    validationError: 'reviewOutcome must be PROMOTED, HELD, DEMOTED or EARLY',
+    example: 'PROMOTED',
+    notes: 'spaced_review_scheduler promotion/demotion rules (services/reviewScheduler)'
+  },
+
+  reviewIntervalDays: {
+    type: 'number',
+    required: false,
+    minimum: 1,
+    maximum: 30,
+    description: 'Review interval for the atom after this answer',
+    validationError: 'reviewIntervalDays must be 1-30',
+    example: 7
+  },
+
   // ────────────────────────────────────────────────────────────────────────
   // NEW: Hint & Scaffold Usage (Extended)
   // ────────────────────────────────────────────────────────────────────────
@@ -293,6 +313,43 @@ export const ANALYTICS_SCHEMA_V2 = {
     example: 1
   },
 
+  // ────────────────────────────────────────────────────────────────────────
+  // NEW: Runtime Adaptation (sequencing_engine.adaptation_rules)
+  // ────────────────────────────────────────────────────────────────────────
+
+  adaptations: {
+    type: 'array',
+    required: false,
+    description: 'Adaptation rules this answer triggered, with the actions applied',
+    validationError: 'adaptations must be an array',
+    example: [{ rule: 'wrong_matches_known_misconception', actions: [{ action: 'serve_repair_item', applied: true }] }],
+    notes: 'Absent when no rule fired; see services/adaptationRules'
+  },
+
+  adaptedBy: {
+    type: 'object',
+    required: false,
+    description: 'Rule and action that served or changed this question',
+    validationError: 'adaptedBy must be an object',
+    example: { rule: 'fast_correct_3x', action: 'increase_difficulty', sourceQuestionId: 'q_4_CBSE7.CH01.INT.02_NUMERIC_INPUT' },
+    notes: 'Lets repair, retry and interleaved items be analysed apart from planned slots'
+  },
+
+  // ────────────────────────────────────────────────────────────────────────
+  // NEW: Self-Rated Confidence (confidence_rated event)
+  // ────────────────────────────────────────────────────────────────────────
+
+  confidence: {
+    type: 'number',
+    required: false,
+    minimum: 1,
+    maximum: 5,
+    description: 'How sure was the student before checking? 1=guessing, 5=certain',
+    validationError: 'confidence must be 1-5',
+    example: 4,
+    notes: 'Null when the prompt was shown but skipped; feeds calibration analytics'
+  },
+
   // ────────────────────────────────────────────────────────────────────────
   // NEW: Session & Streak Metadata
   // ────────────────────────────────────────────────────────────────────────
@@ -326,8 +383,10 @@ export const FIELD_GROUPS_V2 = {
   transfer: ['isTransferItem', 'transferSuccess'],
   behavior: ['learningBehavior', 'conceptType'],
   outcomes: ['outcomeIds', 'conceptType'],
-  interleaving: ['isInterleaved', 'spacedReviewDaysSinceLastSeen'],
+  interleaving: ['isInterleaved', 'spacedReviewDaysSinceLastSeen', 'reviewOutcome', 'reviewIntervalDays'],
+  adaptation: ['adaptations', 'adaptedBy'],
   scaffolding: ['hintsUsed', 'scaffoldLevel'],
+  metacognition: ['confidence'],
   session: ['sessionId', 'questType']
 };
 
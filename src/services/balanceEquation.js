@@ -0,0 +1,322 @@
+/**
+ * balanceEquation.js
+ *
+ * Equation-state engine for BALANCE_OPS.
+ * The template library grades BALANCE_OPS by "process: sequence of valid
+ * operations", so instead of comparing against one expected step list we
+ * apply every move to both sides and accept any route to an isolated variable.
+ *
+ * Features:
+ * - Sides held as exact polynomials (via expressionEquivalence), so
+ *   2(x + 3) = 18 and 2x + 6 = 18 are the same state
+ * - ADD / SUB any term, MUL / DIV by a non-zero number
+ * - Invalid moves rejected with a library-style explanation
+ *   (one side only, divide by zero, multiply by zero, op not allowed...)
+ * - Solved detection (x = value on either side) and efficiency metrics
+ *
+ * Usage:
+ * ------
+ * let state = createEquationState({ left: '3x + 5', right: '20' });
+ * const move = applyBalanceOperation(state, { op: 'SUB', value: '5' });
+ * if (move.ok) state = move.state; else console.log(move.explanation);
+ */
+
+import { expressionToPolynomial, formatPolynomial, polyAdd, polyScale } from './expressionEquivalence';
+import { rational, div, equals, isZero, toNumber, formatRational, ONE } from './rationalMath';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const BALANCE_OPERATIONS = {
+  ADD: 'ADD',
+  SUB: 'SUB',
+  MUL: 'MUL',
+  DIV: 'DIV'
+};
+
+export const BALANCE_SIDES = {
+  BOTH: 'both',
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+export const INVALID_MOVE_REASONS = {
+  ONE_SIDE_ONLY: 'ONE_SIDE_ONLY',
+  DIVIDE_BY_ZERO: 'DIVIDE_BY_ZERO',
+  MULTIPLY_BY_ZERO: 'MULTIPLY_BY_ZERO',
+  VARIABLE_FACTOR: 'VARIABLE_FACTOR',
+  BAD_VALUE: 'BAD_VALUE',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  UNKNOWN_OPERATION: 'UNKNOWN_OPERATION',
+  ALREADY_SOLVED: 'ALREADY_SOLVED'
+};
+
+const INVALID_MOVE_EXPLANATIONS = {
+  ONE_SIDE_ONLY: 'An equation is a balance: whatever you do to one side, you must do to the other side too.',
+  DIVIDE_BY_ZERO: 'You cannot divide by 0 — it is undefined. Pick a non-zero number.',
+  MULTIPLY_BY_ZERO: 'Multiplying both sides by 0 turns any equation into 0 = 0 and loses the answer.',
+  VARIABLE_FACTOR: 'Multiply or divide by a number only. Dividing by the unknown could mean dividing by 0.',
+  BAD_VALUE: 'Type a number (like 5, -3 or 1/2) or a term (like 2x) to use in this step.',
+  NOT_ALLOWED: 'That operation is not available for this question.',
+  UNKNOWN_OPERATION: 'That operation is not recognised.',
+  ALREADY_SOLVED: 'The variable is already on its own — you can check your solution.'
+};
+
+const OP_SYMBOLS = { ADD: '+', SUB: '−', MUL: '×', DIV: '÷' };
+
+const OP_ALIASES = {
+  PLUS: 'ADD',
+  SUBTRACT: 'SUB',
+  MINUS: 'SUB',
+  MULTIPLY: 'MUL',
+  TIMES: 'MUL',
+  DIVIDE: 'DIV'
+};
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+function variablesOf(poly) {
+  const names = new Set();
+  poly.forEach((_, key) => {
+    key.split('*').filter(Boolean).forEach(part => names.add(part.split('^')[0]));
+  });
+  return names;
+}
+
+/**
+ * Accept both expression strings and the legacy structured sides
+ * ({ format: 'axplusb', a, b, variable } / { format: 'const', value })
+ */
+function sideToText(side) {
+  if (side && typeof side === 'object') {
+    if (side.format === 'axplusb') return `${side.a ?? 1}${side.variable || 'x'} + ${side.b ?? 0}`;
+    if (side.format === 'const') return String(side.value);
+    return String(side.expression ?? side.text ?? '');
+  }
+  return String(side ?? '');
+}
+
+/**
+ * Normalize a move from either config shape ({ op, value, side } or
+ * legacy { opId: 'SUBTRACT', value, applyBothSides })
+ */
+export function normalizeMove(move = {}) {
+  const rawOp = String(move.op || move.opId || '').toUpperCase();
+  const side = move.side || (move.applyBothSides === false ? BALANCE_SIDES.LEFT : BALANCE_SIDES.BOTH);
+  return { op: OP_ALIASES[rawOp] || rawOp, value: move.value, side };
+}
+
+/**
+ * Build the initial state from { left, right } expression strings.
+ * Throws if a side is not a polynomial expression.
+ */
+export function createEquationState(equation) {
+  const leftText = sideToText(equation?.left);
+  const rightText = sideToText(equation?.right);
+  const left = expressionToPolynomial(leftText);
+  const right = expressionToPolynomial(rightText);
+  if (!left || !right) {
+    throw new Error(`Equation sides must be polynomial: ${leftText} = ${rightText}`);
+  }
+
+  const variables = new Set([...variablesOf(left), ...variablesOf(right)]);
+  return {
+    left,
+    right,
+    leftText,
+    rightText,
+    variable: [...variables].sort()[0] || 'x'
+  };
+}
+
+export function formatEquation(state) {
+  return `${formatPolynomial(state.left)} = ${formatPolynomial(state.right)}`;
+}
+
+function constantOf(poly) {
+  if (poly.size === 0) return rational(0);
+  if (poly.size === 1 && poly.has('')) return poly.get('');
+  return null;
+}
+
+function isBareVariable(poly, variable) {
+  return poly.size === 1 && poly.has(variable) && equals(poly.get(variable), ONE);
+}
+
+/**
+ * Is the variable isolated? ("x = 5" or "5 = x")
+ * @returns {{ solved: boolean, value: Object|null }}
+ */
+export function getSolvedValue(state) {
+  const { left, right, variable } = state;
+  if (isBareVariable(left, variable) && constantOf(right)) return { solved: true, value: constantOf(right) };
+  if (isBareVariable(right, variable) && constantOf(left)) return { solved: true, value: constantOf(left) };
+  return { solved: false, value: null };
+}
+
+// ============================================================================
+// OPERATIONS
+// ============================================================================
+
+function invalid(reason) {
+  return { ok: false, reason, explanation: INVALID_MOVE_EXPLANATIONS[reason] };
+}
+
+/**
+ * Describe a move for the step log ("− 5 on both sides")
+ */
+export function describeOperation(move) {
+  const symbol = OP_SYMBOLS[move.op] || move.op;
+  const where = move.side && move.side !== BALANCE_SIDES.BOTH ? `the ${move.side} side only` : 'both sides';
+  return `${symbol} ${move.value} on ${where}`;
+}
+
+/**
+ * Apply one operation to the equation.
+ *
+ * @param {Object} state - Current equation state
+ * @param {Object} move - { op: 'ADD'|'SUB'|'MUL'|'DIV', value: string|number, side?: 'both'|'left'|'right' }
+ * @param {Object} options - { allowedOps: string[] }
+ * @returns {Object} { ok: true, state, description } or { ok: false, reason, explanation }
+ */
+export function applyBalanceOperation(state, rawMove, options = {}) {
+  const move = normalizeMove(rawMove);
+  const op = move.op;
+  if (!BALANCE_OPERATIONS[op]) return invalid(INVALID_MOVE_REASONS.UNKNOWN_OPERATION);
+  if (options.allowedOps && options.allowedOps.length > 0 && !options.allowedOps.includes(op)) {
+    return invalid(INVALID_MOVE_REASONS.NOT_ALLOWED);
+  }
+  if (getSolvedValue(state).solved) return invalid(INVALID_MOVE_REASONS.ALREADY_SOLVED);
+  if (move.side && move.side !== BALANCE_SIDES.BOTH) return invalid(INVALID_MOVE_REASONS.ONE_SIDE_ONLY);
+
+  let operand;
+  try {
+    operand = expressionToPolynomial(String(move.value ?? '').trim());
+  } catch {
+    operand = null;
+  }
+  if (!operand || String(move.value ?? '').trim() === '') return invalid(INVALID_MOVE_REASONS.BAD_VALUE);
+
+  let transform;
+  if (op === BALANCE_OPERATIONS.ADD || op === BALANCE_OPERATIONS.SUB) {
+    const term = op === BALANCE_OPERATIONS.SUB ? polyScale(operand, rational(-1)) : operand;
+    transform = side => polyAdd(side, term);
+  } else {
+    const factor = constantOf(operand);
+    if (!factor) return invalid(INVALID_MOVE_REASONS.VARIABLE_FACTOR);
+    if (isZero(factor)) {
+      return invalid(op === BALANCE_OPERATIONS.DIV ? INVALID_MOVE_REASONS.DIVIDE_BY_ZERO : INVALID_MOVE_REASONS.MULTIPLY_BY_ZERO);
+    }
+    const scale = op === BALANCE_OPERATIONS.DIV ? div(ONE, factor) : factor;
+    transform = side => polyScale(side, scale);
+  }
+
+  const next = {
+    ...state,
+    left: transform(state.left),
+    right: transform(state.right)
+  };
+
+  return {
+    ok: true,
+    state: next,
+    description: describeOperation({ op, value: move.value, side: BALANCE_SIDES.BOTH }),
+    equation: formatEquation(next)
+  };
+}
+
+// ============================================================================
+// PROCESS GRADING
+// ============================================================================
+
+/**
+ * Fewest operations a linear equation needs (used when no ideal route is authored):
+ * one to gather the variable on one side, one to clear the constant, one for the coefficient.
+ */
+export function estimateMinimalSteps(state) {
+  const { left, right, variable } = state;
+  const leftHasVar = left.has(variable);
+  const rightHasVar = right.has(variable);
+  const varSide = leftHasVar ? left : right;
+  let steps = 0;
+  if (leftHasVar && rightHasVar) steps += 1;
+  const collectedCoef = leftHasVar && rightHasVar
+    ? polyAdd(left, polyScale(right, rational(-1))).get(variable)
+    : varSide.get(variable);
+  if (varSide.has('') || (leftHasVar && rightHasVar && right.has(''))) steps += 1;
+  if (collectedCoef && !equals(collectedCoef, ONE)) steps += 1;
+  return steps;
+}
+
+/**
+ * Replay a move list and grade the process.
+ *
+ * @param {Object} equation - { left, right }
+ * @param {Array} moves - [{ op, value, side }] as the student attempted them
+ * @param {Object} answerKey - { x?, idealOps? | ideal_ops? }
+ * @param {Object} options - { allowedOps, maxSteps }
+ * @returns {Object} { isCorrect, solved, solvedValue, finalState, steps, invalidMoves, telemetry }
+ */
+export function gradeBalanceProcess(equation, moves, answerKey = {}, options = {}) {
+  const initial = createEquationState(equation);
+  let state = initial;
+  const steps = [];
+  const invalidMoves = [];
+
+  moves.forEach((move, index) => {
+    const result = applyBalanceOperation(state, move, options);
+    if (result.ok) {
+      state = result.state;
+      steps.push({ ...normalizeMove(move), description: result.description, equation: result.equation });
+    } else {
+      invalidMoves.push({ index, move, reason: result.reason, explanation: result.explanation });
+    }
+  });
+
+  const { solved, value } = getSolvedValue(state);
+  const expected = answerKey.x ?? answerKey.xValue ?? answerKey.value ?? answerKey.targetX ?? answerKey.target_x;
+  const expectedPoly = expected === undefined ? null : expressionToPolynomial(String(expected));
+  const expectedValue = expectedPoly ? constantOf(expectedPoly) : null;
+  const valueMatches = solved && (expected === undefined || (expectedValue && equals(value, expectedValue)));
+  const withinSteps = !options.maxSteps || steps.length <= options.maxSteps;
+
+  const idealOps = answerKey.idealOps || answerKey.ideal_ops;
+  const idealSteps = Array.isArray(idealOps) && idealOps.length > 0 ? idealOps.length : estimateMinimalSteps(initial);
+
+  return {
+    isCorrect: !!(valueMatches && withinSteps),
+    solved,
+    solvedValue: value ? formatRational(value) : null,
+    finalEquation: formatEquation(state),
+    finalState: state,
+    steps,
+    invalidMoves,
+    telemetry: {
+      stepsUsed: steps.length,
+      idealSteps,
+      extraSteps: Math.max(0, steps.length - idealSteps),
+      efficiency: solved && steps.length > 0 ? Number(Math.min(1, idealSteps / steps.length).toFixed(2)) : null,
+      invalidMoveCount: invalidMoves.length,
+      invalidMoveReasons: invalidMoves.map(m => m.reason),
+      operationSequence: steps.map(s => `${s.op}:${s.value}`),
+      solvedValue: value ? toNumber(value) : null
+    }
+  };
+}
+
+export default {
+  createEquationState,
+  applyBalanceOperation,
+  getSolvedValue,
+  formatEquation,
+  describeOperation,
+  normalizeMove,
+  estimateMinimalSteps,
+  gradeBalanceProcess,
+  BALANCE_OPERATIONS,
+  BALANCE_SIDES,
+  INVALID_MOVE_REASONS
+};
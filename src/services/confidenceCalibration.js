@@ -0,0 +1,232 @@
+/**
+ * confidenceCalibration.js
+ *
+ * Self-rated confidence (1-5) and how well it matches results. The mission
+ * engine turns the prompt on per question (question.confidencePrompt); the
+ * TemplateRouter collects the rating before the first answer is checked and
+ * it is stored on the session log as `confidence`.
+ *
+ * Features:
+ * - 1-5 scale with labels and the expected accuracy each level implies
+ * - Calibration per student and per atom: mean confidence vs accuracy,
+ *   bias (over/under-confidence) and Brier score
+ * - "Confidently wrong" answers (rated 4+ and wrong) for teachers, since they
+ *   point at misconceptions the student does not know they have
+ *
+ * Usage:
+ * ------
+ * buildCalibrationReport(sessionLogs)
+ * // { overall: { label: 'OVERCONFIDENT', bias: 0.22, ... }, byAtom: [...], confidentlyWrong: [...] }
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const CONFIDENCE_LEVELS = [1, 2, 3, 4, 5];
+
+export const CONFIDENCE_LABELS = {
+  1: 'Guessing',
+  2: 'Unsure',
+  3: 'Fairly sure',
+  4: 'Sure',
+  5: 'Certain'
+};
+
+/**
+ * Accuracy a student implies by each rating (middle of each fifth)
+ */
+export const CONFIDENCE_PROBABILITY = {
+  1: 0.1,
+  2: 0.3,
+  3: 0.5,
+  4: 0.7,
+  5: 0.9
+};
+
+// Rated 4+ and wrong counts as confidently wrong
+export const CONFIDENT_THRESHOLD = 4;
+
+export const CALIBRATION_LABELS = {
+  OVERCONFIDENT: 'OVERCONFIDENT',
+  UNDERCONFIDENT: 'UNDERCONFIDENT',
+  CALIBRATED: 'CALIBRATED',
+  INSUFFICIENT_DATA: 'INSUFFICIENT_DATA'
+};
+
+// Fewer rated answers than this say nothing about calibration
+export const MIN_RATED_FOR_CALIBRATION = 3;
+
+// |expected - actual accuracy| within this counts as calibrated
+const CALIBRATION_TOLERANCE = 0.15;
+
+// ============================================================================
+// RATINGS
+// ============================================================================
+
+/**
+ * Whether a value is a 1-5 rating
+ */
+export function isValidConfidence(value) {
+  return Number.isInteger(value) && CONFIDENCE_LEVELS.includes(value);
+}
+
+/**
+ * Result fields for a rating taken while answering (empty when skipped)
+ * @param {{ rating: number, ratedAtMs: number }|null} rating
+ */
+export function summarizeConfidence(rating) {
+  if (!rating || !isValidConfidence(rating.rating)) return {};
+  return { confidence: rating.rating, confidenceRatedAtMs: rating.ratedAtMs ?? null };
+}
+
+/**
+ * Rated 4+ but answered wrong
+ */
+export function isConfidentlyWrong(log) {
+  return isValidConfidence(log?.confidence) && log.confidence >= CONFIDENT_THRESHOLD && !log.isCorrect;
+}
+
+const ratedLogs = (logs = []) => logs.filter(log => isValidConfidence(log?.confidence));
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+/**
+ * Calibration of one set of answers
+ *
+ * bias > 0 means overconfident (expected more than was achieved), < 0
+ * underconfident. Brier score: mean squared gap between implied probability
+ * and outcome (0 is perfect, 0.25 is always saying 50%).
+ *
+ * @param {Array} logs - Session logs (unrated ones are ignored)
+ * @returns {Object} { rated, meanConfidence, expectedAccuracy, accuracy, bias, brier, label, confidentlyWrong }
+ */
+export function calibrationStats(logs = []) {
+  const rated = ratedLogs(logs);
+  if (rated.length === 0) {
+    return {
+      rated: 0,
+      meanConfidence: null,
+      expectedAccuracy: null,
+      accuracy: null,
+      bias: null,
+      brier: null,
+      label: CALIBRATION_LABELS.INSUFFICIENT_DATA,
+      confidentlyWrong: 0
+    };
+  }
+
+  const n = rated.length;
+  const meanConfidence = rated.reduce((sum, log) => sum + log.confidence, 0) / n;
+  const expectedAccuracy = rated.reduce((sum, log) => sum + CONFIDENCE_PROBABILITY[log.confidence], 0) / n;
+  const accuracy = rated.filter(log => log.isCorrect).length / n;
+  const brier = rated.reduce(
+    (sum, log) => sum + (CONFIDENCE_PROBABILITY[log.confidence] - (log.isCorrect ? 1 : 0)) ** 2,
+    0
+  ) / n;
+  const bias = expectedAccuracy - accuracy;
+
+  let label = CALIBRATION_LABELS.CALIBRATED;
+  if (n < MIN_RATED_FOR_CALIBRATION) label = CALIBRATION_LABELS.INSUFFICIENT_DATA;
+  else if (bias > CALIBRATION_TOLERANCE) label = CALIBRATION_LABELS.OVERCONFIDENT;
+  else if (bias < -CALIBRATION_TOLERANCE) label = CALIBRATION_LABELS.UNDERCONFIDENT;
+
+  return {
+    rated: n,
+    meanConfidence: round(meanConfidence),
+    expectedAccuracy: round(expectedAccuracy),
+    accuracy: round(accuracy),
+    bias: round(bias),
+    brier: round(brier, 3),
+    label,
+    confidentlyWrong: rated.filter(isConfidentlyWrong).length
+  };
+}
+
+/**
+ * Calibration per atom, most overconfident first
+ * @returns {Array<Object>} calibrationStats plus atomId
+ */
+export function calibrationByAtom(logs = []) {
+  const byAtom = {};
+  ratedLogs(logs).forEach(log => {
+    const atomId = log.atomId || log.atom_id || 'UNKNOWN';
+    (byAtom[atomId] = byAtom[atomId] || []).push(log);
+  });
+
+  return Object.entries(byAtom)
+    .map(([atomId, atomLogs]) => ({ atomId, ...calibrationStats(atomLogs) }))
+    .sort((a, b) => b.bias - a.bias);
+}
+
+/**
+ * Calibration per student (class view)
+ * @param {Object} logsByStudent - { studentId: sessionLogs }
+ * @returns {Array<Object>} calibrationStats plus studentId, most overconfident first
+ */
+export function calibrationByStudent(logsByStudent = {}) {
+  return Object.entries(logsByStudent)
+    .map(([studentId, logs]) => ({ studentId, ...calibrationStats(logs) }))
+    .filter(entry => entry.rated > 0)
+    .sort((a, b) => b.bias - a.bias);
+}
+
+/**
+ * Answers rated 4+ that were wrong, most confident and most recent first
+ * @returns {Array<{ questionId, itemId, atomId, templateId, confidence, studentAnswer, diagnosticTag, misconceptionIds, timestamp }>}
+ */
+export function findConfidentlyWrong(logs = []) {
+  const timeOf = (log) => {
+    const t = log.timestamp;
+    if (!t) return 0;
+    if (typeof t.toMillis === 'function') return t.toMillis();
+    return new Date(t).getTime() || 0;
+  };
+
+  return logs
+    .filter(isConfidentlyWrong)
+    .sort((a, b) => b.confidence - a.confidence || timeOf(b) - timeOf(a))
+    .map(log => ({
+      questionId: log.questionId,
+      itemId: log.itemId || null,
+      atomId: log.atomId || log.atom_id || null,
+      templateId: log.curriculumData?.templateId || log.templateId || null,
+      confidence: log.confidence,
+      studentAnswer: log.studentAnswer ?? null,
+      diagnosticTag: log.diagnosticTag || null,
+      misconceptionIds: log.misconceptionIds || [],
+      timestamp: timeOf(log) || null
+    }));
+}
+
+/**
+ * Everything the insights report shows about confidence
+ */
+export function buildCalibrationReport(logs = []) {
+  return {
+    overall: calibrationStats(logs),
+    byAtom: calibrationByAtom(logs),
+    confidentlyWrong: findConfidentlyWrong(logs)
+  };
+}
+
+export default {
+  isValidConfidence,
+  summarizeConfidence,
+  isConfidentlyWrong,
+  calibrationStats,
+  calibrationByAtom,
+  calibrationByStudent,
+  findConfidentlyWrong,
+  buildCalibrationReport,
+  CONFIDENCE_LEVELS,
+  CONFIDENCE_LABELS,
+  CONFIDENCE_PROBABILITY,
+  CONFIDENT_THRESHOLD,
+  CALIBRATION_LABELS,
+  MIN_RATED_FOR_CALIBRATION
+};
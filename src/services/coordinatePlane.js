@@ -0,0 +1,308 @@
+/**
+ * coordinatePlane.js
+ *
+ * Coordinate-plane model and tolerance grading for GRAPH_PLOT items.
+ * Pure functions: the template handles pointer input, this module handles
+ * axes, snapping and comparing a student's plot against the answer key.
+ *
+ * Features:
+ * - Axes normalization (camelCase or snake_case, configurable grid and snap)
+ * - Grid snapping clamped to the visible plane
+ * - Plot-point, draw-segment and read-value modes
+ * - Tolerance-based answer key: nearest-match points, direction-free segments,
+ *   numeric read-offs (coordinates, intercepts) parsed like NUMERIC_INPUT
+ * - Error distances for "how far off" feedback
+ *
+ * Item config:
+ * ------------
+ * interaction.config: {
+ *   axes: { x_min: -5, x_max: 5, y_min: -5, y_max: 5, grid_step: 1, snap: 0.5 },
+ *   mode: 'plot_points' | 'draw_segments' | 'read_values',
+ *   max_points: 3,
+ *   given: { points: [{ x: 1, y: 2, label: 'A' }], segments: [{ from: [0, 0], to: [2, 4] }] },
+ *   read_fields: [{ id: 'y_intercept', label: 'y-intercept' }]
+ * }
+ * answer_key: {
+ *   points: [[2, 3]], segments: [{ from: [0, 1], to: [2, 5] }],
+ *   values: { y_intercept: 1 }, tolerance: 0.25, value_tolerance: 0
+ * }
+ */
+
+import { parseNumericAnswer } from './numericAnswerParser';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const PLOT_MODES = {
+  POINTS: 'plot_points',
+  SEGMENTS: 'draw_segments',
+  READ: 'read_values'
+};
+
+const DEFAULT_AXES = { xMin: -5, xMax: 5, yMin: -5, yMax: 5, gridStep: 1, snap: 1, labelEvery: 1 };
+const DEFAULT_POINT_TOLERANCE = 0.25;
+
+// ============================================================================
+// AXES AND SNAPPING
+// ============================================================================
+
+const pick = (...values) => values.find(v => v !== undefined && v !== null);
+
+/**
+ * Read the plane's axes from an item config
+ * @throws {RangeError} when the ranges or grid step are unusable
+ */
+export function normalizeAxes(rawAxes = {}) {
+  const axes = {
+    xMin: Number(pick(rawAxes.xMin, rawAxes.x_min, DEFAULT_AXES.xMin)),
+    xMax: Number(pick(rawAxes.xMax, rawAxes.x_max, DEFAULT_AXES.xMax)),
+    yMin: Number(pick(rawAxes.yMin, rawAxes.y_min, DEFAULT_AXES.yMin)),
+    yMax: Number(pick(rawAxes.yMax, rawAxes.y_max, DEFAULT_AXES.yMax)),
+    gridStep: Number(pick(rawAxes.gridStep, rawAxes.grid_step, rawAxes.step, DEFAULT_AXES.gridStep)),
+    xLabel: pick(rawAxes.xLabel, rawAxes.x_label, 'x'),
+    yLabel: pick(rawAxes.yLabel, rawAxes.y_label, 'y')
+  };
+  axes.snap = Number(pick(rawAxes.snap, rawAxes.snap_step, axes.gridStep));
+  axes.labelEvery = Number(pick(rawAxes.labelEvery, rawAxes.label_every, axes.gridStep));
+
+  if (![axes.xMin, axes.xMax, axes.yMin, axes.yMax].every(Number.isFinite)) {
+    throw new RangeError('Axis limits must be numbers');
+  }
+  if (axes.xMin >= axes.xMax || axes.yMin >= axes.yMax) {
+    throw new RangeError('Axis minimum must be less than its maximum');
+  }
+  if (!(axes.gridStep > 0) || !(axes.snap > 0)) {
+    throw new RangeError('Grid step and snap must be positive');
+  }
+  if ((axes.xMax - axes.xMin) / axes.gridStep > 100 || (axes.yMax - axes.yMin) / axes.gridStep > 100) {
+    throw new RangeError('Grid is too dense (more than 100 lines per axis)');
+  }
+  return axes;
+}
+
+/**
+ * Normalize a full GRAPH_PLOT config
+ */
+export function normalizeGraphConfig(config = {}) {
+  const mode = Object.values(PLOT_MODES).includes(config.mode) ? config.mode : PLOT_MODES.POINTS;
+  return {
+    axes: normalizeAxes(config.axes || {}),
+    mode,
+    maxPoints: Number(pick(config.maxPoints, config.max_points)) || null,
+    given: {
+      points: (config.given?.points || []).map(toPoint),
+      segments: (config.given?.segments || []).map(toSegment)
+    },
+    readFields: pick(config.readFields, config.read_fields) || []
+  };
+}
+
+const roundTo = (n, digits = 6) => Number(n.toFixed(digits));
+
+/**
+ * Snap one value to the nearest multiple of `step` (measured from 0) and
+ * clamp it into [min, max]
+ */
+export function snapValue(value, step, min, max) {
+  const snapped = roundTo(Math.round(value / step) * step);
+  return Math.min(max, Math.max(min, snapped));
+}
+
+export function snapPoint(point, axes) {
+  return {
+    x: snapValue(point.x, axes.snap, axes.xMin, axes.xMax),
+    y: snapValue(point.y, axes.snap, axes.yMin, axes.yMax)
+  };
+}
+
+/**
+ * Grid line positions along one axis (multiples of the grid step)
+ */
+export function gridValues(min, max, step) {
+  const values = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + 1e-9; v += step) {
+    values.push(roundTo(v));
+  }
+  return values;
+}
+
+// ============================================================================
+// SHAPE HELPERS
+// ============================================================================
+
+/**
+ * Accept [x, y] or { x, y }
+ */
+export function toPoint(raw) {
+  if (Array.isArray(raw)) return { x: Number(raw[0]), y: Number(raw[1]) };
+  return { x: Number(raw?.x), y: Number(raw?.y), ...(raw?.label ? { label: raw.label } : {}) };
+}
+
+export function toSegment(raw) {
+  return { from: toPoint(raw.from), to: toPoint(raw.to) };
+}
+
+export function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export function formatPoint(p) {
+  return `(${roundTo(p.x, 3)}, ${roundTo(p.y, 3)})`;
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Pair expected points with plotted points, closest pairs first
+ */
+function matchPoints(expected, plotted, tolerance) {
+  const pairs = [];
+  expected.forEach((e, ei) => plotted.forEach((p, pi) => pairs.push({ ei, pi, d: distance(e, p) })));
+  pairs.sort((a, b) => a.d - b.d);
+
+  const usedExpected = new Set();
+  const usedPlotted = new Set();
+  const matches = [];
+  pairs.forEach(({ ei, pi, d }) => {
+    if (d > tolerance || usedExpected.has(ei) || usedPlotted.has(pi)) return;
+    usedExpected.add(ei);
+    usedPlotted.add(pi);
+    matches.push({ expected: expected[ei], plotted: plotted[pi], distance: roundTo(d, 3) });
+  });
+
+  const missing = expected
+    .filter((_, ei) => !usedExpected.has(ei))
+    .map(e => {
+      const nearest = plotted
+        .filter((_, pi) => !usedPlotted.has(pi))
+        .reduce((best, p) => (!best || distance(e, p) < distance(e, best) ? p : best), null);
+      return { expected: e, nearest, distance: nearest ? roundTo(distance(e, nearest), 3) : null };
+    });
+  const extra = plotted.filter((_, pi) => !usedPlotted.has(pi));
+
+  return { matches, missing, extra };
+}
+
+function segmentError(expected, drawn) {
+  const sameWay = Math.max(distance(expected.from, drawn.from), distance(expected.to, drawn.to));
+  const reversed = Math.max(distance(expected.from, drawn.to), distance(expected.to, drawn.from));
+  return Math.min(sameWay, reversed);
+}
+
+function matchSegments(expected, drawn, tolerance) {
+  const used = new Set();
+  const results = expected.map(e => {
+    let best = null;
+    drawn.forEach((d, i) => {
+      if (used.has(i)) return;
+      const err = segmentError(e, d);
+      if (!best || err < best.error) best = { index: i, error: err };
+    });
+    const matched = !!best && best.error <= tolerance;
+    if (matched) used.add(best.index);
+    return { expected: e, drawn: best ? drawn[best.index] : null, error: best ? roundTo(best.error, 3) : null, matched };
+  });
+  return { results, extra: drawn.filter((_, i) => !used.has(i)) };
+}
+
+function gradeValues(values = {}, expectedValues = {}, tolerance = 0) {
+  return Object.entries(expectedValues).map(([id, expected]) => {
+    const parsed = parseNumericAnswer(values[id] ?? '');
+    const value = parsed.ok ? parsed.value : null;
+    const error = value === null ? null : roundTo(Math.abs(value - Number(expected)), 6);
+    return { id, expected: Number(expected), value, error, isCorrect: error !== null && error <= tolerance + 1e-9 };
+  });
+}
+
+/**
+ * Grade a GRAPH_PLOT response against a tolerance-based answer key.
+ *
+ * @param {Object} response - { points: [{x,y}], segments: [{from,to}], values: { fieldId: string } }
+ * @param {Object} answerKey - { points?, segments?, values?, tolerance?, value_tolerance?, allow_extra? }
+ * @returns {Object} { isCorrect, points, segments, values, maxError, summary }
+ */
+export function gradeGraphAnswer(response = {}, answerKey = {}) {
+  const tolerance = Number(pick(answerKey.tolerance, DEFAULT_POINT_TOLERANCE));
+  const valueTolerance = Number(pick(answerKey.valueTolerance, answerKey.value_tolerance, 0));
+  const allowExtra = !!pick(answerKey.allowExtra, answerKey.allow_extra, false);
+
+  const expectedPoints = (answerKey.points || []).map(toPoint);
+  const expectedSegments = (answerKey.segments || []).map(toSegment);
+  const expectedValues = answerKey.values || {};
+
+  const points = matchPoints(expectedPoints, (response.points || []).map(toPoint), tolerance);
+  const segments = matchSegments(expectedSegments, (response.segments || []).map(toSegment), tolerance);
+  const values = gradeValues(response.values, expectedValues, valueTolerance);
+
+  const pointsOk = points.missing.length === 0 && (allowExtra || points.extra.length === 0);
+  const segmentsOk = segments.results.every(r => r.matched) && (allowExtra || segments.extra.length === 0);
+  const valuesOk = values.every(v => v.isCorrect);
+  const hasTarget = expectedPoints.length + expectedSegments.length + values.length > 0;
+
+  const errors = [
+    ...points.matches.map(m => m.distance),
+    ...points.missing.map(m => m.distance).filter(d => d !== null),
+    ...segments.results.map(r => r.error).filter(e => e !== null),
+    ...values.map(v => v.error).filter(e => e !== null)
+  ];
+
+  const totalTargets = expectedPoints.length + expectedSegments.length + values.length;
+  const hitTargets = points.matches.length + segments.results.filter(r => r.matched).length + values.filter(v => v.isCorrect).length;
+
+  return {
+    isCorrect: hasTarget && pointsOk && segmentsOk && valuesOk,
+    points,
+    segments,
+    values,
+    maxError: errors.length > 0 ? Math.max(...errors) : null,
+    summary: { targets: totalTargets, correct: hitTargets, tolerance }
+  };
+}
+
+/**
+ * Authoring check for a GRAPH_PLOT item (used by questionValidatorV2)
+ * @returns {string|null} first problem found
+ */
+export function validateGraphSpec(config = {}, answerKey = {}) {
+  let graph;
+  try {
+    graph = normalizeGraphConfig(config);
+  } catch (error) {
+    return `Invalid axes: ${error.message}`;
+  }
+
+  const targets = [
+    ...(answerKey.points || []).map(toPoint),
+    ...(answerKey.segments || []).flatMap(s => {
+      const seg = toSegment(s);
+      return [seg.from, seg.to];
+    })
+  ];
+  const { xMin, xMax, yMin, yMax } = graph.axes;
+  const outside = targets.find(p => !(p.x >= xMin && p.x <= xMax && p.y >= yMin && p.y <= yMax));
+  if (outside) return `Answer point ${formatPoint(outside)} lies outside the axes`;
+
+  if (graph.mode === PLOT_MODES.READ) {
+    const fieldIds = graph.readFields.map(f => f.id);
+    const missing = Object.keys(answerKey.values || {}).find(id => !fieldIds.includes(id));
+    if (fieldIds.length === 0) return 'read_values mode needs read_fields';
+    if (missing) return `answer_key.values.${missing} has no matching read_field`;
+  } else if (targets.length === 0) {
+    return 'Answer key must list target points or segments';
+  }
+  return null;
+}
+
+export default {
+  PLOT_MODES,
+  normalizeAxes,
+  normalizeGraphConfig,
+  snapValue,
+  snapPoint,
+  gridValues,
+  gradeGraphAnswer,
+  validateGraphSpec
+};
@@ -67,11 +67,12 @@ export const loadCurriculumV2 = async () => {
       templateIds: Object.keys(templatesData.templates || {}),
 
       // Assessment & mastery
-      masteryProfiles: assessmentData.mastery_profiles || {},
-      sequencingRules: assessmentData.sequencing_rules || {},
-      spacedReviewRules: assessmentData.spaced_review_rules || {},
-      analyticsSchema: assessmentData.analytics_event_specs || {},
-      promptRecipes: assessmentData.prompt_recipes || {},
+      masteryProfiles: indexMasteryProfiles(assessmentData.mastery_profiles || []),
+      sequencingRules: assessmentData.sequencing_engine || {},
+      adaptationRules: assessmentData.sequencing_engine?.adaptation_rules || [],
+      spacedReviewRules: assessmentData.spaced_review_scheduler || {},
+      analyticsSchema: assessmentData.analytics_spec || {},
+      promptRecipes: assessmentData.generation_prompts || {},
 
       // Convenience properties
       totalModules: coreData.modules?.length || 0,
@@ -113,6 +114,14 @@ function indexAtoms(modules) {
   return index;
 }
 
+/**
+ * HELPER: Index mastery profiles by mastery_profile_id (the guide lists them)
+ */
+function indexMasteryProfiles(profiles) {
+  if (!Array.isArray(profiles)) return profiles;
+  return Object.fromEntries(profiles.map(profile => [profile.mastery_profile_id, profile]));
+}
+
 /**
  * CRITICAL: Validate all 4 files have compatible versions
  */
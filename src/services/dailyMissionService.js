@@ -5,15 +5,39 @@
  * Integrates curriculum v2 with template library and spaced review rules.
  * 
  * Features:
- * - Strategic 5-phase mission design
+ * - Strategic 6-phase mission design
  * - Diverse template selection
  * - Spaced review integration
  * - Curriculum-aligned atoms
  * - Analytics enrichment
+ * - Unlocked transfer items served in the TRANSFER_MINI slot
+ * - Teach-by-example slot: a gold worked example in predict-the-next-step mode
+ * - Parameterized gold items served as a per-student variant (seeded by
+ *   student, item and attempt)
+ * - 1-5 confidence rating asked in the phases that set confidencePrompt
+ *   (spaced review promotion, hidden misconceptions, reflect)
+ * - WARM_UP draws due atoms from the student's review schedule
+ *   (reviewScheduler), as many slots as fit the daily review cap
+ * - New atoms only from the prerequisite frontier (prerequisiteGraph):
+ *   atoms already practised stay eligible, unseen ones need their
+ *   prerequisites in place
+ * - Slots prefer a template the atom's mastery profile still requires
+ *   (masteryProfileEvaluator), when the phase offers it
+ * - Interleaving policy enforced after generation (missionSequencer), with
+ *   a constraint report in the mission metadata
  */
 
 import curriculumV2Service from './curriculumV2Service';
+import { nextQueuedTransfer, buildTransferQuestion, getGoldItem, TRANSFER_TEMPLATE_ID } from './transferService';
+import { buildPredictNextStepQuestion, findWorkedExampleItem, getWorkedExampleAtomIds } from './stepPrediction';
+import { generateVariant } from './itemVariants';
+import { selectDueReviews, reviewSlotsWithinCap, daysSinceReview } from './reviewScheduler';
+import { getPrerequisiteGraph, openAtomIds } from './prerequisiteGraph';
+import { evaluateStudentMastery, fetchRecentSessionLogs, missingTemplates } from './masteryProfileEvaluator';
+import { sequenceMission } from './missionSequencer';
+import { buildQuestionShell } from './questionShell';
 import { db, auth } from '../firebase/config';
+import { firestoreKey } from '../utils/firestoreKey';
 import { collection, query, where, getDocs, doc, getDoc } from 'firebase/firestore';
 
 /**
@@ -25,6 +49,7 @@ const MISSION_PHASES = [
     slots: 3,
     description: 'Spaced review - atoms not seen recently',
     strategyKey: 'spaced_review',
+    confidencePrompt: true,
     templates: ['MCQ_CONCEPT', 'NUMBER_LINE_PLACE', 'NUMERIC_INPUT']
   },
   {
@@ -32,8 +57,16 @@ const MISSION_PHASES = [
     slots: 3,
     description: 'Misconception targeting - atoms where student struggles',
     strategyKey: 'misconception_diagnosis',
+    confidencePrompt: true,
     templates: ['ERROR_ANALYSIS', 'MCQ_CONCEPT', 'MATCHING']
   },
+  {
+    name: 'TEACH_BY_EXAMPLE',
+    slots: 1,
+    description: 'Worked example with hidden steps - learner predicts each next step',
+    strategyKey: 'worked_example',
+    templates: ['WORKED_EXAMPLE_COMPLETE']
+  },
   {
     name: 'GUIDED_PRACTICE',
     slots: 3,
@@ -53,6 +86,7 @@ const MISSION_PHASES = [
     slots: 2,
     description: 'Transfer & consolidation - apply to novel contexts',
     strategyKey: 'transfer_learning',
+    confidencePrompt: true,
     templates: ['SHORT_EXPLAIN', 'TRANSFER_MINI']
   }
 ];
@@ -78,6 +112,10 @@ export const generateDailyMissionV2 = async (studentId, forceDevMode = false) =>
     let studentMastery = {};
     let studentHurdles = {};
     let lastQuestionDates = {};
+    let transferQueue = {};
+    let variantAttempts = {};
+    let reviewSchedule = {};
+    let masteryEvaluations = {};
     
     if (studentId && !forceDevMode) {
       const studentRef = doc(db, 'students', studentId);
@@ -87,6 +125,12 @@ export const generateDailyMissionV2 = async (studentId, forceDevMode = false) =>
         studentMastery = data.mastery || {};
         studentHurdles = data.hurdles || {};
         lastQuestionDates = data.lastQuestionDates || {};
+        transferQueue = data.transferQueue || {};
+        variantAttempts = data.variantAttempts || {};
+        reviewSchedule = data.reviewSchedule || {};
+
+        const recentLogs = await fetchRecentSessionLogs(studentId);
+        masteryEvaluations = evaluateStudentMastery(curriculum, recentLogs, { transferResults: data.transferResults || {} });
       }
     }
 
@@ -101,29 +145,41 @@ export const generateDailyMissionV2 = async (studentId, forceDevMode = false) =>
         studentMastery,
         studentHurdles,
         lastQuestionDates,
-        globalQuestionIndex
+        globalQuestionIndex,
+        transferQueue,
+        { studentId, variantAttempts },
+        reviewSchedule,
+        masteryEvaluations
       );
       missionQuestions.push(...phaseQuestions);
       globalQuestionIndex += phaseQuestions.length;
     }
 
-    // Step 4: Return mission with metadata
+    // Step 4: Enforce the interleaving policy across the whole mission
+    const { questions: sequencedQuestions, report: sequencingReport } = sequenceMission(missionQuestions, {
+      curriculum,
+      mastery: studentMastery,
+      phases: MISSION_PHASES
+    });
+
+    // Step 5: Return mission with metadata
     return {
       missionId: `mission_${studentId}_${Date.now()}`,
       studentId,
       bundleId: curriculum.bundleId,
-      totalSlots: missionQuestions.length,
+      totalSlots: sequencedQuestions.length,
       phases: MISSION_PHASES.map(p => ({
         name: p.name,
         slots: p.slots,
         description: p.description
       })),
-      questions: missionQuestions,
+      questions: sequencedQuestions,
       metadata: {
         generatedAt: new Date().toISOString(),
         curriculumVersion: curriculum.manifestVersion,
         algorithmVersion: 'v2.0',
-        diversityScore: calculateDiversityScore(missionQuestions)
+        diversityScore: calculateDiversityScore(sequencedQuestions),
+        sequencingReport
       }
     };
   } catch (error) {
@@ -141,9 +197,14 @@ async function generatePhaseQuestions(
   studentMastery,
   studentHurdles,
   lastQuestionDates,
-  indexOffset
+  indexOffset,
+  transferQueue = {},
+  variantContext = {},
+  reviewSchedule = {},
+  masteryEvaluations = {}
 ) {
   const phaseQuestions = [];
+  const isReview = phase.strategyKey === 'spaced_review';
 
   // Get atoms for this phase's strategy
   const candidateAtoms = selectAtomsForPhase(
@@ -151,65 +212,87 @@ async function generatePhaseQuestions(
     phase,
     studentMastery,
     studentHurdles,
-    lastQuestionDates
+    lastQuestionDates,
+    reviewSchedule
   );
 
+  // Spaced review stays within the guide's daily time cap
+  const slots = isReview
+    ? reviewSlotsWithinCap(phase.templates, phase.slots, curriculum.spacedReviewRules?.daily_review_cap_minutes)
+    : phase.slots;
+
   // Generate one question per slot
-  for (let i = 0; i < phase.slots; i++) {
+  for (let i = 0; i < slots; i++) {
     if (candidateAtoms.length === 0) break;
 
+    // Select template from phase's recommended templates
+    const slotTemplateId = phase.templates[i % phase.templates.length];
+
+    // A transfer item unlocked by an earlier mastery fills the TRANSFER_MINI slot
+    const queuedTransfer = slotTemplateId === TRANSFER_TEMPLATE_ID ? nextQueuedTransfer(transferQueue) : null;
+
     // Select atom (rotate through candidates)
     const atomIndex = i % candidateAtoms.length;
-    const atom = candidateAtoms[atomIndex];
+    const atom = (queuedTransfer && curriculum.atoms[queuedTransfer.atomId]) || candidateAtoms[atomIndex];
 
-    // Select template from phase's recommended templates
-    const templateId = phase.templates[i % phase.templates.length];
-    const template = curriculum.templates[templateId];
+    // A template the atom's mastery profile still requires takes the slot
+    const requiredTemplateId = slotTemplateId === TRANSFER_TEMPLATE_ID
+      ? null
+      : missingTemplates(masteryEvaluations[atom.atom_id]).find(id => phase.templates.includes(id));
+    const templateId = requiredTemplateId || slotTemplateId;
 
     // Create question object
-    const question = {
+    const question = buildQuestionShell(curriculum, atom, templateId, {
       questionId: `q_${indexOffset + i}_${atom.atom_id}_${templateId}`,
-      atomId: atom.atom_id,
-      atom_id: atom.atom_id, // Keep both for compatibility
-      atomName: atom.title,
-      moduleId: atom.moduleId,
-      moduleName: atom.moduleName,
-      templateId,
-      template: template ? {
-        id: templateId,
-        displayName: template.display_name,
-        description: template.description,
-        scoringModel: template.scoring_model
-      } : null,
       phase: phase.name,
       phaseIndex: i,
-      phaseTotalSlots: phase.slots,
+      phaseTotalSlots: slots,
+      confidencePrompt: !!phase.confidencePrompt,
       slot: indexOffset + i + 1,
       totalSlots: 14, // Updated to 14 from 10
-      
-      // Curriculum metadata
-      outcomes: atom.outcomes || [],
       difficulty: calculateDifficulty(atom, studentMastery),
       masteryBefore: studentMastery[atom.atom_id] || 0.5,
-      
-      // Analytics enrichment
-      analytics: {
-        curriculumModule: atom.moduleId,
-        curriculumAtom: atom.atom_id,
-        templateType: templateId,
-        phaseType: phase.name,
-        learningOutcomeTypes: (atom.outcomes || []).map(o => o.type),
-        masteryProfile: atom.mastery_profile_id,
-        prerequisites: atom.prerequisites || []
-      }
-    };
+      ...(masteryEvaluations[atom.atom_id] && { masteryLevel: masteryEvaluations[atom.atom_id].level }),
+      ...(requiredTemplateId && { servedForMasteryRequirement: true }),
+      ...(isReview && reviewEntryFields(reviewSchedule[firestoreKey(atom.atom_id)]))
+    });
 
-    phaseQuestions.push(question);
+    const transferQuestion = queuedTransfer
+      ? buildTransferQuestion(servedVariant(getGoldItem(queuedTransfer.itemId), variantContext))
+      : null;
+    const exampleQuestion = phase.strategyKey === 'worked_example'
+      ? buildPredictNextStepQuestion(servedVariant(findWorkedExampleItem(atom.atom_id), variantContext))
+      : null;
+    const content = transferQuestion || exampleQuestion;
+    phaseQuestions.push(content ? { ...content, ...question } : question);
   }
 
   return phaseQuestions;
 }
 
+/**
+ * The variant of a gold item this student sees next: their attempt count
+ * for the item picks the seed, so a retry brings new numbers
+ */
+function servedVariant(item, { studentId, variantAttempts = {} } = {}) {
+  if (!item) return null;
+  return generateVariant(item, {
+    studentId: studentId || 'anonymous',
+    attempt: variantAttempts[firestoreKey(item.item_id)] || 0
+  });
+}
+
+/**
+ * Review schedule fields on a WARM_UP question (none for unscheduled atoms)
+ */
+function reviewEntryFields(entry) {
+  if (!entry) return {};
+  return {
+    review: { intervalIndex: entry.intervalIndex, intervalDays: entry.intervalDays, dueAt: entry.dueAt },
+    spacedReviewDaysSinceLastSeen: daysSinceReview(entry)
+  };
+}
+
 /**
  * Select candidate atoms for a phase based on strategy
  */
@@ -218,20 +301,32 @@ function selectAtomsForPhase(
   phase,
   studentMastery,
   studentHurdles,
-  lastQuestionDates
+  lastQuestionDates,
+  reviewSchedule = {}
 ) {
-  const allAtoms = Object.values(curriculum.atoms);
+  // Unseen atoms whose prerequisites are still weak are not offered yet
+  const openIds = openAtomIds(getPrerequisiteGraph(curriculum), studentMastery);
+  const allAtoms = Object.values(curriculum.atoms).filter(atom => openIds.has(atom.atom_id));
   let candidates = [];
 
   switch (phase.strategyKey) {
-    case 'spaced_review':
-      // Atoms not seen recently (spaced review principle)
-      candidates = allAtoms.filter(atom => {
+    case 'spaced_review': {
+      // Due atoms from the review schedule first, most overdue first
+      const dueAtoms = selectDueReviews(reviewSchedule)
+        .map(entry => curriculum.atoms[entry.atomId])
+        .filter(Boolean);
+      const dueIds = new Set(dueAtoms.map(atom => atom.atom_id));
+
+      // Topped up with atoms not seen recently (e.g. a new student has nothing due)
+      const unseenAtoms = allAtoms.filter(atom => {
+        if (dueIds.has(atom.atom_id) || reviewSchedule[firestoreKey(atom.atom_id)]) return false;
         const lastSeen = lastQuestionDates[atom.atom_id] || 0;
         const daysSinceLastSeen = (Date.now() - lastSeen) / (1000 * 60 * 60 * 24);
         return daysSinceLastSeen > 1 || lastSeen === 0; // Haven't seen in > 1 day or never seen
-      }).slice(0, 10);
+      });
+      candidates = [...dueAtoms, ...unseenAtoms].slice(0, 10);
       break;
+    }
 
     case 'misconception_diagnosis':
       // Atoms where student has misconceptions
@@ -242,6 +337,16 @@ function selectAtomsForPhase(
       }).slice(0, 10);
       break;
 
+    case 'worked_example': {
+      // Weakest atoms that have a gold worked example to predict
+      const exampleAtomIds = new Set(getWorkedExampleAtomIds());
+      candidates = allAtoms
+        .filter(a => exampleAtomIds.has(a.atom_id))
+        .sort((a, b) => (studentMastery[a.atom_id] || 0.5) - (studentMastery[b.atom_id] || 0.5))
+        .slice(0, 10);
+      break;
+    }
+
     case 'guided_practice':
       // Mix of weak and strong atoms (balanced learning)
       const weakAtoms = allAtoms.filter(a => (studentMastery[a.atom_id] || 0.5) < 0.6);
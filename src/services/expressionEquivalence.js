@@ -0,0 +1,690 @@
+/**
+ * expressionEquivalence.js
+ *
+ * Local algebraic expression parser and equivalence engine for EXPRESSION_INPUT.
+ * Runs fully offline (no Math.js / CAS dependency).
+ *
+ * Features:
+ * - Tolerant tokenizer: unicode minus (−), ×, ÷, ·, superscripts (x²), ** for powers
+ * - Implicit multiplication: 2x, 3(x+1), (a+b)(a-b), xy
+ * - Exact canonical simplification to a polynomial with rational coefficients
+ * - Randomized numeric evaluation fallback for non-polynomial input (e.g. 1/x)
+ * - Optional "simplified form" / "factored form" requirements
+ * - Structured rejection reasons for feedback and analytics
+ *
+ * Usage:
+ * ------
+ * const result = checkExpressionAnswer('3 + 2x', '2x+3', { format: 'simplified' });
+ * if (!result.isCorrect) console.log(result.reason, result.message);
+ */
+
+import {
+  rational,
+  rationalFromDecimalString,
+  add,
+  mul,
+  div,
+  neg,
+  isZero,
+  isInteger,
+  equals,
+  toNumber,
+  formatRational,
+  gcd,
+  ONE
+} from './rationalMath';
+
+// ============================================================================
+// REJECTION REASONS
+// ============================================================================
+
+export const EXPRESSION_REJECTION_REASONS = {
+  EMPTY: 'EMPTY',
+  PARSE_ERROR: 'PARSE_ERROR',
+  UNKNOWN_VARIABLE: 'UNKNOWN_VARIABLE',
+  NOT_EQUIVALENT: 'NOT_EQUIVALENT',
+  NOT_SIMPLIFIED: 'NOT_SIMPLIFIED',
+  NOT_FACTORED: 'NOT_FACTORED'
+};
+
+const REJECTION_MESSAGES = {
+  EMPTY: 'Type an expression first.',
+  PARSE_ERROR: 'We could not read that expression. Check your brackets and operators.',
+  UNKNOWN_VARIABLE: 'Your expression uses a letter that is not part of this question.',
+  NOT_EQUIVALENT: 'Your expression is not equal to the expected one.',
+  NOT_SIMPLIFIED: 'Your expression is equal, but it is not fully simplified yet.',
+  NOT_FACTORED: 'Your expression is equal, but it should be written in factored form.'
+};
+
+/**
+ * Formats that require the student's answer to be in simplified (collected) form
+ */
+const SIMPLIFIED_FORMATS = ['simplified', 'simplest', 'simplest_form', 'expanded', 'collected'];
+const FACTORED_FORMATS = ['factored', 'factorised', 'factorized'];
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9' };
+
+/**
+ * Normalize unicode operators and common keyboard variants to ASCII
+ */
+export function normalizeExpressionText(text) {
+  return String(text)
+    .replace(/[−–—﹣－]/g, '-')
+    .replace(/[×·⋅∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/\*\*/g, '^')
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, (sup) => '^' + [...sup].map(c => SUPERSCRIPTS[c]).join(''))
+    .replace(/[[{]/g, '(')
+    .replace(/[\]}]/g, ')')
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  const source = normalizeExpressionText(text);
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      let j = i;
+      while (j < source.length && /[0-9.]/.test(source[j])) j++;
+      const literal = source.slice(i, j);
+      tokens.push({ type: 'num', value: rationalFromDecimalString(literal), text: literal });
+      i = j;
+      continue;
+    }
+
+    if (/[a-z]/.test(ch)) {
+      // Each letter is its own variable: "xy" means x·y
+      tokens.push({ type: 'var', name: ch });
+      i++;
+      continue;
+    }
+
+    if ('+-*/^'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen' });
+      i++;
+      continue;
+    }
+
+    throw new SyntaxError(`Unexpected character "${ch}"`);
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER (recursive descent)
+// ============================================================================
+
+/**
+ * AST node shapes:
+ * - { type: 'num', value }                  value is a rational
+ * - { type: 'var', name }
+ * - { type: 'neg', arg }
+ * - { type: 'add' | 'sub' | 'mul' | 'div' | 'pow', left, right, implicit? }
+ * Any node may carry `grouped: true` when it was written inside brackets.
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (token, value) => token?.type === 'op' && token.value === value;
+
+  function parseSum() {
+    let node = parseProduct();
+    while (isOp(peek(), '+') || isOp(peek(), '-')) {
+      const op = tokens[pos++].value;
+      node = { type: op === '+' ? 'add' : 'sub', left: node, right: parseProduct() };
+    }
+    return node;
+  }
+
+  function parseProduct() {
+    let node = parseUnary();
+    for (;;) {
+      const token = peek();
+      if (isOp(token, '*') || isOp(token, '/')) {
+        pos++;
+        node = { type: token.value === '*' ? 'mul' : 'div', left: node, right: parseUnary() };
+      } else if (token && (token.type === 'var' || token.type === 'lparen')) {
+        node = { type: 'mul', left: node, right: parsePower(), implicit: true };
+      } else if (token?.type === 'num') {
+        throw new SyntaxError('A number cannot follow another term directly');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseUnary() {
+    if (isOp(peek(), '-')) {
+      pos++;
+      return { type: 'neg', arg: parseUnary() };
+    }
+    if (isOp(peek(), '+')) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp(peek(), '^')) {
+      pos++;
+      return { type: 'pow', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (!token) throw new SyntaxError('Expression ended too early');
+    if (token.type === 'num') return { type: 'num', value: token.value };
+    if (token.type === 'var') return { type: 'var', name: token.name };
+    if (token.type === 'lparen') {
+      const inner = parseSum();
+      if (peek()?.type !== 'rparen') throw new SyntaxError('Missing closing bracket');
+      pos++;
+      return { ...inner, grouped: true };
+    }
+    throw new SyntaxError('Unexpected operator');
+  }
+
+  if (tokens.length === 0) throw new SyntaxError('Empty expression');
+  const ast = parseSum();
+  if (pos < tokens.length) throw new SyntaxError('Unexpected input after the end of the expression');
+  return ast;
+}
+
+/**
+ * Collect all variable names used in an AST
+ */
+export function collectVariables(ast, into = new Set()) {
+  if (!ast) return into;
+  if (ast.type === 'var') into.add(ast.name);
+  if (ast.arg) collectVariables(ast.arg, into);
+  if (ast.left) collectVariables(ast.left, into);
+  if (ast.right) collectVariables(ast.right, into);
+  return into;
+}
+
+// ============================================================================
+// CANONICAL POLYNOMIAL FORM
+// ============================================================================
+
+class NonPolynomialError extends Error {}
+
+/**
+ * Polynomials are Maps from a monomial key ("x^2*y") to a rational coefficient.
+ * The empty key "" is the constant term.
+ */
+function monomialKey(powers) {
+  return Object.keys(powers)
+    .filter(v => powers[v] !== 0)
+    .sort()
+    .map(v => (powers[v] === 1 ? v : `${v}^${powers[v]}`))
+    .join('*');
+}
+
+function parseMonomialKey(key) {
+  const powers = {};
+  if (!key) return powers;
+  key.split('*').forEach(part => {
+    const [name, exp] = part.split('^');
+    powers[name] = exp ? Number(exp) : 1;
+  });
+  return powers;
+}
+
+function polyConstant(value) {
+  return isZero(value) ? new Map() : new Map([['', value]]);
+}
+
+export function polyAdd(a, b) {
+  const result = new Map(a);
+  b.forEach((coef, key) => {
+    const sum = result.has(key) ? add(result.get(key), coef) : coef;
+    if (isZero(sum)) result.delete(key);
+    else result.set(key, sum);
+  });
+  return result;
+}
+
+export function polyScale(a, factor) {
+  const result = new Map();
+  if (isZero(factor)) return result;
+  a.forEach((coef, key) => result.set(key, mul(coef, factor)));
+  return result;
+}
+
+function polyMul(a, b) {
+  let result = new Map();
+  a.forEach((coefA, keyA) => {
+    b.forEach((coefB, keyB) => {
+      const powers = parseMonomialKey(keyA);
+      Object.entries(parseMonomialKey(keyB)).forEach(([v, e]) => {
+        powers[v] = (powers[v] || 0) + e;
+      });
+      result = polyAdd(result, new Map([[monomialKey(powers), mul(coefA, coefB)]]));
+    });
+  });
+  return result;
+}
+
+function polyAsConstant(a) {
+  if (a.size === 0) return rational(0);
+  if (a.size === 1 && a.has('')) return a.get('');
+  return null;
+}
+
+/**
+ * Convert an AST to a canonical polynomial. Throws NonPolynomialError when the
+ * expression divides by a variable or uses a non-integer / negative exponent.
+ */
+function toPolynomial(ast) {
+  switch (ast.type) {
+    case 'num':
+      return polyConstant(ast.value);
+    case 'var':
+      return new Map([[ast.name, ONE]]);
+    case 'neg':
+      return polyScale(toPolynomial(ast.arg), rational(-1));
+    case 'add':
+      return polyAdd(toPolynomial(ast.left), toPolynomial(ast.right));
+    case 'sub':
+      return polyAdd(toPolynomial(ast.left), polyScale(toPolynomial(ast.right), rational(-1)));
+    case 'mul':
+      return polyMul(toPolynomial(ast.left), toPolynomial(ast.right));
+    case 'div': {
+      const divisor = polyAsConstant(toPolynomial(ast.right));
+      if (!divisor) throw new NonPolynomialError('Division by a variable expression');
+      if (isZero(divisor)) throw new NonPolynomialError('Division by zero');
+      return polyScale(toPolynomial(ast.left), div(ONE, divisor));
+    }
+    case 'pow': {
+      const exponent = polyAsConstant(toPolynomial(ast.right));
+      if (!exponent || !isInteger(exponent) || exponent.n < 0 || exponent.n > 12) {
+        throw new NonPolynomialError('Unsupported exponent');
+      }
+      const base = toPolynomial(ast.left);
+      let result = polyConstant(ONE);
+      for (let i = 0; i < exponent.n; i++) result = polyMul(result, base);
+      return result;
+    }
+    default:
+      throw new NonPolynomialError(`Unknown node ${ast.type}`);
+  }
+}
+
+function polyEquals(a, b) {
+  if (a.size !== b.size) return false;
+  for (const [key, coef] of a) {
+    if (!b.has(key) || !equals(coef, b.get(key))) return false;
+  }
+  return true;
+}
+
+/**
+ * Render a polynomial in a stable, readable canonical form (e.g. "2x + 3")
+ */
+export function formatPolynomial(poly) {
+  if (poly.size === 0) return '0';
+  const degree = (key) => Object.values(parseMonomialKey(key)).reduce((s, e) => s + e, 0);
+  const keys = [...poly.keys()].sort((a, b) => degree(b) - degree(a) || a.localeCompare(b));
+
+  return keys.map((key, idx) => {
+    const coef = poly.get(key);
+    const negative = coef.n < 0;
+    const magnitude = negative ? neg(coef) : coef;
+    const variablePart = key.replace(/\*/g, '');
+    let body;
+    if (!key) body = formatRational(magnitude);
+    else if (equals(magnitude, ONE)) body = variablePart;
+    else body = `${formatRational(magnitude)}${variablePart}`;
+    if (idx === 0) return negative ? `-${body}` : body;
+    return negative ? ` - ${body}` : ` + ${body}`;
+  }).join('');
+}
+
+/**
+ * Parse an expression into its polynomial Map. Returns null when it is not polynomial.
+ */
+export function expressionToPolynomial(text) {
+  try {
+    return toPolynomial(parseExpression(text));
+  } catch (error) {
+    if (error instanceof NonPolynomialError) return null;
+    throw error;
+  }
+}
+
+/**
+ * Parse and canonicalize an expression. Returns null when it is not polynomial.
+ */
+export function canonicalizeExpression(text) {
+  try {
+    return formatPolynomial(toPolynomial(parseExpression(text)));
+  } catch (error) {
+    if (error instanceof NonPolynomialError) return null;
+    throw error;
+  }
+}
+
+// ============================================================================
+// NUMERIC EVALUATION FALLBACK
+// ============================================================================
+
+/**
+ * Evaluate an AST with floating point values for each variable
+ */
+export function evaluateExpression(ast, scope) {
+  switch (ast.type) {
+    case 'num': return toNumber(ast.value);
+    case 'var': return scope[ast.name];
+    case 'neg': return -evaluateExpression(ast.arg, scope);
+    case 'add': return evaluateExpression(ast.left, scope) + evaluateExpression(ast.right, scope);
+    case 'sub': return evaluateExpression(ast.left, scope) - evaluateExpression(ast.right, scope);
+    case 'mul': return evaluateExpression(ast.left, scope) * evaluateExpression(ast.right, scope);
+    case 'div': return evaluateExpression(ast.left, scope) / evaluateExpression(ast.right, scope);
+    case 'pow': return Math.pow(evaluateExpression(ast.left, scope), evaluateExpression(ast.right, scope));
+    default: return NaN;
+  }
+}
+
+/**
+ * Small deterministic PRNG so grading is reproducible across devices
+ */
+function createSampler(seed = 7) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+function numericallyEquivalent(astA, astB, variables, { samples = 12, tolerance = 1e-9 } = {}) {
+  const next = createSampler();
+  let validSamples = 0;
+
+  for (let attempt = 0; attempt < samples * 3 && validSamples < samples; attempt++) {
+    const scope = {};
+    variables.forEach(v => {
+      // Avoid small integers where coincidental equality is common
+      scope[v] = (next() * 20 - 10) + 0.37;
+    });
+    const a = evaluateExpression(astA, scope);
+    const b = evaluateExpression(astB, scope);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+    validSamples++;
+    if (Math.abs(a - b) > tolerance * Math.max(1, Math.abs(a), Math.abs(b))) return false;
+  }
+
+  return validSamples >= Math.min(3, samples);
+}
+
+// ============================================================================
+// FORM CHECKS
+// ============================================================================
+
+/**
+ * Split a sum into its signed terms (a - b + c → [a, b, c])
+ */
+function flattenSum(ast) {
+  if ((ast.type === 'add' || ast.type === 'sub') && !ast.grouped) {
+    return [...flattenSum(ast.left), ...flattenSum(ast.right)];
+  }
+  if (ast.type === 'neg' && !ast.grouped) return flattenSum(ast.arg);
+  return [ast];
+}
+
+/**
+ * Numeric coefficient written in a term (6 in 6x, -2 in -2xy), or null
+ */
+function writtenCoefficient(node) {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'neg':
+      return writtenCoefficient(node.arg);
+    case 'mul':
+      return writtenCoefficient(node.left) ?? writtenCoefficient(node.right);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a single term is a plain monomial (one coefficient, distinct variables,
+ * literal exponents, no brackets, fractions in lowest terms). Returns a
+ * problem string or null.
+ */
+function describeTermProblem(term) {
+  const variablesSeen = new Set();
+  let numberCount = 0;
+
+  function walk(node, isRoot) {
+    if (node.grouped && !isRoot && (node.type === 'add' || node.type === 'sub')) {
+      return 'expand the brackets';
+    }
+    switch (node.type) {
+      case 'num':
+        numberCount++;
+        return numberCount > 1 ? 'multiply the numbers together' : null;
+      case 'var':
+        if (variablesSeen.has(node.name)) return `combine the powers of ${node.name}`;
+        variablesSeen.add(node.name);
+        return null;
+      case 'neg':
+        return walk(node.arg, false);
+      case 'mul':
+        return walk(node.left, false) || walk(node.right, false);
+      case 'div': {
+        // Allow a whole-number denominator such as x/2 or 3x/4, in lowest terms
+        const denominator = node.right.type === 'num' ? node.right.value : null;
+        if (!denominator || !isInteger(denominator) || denominator.n === 1) return 'simplify the division';
+        const coefficient = writtenCoefficient(node.left);
+        if (coefficient && (!isInteger(coefficient) || gcd(coefficient.n, denominator.n) > 1)) return 'reduce the fraction';
+        return walk(node.left, false);
+      }
+      case 'pow':
+        if (node.left.type !== 'var' || node.right.type !== 'num') return 'simplify the power';
+        if (variablesSeen.has(node.left.name)) return `combine the powers of ${node.left.name}`;
+        variablesSeen.add(node.left.name);
+        return null;
+      case 'add':
+      case 'sub':
+        return 'expand the brackets';
+      default:
+        return null;
+    }
+  }
+
+  return walk(term, true);
+}
+
+function checkSimplifiedForm(ast) {
+  const terms = flattenSum(ast);
+  const seenKeys = new Map();
+
+  for (const term of terms) {
+    const problem = describeTermProblem(term);
+    if (problem) return problem;
+
+    const poly = toPolynomial(term);
+    if (poly.size === 0 && terms.length > 1) return 'remove the terms that cancel to zero';
+    const key = poly.size === 1 ? [...poly.keys()][0] : null;
+    if (key !== null) {
+      if (seenKeys.has(key)) {
+        return key === '' ? 'combine the number terms' : `combine the like terms in ${key.replace(/\*/g, '')}`;
+      }
+      seenKeys.set(key, true);
+    }
+  }
+  return null;
+}
+
+function isFactoredForm(ast) {
+  if (ast.type === 'neg') return isFactoredForm(ast.arg);
+  if (ast.type !== 'mul' || (ast.grouped && flattenSum(ast).length > 1)) return false;
+  const hasGroupedSum = (node) => {
+    if (node.type === 'mul') return hasGroupedSum(node.left) || hasGroupedSum(node.right);
+    return !!node.grouped && (node.type === 'add' || node.type === 'sub');
+  };
+  return hasGroupedSum(ast);
+}
+
+// ============================================================================
+// MAIN API
+// ============================================================================
+
+function reject(reason, extra = {}) {
+  return {
+    isCorrect: false,
+    isEquivalent: reason === EXPRESSION_REJECTION_REASONS.NOT_SIMPLIFIED ||
+      reason === EXPRESSION_REJECTION_REASONS.NOT_FACTORED,
+    reason,
+    message: extra.message || REJECTION_MESSAGES[reason],
+    ...extra
+  };
+}
+
+/**
+ * Check whether two expressions are algebraically equivalent.
+ * @returns {{ equivalent: boolean, method: 'symbolic'|'numeric', canonical?: string }}
+ */
+export function areExpressionsEquivalent(exprA, exprB) {
+  const astA = typeof exprA === 'string' ? parseExpression(exprA) : exprA;
+  const astB = typeof exprB === 'string' ? parseExpression(exprB) : exprB;
+
+  try {
+    const polyA = toPolynomial(astA);
+    const polyB = toPolynomial(astB);
+    return {
+      equivalent: polyEquals(polyA, polyB),
+      method: 'symbolic',
+      canonical: formatPolynomial(polyA)
+    };
+  } catch (error) {
+    if (!(error instanceof NonPolynomialError)) throw error;
+  }
+
+  const variables = [...collectVariables(astA, collectVariables(astB))];
+  return {
+    equivalent: numericallyEquivalent(astA, astB, variables),
+    method: 'numeric'
+  };
+}
+
+/**
+ * Grade a student's expression against the expected expression(s).
+ *
+ * @param {string} studentExpr - Raw student input
+ * @param {string|string[]} expected - Expected expression or list of acceptable forms
+ * @param {Object} options
+ * @param {string} options.format - e.g. 'algebraic' (default), 'simplified', 'factored'
+ * @param {boolean} options.requireSimplified - Shortcut for format 'simplified'
+ * @param {string[]} options.variables - Allowed variable names (optional)
+ * @returns {Object} { isCorrect, isEquivalent, reason, message, method, canonical }
+ */
+export function checkExpressionAnswer(studentExpr, expected, options = {}) {
+  if (studentExpr === undefined || studentExpr === null || String(studentExpr).trim() === '') {
+    return reject(EXPRESSION_REJECTION_REASONS.EMPTY);
+  }
+
+  let studentAst;
+  try {
+    studentAst = parseExpression(studentExpr);
+  } catch (error) {
+    return reject(EXPRESSION_REJECTION_REASONS.PARSE_ERROR, { detail: error.message });
+  }
+
+  const allowed = (options.variables || []).map(v => String(v).toLowerCase());
+  if (allowed.length > 0) {
+    const unknown = [...collectVariables(studentAst)].filter(v => !allowed.includes(v));
+    if (unknown.length > 0) {
+      return reject(EXPRESSION_REJECTION_REASONS.UNKNOWN_VARIABLE, {
+        detail: `Unexpected variable(s): ${unknown.join(', ')}`
+      });
+    }
+  }
+
+  const expectedList = (Array.isArray(expected) ? expected : [expected]).filter(e => e !== undefined && e !== null && e !== '');
+  let match = null;
+  for (const candidate of expectedList) {
+    let comparison;
+    try {
+      comparison = areExpressionsEquivalent(studentAst, parseExpression(candidate));
+    } catch (error) {
+      console.warn('[expressionEquivalence] Invalid expected expression:', candidate, error.message);
+      continue;
+    }
+    if (comparison.equivalent) {
+      match = comparison;
+      break;
+    }
+  }
+
+  if (!match) {
+    return reject(EXPRESSION_REJECTION_REASONS.NOT_EQUIVALENT);
+  }
+
+  const format = String(options.requireSimplified ? 'simplified' : options.format || 'algebraic').toLowerCase();
+
+  if (SIMPLIFIED_FORMATS.includes(format) && match.method === 'symbolic') {
+    const problem = checkSimplifiedForm(studentAst);
+    if (problem) {
+      return reject(EXPRESSION_REJECTION_REASONS.NOT_SIMPLIFIED, {
+        message: `${REJECTION_MESSAGES.NOT_SIMPLIFIED} Try to ${problem}.`,
+        detail: problem,
+        method: match.method,
+        canonical: match.canonical
+      });
+    }
+  }
+
+  if (FACTORED_FORMATS.includes(format) && !isFactoredForm(studentAst)) {
+    return reject(EXPRESSION_REJECTION_REASONS.NOT_FACTORED, {
+      method: match.method,
+      canonical: match.canonical
+    });
+  }
+
+  return {
+    isCorrect: true,
+    isEquivalent: true,
+    reason: null,
+    message: null,
+    method: match.method,
+    canonical: match.canonical
+  };
+}
+
+export default {
+  parseExpression,
+  normalizeExpressionText,
+  canonicalizeExpression,
+  evaluateExpression,
+  areExpressionsEquivalent,
+  checkExpressionAnswer,
+  EXPRESSION_REJECTION_REASONS
+};
@@ -0,0 +1,463 @@
+/**
+ * geometryDiagram.js
+ *
+ * Declarative geometry diagrams: turns a `stimulus.diagram` spec into
+ * positioned SVG primitives that GeometryDiagram renders. Pure functions, no
+ * React, so the same spec can be validated, graded and rendered anywhere.
+ *
+ * Features:
+ * - Points, segments, rays, angles (arc + tappable wedge), circles, polygons,
+ *   free labels and congruence tick marks on segments
+ * - Right-angle markers
+ * - Legacy `figure_spec` items (points map, angle_regions with hit polygons,
+ *   highlight/text/right_angle_marker annotations)
+ * - Set-membership grading of tapped primitive ids
+ *
+ * Spec:
+ * -----
+ * {
+ *   width: 320, height: 240,
+ *   points:   [{ id: 'A', x: 40, y: 200 }]            // or { A: [40, 200] }
+ *   segments: [{ id: 'AB', from: 'A', to: 'B', ticks: 1, label: '5 cm' }],
+ *   rays:     [{ id: 'OX', from: 'O', through: 'X' }],
+ *   angles:   [{ id: 'angA', vertex: 'A', from: 'B', to: 'C', label: '40°', right: false }],
+ *   circles:  [{ id: 'c1', center: 'O', radius: 60 }],    // or through: 'P'
+ *   polygons: [{ id: 'tri', vertices: ['A', 'B', 'C'] }],
+ *   labels:   [{ text: 'l ∥ m', x: 20, y: 20 }],         // or at: 'A'
+ *   tappable: ['angA', 'AB'],                            // default: every shape
+ *   highlight: ['angA']
+ * }
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const PRIMITIVE_KINDS = {
+  POINT: 'point',
+  SEGMENT: 'segment',
+  RAY: 'ray',
+  ANGLE: 'angle',
+  CIRCLE: 'circle',
+  POLYGON: 'polygon',
+  LABEL: 'label'
+};
+
+// Paint order: filled shapes underneath, strokes, then points and text on top
+export const RENDER_ORDER = [
+  PRIMITIVE_KINDS.POLYGON,
+  PRIMITIVE_KINDS.CIRCLE,
+  PRIMITIVE_KINDS.ANGLE,
+  PRIMITIVE_KINDS.SEGMENT,
+  PRIMITIVE_KINDS.RAY,
+  PRIMITIVE_KINDS.POINT,
+  PRIMITIVE_KINDS.LABEL
+];
+
+const DEFAULT_CANVAS = { width: 320, height: 240 };
+const DEFAULT_ANGLE_RADIUS = 26;
+const MIN_ANGLE_HIT_RADIUS = 40;
+const RIGHT_ANGLE_SIZE = 14;
+const TICK_LENGTH = 10;
+const TICK_SPACING = 5;
+const LABEL_OFFSET = 14;
+
+// ============================================================================
+// VECTOR HELPERS
+// ============================================================================
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function unit(dx, dy) {
+  const len = Math.hypot(dx, dy) || 1;
+  return { x: dx / len, y: dy / len };
+}
+
+function pointAt(origin, angle, radius) {
+  return { x: round(origin.x + Math.cos(angle) * radius), y: round(origin.y + Math.sin(angle) * radius) };
+}
+
+/**
+ * Signed turn from angle a to angle b, in (-π, π]
+ */
+function turnBetween(a, b) {
+  let delta = b - a;
+  while (delta <= -Math.PI) delta += 2 * Math.PI;
+  while (delta > Math.PI) delta -= 2 * Math.PI;
+  return delta;
+}
+
+/**
+ * Where a ray from `origin` heading along `dir` leaves the canvas
+ */
+function clipToCanvas(origin, dir, width, height) {
+  const limits = [];
+  if (dir.x > 0) limits.push((width - origin.x) / dir.x);
+  if (dir.x < 0) limits.push(-origin.x / dir.x);
+  if (dir.y > 0) limits.push((height - origin.y) / dir.y);
+  if (dir.y < 0) limits.push(-origin.y / dir.y);
+  const t = limits.length > 0 ? Math.max(0, Math.min(...limits)) : 0;
+  return { x: round(origin.x + dir.x * t), y: round(origin.y + dir.y * t) };
+}
+
+function pointInPolygon(pt, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > pt.y) !== (yj > pt.y) && pt.x < (xj - xi) * (pt.y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: round(sum.x / points.length), y: round(sum.y / points.length) };
+}
+
+// ============================================================================
+// SPEC NORMALIZATION
+// ============================================================================
+
+function readPoints(rawPoints) {
+  const points = {};
+  if (Array.isArray(rawPoints)) {
+    rawPoints.forEach(p => {
+      if (p?.id != null) points[p.id] = { id: String(p.id), x: Number(p.x), y: Number(p.y), label: p.label ?? String(p.id), tappable: p.tappable };
+    });
+  } else if (rawPoints && typeof rawPoints === 'object') {
+    Object.entries(rawPoints).forEach(([id, p]) => {
+      const [x, y] = Array.isArray(p) ? p : [p.x, p.y];
+      points[id] = { id, x: Number(x), y: Number(y), label: (Array.isArray(p) ? null : p.label) ?? id, tappable: Array.isArray(p) ? undefined : p.tappable };
+    });
+  }
+  return points;
+}
+
+/**
+ * Resolve a point reference: an id from the points table, [x, y] or { x, y }
+ */
+function resolvePoint(ref, points) {
+  if (typeof ref === 'string') {
+    const p = points[ref];
+    if (!p) throw new Error(`Diagram references unknown point "${ref}"`);
+    return p;
+  }
+  if (Array.isArray(ref)) return { x: Number(ref[0]), y: Number(ref[1]) };
+  if (ref && typeof ref === 'object' && Number.isFinite(Number(ref.x))) return { x: Number(ref.x), y: Number(ref.y) };
+  throw new Error('Diagram point reference must be a point id or [x, y]');
+}
+
+// Legacy angle regions name their arms as "O->B"
+function armTarget(arm) {
+  return typeof arm === 'string' && arm.includes('->') ? arm.split('->')[1].trim() : arm;
+}
+
+function buildSegment(spec, points) {
+  const a = resolvePoint(spec.from, points);
+  const b = resolvePoint(spec.to, points);
+  const dir = unit(b.x - a.x, b.y - a.y);
+  const normal = { x: -dir.y, y: dir.x };
+  const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+
+  const tickCount = Number(spec.ticks) || 0;
+  const ticks = Array.from({ length: tickCount }, (_, i) => {
+    const offset = (i - (tickCount - 1) / 2) * TICK_SPACING;
+    const c = { x: mid.x + dir.x * offset, y: mid.y + dir.y * offset };
+    return {
+      x1: round(c.x - normal.x * TICK_LENGTH / 2), y1: round(c.y - normal.y * TICK_LENGTH / 2),
+      x2: round(c.x + normal.x * TICK_LENGTH / 2), y2: round(c.y + normal.y * TICK_LENGTH / 2)
+    };
+  });
+
+  return {
+    id: spec.id || `${typeof spec.from === 'string' ? spec.from : 'P'}${typeof spec.to === 'string' ? spec.to : 'Q'}`,
+    kind: PRIMITIVE_KINDS.SEGMENT,
+    x1: a.x, y1: a.y, x2: b.x, y2: b.y,
+    ticks,
+    dashed: !!spec.dashed,
+    label: spec.label ?? null,
+    labelPos: { x: round(mid.x + normal.x * LABEL_OFFSET), y: round(mid.y + normal.y * LABEL_OFFSET) },
+    tappable: spec.tappable
+  };
+}
+
+function buildRay(spec, points, canvas) {
+  const origin = resolvePoint(spec.from, points);
+  const through = resolvePoint(spec.through ?? spec.to, points);
+  const dir = unit(through.x - origin.x, through.y - origin.y);
+  const end = clipToCanvas(origin, dir, canvas.width, canvas.height);
+
+  return {
+    id: spec.id || `ray_${spec.from}${spec.through ?? spec.to}`,
+    kind: PRIMITIVE_KINDS.RAY,
+    x1: origin.x, y1: origin.y, x2: end.x, y2: end.y,
+    angle: Math.atan2(dir.y, dir.x),
+    label: spec.label ?? null,
+    labelPos: { x: round(end.x - dir.x * LABEL_OFFSET - dir.y * LABEL_OFFSET), y: round(end.y - dir.y * LABEL_OFFSET + dir.x * LABEL_OFFSET) },
+    tappable: spec.tappable
+  };
+}
+
+function buildAngle(spec, points) {
+  const vertex = resolvePoint(spec.vertex, points);
+  const [fromRef, toRef] = spec.rays ? spec.rays.map(armTarget) : [spec.from, spec.to];
+  const radius = Number(spec.radius) || DEFAULT_ANGLE_RADIUS;
+
+  const angle = {
+    id: spec.id,
+    kind: PRIMITIVE_KINDS.ANGLE,
+    vertex: { x: vertex.x, y: vertex.y },
+    right: !!spec.right,
+    label: spec.label ?? null,
+    arcPath: null,
+    hitPath: null,
+    hitPolygon: spec.hit_polygon || spec.hitPolygon || null,
+    labelPos: null,
+    degrees: null,
+    tappable: spec.tappable
+  };
+
+  if (fromRef != null && toRef != null) {
+    const from = resolvePoint(fromRef, points);
+    const to = resolvePoint(toRef, points);
+    const a1 = Math.atan2(from.y - vertex.y, from.x - vertex.x);
+    const a2 = Math.atan2(to.y - vertex.y, to.x - vertex.x);
+    const turn = turnBetween(a1, a2);
+    // SVG's positive sweep matches increasing atan2 because y points down
+    const sweep = turn > 0 ? 1 : 0;
+    const start = pointAt(vertex, a1, radius);
+    const end = pointAt(vertex, a2, radius);
+    const hitRadius = Math.max(radius + 12, MIN_ANGLE_HIT_RADIUS);
+    const hitStart = pointAt(vertex, a1, hitRadius);
+    const hitEnd = pointAt(vertex, a2, hitRadius);
+    const bisector = a1 + turn / 2;
+
+    angle.degrees = round(Math.abs(turn) * 180 / Math.PI);
+    angle.labelPos = pointAt(vertex, bisector, radius + LABEL_OFFSET);
+
+    if (angle.right) {
+      const u1 = unit(from.x - vertex.x, from.y - vertex.y);
+      const u2 = unit(to.x - vertex.x, to.y - vertex.y);
+      const s = RIGHT_ANGLE_SIZE;
+      angle.arcPath = `M ${round(vertex.x + u1.x * s)} ${round(vertex.y + u1.y * s)} ` +
+        `L ${round(vertex.x + (u1.x + u2.x) * s)} ${round(vertex.y + (u1.y + u2.y) * s)} ` +
+        `L ${round(vertex.x + u2.x * s)} ${round(vertex.y + u2.y * s)}`;
+    } else {
+      angle.arcPath = `M ${start.x} ${start.y} A ${radius} ${radius} 0 0 ${sweep} ${end.x} ${end.y}`;
+    }
+    angle.hitPath = `M ${vertex.x} ${vertex.y} L ${hitStart.x} ${hitStart.y} ` +
+      `A ${hitRadius} ${hitRadius} 0 0 ${sweep} ${hitEnd.x} ${hitEnd.y} Z`;
+  }
+
+  if (angle.hitPolygon) {
+    // An authored hit polygon wins; arms that point elsewhere are ignored
+    const inside = angle.labelPos && pointInPolygon(pointAt(vertex, Math.atan2(angle.labelPos.y - vertex.y, angle.labelPos.x - vertex.x), radius), angle.hitPolygon);
+    angle.hitPath = null;
+    if (!inside) {
+      angle.arcPath = null;
+      angle.degrees = null;
+      angle.labelPos = centroid(angle.hitPolygon.map(([x, y]) => ({ x, y })));
+    }
+  } else if (!angle.arcPath) {
+    angle.labelPos = centroid(angle.hitPolygon.map(([x, y]) => ({ x, y })));
+    throw new Error(`Angle "${spec.id}" needs from/to arms or a hit polygon`);
+  }
+
+  return angle;
+}
+
+function buildCircle(spec, points) {
+  const center = resolvePoint(spec.center, points);
+  const r = spec.radius != null
+    ? Number(spec.radius)
+    : (() => {
+        const p = resolvePoint(spec.through, points);
+        return Math.hypot(p.x - center.x, p.y - center.y);
+      })();
+
+  return {
+    id: spec.id || `circle_${typeof spec.center === 'string' ? spec.center : 'O'}`,
+    kind: PRIMITIVE_KINDS.CIRCLE,
+    cx: center.x, cy: center.y, r: round(r),
+    label: spec.label ?? null,
+    labelPos: { x: round(center.x + r * 0.71 + 6), y: round(center.y - r * 0.71 - 6) },
+    tappable: spec.tappable
+  };
+}
+
+function buildPolygon(spec, points) {
+  const vertices = (spec.vertices || spec.points || []).map(ref => resolvePoint(ref, points));
+  if (vertices.length < 3) throw new Error(`Polygon "${spec.id}" needs at least 3 vertices`);
+
+  return {
+    id: spec.id || (spec.vertices || []).filter(v => typeof v === 'string').join(''),
+    kind: PRIMITIVE_KINDS.POLYGON,
+    points: vertices.map(v => `${v.x},${v.y}`).join(' '),
+    fill: spec.fill || null,
+    label: spec.label ?? null,
+    labelPos: centroid(vertices),
+    tappable: spec.tappable
+  };
+}
+
+function buildLabel(spec, points, index) {
+  const anchor = spec.at != null ? resolvePoint(spec.at, points) : { x: Number(spec.x), y: Number(spec.y) };
+  return {
+    id: spec.id || `label_${index}`,
+    kind: PRIMITIVE_KINDS.LABEL,
+    x: round(anchor.x + (Number(spec.dx) || 0)),
+    y: round(anchor.y + (Number(spec.dy) || 0)),
+    text: spec.text ?? '',
+    tappable: spec.tappable ?? false
+  };
+}
+
+/**
+ * Fold legacy `figure_spec` annotations into the primitives they describe
+ */
+function applyLegacyAnnotations(annotations, primitives, points, highlighted) {
+  let labelIndex = primitives.filter(p => p.kind === PRIMITIVE_KINDS.LABEL).length;
+
+  annotations.forEach(note => {
+    if (note.type === 'highlight') {
+      const target = primitives.find(p => p.id === note.region_id || p.id === note.id);
+      if (target) {
+        highlighted.add(target.id);
+        if (note.label) target.label = note.label;
+      }
+    } else if (note.type === 'text') {
+      primitives.push(buildLabel({ text: note.text, x: note.x, y: note.y + LABEL_OFFSET / 2 }, points, labelIndex++));
+    } else if (note.type === 'right_angle_marker') {
+      const vertex = points[note.at_vertex];
+      const target = vertex && primitives.find(p =>
+        p.kind === PRIMITIVE_KINDS.ANGLE && p.vertex.x === vertex.x && p.vertex.y === vertex.y && p.arcPath
+      );
+      if (target) target.right = true;
+    }
+  });
+}
+
+/**
+ * Normalize a diagram spec into renderable primitives.
+ * Accepts the `stimulus.diagram` shape and legacy `figure_spec` items.
+ *
+ * @param {Object} spec
+ * @returns {Object} { width, height, primitives, highlightedIds, tappableIds }
+ * @throws {Error} when a shape references an unknown point
+ */
+export function normalizeDiagram(spec = {}) {
+  const canvas = {
+    width: Number(spec.width ?? spec.canvas?.width) || DEFAULT_CANVAS.width,
+    height: Number(spec.height ?? spec.canvas?.height) || DEFAULT_CANVAS.height
+  };
+  const points = readPoints(spec.points);
+  const isLegacy = Array.isArray(spec.angle_regions) || Array.isArray(spec.annotations);
+
+  const primitives = [
+    ...(spec.polygons || []).map(p => buildPolygon(p, points)),
+    ...(spec.circles || []).map(c => buildCircle(c, points)),
+    ...(spec.angles || []).map(a => buildAngle(a, points)),
+    ...(spec.angle_regions || []).map(a => buildAngle({ ...a, tappable: a.tappable ?? true }, points)),
+    ...(spec.segments || []).map(s => buildSegment({ ...s, tappable: s.tappable ?? (isLegacy && !s.id ? false : undefined) }, points)),
+    ...(spec.rays || []).map(r => buildRay(r, points, canvas)),
+    ...Object.values(points).map(p => ({
+      id: p.id,
+      kind: PRIMITIVE_KINDS.POINT,
+      x: p.x,
+      y: p.y,
+      label: spec.showPointLabels === false ? null : p.label,
+      tappable: p.tappable ?? (isLegacy ? false : undefined)
+    })),
+    ...(spec.labels || []).map((l, i) => buildLabel(l, points, i))
+  ];
+
+  const highlighted = new Set(spec.highlight || spec.highlights || []);
+  if (Array.isArray(spec.annotations)) applyLegacyAnnotations(spec.annotations, primitives, points, highlighted);
+
+  const explicit = Array.isArray(spec.tappable) ? new Set(spec.tappable) : null;
+  primitives.forEach(p => {
+    p.tappable = explicit ? explicit.has(p.id) : p.tappable !== false;
+  });
+
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    primitives,
+    highlightedIds: [...highlighted],
+    tappableIds: primitives.filter(p => p.tappable).map(p => p.id)
+  };
+}
+
+/**
+ * Find the diagram spec on an item, wherever the authoring format put it
+ */
+export function getDiagramSpec(question = {}) {
+  const config = question.interaction?.config || {};
+  return question.stimulus?.diagram ||
+    question.content?.stimulus?.diagram ||
+    config.diagram ||
+    config.figureSpec ||
+    config.figure_spec ||
+    question.templatePayload?.figureSpec ||
+    question.template_payload?.figure_spec ||
+    null;
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Correct primitive ids from an answer key (all authoring spellings)
+ */
+export function getCorrectIds(answerKey = {}) {
+  return answerKey.correctIds ||
+    answerKey.correctElementIds ||
+    answerKey.correctRegionIds ||
+    answerKey.correct_region_ids ||
+    answerKey.correct_ids ||
+    [];
+}
+
+/**
+ * Set-membership grading of tapped primitives
+ *
+ * @param {string[]} selectedIds
+ * @param {string[]} correctIds
+ * @returns {Object} { isCorrect, correctSelected, incorrectSelected, missed }
+ */
+export function gradeGeometrySelection(selectedIds = [], correctIds = []) {
+  const correct = new Set(correctIds);
+  const selected = new Set(selectedIds);
+
+  const correctSelected = [...selected].filter(id => correct.has(id));
+  const incorrectSelected = [...selected].filter(id => !correct.has(id));
+  const missed = [...correct].filter(id => !selected.has(id));
+
+  return {
+    isCorrect: correct.size > 0 && incorrectSelected.length === 0 && missed.length === 0,
+    correctSelected,
+    incorrectSelected,
+    missed
+  };
+}
+
+/**
+ * Primitive ids a worked-solution step points at.
+ * Steps are plain strings or { text, highlight: [ids] }.
+ */
+export function getStepHighlights(step) {
+  if (!step || typeof step !== 'object') return [];
+  return step.highlight || step.highlights || step.diagramHighlight || [];
+}
+
+export default {
+  normalizeDiagram,
+  getDiagramSpec,
+  getCorrectIds,
+  gradeGeometrySelection,
+  getStepHighlights,
+  PRIMITIVE_KINDS,
+  RENDER_ORDER
+};
@@ -0,0 +1,196 @@
+/**
+ * gradingQueueService.js
+ *
+ * Teacher grading queue for responses the offline scorers cannot grade with
+ * confidence (currently SHORT_EXPLAIN rubric scoring).
+ *
+ * Features:
+ * - Enqueue low-confidence responses with the auto-score attached
+ * - Fetch pending reviews for a class
+ * - Teacher override that retroactively corrects the session log and the
+ *   atom's mastery (via masteryService, the same rule the mission uses)
+ *
+ * Firestore layout:
+ * - grading_queue/{entryId}
+ * - students/{studentId}/session_logs/{logId}  (linked by responseId)
+ *
+ * Usage:
+ * ------
+ * await enqueueForReview({ studentId, responseId, questionId, atomId, explanation, rubric, autoResult });
+ * const pending = await fetchPendingReviews({ classId });
+ * await applyTeacherOverride(pending[0].id, { reasoning: 2, representation: 1 }, { teacherId });
+ */
+
+import { db } from '../firebase/config';
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  writeBatch,
+  serverTimestamp
+} from 'firebase/firestore';
+import { applyOverrideScores } from './rubricScorer';
+import { correctMastery } from './masteryService';
+import { mapFieldPath } from '../utils/firestoreKey';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const GRADING_QUEUE_COLLECTION = 'grading_queue';
+
+export const REVIEW_STATUS = {
+  PENDING: 'PENDING',
+  RESOLVED: 'RESOLVED'
+};
+
+export const GRADING_STATUS = {
+  AUTO: 'AUTO',
+  PENDING_REVIEW: 'PENDING_REVIEW',
+  TEACHER_GRADED: 'TEACHER_GRADED'
+};
+
+/**
+ * Client-side id linking a response's session log to its queue entry
+ * (session logs get their Firestore id only when the buffer syncs)
+ */
+export function createResponseId(studentId, questionId) {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `${studentId || 'anon'}_${questionId || 'q'}_${Date.now()}_${random}`;
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+/**
+ * Add a response to the teacher grading queue
+ * @returns {Promise<string>} queue entry id
+ */
+export async function enqueueForReview(entry) {
+  const ref = await addDoc(collection(db, GRADING_QUEUE_COLLECTION), {
+    studentId: entry.studentId,
+    classId: entry.classId || null,
+    responseId: entry.responseId,
+    questionId: entry.questionId,
+    atomId: entry.atomId || null,
+    templateId: entry.templateId || 'SHORT_EXPLAIN',
+    prompt: entry.prompt || '',
+    explanation: entry.explanation,
+    rubric: entry.rubric || null,
+    autoScores: entry.autoResult?.scores || {},
+    autoConfidence: entry.autoResult?.confidence ?? 0,
+    reviewReason: entry.autoResult?.reviewReason || 'LOW_CONFIDENCE',
+    status: REVIEW_STATUS.PENDING,
+    createdAt: serverTimestamp()
+  });
+
+  console.log('[gradingQueueService] Queued for review:', ref.id, entry.questionId);
+  return ref.id;
+}
+
+/**
+ * Pending reviews, optionally restricted to one class
+ */
+export async function fetchPendingReviews({ classId = null, max = 50 } = {}) {
+  const filters = [where('status', '==', REVIEW_STATUS.PENDING)];
+  if (classId) filters.push(where('classId', '==', classId));
+
+  const snapshot = await getDocs(query(collection(db, GRADING_QUEUE_COLLECTION), ...filters, limit(max)));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+// ============================================================================
+// TEACHER OVERRIDE
+// ============================================================================
+
+async function findSessionLog(studentId, responseId) {
+  const logsRef = collection(db, 'students', studentId, 'session_logs');
+  const snapshot = await getDocs(query(logsRef, where('responseId', '==', responseId), limit(1)));
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Apply teacher-assigned rubric scores to a queued response.
+ * Updates the session log, the student's atom mastery and the queue entry
+ * in one batch.
+ *
+ * @param {string} entryId - grading_queue document id
+ * @param {Object} scores - { dimensionId: 0|1|2 }
+ * @param {Object} options - { teacherId, note }
+ * @returns {Promise<Object>} { result, correction, masteryAfter }
+ */
+export async function applyTeacherOverride(entryId, scores, { teacherId, note = '' } = {}) {
+  const entryRef = doc(db, GRADING_QUEUE_COLLECTION, entryId);
+  const entrySnap = await getDoc(entryRef);
+  if (!entrySnap.exists()) throw new Error(`Grading queue entry not found: ${entryId}`);
+
+  const entry = entrySnap.data();
+  const logSnap = await findSessionLog(entry.studentId, entry.responseId);
+  if (!logSnap) {
+    throw new Error('The student\'s session has not synced yet. Try again after their mission ends.');
+  }
+
+  const log = logSnap.data();
+  const result = applyOverrideScores(scores, entry.rubric || {});
+
+  const studentRef = doc(db, 'students', entry.studentId);
+  const studentSnap = await getDoc(studentRef);
+  const currentMastery = studentSnap.exists() ? studentSnap.data().mastery?.[entry.atomId] : undefined;
+  const corrected = correctMastery(currentMastery, log, {
+    isCorrect: result.isCorrect,
+    isRecovered: log.isRecovered
+  });
+
+  const batch = writeBatch(db);
+
+  batch.update(logSnap.ref, {
+    isCorrect: result.isCorrect,
+    isSuccess: !!(result.isCorrect || log.isRecovered),
+    rubricScores: result.scores,
+    rubricFraction: result.fraction,
+    gradingStatus: GRADING_STATUS.TEACHER_GRADED,
+    masteryAfter: corrected.loggedMasteryAfter,
+    masteryDelta: Number((corrected.loggedMasteryAfter - (log.masteryBefore ?? corrected.loggedMasteryAfter)).toFixed(3)),
+    teacherOverride: {
+      teacherId: teacherId || null,
+      note,
+      previousScores: log.rubricScores || entry.autoScores || {},
+      previousIsCorrect: !!log.isCorrect,
+      masteryCorrection: corrected.correction,
+      overriddenAt: Date.now()
+    }
+  });
+
+  if (entry.atomId && studentSnap.exists()) {
+    // Same raw-id key every reader uses (a dotted string path would nest)
+    batch.update(studentRef, mapFieldPath('mastery', entry.atomId), corrected.masteryAfter);
+  }
+
+  batch.update(entryRef, {
+    status: REVIEW_STATUS.RESOLVED,
+    finalScores: result.scores,
+    finalIsCorrect: result.isCorrect,
+    resolvedBy: teacherId || null,
+    resolvedAt: serverTimestamp()
+  });
+
+  await batch.commit();
+  console.log('[gradingQueueService] Override applied:', entryId, result.scores, 'mastery Δ', corrected.correction);
+
+  return { result, correction: corrected.correction, masteryAfter: corrected.masteryAfter };
+}
+
+export default {
+  createResponseId,
+  enqueueForReview,
+  fetchPendingReviews,
+  applyTeacherOverride,
+  REVIEW_STATUS,
+  GRADING_STATUS
+};
@@ -0,0 +1,166 @@
+/**
+ * hintService.js
+ *
+ * On-demand hint ladder for V2 items: nudge, then strategy, then a partial
+ * worked step. Hints cost credit, so using them lowers the Flow points and
+ * the mastery gain for that attempt.
+ *
+ * Features:
+ * - Authored hints (item `hints`) win per level
+ * - Missing levels derived from worked_solution, never revealing the final
+ *   answer or the last step
+ * - Per-item cap from the atom's mastery profile
+ *   (no_more_than_hints_per_item / allowed_hints)
+ * - Credit factor by number of hints used
+ *
+ * Spec:
+ * -----
+ * Authored hints on an item:
+ *   "hints": [
+ *     { "level": "nudge", "text": "What does one part stand for?" },
+ *     { "level": "strategy", "text": "Use the unitary method." },
+ *     { "level": "worked_step", "text": "120 ÷ 8 = 15 for one pen." }
+ *   ]
+ */
+
+import coreCurriculum from '../data/cbse7_mathquest_core_curriculum_v2.json';
+import assessmentGuide from '../data/cbse7_mathquest_assessment_guide_v2.json';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const HINT_LEVELS = ['nudge', 'strategy', 'worked_step'];
+
+export const HINT_LEVEL_LABELS = {
+  nudge: 'Nudge',
+  strategy: 'Strategy',
+  worked_step: 'Worked step'
+};
+
+/**
+ * Share of the normal reward kept after N hints (index = hints used)
+ */
+export const HINT_CREDIT = [1, 0.8, 0.6, 0.3];
+
+const atomProfiles = Object.fromEntries(
+  (coreCurriculum.modules || []).flatMap(m => (m.atoms || []).map(a => [a.atom_id, a.mastery_profile_id]))
+);
+const profilesById = Object.fromEntries(
+  (assessmentGuide.mastery_profiles || []).map(p => [p.mastery_profile_id, p])
+);
+
+// ============================================================================
+// LADDER
+// ============================================================================
+
+const stepText = (step) => (typeof step === 'string' ? step : step?.text || '');
+
+// "₹75" must not appear in "5 × 15 = 75"
+function revealsAnswer(text, finalAnswer) {
+  const answer = String(finalAnswer ?? '').replace(/[₹$\s]/g, '');
+  if (!answer) return false;
+  const escaped = answer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\d.])${escaped}($|[^\\d.])`).test(text.replace(/[₹$]/g, ''));
+}
+
+function deriveHints(question) {
+  const solution = question.workedSolution || question.worked_solution;
+  if (!solution) return {};
+
+  const finalAnswer = solution.finalAnswer ?? solution.final_answer;
+  const steps = (solution.steps || []).map(stepText).filter(Boolean);
+  // Everything but the last step, minus steps that state the answer
+  const safeSteps = steps.slice(0, -1).filter(text => !revealsAnswer(text, finalAnswer));
+  const why = solution.whyItWorks ?? solution.why_it_works;
+
+  return {
+    nudge: why && !revealsAnswer(why, finalAnswer) ? why : null,
+    strategy: safeSteps[0] || null,
+    worked_step: safeSteps.length >= 2 ? safeSteps.join(' ') : null
+  };
+}
+
+/**
+ * Hint ladder for a question, lightest first
+ * @returns {Array<{ level: string, label: string, text: string, source: 'authored'|'derived' }>}
+ */
+export function buildHintLadder(question = {}) {
+  const authored = Object.fromEntries(
+    (question.hints || [])
+      .filter(h => HINT_LEVELS.includes(h.level) && h.text)
+      .map(h => [h.level, h.text])
+  );
+  const derived = deriveHints(question);
+  const seen = new Set();
+
+  return HINT_LEVELS.flatMap(level => {
+    const text = authored[level] || derived[level];
+    if (!text || seen.has(text)) return [];
+    seen.add(text);
+    return [{ level, label: HINT_LEVEL_LABELS[level], text, source: authored[level] ? 'authored' : 'derived' }];
+  });
+}
+
+// ============================================================================
+// LIMITS & CREDIT
+// ============================================================================
+
+/**
+ * Mastery profile id for a question (mission metadata, else the atom's profile)
+ */
+export function getMasteryProfileId(question = {}) {
+  return question.masteryProfileId ||
+    question.analytics?.masteryProfile ||
+    atomProfiles[question.atomId || question.atom_id] ||
+    null;
+}
+
+/**
+ * Max hints the question's mastery profile allows (null = no cap)
+ */
+export function getHintLimit(question) {
+  const requirements = profilesById[getMasteryProfileId(question)]?.requirements || {};
+  const limit = requirements.no_more_than_hints_per_item ?? requirements.allowed_hints;
+  return typeof limit === 'number' ? limit : null;
+}
+
+/**
+ * Hints the student can open for a question
+ */
+export function getAvailableHints(question) {
+  const ladder = buildHintLadder(question);
+  const limit = getHintLimit(question);
+  return limit === null ? ladder : ladder.slice(0, limit);
+}
+
+/**
+ * Share of the normal reward kept after using `hintsUsed` hints
+ */
+export function hintCreditFactor(hintsUsed = 0) {
+  return HINT_CREDIT[Math.min(Math.max(0, hintsUsed), HINT_CREDIT.length - 1)];
+}
+
+/**
+ * Session-log fields for a set of revealed hints
+ * @param {Array<{ level: string, elapsedMs: number }>} revealed
+ */
+export function summarizeHintUsage(revealed = []) {
+  return {
+    hintsUsed: revealed.length,
+    hintLevels: revealed.map(h => h.level),
+    hintTimings: revealed.map(h => h.elapsedMs),
+    hintCredit: hintCreditFactor(revealed.length)
+  };
+}
+
+export default {
+  buildHintLadder,
+  getAvailableHints,
+  getHintLimit,
+  getMasteryProfileId,
+  hintCreditFactor,
+  summarizeHintUsage,
+  HINT_LEVELS,
+  HINT_CREDIT
+};
@@ -8,6 +8,7 @@
 
 import { semanticValidate } from './semanticValidator.js';
 import { getAtom } from '../data/mathAtoms.js';
+import { buildCalibrationReport, isConfidentlyWrong, isValidConfidence } from './confidenceCalibration.js';
 
 /**
  * Generate comprehensive insights from session logs
@@ -42,6 +43,9 @@ export function generateStudentInsights(logs) {
     // Calculate semantic health score
     const semanticScore = calculateSemanticHealth(logs);
 
+    // Self-rated confidence vs results
+    const calibration = buildCalibrationReport(logs);
+
     return {
         status: 'SUCCESS',
         timestamp: new Date().toISOString(),
@@ -51,6 +55,7 @@ export function generateStudentInsights(logs) {
         patterns,
         semanticScore,
         recommendations,
+        calibration,
         nextActions: prioritizeNextActions(hurdles.sorted, patterns),
     };
 }
@@ -64,8 +69,10 @@ function calculatePerformanceMetrics(logs) {
     const incorrect = total - correct;
     const successRate = (correct / total * 100).toFixed(1);
 
-    // Calculate confidence trend
-    const confidences = logs.map(l => l.confidenceAfter || 0);
+    // Calculate confidence trend (self-ratings 1-5 when the student gave any)
+    const rated = logs.filter(l => isValidConfidence(l.confidence));
+    const confidenceSource = rated.length > 0 ? 'SELF_RATED' : 'MODEL';
+    const confidences = rated.length > 0 ? rated.map(l => l.confidence) : logs.map(l => l.confidenceAfter || 0);
     const avgConfidence = (confidences.reduce((a, b) => a + b, 0) / confidences.length).toFixed(2);
     const confidenceTrend = confidences.length > 1
         ? confidences[confidences.length - 1] - confidences[0] > 0 ? 'GAINING' : 'LOSING'
@@ -91,6 +98,7 @@ function calculatePerformanceMetrics(logs) {
         correctAnswers: correct,
         incorrectAnswers: incorrect,
         averageConfidence: avgConfidence,
+        confidenceSource,
         confidenceTrend,
         averageResponseTime: `${avgTime}s`,
         sprintCount,
@@ -191,7 +199,7 @@ function detectPatterns(logs) {
         }
 
         // Hidden Misconception: Confident but wrong
-        if (!log.isCorrect && log.confidenceBefore > 0.7) {
+        if ((!log.isCorrect && log.confidenceBefore > 0.7) || isConfidentlyWrong(log)) {
             patterns.hiddenMisconceptions.push({
                 tag: log.diagnosticTag,
                 message: `High confidence but wrong answer suggests hidden misconception`,
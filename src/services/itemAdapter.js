@@ -0,0 +1,294 @@
+/**
+ * itemAdapter.js
+ *
+ * Converts V2 gold-standard items (snake_case, as authored in
+ * cbse7_mathquest_gold_questions_v2.json and published to Firestore) into the
+ * question shape the template components render.
+ *
+ * Features:
+ * - Shared fields: prompt/instruction/stimulus, answer key, worked solution,
+ *   feedback map, misconceptions, recovery
+ * - Per-interaction config mapping (options → index keys, cards → items, ...)
+ * - Deterministic shuffles seeded by item id, so a reload shows the same order
+ * - Works on a whole item or a bare `transfer_item` block
+ * - Carries the seed of a parameterized variant (itemVariants)
+ *
+ * Usage:
+ * ------
+ * const question = toTemplateQuestion(goldItem);
+ * <TemplateRouter question={question} ... />
+ */
+
+import { seededShuffle } from './seededRandom';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * interaction.type → template id
+ */
+export const INTERACTION_TEMPLATE_IDS = {
+  mcq_concept: 'MCQ_CONCEPT',
+  mcq_skill: 'MCQ_SKILL',
+  numeric_input: 'NUMERIC_INPUT',
+  two_tier: 'TWO_TIER',
+  error_analysis: 'ERROR_ANALYSIS',
+  worked_example_complete: 'WORKED_EXAMPLE_COMPLETE',
+  step_order: 'STEP_ORDER',
+  classify_sort: 'CLASSIFY_SORT',
+  number_line_place: 'NUMBER_LINE_PLACE',
+  matching: 'MATCHING',
+  balance_ops: 'BALANCE_OPS',
+  expression_input: 'EXPRESSION_INPUT',
+  geometry_tap: 'GEOMETRY_TAP',
+  graph_plot: 'GRAPH_PLOT',
+  multi_step_word: 'MULTI_STEP_WORD',
+  simulation: 'SIMULATION',
+  short_explain: 'SHORT_EXPLAIN'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function toFeedbackMap(feedbackMap = {}) {
+  return {
+    onCorrect: feedbackMap.onCorrect ?? feedbackMap.on_correct,
+    onIncorrectAttempt1: feedbackMap.onIncorrectAttempt1 ?? feedbackMap.on_incorrect_attempt_1,
+    onIncorrectAttempt2: feedbackMap.onIncorrectAttempt2 ?? feedbackMap.on_incorrect_attempt_2
+  };
+}
+
+function toWorkedSolution(solution) {
+  if (!solution) return null;
+  return {
+    steps: solution.steps || [],
+    finalAnswer: solution.finalAnswer ?? solution.final_answer,
+    whyItWorks: solution.whyItWorks ?? solution.why_it_works
+  };
+}
+
+// The single numeric entry of keys like { y: 5 } or { x: -3 }
+function soleNumericValue(answerKey = {}) {
+  const numeric = Object.entries(answerKey).filter(([, v]) => typeof v === 'number');
+  return numeric.length === 1 ? numeric[0][1] : undefined;
+}
+
+// ============================================================================
+// PER-INTERACTION MAPPING
+// ============================================================================
+
+/**
+ * Map one interaction's snake_case config/answer key onto what its template reads.
+ * Unknown interaction types pass through unchanged.
+ */
+function adaptInteraction(type, config = {}, answerKey = {}, seed, scoringParams = {}) {
+  switch (type) {
+    case 'mcq_concept':
+    case 'mcq_skill': {
+      const options = config.shuffle ? seededShuffle(config.options || [], seed) : (config.options || []);
+      return {
+        config: { ...config, options },
+        answerKey: {
+          ...answerKey,
+          correctOptionIndex: answerKey.correctOptionIndex ??
+            options.findIndex(o => o.id === answerKey.correct_option_id)
+        }
+      };
+    }
+
+    case 'two_tier': {
+      const tier1Options = config.shuffle_tier1 ? seededShuffle(config.tier1_options || [], seed) : (config.tier1_options || []);
+      return {
+        config: { ...config, tier1Options, tier2Options: config.tier2_reason_options || [] },
+        answerKey: {
+          ...answerKey,
+          tier1CorrectIndex: tier1Options.findIndex(o => o.id === answerKey.correct_tier1_id)
+        }
+      };
+    }
+
+    case 'step_order': {
+      const steps = config.shuffle ? seededShuffle(config.steps || [], seed) : (config.steps || []);
+      return {
+        config: { ...config, steps },
+        answerKey: {
+          ...answerKey,
+          correctOrder: (answerKey.correct_order || []).map(id => steps.findIndex(s => s.id === id))
+        }
+      };
+    }
+
+    case 'error_analysis': {
+      // The template picks an error by index; errorType keeps the authored code
+      const errors = config.errors || (config.error_type_options || []).map(o => ({ id: o.id, text: o.label ?? o.text }));
+      const errorType = answerKey.errorType ?? answerKey.correct_error_type;
+      return {
+        config: { ...config, errors, studentWork: config.student_work?.lines || [] },
+        answerKey: {
+          ...answerKey,
+          errorType,
+          errorId: answerKey.errorId ?? errors.findIndex(e => e.id === errorType)
+        }
+      };
+    }
+
+    case 'classify_sort': {
+      const cards = config.shuffle_cards ? seededShuffle(config.cards || [], seed) : (config.cards || []);
+      return {
+        config: {
+          ...config,
+          items: cards.map(c => ({ id: c.id, label: c.text ?? c.label })),
+          categories: (config.bins || []).map(b => ({ id: b.id, label: b.label }))
+        },
+        answerKey: { ...answerKey, classification: answerKey.card_to_bin || answerKey.classification || {} }
+      };
+    }
+
+    case 'matching': {
+      const left = config.shuffle_left ? seededShuffle(config.left || [], `${seed}:L`) : (config.left || []);
+      const right = config.shuffle_right ? seededShuffle(config.right || [], `${seed}:R`) : (config.right || []);
+      return {
+        config: {
+          ...config,
+          leftItems: left.map(l => ({ id: l.id, label: l.text ?? l.label })),
+          rightItems: right.map(r => ({ id: r.id, label: r.text ?? r.label }))
+        },
+        answerKey: {
+          ...answerKey,
+          matches: Object.fromEntries((answerKey.pairs || []).map(p => [p.left_id, p.right_id]))
+        }
+      };
+    }
+
+    case 'number_line_place': {
+      const line = config.number_line || {};
+      const value = answerKey.value;
+      return {
+        config: {
+          ...config,
+          minValue: line.min,
+          maxValue: line.max,
+          snap: config.snap ?? line.snap,
+          // Half a snap step: any drop that snaps onto the target counts
+          tolerance: config.tolerance ?? scoringParams.tolerance ?? (line.snap ? line.snap / 2 : undefined),
+          items: config.items || [{ id: 'target', label: String(config.target_label ?? value), value }]
+        },
+        answerKey: { ...answerKey, positions: answerKey.positions || { target: value } }
+      };
+    }
+
+    case 'balance_ops':
+      return {
+        config,
+        answerKey: { ...answerKey, value: answerKey.value ?? soleNumericValue(answerKey) }
+      };
+
+    case 'expression_input':
+      return {
+        config,
+        answerKey: {
+          ...answerKey,
+          expression: answerKey.expression ?? answerKey.expected_expr,
+          acceptableForms: answerKey.acceptableForms || answerKey.acceptable_forms || []
+        }
+      };
+
+    case 'worked_example_complete':
+      return {
+        config,
+        answerKey: { ...answerKey, blankAnswers: answerKey.blankAnswers || answerKey.blanks || {} }
+      };
+
+    case 'multi_step_word':
+      return {
+        config: {
+          ...config,
+          steps: config.steps || (config.parts || []).map(p => ({ id: p.id, question: p.question, expected: p.expected }))
+        },
+        answerKey: { ...answerKey, stepAnswers: answerKey.stepAnswers || answerKey.parts || {} }
+      };
+
+    default:
+      return { config, answerKey };
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Seed of a parameterized variant (itemVariants), so a log can reproduce
+ * the exact item (null for items served as authored)
+ */
+export function toVariantInfo(item) {
+  if (item?.variant_seed === undefined) return null;
+  return {
+    itemId: item.item_id,
+    seed: item.variant_seed,
+    attempt: item.variant_attempt ?? null,
+    params: item.variant_params || {}
+  };
+}
+
+/**
+ * Convert a V2 item (or a transfer_item block) to a template question.
+ *
+ * @param {Object} item - gold-format item
+ * @param {Object} overrides - fields merged onto the result (questionId, atomId, templateId...)
+ * @returns {Object} question for TemplateRouter
+ */
+export function toTemplateQuestion(item, overrides = {}) {
+  const interactionType = item.interaction?.type;
+  const itemId = overrides.itemId || item.item_id || item.itemId;
+  const { config, answerKey } = adaptInteraction(
+    interactionType,
+    item.interaction?.config || {},
+    item.answer_key || item.answerKey || {},
+    itemId || item.prompt?.text || 'item',
+    item.scoring?.params || {}
+  );
+
+  return {
+    questionId: itemId,
+    itemId,
+    atomId: item.atom_id || item.atomId,
+    atom_id: item.atom_id || item.atomId,
+    moduleId: item.module_id || item.moduleId,
+    templateId: item.template_id || INTERACTION_TEMPLATE_IDS[interactionType] || null,
+    difficulty: item.difficulty,
+    content: {
+      prompt: { text: item.prompt?.text, latex: item.prompt?.latex },
+      instruction: item.instruction,
+      stimulus: item.stimulus || null
+    },
+    stimulus: item.stimulus || null,
+    interaction: { type: interactionType, config },
+    answerKey,
+    workedSolution: toWorkedSolution(item.worked_solution || item.workedSolution),
+    feedbackMap: toFeedbackMap(item.feedback_map || item.feedbackMap),
+    misconceptions: item.misconceptions || [],
+    hints: item.hints || null,
+    scoring: item.scoring || null,
+    recovery: item.recovery || null,
+    templatePayload: item.template_payload || item.templatePayload || null,
+    variant: toVariantInfo(item),
+    ...overrides
+  };
+}
+
+/**
+ * Template id a bare interaction block renders with
+ */
+export function templateIdForInteraction(interaction) {
+  return INTERACTION_TEMPLATE_IDS[interaction?.type] || null;
+}
+
+export default {
+  toTemplateQuestion,
+  toVariantInfo,
+  templateIdForInteraction,
+  INTERACTION_TEMPLATE_IDS
+};
@@ -0,0 +1,397 @@
+/**
+ * itemVariants.js
+ *
+ * Parameterized item variants. An item author declares parameters,
+ * constraints and formulas, then rewrites the fields whose numbers change.
+ * Each (studentId, itemId, attempt) maps to one seed, and each seed maps to
+ * exactly one variant. A logged seed therefore reproduces the item the
+ * student saw.
+ *
+ * Features:
+ * - Integer, decimal and choice parameters, with excluded values
+ * - Constraints between parameters (a != b, b > 0, a + b <= 20)
+ * - Formulas for derived numbers (answers, distractors, intermediate steps)
+ * - {{expr}} placeholders in any field: prompt, answer_key, worked_solution,
+ *   options, feedback, hints, transfer_item
+ * - Small parameter spaces can be listed in full, so every variant can be
+ *   checked (enumerateParameters)
+ * - The authored item is the base variant. Items without a variant block
+ *   are served as they are.
+ *
+ * Spec:
+ * -----
+ * "variant": {
+ *   "parameters": {
+ *     "a": { "type": "int", "min": -20, "max": 20, "exclude": [0] },
+ *     "b": { "type": "int", "min": -20, "max": 20 }
+ *   },
+ *   "constraints": ["a != b"],
+ *   "formulas": { "s": "a + b" },
+ *   "fields": {
+ *     "prompt.text": "What is {{a}} + ({{b}})?",
+ *     "answer_key.value": "{{s}}",
+ *     "worked_solution.steps.0": "{{a}} + ({{b}}) = {{s}}"
+ *   }
+ * }
+ *
+ * Names are single lowercase letters, as in expressionEquivalence ("ab" is a·b).
+ * A field that is only a placeholder keeps the type of the base value, so
+ * "answer_key.value": "{{s}}" stays a number.
+ */
+
+import { parseExpression, evaluateExpression } from './expressionEquivalence';
+import { hashSeed, createRandom } from './seededRandom';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const PARAMETER_TYPES = {
+  INT: 'int',
+  DECIMAL: 'decimal',
+  CHOICE: 'choice'
+};
+
+// Rejection sampling gives up after this many draws (constraints too tight)
+export const MAX_SAMPLE_TRIES = 500;
+
+// Parameter spaces up to this many combinations can be listed in full
+export const MAX_ENUMERATED_VARIANTS = 5000;
+
+const PLACEHOLDER = /\{\{([^}]+)\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{([^}]+)\}\}$/;
+// A hyphen used as a minus sign: before a digit, a name or a placeholder
+const ASCII_MINUS = /(^|[\s({])-(?=[\d{a-z])/i;
+const COMPARISON = /(!=|≠|<=|≤|>=|≥|==|=|<|>)/;
+const NAME = /^[a-z]$/;
+const DECIMALS = 4;
+const TOLERANCE = 1e-9;
+
+// Fields a variant may never rewrite
+const PROTECTED_ROOTS = ['item_id', 'module_id', 'atom_id', 'template_id', 'variant'];
+
+// ============================================================================
+// SPEC
+// ============================================================================
+
+/**
+ * Whether an item declares variants
+ */
+export function hasVariants(item) {
+  return !!item?.variant?.parameters && Object.keys(item.variant.parameters).length > 0;
+}
+
+/**
+ * Deterministic seed for one student's nth attempt at an item
+ */
+export function variantSeed(studentId, itemId, attempt = 0) {
+  return hashSeed(`${studentId}|${itemId}|${attempt}`);
+}
+
+function evaluate(expression, scope) {
+  return evaluateExpression(parseExpression(expression), scope);
+}
+
+function compare(left, op, right) {
+  switch (op) {
+    case '!=':
+    case '≠':
+      return Math.abs(left - right) > TOLERANCE;
+    case '<=':
+    case '≤':
+      return left <= right + TOLERANCE;
+    case '>=':
+    case '≥':
+      return left >= right - TOLERANCE;
+    case '<':
+      return left < right - TOLERANCE;
+    case '>':
+      return left > right + TOLERANCE;
+    default:
+      return Math.abs(left - right) <= TOLERANCE;
+  }
+}
+
+/**
+ * Split "a + b <= 20" into its two sides and operator
+ */
+function parseConstraint(constraint) {
+  const parts = String(constraint).split(COMPARISON);
+  if (parts.length !== 3 || !parts[0].trim() || !parts[2].trim()) {
+    throw new SyntaxError(`Constraint "${constraint}" must compare two expressions`);
+  }
+  return { left: parts[0], op: parts[1], right: parts[2] };
+}
+
+/**
+ * Whether a scope satisfies every constraint
+ */
+export function satisfiesConstraints(constraints = [], scope) {
+  return constraints.every(constraint => {
+    const { left, op, right } = parseConstraint(constraint);
+    const a = evaluate(left, scope);
+    const b = evaluate(right, scope);
+    return Number.isFinite(a) && Number.isFinite(b) && compare(a, op, b);
+  });
+}
+
+/**
+ * Problems with a variant block, as validator messages (empty when valid)
+ */
+export function checkVariantSpec(spec = {}, item = {}) {
+  const errors = [];
+  const parameters = spec.parameters || {};
+  const formulas = spec.formulas || {};
+  const names = [...Object.keys(parameters), ...Object.keys(formulas)];
+
+  if (Object.keys(parameters).length === 0) errors.push('variant.parameters must declare at least one parameter');
+  names.filter(name => !NAME.test(name)).forEach(name => {
+    errors.push(`variant name '${name}' must be a single lowercase letter`);
+  });
+  Object.keys(formulas).filter(name => parameters[name]).forEach(name => {
+    errors.push(`variant name '${name}' is both a parameter and a formula`);
+  });
+
+  Object.entries(parameters).forEach(([name, param]) => {
+    if (param?.type === PARAMETER_TYPES.CHOICE) {
+      if (!Array.isArray(param.values) || param.values.length === 0 || param.values.some(v => typeof v !== 'number')) {
+        errors.push(`variant.parameters.${name}.values must be a non-empty array of numbers`);
+      }
+    } else if (param?.type === PARAMETER_TYPES.INT || param?.type === PARAMETER_TYPES.DECIMAL) {
+      if (typeof param.min !== 'number' || typeof param.max !== 'number' || param.min > param.max) {
+        errors.push(`variant.parameters.${name} needs numeric min <= max`);
+      }
+      if (param.type === PARAMETER_TYPES.DECIMAL && !(param.step > 0)) {
+        errors.push(`variant.parameters.${name}.step must be a positive number`);
+      }
+    } else {
+      errors.push(`variant.parameters.${name}.type must be one of: ${Object.values(PARAMETER_TYPES).join(', ')}`);
+    }
+  });
+
+  const known = new Set(names);
+  const checkExpression = (expression, where) => {
+    try {
+      const missing = [...String(expression).replace(/[^a-z]/gi, '').toLowerCase()].filter(v => !known.has(v));
+      parseExpression(expression);
+      if (missing.length) errors.push(`${where} uses undeclared name(s): ${[...new Set(missing)].join(', ')}`);
+    } catch (error) {
+      errors.push(`${where}: ${error.message}`);
+    }
+  };
+
+  Object.entries(formulas).forEach(([name, formula]) => checkExpression(formula, `variant.formulas.${name}`));
+  (spec.constraints || []).forEach((constraint, i) => {
+    try {
+      const { left, right } = parseConstraint(constraint);
+      checkExpression(left, `variant.constraints[${i}]`);
+      checkExpression(right, `variant.constraints[${i}]`);
+    } catch (error) {
+      errors.push(`variant.constraints[${i}]: ${error.message}`);
+    }
+  });
+
+  const fields = spec.fields || {};
+  if (Object.keys(fields).length === 0) errors.push('variant.fields must rewrite at least one field');
+  Object.entries(fields).forEach(([path, template]) => {
+    if (PROTECTED_ROOTS.includes(path.split('.')[0])) {
+      errors.push(`variant.fields cannot rewrite '${path}'`);
+    } else if (getPath(item, path) === undefined) {
+      errors.push(`variant.fields path '${path}' does not exist on the item`);
+    }
+    if (typeof template !== 'string') {
+      errors.push(`variant.fields['${path}'] must be a string`);
+      return;
+    }
+    [...template.matchAll(PLACEHOLDER)].forEach(match => checkExpression(match[1], `variant.fields['${path}']`));
+    if (ASCII_MINUS.test(template)) {
+      errors.push(`variant.fields['${path}'] uses an ASCII "-" as a minus sign; the bank writes "−"`);
+    }
+  });
+
+  return errors;
+}
+
+// ============================================================================
+// SAMPLING
+// ============================================================================
+
+const round = (value) => Number(value.toFixed(DECIMALS));
+
+function sampleParameter(param, random) {
+  switch (param.type) {
+    case PARAMETER_TYPES.CHOICE:
+      return param.values[Math.floor(random() * param.values.length)];
+    case PARAMETER_TYPES.DECIMAL: {
+      const count = Math.round((param.max - param.min) / param.step);
+      return round(param.min + Math.floor(random() * (count + 1)) * param.step);
+    }
+    default:
+      return Math.ceil(param.min) + Math.floor(random() * (Math.floor(param.max) - Math.ceil(param.min) + 1));
+  }
+}
+
+function parameterValues(param) {
+  switch (param.type) {
+    case PARAMETER_TYPES.CHOICE:
+      return [...param.values];
+    case PARAMETER_TYPES.DECIMAL: {
+      const count = Math.round((param.max - param.min) / param.step);
+      return Array.from({ length: count + 1 }, (_, i) => round(param.min + i * param.step));
+    }
+    default: {
+      const min = Math.ceil(param.min);
+      return Array.from({ length: Math.floor(param.max) - min + 1 }, (_, i) => min + i);
+    }
+  }
+}
+
+/**
+ * Parameter values plus formulas, or null when an excluded value, a
+ * non-finite formula or a constraint rules the combination out
+ */
+function completeScope(spec, values) {
+  const excluded = Object.entries(spec.parameters || {}).some(([name, param]) => (param.exclude || []).includes(values[name]));
+  if (excluded) return null;
+
+  // Formulas may build on earlier formulas
+  const scope = { ...values };
+  Object.entries(spec.formulas || {}).forEach(([name, formula]) => {
+    scope[name] = round(evaluate(formula, scope));
+  });
+  return Object.values(scope).every(Number.isFinite) && satisfiesConstraints(spec.constraints, scope) ? scope : null;
+}
+
+/**
+ * Parameter and formula values for a seed.
+ * Draws until the constraints hold; throws when they never do.
+ *
+ * @returns {Object} name → number
+ */
+export function sampleParameters(spec, seed) {
+  const random = createRandom(seed);
+
+  for (let tries = 0; tries < MAX_SAMPLE_TRIES; tries++) {
+    const values = {};
+    Object.entries(spec.parameters || {}).forEach(([name, param]) => {
+      values[name] = sampleParameter(param, random);
+    });
+    const scope = completeScope(spec, values);
+    if (scope) return scope;
+  }
+
+  throw new Error(`No parameters satisfy the variant constraints after ${MAX_SAMPLE_TRIES} tries`);
+}
+
+/**
+ * Every valid parameter combination, or null when the space has more than
+ * MAX_ENUMERATED_VARIANTS combinations (sample it instead)
+ *
+ * @returns {Array<Object>|null} name → number, one per variant
+ */
+export function enumerateParameters(spec) {
+  const parameters = Object.entries(spec.parameters || {}).map(([name, param]) => [name, parameterValues(param)]);
+  const size = parameters.reduce((product, [, values]) => product * values.length, 1);
+  if (size > MAX_ENUMERATED_VARIANTS) return null;
+
+  const combinations = parameters.reduce(
+    (partial, [name, values]) => partial.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))),
+    [{}]
+  );
+  return combinations.map(values => completeScope(spec, values)).filter(Boolean);
+}
+
+// ============================================================================
+// INSTANTIATION
+// ============================================================================
+
+function getPath(target, path) {
+  return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), target);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], target);
+  if (parent !== null && parent !== undefined) parent[last] = value;
+}
+
+/**
+ * Number as it reads in item text: minus sign (−), at most 4 decimals
+ */
+export function formatVariantNumber(value) {
+  const rounded = round(value);
+  return rounded < 0 ? `−${String(-rounded)}` : String(rounded);
+}
+
+/**
+ * Fill one field template. A lone placeholder over a numeric base value
+ * stays a number.
+ */
+export function fillTemplate(template, scope, baseValue) {
+  const whole = template.match(WHOLE_PLACEHOLDER);
+  if (whole && typeof baseValue === 'number') return round(evaluate(whole[1], scope));
+  return template.replace(PLACEHOLDER, (_, expression) => formatVariantNumber(evaluate(expression, scope)));
+}
+
+/**
+ * The variant of an item for a seed.
+ *
+ * @param {Object} item - Gold-format item with a variant block
+ * @param {number} seed - From variantSeed (or a logged variant_seed)
+ * @returns {Object} Copy of the item with its fields rewritten, plus
+ *   variant_seed and variant_params
+ */
+export function instantiateItem(item, seed) {
+  if (!hasVariants(item)) return item;
+
+  return {
+    ...instantiateWithParameters(item, sampleParameters(item.variant, seed)),
+    variant_seed: seed
+  };
+}
+
+/**
+ * The variant of an item for known parameter values (from
+ * enumerateParameters or sampleParameters), with variant_params set
+ */
+export function instantiateWithParameters(item, params) {
+  const { variant, ...rest } = item;
+  const instance = JSON.parse(JSON.stringify(rest));
+
+  Object.entries(variant.fields || {}).forEach(([path, template]) => {
+    setPath(instance, path, fillTemplate(template, params, getPath(item, path)));
+  });
+
+  return { ...instance, variant_params: params };
+}
+
+/**
+ * The variant a student sees on their nth attempt at an item
+ * (the item itself when it declares no variants)
+ *
+ * @param {Object} item - Gold-format item
+ * @param {Object} context - { studentId, attempt }
+ */
+export function generateVariant(item, { studentId = 'anonymous', attempt = 0 } = {}) {
+  if (!hasVariants(item)) return item;
+  const seed = variantSeed(studentId, item.item_id, attempt);
+  return { ...instantiateItem(item, seed), variant_attempt: attempt };
+}
+
+export default {
+  hasVariants,
+  variantSeed,
+  satisfiesConstraints,
+  checkVariantSpec,
+  sampleParameters,
+  enumerateParameters,
+  formatVariantNumber,
+  fillTemplate,
+  instantiateItem,
+  instantiateWithParameters,
+  generateVariant,
+  PARAMETER_TYPES,
+  MAX_SAMPLE_TRIES,
+  MAX_ENUMERATED_VARIANTS
+};
@@ -0,0 +1,113 @@
+/**
+ * keyboardInteraction.js
+ *
+ * Keyboard rules shared by the pointer-first templates (CLASSIFY_SORT,
+ * MATCHING, STEP_ORDER, NUMBER_LINE_PLACE), so each follows the
+ * accessibility contract in templateRegistry the same way.
+ *
+ * Features:
+ * - Pick-up / move / drop / cancel keys (Space or Enter, arrows, Escape)
+ * - Wrapping and clamped index moves for arrow keys
+ * - List reordering for STEP_ORDER
+ * - Typed number line positions (integers, decimals, fractions, mixed
+ *   numbers), clamped to the line and snapped like a drop
+ */
+
+import { parseNumericAnswer } from './numericAnswerParser';
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+export const KEYBOARD_ACTIONS = {
+  TOGGLE: 'TOGGLE', // pick up or drop
+  PREVIOUS: 'PREVIOUS',
+  NEXT: 'NEXT',
+  FIRST: 'FIRST',
+  LAST: 'LAST',
+  CANCEL: 'CANCEL'
+};
+
+const KEY_ACTIONS = {
+  ' ': KEYBOARD_ACTIONS.TOGGLE,
+  Enter: KEYBOARD_ACTIONS.TOGGLE,
+  ArrowUp: KEYBOARD_ACTIONS.PREVIOUS,
+  ArrowLeft: KEYBOARD_ACTIONS.PREVIOUS,
+  ArrowDown: KEYBOARD_ACTIONS.NEXT,
+  ArrowRight: KEYBOARD_ACTIONS.NEXT,
+  Home: KEYBOARD_ACTIONS.FIRST,
+  End: KEYBOARD_ACTIONS.LAST,
+  Escape: KEYBOARD_ACTIONS.CANCEL
+};
+
+/**
+ * Action for a keydown event (null for keys the templates leave alone)
+ */
+export function keyboardAction(event) {
+  if (event.altKey || event.ctrlKey || event.metaKey) return null;
+  return KEY_ACTIONS[event.key] || null;
+}
+
+/**
+ * Index after an arrow/Home/End action
+ * @param {boolean} wrap - Wrap around the ends (category cycling) or stop (list positions)
+ */
+export function stepIndex(index, action, length, { wrap = false } = {}) {
+  if (length <= 0) return -1;
+  switch (action) {
+    case KEYBOARD_ACTIONS.FIRST:
+      return 0;
+    case KEYBOARD_ACTIONS.LAST:
+      return length - 1;
+    case KEYBOARD_ACTIONS.PREVIOUS:
+      return wrap ? (index - 1 + length) % length : Math.max(0, index - 1);
+    case KEYBOARD_ACTIONS.NEXT:
+      return wrap ? (index + 1) % length : Math.min(length - 1, index + 1);
+    default:
+      return index;
+  }
+}
+
+/**
+ * Copy of a list with one entry moved
+ */
+export function moveItem(list, from, to) {
+  const next = [...list];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+}
+
+// ============================================================================
+// NUMBER LINE
+// ============================================================================
+
+/**
+ * Value on the line: clamped to [min, max] and snapped to the grid
+ */
+export function snapToLine(value, { min, max, snap }) {
+  const clamped = Math.max(min, Math.min(max, value));
+  return Number((Math.round(clamped / snap) * snap).toFixed(6));
+}
+
+/**
+ * Typed position for a number line card
+ * @returns {{ ok: boolean, value?: number, clamped?: boolean, error?: string }}
+ */
+export function parseLinePosition(text, line) {
+  const parsed = parseNumericAnswer(text);
+  if (!parsed.ok || parsed.unit || parsed.rawUnit) {
+    return { ok: false, error: `Enter a number from ${line.min} to ${line.max}` };
+  }
+  const value = snapToLine(parsed.value, line);
+  return { ok: true, value, clamped: parsed.value < line.min || parsed.value > line.max };
+}
+
+export default {
+  keyboardAction,
+  stepIndex,
+  moveItem,
+  snapToLine,
+  parseLinePosition,
+  KEYBOARD_ACTIONS
+};
@@ -0,0 +1,256 @@
+/**
+ * masteryProfileEvaluator.js
+ *
+ * Turns an atom's session history into a mastery level (ACQUIRE, SECURE,
+ * FLUENT, TRANSFER) by checking the requirements of the atom's
+ * `mastery_profile_id` from the assessment guide, and lists what is still
+ * missing for the next level.
+ *
+ * Features:
+ * - SECURE: every profile requirement except time and transfer is met
+ *   (attempts, recent accuracy, templates, misconception probe, hints,
+ *   rubric minimums, a high-difficulty solve, interleaved practice)
+ * - FLUENT: SECURE plus the profile's median time target (45s when the
+ *   profile has none, as in the V1 Secure → Fluent rule)
+ * - TRANSFER: FLUENT plus the transfer level (transferService) and any
+ *   TRANSFER_MINI template requirement
+ * - Checklist of every requirement with current value and target
+ * - Required templates still missing, so missions can serve them
+ *
+ * Usage:
+ * ------
+ * const evaluation = evaluateAtomMastery(curriculum, atomId, logs, { transferResults });
+ * evaluation.level;   // 'SECURE'
+ * evaluation.missing; // [{ key, label, current, target }] for the next level
+ */
+
+import { db } from '../firebase/config';
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
+import { getTemplate } from '../config/templateRegistry';
+import { computeTransferLevel, TRANSFER_TEMPLATE_ID, TRANSFER_WINDOW, TRANSFER_REQUIRED_CORRECT } from './transferService';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MASTERY_LEVELS = {
+  ACQUIRE: 'ACQUIRE',
+  SECURE: 'SECURE',
+  FLUENT: 'FLUENT',
+  TRANSFER: 'TRANSFER'
+};
+
+const LEVEL_ORDER = [MASTERY_LEVELS.ACQUIRE, MASTERY_LEVELS.SECURE, MASTERY_LEVELS.FLUENT, MASTERY_LEVELS.TRANSFER];
+
+// Fluency time target for profiles without median_time_sec_target
+export const DEFAULT_FLUENCY_TIME_SEC = 45;
+
+// Window for time and hint rules when the profile gives no accuracy window
+const DEFAULT_WINDOW = 8;
+
+// Slot difficulty counted as "high" (1-3 scale)
+export const HIGH_DIFFICULTY = 3;
+
+// Logs that probe a misconception: DIAGNOSIS slots and repair items
+const PROBE_PHASE = 'DIAGNOSIS';
+const REPAIR_ACTION = 'serve_repair_item';
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+function logTime(log) {
+  const ts = log.timestamp;
+  return ts?.toMillis?.() ?? ts?.getTime?.() ?? log.syncedAt ?? 0;
+}
+
+export function logTemplateId(log) {
+  return log.curriculumData?.templateId || log.templateId || null;
+}
+
+/**
+ * An atom's graded answers, oldest first (answers awaiting a teacher are
+ * left out until graded)
+ */
+export function atomHistory(logs = [], atomId) {
+  return logs
+    .filter(log => log.atomId === atomId && log.gradingStatus !== 'PENDING_REVIEW')
+    .sort((a, b) => logTime(a) - logTime(b));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function templateName(templateId) {
+  return getTemplate(templateId)?.name || templateId;
+}
+
+// ============================================================================
+// REQUIREMENTS
+// ============================================================================
+
+/**
+ * Checklist for one profile against an atom's history
+ * @param {Object} profile - Guide mastery profile ({ requirements })
+ * @param {Array} history - atomHistory(...)
+ * @param {Object} options - { transferHistory }
+ * @returns {Array<{ key, level, label, met, current, target }>}
+ */
+export function evaluateRequirements(profile, history = [], { transferHistory = [] } = {}) {
+  const requirements = profile?.requirements || {};
+  const items = [];
+  const add = (key, level, label, met, current, target) => items.push({ key, level, label, met: !!met, current, target });
+
+  const accuracyKey = Object.keys(requirements).find(key => /^accuracy_last_\d+$/.test(key));
+  const window = accuracyKey ? Number(accuracyKey.split('_').pop()) : DEFAULT_WINDOW;
+  const recent = history.slice(-window);
+
+  if (requirements.min_attempts) {
+    add('min_attempts', MASTERY_LEVELS.SECURE, `Answer ${requirements.min_attempts} questions`,
+      history.length >= requirements.min_attempts, history.length, requirements.min_attempts);
+  }
+
+  if (accuracyKey) {
+    const accuracy = recent.length ? recent.filter(log => log.isCorrect).length / recent.length : 0;
+    add(accuracyKey, MASTERY_LEVELS.SECURE, `Get ${Math.round(requirements[accuracyKey] * 100)}% right in your last ${window}`,
+      recent.length >= window && accuracy >= requirements[accuracyKey], Number(accuracy.toFixed(2)), requirements[accuracyKey]);
+  }
+
+  (requirements.must_include_templates || []).forEach(templateId => {
+    const solved = history.some(log => log.isCorrect && logTemplateId(log) === templateId);
+    // Transfer items only unlock after mastery, so they gate the TRANSFER level
+    const level = templateId === TRANSFER_TEMPLATE_ID ? MASTERY_LEVELS.TRANSFER : MASTERY_LEVELS.SECURE;
+    add(`template_${templateId}`, level, `Get a ${templateName(templateId)} question right`, solved, solved ? 1 : 0, 1);
+  });
+
+  if (requirements.must_clear_misconception_probe) {
+    const probes = history.filter(log => log.curriculumData?.phase === PROBE_PHASE || log.adaptedBy?.action === REPAIR_ACTION);
+    const latest = probes[probes.length - 1];
+    add('misconception_probe', MASTERY_LEVELS.SECURE, 'Clear a misconception check',
+      latest?.isCorrect, latest ? (latest.isCorrect ? 'cleared' : 'not cleared') : 'not tried', 'cleared');
+  }
+
+  const hintCap = requirements.no_more_than_hints_per_item ?? requirements.allowed_hints;
+  if (hintCap !== undefined) {
+    const mostHints = Math.max(0, ...recent.map(log => log.hintsUsed || 0));
+    add('hints_per_item', MASTERY_LEVELS.SECURE, `Use at most ${hintCap} hint${hintCap === 1 ? '' : 's'} per question`,
+      recent.length > 0 && mostHints <= hintCap, mostHints, hintCap);
+  }
+
+  Object.entries(requirements.must_score_rubric_min || {}).forEach(([dimension, min]) => {
+    const best = Math.max(0, ...history.map(log => log.rubricScores?.[dimension] ?? 0));
+    add(`rubric_${dimension}`, MASTERY_LEVELS.SECURE, `Score ${min}+ for ${dimension} in an explanation`, best >= min, best, min);
+  });
+
+  if (requirements.must_solve_at_least_1_high_difficulty) {
+    const solved = history.some(log => log.isCorrect && (log.difficulty || 0) >= HIGH_DIFFICULTY);
+    add('high_difficulty', MASTERY_LEVELS.SECURE, 'Solve a challenge-level question', solved, solved ? 1 : 0, 1);
+  }
+
+  if (requirements.interleaving_required) {
+    const solved = history.some(log => log.isCorrect && log.isInterleaved);
+    add('interleaving', MASTERY_LEVELS.SECURE, 'Get it right in mixed practice', solved, solved ? 1 : 0, 1);
+  }
+
+  const timeTarget = requirements.median_time_sec_target || DEFAULT_FLUENCY_TIME_SEC;
+  const medianTime = median(recent.map(log => log.timeSpent).filter(t => typeof t === 'number'));
+  add('median_time', MASTERY_LEVELS.FLUENT, `Answer in about ${timeTarget}s (median of your last ${window})`,
+    recent.length >= window && medianTime !== null && medianTime <= timeTarget, medianTime, timeTarget);
+
+  const transfer = computeTransferLevel(transferHistory);
+  add('transfer', MASTERY_LEVELS.TRANSFER, `Get ${TRANSFER_REQUIRED_CORRECT} of ${TRANSFER_WINDOW} transfer questions right`,
+    transfer.achieved, transfer.correct, TRANSFER_REQUIRED_CORRECT);
+
+  return items;
+}
+
+/**
+ * Highest level whose requirements, and those of every level below, are met
+ */
+export function levelFromChecklist(checklist = []) {
+  let level = MASTERY_LEVELS.ACQUIRE;
+  for (const candidate of LEVEL_ORDER.slice(1)) {
+    if (!checklist.filter(item => item.level === candidate).every(item => item.met)) break;
+    level = candidate;
+  }
+  return level;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Level and "what's missing" checklist for one atom
+ * @param {Object} curriculum - curriculumV2Service.loadCurriculumV2()
+ * @param {string} atomId
+ * @param {Array} logs - Session logs (any atoms, any order)
+ * @param {Object} options - { transferResults } (students/{uid}.transferResults)
+ * @returns {Object} { atomId, profileId, profileName, level, nextLevel, checklist, missing, attempts }
+ */
+export function evaluateAtomMastery(curriculum, atomId, logs = [], { transferResults = {} } = {}) {
+  const profileId = curriculum.atoms?.[atomId]?.mastery_profile_id || null;
+  const profile = profileId ? curriculum.masteryProfiles?.[profileId] : null;
+  const history = atomHistory(logs, atomId);
+  const checklist = evaluateRequirements(profile, history, { transferHistory: transferResults[atomId] || [] });
+  const level = levelFromChecklist(checklist);
+  const nextLevel = LEVEL_ORDER[LEVEL_ORDER.indexOf(level) + 1] || null;
+
+  return {
+    atomId,
+    profileId,
+    profileName: profile?.name || null,
+    level,
+    nextLevel,
+    checklist,
+    missing: checklist.filter(item => item.level === nextLevel && !item.met),
+    attempts: history.length
+  };
+}
+
+/**
+ * Evaluations for every atom in the logs
+ * @returns {Object} { [atomId]: evaluation }
+ */
+export function evaluateStudentMastery(curriculum, logs = [], options = {}) {
+  const atomIds = [...new Set(logs.map(log => log.atomId).filter(atomId => curriculum.atoms?.[atomId]))];
+  return Object.fromEntries(atomIds.map(atomId => [atomId, evaluateAtomMastery(curriculum, atomId, logs, options)]));
+}
+
+/**
+ * Required templates the atom still needs a correct answer on (transfer
+ * items excluded: they come from the transfer queue)
+ */
+export function missingTemplates(evaluation) {
+  return (evaluation?.checklist || [])
+    .filter(item => !item.met && item.key.startsWith('template_'))
+    .map(item => item.key.slice('template_'.length))
+    .filter(templateId => templateId !== TRANSFER_TEMPLATE_ID);
+}
+
+/**
+ * A student's most recent session logs
+ */
+export async function fetchRecentSessionLogs(studentId, { max = 300 } = {}) {
+  if (!studentId) return [];
+  const snapshot = await getDocs(query(collection(db, 'students', studentId, 'session_logs'), orderBy('timestamp', 'desc'), limit(max)));
+  return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+export default {
+  atomHistory,
+  logTemplateId,
+  evaluateRequirements,
+  levelFromChecklist,
+  evaluateAtomMastery,
+  evaluateStudentMastery,
+  missingTemplates,
+  fetchRecentSessionLogs,
+  MASTERY_LEVELS,
+  DEFAULT_FLUENCY_TIME_SEC,
+  HIGH_DIFFICULTY
+};
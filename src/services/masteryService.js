@@ -0,0 +1,404 @@
+/**
+ * masteryService.js
+ *
+ * Single mastery model for every surface that writes ninjaStats.mastery
+ * (diagnostic, daily missions V1/V2, teacher overrides, re-scoring), so the
+ * numbers are comparable wherever they come from.
+ *
+ * Mastery is the Bayesian Knowledge Tracing (BKT) probability that the
+ * student knows the atom.
+ *
+ * Features:
+ * - Per-atom BKT parameters (prior, learn, slip, guess), defaults until
+ *   fitted from session logs
+ * - Template evidence type scales guess and slip (an MCQ is easier to guess
+ *   than a typed answer)
+ * - Hints: a correct answer after hints is weaker evidence (hint credit
+ *   factor from hintService shrinks the correct-answer gain toward the
+ *   prior); a wrong answer after hints counts in full
+ * - Partial credit: a fractional score is a fractional observation;
+ *   a recovered answer counts as half
+ * - Pending teacher review holds mastery; clamped to [0.1, 0.99]
+ * - Retroactive correction: replace a logged change with a recomputed one
+ * - Parameter estimation from historical session_logs (grid search on the
+ *   per-student answer sequences of each atom)
+ *
+ * Spec:
+ * -----
+ * mastery_model/bkt_params:
+ * { atoms: { [firestoreKey(atomId)]: { atomId, prior, learn, slip, guess, observations } },
+ *   fittedAt, logCount }
+ */
+
+import { db } from '../firebase/config';
+import { collectionGroup, doc, getDoc, getDocs, limit, query, setDoc } from 'firebase/firestore';
+import templateLibrary from '../data/mathquest_template_library_v2.json';
+import { hintCreditFactor } from './hintService';
+import { firestoreKey } from '../utils/firestoreKey';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const DEFAULT_MASTERY = 0.5;
+export const MASTERY_FLOOR = 0.1;
+export const MASTERY_CEILING = 0.99;
+
+export const DEFAULT_BKT_PARAMS = {
+  prior: DEFAULT_MASTERY,
+  learn: 0.1,
+  slip: 0.1,
+  guess: 0.2
+};
+
+// Guess and slip by evidence type (template library `evidence_type`,
+// e.g. "recognition+reason"); combined types take the lowest guess and the
+// highest slip of their parts
+export const EVIDENCE_PARAMS = {
+  recognition: { guess: 0.25, slip: 0.05 },
+  reason: { guess: 0.1, slip: 0.1 },
+  reasoning: { guess: 0.1, slip: 0.1 },
+  retrieval: { guess: 0.05, slip: 0.1 },
+  representation: { guess: 0.15, slip: 0.1 },
+  mental_model: { guess: 0.15, slip: 0.1 },
+  spatial: { guess: 0.15, slip: 0.1 },
+  concept: { guess: 0.15, slip: 0.1 },
+  conceptual: { guess: 0.15, slip: 0.1 },
+  process: { guess: 0.1, slip: 0.1 },
+  procedural: { guess: 0.1, slip: 0.1 },
+  logical: { guess: 0.1, slip: 0.1 },
+  transfer: { guess: 0.05, slip: 0.15 }
+};
+
+// Share of a correct answer a recovered (second-attempt) answer is worth
+export const RECOVERED_SCORE = 0.5;
+
+// Upper bounds that keep BKT identifiable (guess/slip above these would let
+// "not knowing" explain correct answers better than knowing); together they
+// keep guess < 1 - slip
+const MAX_GUESS = 0.3;
+const MAX_SLIP = 0.3;
+
+// Estimation: atoms with fewer observations keep the defaults
+export const MIN_FIT_OBSERVATIONS = 30;
+
+const FIT_GRID = {
+  prior: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9],
+  learn: [0.02, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4],
+  slip: [0.05, 0.1, 0.15, 0.2, 0.25, 0.3],
+  guess: [0.05, 0.1, 0.15, 0.2, 0.25, 0.3]
+};
+
+const PARAMS_DOC = ['mastery_model', 'bkt_params'];
+
+const evidenceTypeByTemplate = Object.fromEntries(
+  (templateLibrary.templates || []).map(t => [t.template_id, t.evidence_type])
+);
+
+// Fitted parameters, keyed by firestoreKey(atomId)
+let atomParams = {};
+let paramsPromise = null;
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+export function clampMastery(value) {
+  return Math.min(MASTERY_CEILING, Math.max(MASTERY_FLOOR, value));
+}
+
+/**
+ * Register fitted parameters (from estimateBktParams or the stored doc)
+ * @param {Object} params - { [firestoreKey(atomId)]: { prior, learn, slip, guess } }
+ */
+export function setAtomBktParams(params = {}) {
+  atomParams = { ...params };
+}
+
+/**
+ * BKT parameters for an atom (fitted when available, else the defaults)
+ */
+export function getBktParams(atomId) {
+  const fitted = atomId ? atomParams[firestoreKey(atomId)] : null;
+  return fitted ? { ...DEFAULT_BKT_PARAMS, ...fitted } : { ...DEFAULT_BKT_PARAMS };
+}
+
+/**
+ * Evidence type of a template ("recognition", "recognition+reason", ...)
+ */
+export function getEvidenceType(templateId) {
+  return evidenceTypeByTemplate[templateId] || null;
+}
+
+function evidenceParams(evidenceType) {
+  const parts = String(evidenceType || '')
+    .split(/[+\s]+/)
+    .map(part => EVIDENCE_PARAMS[part])
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  return {
+    guess: Math.min(...parts.map(p => p.guess)),
+    slip: Math.max(...parts.map(p => p.slip))
+  };
+}
+
+/**
+ * Guess and slip for one observation: the atom's values scaled by how the
+ * evidence type compares to the default. `credit` is the hint credit factor
+ * bktStep applies to a correct answer (a hinted correct answer says less
+ * about what the student knew; a hinted wrong answer says just as much).
+ */
+export function observationParams(params, { evidenceType, templateId, hintsUsed = 0 } = {}) {
+  const evidence = evidenceParams(evidenceType || getEvidenceType(templateId));
+  let guess = params.guess;
+  let slip = params.slip;
+  if (evidence) {
+    guess *= evidence.guess / DEFAULT_BKT_PARAMS.guess;
+    slip *= evidence.slip / DEFAULT_BKT_PARAMS.slip;
+  }
+  guess = Math.min(MAX_GUESS, guess);
+  slip = Math.min(MAX_SLIP, slip);
+
+  return { guess, slip, credit: hintCreditFactor(hintsUsed) };
+}
+
+// ============================================================================
+// UPDATE RULE
+// ============================================================================
+
+/**
+ * Observed share of a correct answer: 1 correct, the fractional score for
+ * partial credit, RECOVERED_SCORE for a recovered answer, else 0
+ */
+export function observedScore({ isCorrect, isRecovered = false, score }) {
+  if (isCorrect) return 1;
+  if (typeof score === 'number' && score > 0) return Math.min(1, score);
+  if (isRecovered) return RECOVERED_SCORE;
+  return 0;
+}
+
+/**
+ * One BKT step: condition on the observation, then apply learning
+ * @param {number} known - P(known) before the answer
+ * @param {number} observed - Share of a correct answer in [0, 1]
+ * @param {Object} params - { learn, slip, guess, credit? } for this observation
+ *   credit: hint credit in [0, 1]; scales the correct-answer posterior back
+ *   toward `known` (the wrong-answer update is never scaled)
+ */
+export function bktStep(known, observed, { learn, slip, guess, credit = 1 }) {
+  const unaided = (known * (1 - slip)) / (known * (1 - slip) + (1 - known) * guess);
+  const ifCorrect = known + (unaided - known) * credit;
+  const ifWrong = (known * slip) / (known * slip + (1 - known) * (1 - guess));
+  const posterior = observed * ifCorrect + (1 - observed) * ifWrong;
+  return posterior + (1 - posterior) * learn;
+}
+
+/**
+ * Mastery change for one response
+ * @param {number} masteryBefore - Current mastery (default prior when unset)
+ * @param {Object} outcome - { atomId, isCorrect, isRecovered, isPendingReview,
+ *   score?, hintsUsed?, templateId?, evidenceType? }
+ *   score: fraction in [0, 1] from partial-credit templates
+ *   hintsUsed: hints opened before answering
+ */
+export function computeMasteryChange(masteryBefore, outcome) {
+  const before = masteryBefore ?? getBktParams(outcome.atomId).prior;
+  return Number((updateMastery(before, outcome).masteryAfter - before).toFixed(4));
+}
+
+/**
+ * Apply one response to an atom's mastery
+ * @returns {{ masteryBefore: number, masteryAfter: number }}
+ */
+export function updateMastery(masteryBefore, outcome) {
+  const params = getBktParams(outcome.atomId);
+  const before = masteryBefore ?? params.prior;
+  // Responses waiting for a teacher do not move mastery until graded
+  if (outcome.isPendingReview) return { masteryBefore: before, masteryAfter: before };
+
+  const known = bktStep(before, observedScore(outcome), {
+    learn: params.learn,
+    ...observationParams(params, outcome)
+  });
+  return {
+    masteryBefore: before,
+    masteryAfter: Number(clampMastery(known).toFixed(4))
+  };
+}
+
+/**
+ * Replace a previously logged change with the change a corrected outcome
+ * would have produced, applied to the atom's current mastery.
+ *
+ * @param {number} currentMastery - Mastery stored now
+ * @param {Object} log - Original session log ({ atomId, masteryBefore, masteryAfter, hintsUsed, curriculumData })
+ * @param {Object} correctedOutcome - { isCorrect, isRecovered, score? }
+ * @returns {{ masteryAfter: number, loggedMasteryAfter: number, correction: number }}
+ */
+export function correctMastery(currentMastery, log, correctedOutcome) {
+  const before = log.masteryBefore ?? getBktParams(log.atomId).prior;
+  const loggedChange = (log.masteryAfter ?? before) - before;
+  // The original attempt's atom, template and hints still shape the evidence
+  const outcome = {
+    atomId: log.atomId,
+    templateId: log.templateId || log.curriculumData?.templateId,
+    hintsUsed: log.hintsUsed || 0,
+    ...correctedOutcome
+  };
+  const { masteryAfter: loggedMasteryAfter } = updateMastery(before, outcome);
+  const correction = (loggedMasteryAfter - before) - loggedChange;
+
+  return {
+    masteryAfter: clampMastery((currentMastery ?? before) + correction),
+    loggedMasteryAfter,
+    correction: Number(correction.toFixed(3))
+  };
+}
+
+// ============================================================================
+// PARAMETER ESTIMATION
+// ============================================================================
+
+// Logs that carry evidence about the atom itself
+function isFittableLog(log) {
+  return log?.atomId && !log.isTransfer && !log.transferSourceItemId
+    && log.gradingStatus !== 'PENDING_REVIEW' && log.mode !== 'DEV_TEST';
+}
+
+function logTime(log) {
+  return log.timestamp?.toMillis?.() ?? log.syncedAt ?? 0;
+}
+
+/**
+ * Per-student answer sequences of each atom, oldest answer first
+ * @returns {Object} { [atomId]: Array<Array<observation>> }
+ */
+export function buildObservationSequences(logs = []) {
+  const sequences = {};
+  [...logs].filter(isFittableLog).sort((a, b) => logTime(a) - logTime(b)).forEach(log => {
+    const byStudent = (sequences[log.atomId] = sequences[log.atomId] || {});
+    const studentId = log.studentId || 'unknown';
+    (byStudent[studentId] = byStudent[studentId] || []).push({
+      observed: observedScore(log),
+      templateId: log.templateId || log.curriculumData?.templateId,
+      hintsUsed: log.hintsUsed || 0
+    });
+  });
+  return Object.fromEntries(Object.entries(sequences).map(([atomId, byStudent]) => [atomId, Object.values(byStudent)]));
+}
+
+/**
+ * Log-likelihood of answer sequences under a parameter set
+ */
+export function sequenceLogLikelihood(sequences, params) {
+  let total = 0;
+  sequences.forEach(sequence => {
+    let known = params.prior;
+    sequence.forEach(obs => {
+      const { guess, slip, credit } = observationParams(params, obs);
+      const pCorrect = known * (1 - slip) + (1 - known) * guess;
+      const p = obs.observed * pCorrect + (1 - obs.observed) * (1 - pCorrect);
+      total += Math.log(Math.max(p, 1e-9));
+      known = bktStep(known, obs.observed, { learn: params.learn, guess, slip, credit });
+    });
+  });
+  return total;
+}
+
+/**
+ * Estimate per-atom BKT parameters from session logs (maximum likelihood
+ * over a parameter grid). Atoms with fewer than MIN_FIT_OBSERVATIONS
+ * answers are left out and keep the defaults.
+ *
+ * @param {Array} logs - session_logs documents (with studentId)
+ * @returns {Object} { [firestoreKey(atomId)]: { atomId, prior, learn, slip, guess, observations, logLikelihood } }
+ */
+export function estimateBktParams(logs = [], { minObservations = MIN_FIT_OBSERVATIONS } = {}) {
+  const fitted = {};
+
+  Object.entries(buildObservationSequences(logs)).forEach(([atomId, sequences]) => {
+    const observations = sequences.reduce((sum, s) => sum + s.length, 0);
+    if (observations < minObservations) return;
+
+    let best = null;
+    FIT_GRID.prior.forEach(prior => FIT_GRID.learn.forEach(learn => FIT_GRID.slip.forEach(slip => FIT_GRID.guess.forEach(guess => {
+      const params = { prior, learn, slip, guess };
+      const logLikelihood = sequenceLogLikelihood(sequences, params);
+      if (!best || logLikelihood > best.logLikelihood) best = { ...params, logLikelihood };
+    }))));
+
+    fitted[firestoreKey(atomId)] = {
+      atomId,
+      ...best,
+      logLikelihood: Number(best.logLikelihood.toFixed(2)),
+      observations
+    };
+  });
+
+  return fitted;
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Load the fitted parameters once per session (missing doc = defaults)
+ */
+export function loadBktParams() {
+  if (!paramsPromise) {
+    paramsPromise = getDoc(doc(db, ...PARAMS_DOC))
+      .then(snap => {
+        if (snap.exists()) setAtomBktParams(snap.data().atoms || {});
+        console.log('[masteryService] BKT params loaded for', Object.keys(atomParams).length, 'atoms');
+        return atomParams;
+      })
+      .catch(error => {
+        console.warn('[masteryService] Using default BKT params:', error.message);
+        paramsPromise = null;
+        return atomParams;
+      });
+  }
+  return paramsPromise;
+}
+
+/**
+ * Fit parameters from synced session logs and store them for every client
+ * @returns {Promise<{ atoms: Object, logCount: number }>}
+ */
+export async function fitBktParamsFromLogs({ maxLogs = 5000 } = {}) {
+  const snapshot = await getDocs(query(collectionGroup(db, 'session_logs'), limit(maxLogs)));
+  const logs = snapshot.docs.map(d => ({
+    ...d.data(),
+    studentId: d.data().studentId || d.ref.parent.parent.id
+  }));
+
+  const atoms = estimateBktParams(logs);
+  await setDoc(doc(db, ...PARAMS_DOC), { atoms, fittedAt: Date.now(), logCount: logs.length });
+  setAtomBktParams(atoms);
+
+  console.log('[masteryService] Fitted BKT params for', Object.keys(atoms).length, 'atoms from', logs.length, 'logs');
+  return { atoms, logCount: logs.length };
+}
+
+export default {
+  computeMasteryChange,
+  updateMastery,
+  correctMastery,
+  clampMastery,
+  bktStep,
+  observedScore,
+  observationParams,
+  getBktParams,
+  setAtomBktParams,
+  getEvidenceType,
+  buildObservationSequences,
+  sequenceLogLikelihood,
+  estimateBktParams,
+  loadBktParams,
+  fitBktParamsFromLogs,
+  DEFAULT_MASTERY,
+  DEFAULT_BKT_PARAMS,
+  EVIDENCE_PARAMS,
+  RECOVERED_SCORE
+};
@@ -0,0 +1,165 @@
+/**
+ * mathTypesetting.js
+ *
+ * LaTeX rendering shared by every template, the legacy MissionCard and the
+ * admin QuestionReviewer. KaTeX is bundled with the app, so math renders
+ * offline and synchronously (no CDN script, no typeset pass after render).
+ *
+ * Features:
+ * - Mixed text: $...$ and \(...\) inline, $$...$$ and \[...\] display
+ * - Bare LaTeX fields (prompt.latex) with or without delimiters
+ * - Render errors returned, never thrown, so callers can fall back to the
+ *   source text
+ * - Validation hook: every LaTeX error in an item, by field path
+ *
+ * Usage:
+ * ------
+ * splitMath('Simplify $2x + 3x$')  // [{ type: 'text', ... }, { type: 'math', ... }]
+ * renderLatex('\\frac{1}{2}', { displayMode: true })  // { html, error: null }
+ * findItemLatexErrors(item)  // [{ path: 'prompt.latex', latex, error }]
+ *
+ * A literal dollar sign in text is written \$.
+ */
+
+import katex from 'katex';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Display delimiters first, so $$ is never read as two inline $
+const MATH_PATTERN = /\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<!\\)\$([^$\n]+?)(?<!\\)\$/g;
+const HAS_DELIMITER = /\$|\\\(|\\\[/;
+
+// Identifier fields never hold math
+const SKIPPED_KEYS = ['item_id', 'module_id', 'atom_id', 'template_id', 'id', 'tag', 'misconception_id', 'type'];
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Split text into plain and math segments
+ * @returns {Array<{ type: 'text'|'math', value: string, display?: boolean, source?: string }>}
+ */
+export function splitMath(text) {
+  const source = String(text ?? '');
+  const segments = [];
+  let last = 0;
+
+  for (const match of source.matchAll(MATH_PATTERN)) {
+    if (match.index > last) {
+      segments.push({ type: 'text', value: source.slice(last, match.index).replace(/\\\$/g, '$') });
+    }
+    const [whole, dollars, brackets, parens, inline] = match;
+    segments.push({
+      type: 'math',
+      value: (dollars ?? brackets ?? parens ?? inline).trim(),
+      display: dollars !== undefined || brackets !== undefined,
+      source: whole
+    });
+    last = match.index + whole.length;
+  }
+
+  if (last < source.length) {
+    segments.push({ type: 'text', value: source.slice(last).replace(/\\\$/g, '$') });
+  }
+  return segments;
+}
+
+/**
+ * Whether text contains any math delimiters
+ */
+export function hasMath(text) {
+  return typeof text === 'string' && HAS_DELIMITER.test(text) && splitMath(text).some(s => s.type === 'math');
+}
+
+/**
+ * Segments of a LaTeX-only field: delimited math as written, else the whole
+ * value as one formula
+ */
+export function latexFieldSegments(latex, { displayMode = true } = {}) {
+  const value = String(latex ?? '').trim();
+  if (!value) return [];
+  if (hasMath(value)) return splitMath(value);
+  return [{ type: 'math', value, display: displayMode, source: value }];
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render one formula to HTML
+ * @returns {{ html: string|null, error: string|null }}
+ */
+export function renderLatex(latex, { displayMode = false } = {}) {
+  try {
+    return {
+      html: katex.renderToString(String(latex), { displayMode, throwOnError: true, strict: 'ignore', output: 'htmlAndMathml' }),
+      error: null
+    };
+  } catch (error) {
+    return { html: null, error: error?.message || 'Invalid LaTeX' };
+  }
+}
+
+/**
+ * Parse error for a formula (null when it renders)
+ */
+export function checkLatex(latex) {
+  return renderLatex(latex).error;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * LaTeX errors in one text value (mixed text, or a LaTeX-only field)
+ * @returns {Array<{ latex: string, error: string }>}
+ */
+export function findLatexErrors(text, { latexOnly = false } = {}) {
+  const segments = latexOnly ? latexFieldSegments(text) : hasMath(text) ? splitMath(text) : [];
+  return segments
+    .filter(segment => segment.type === 'math')
+    .map(segment => ({ latex: segment.source, error: checkLatex(segment.value) }))
+    .filter(result => result.error);
+}
+
+/**
+ * Every LaTeX error in an item: `latex` fields are read as LaTeX, other
+ * strings only where they use math delimiters
+ *
+ * @param {Object} item - V2 bank item (or any nested block of one)
+ * @returns {Array<{ path: string, latex: string, error: string }>}
+ */
+export function findItemLatexErrors(item) {
+  const errors = [];
+
+  const walk = (value, path, key) => {
+    if (typeof value === 'string') {
+      findLatexErrors(value, { latexOnly: key === 'latex' })
+        .forEach(result => errors.push({ path, ...result }));
+    } else if (Array.isArray(value)) {
+      value.forEach((entry, index) => walk(entry, `${path}[${index}]`, key));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value)
+        .filter(([childKey]) => !SKIPPED_KEYS.includes(childKey))
+        .forEach(([childKey, child]) => walk(child, path ? `${path}.${childKey}` : childKey, childKey));
+    }
+  };
+
+  walk(item, '', null);
+  return errors;
+}
+
+export default {
+  splitMath,
+  hasMath,
+  latexFieldSegments,
+  renderLatex,
+  checkLatex,
+  findLatexErrors,
+  findItemLatexErrors
+};
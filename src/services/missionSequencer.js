@@ -0,0 +1,328 @@
+/**
+ * missionSequencer.js
+ *
+ * Post-generation sequencing pass over a daily mission. The assessment
+ * guide's `sequencing_engine.interleaving_policy` is read into declarative
+ * constraints; each one is checked against the generated questions and,
+ * where it does not hold, enforced by reordering or substituting items.
+ * Phase order is never changed.
+ *
+ * Features:
+ * - "never give >3 identical template types consecutively": items are
+ *   swapped within their phase to break the run, else a content-less slot
+ *   switches to another of the phase's templates
+ * - "after mastery mix 20-30% items from adjacent atoms and prerequisites":
+ *   slots on mastered atoms are re-pointed at a prerequisite or module
+ *   neighbour (isInterleaved) until the interleaved share reaches the
+ *   minimum; review and content slots are left alone
+ * - Report per constraint: SATISFIED, ENFORCED (changes made), RELAXED
+ *   (could not be met) or NOT_APPLICABLE, with every change listed
+ *
+ * Usage:
+ * ------
+ * const { questions, report } = sequenceMission(missionQuestions, {
+ *   curriculum, mastery: studentMastery, phases: MISSION_PHASES
+ * });
+ */
+
+import { buildQuestionShell } from './questionShell';
+import { getPrerequisiteGraph, openAtomIds, MASTERED_THRESHOLD } from './prerequisiteGraph';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const CONSTRAINT_TYPES = {
+  MAX_CONSECUTIVE_TEMPLATE: 'max_consecutive_template',
+  AFTER_MASTERY_MIX: 'after_mastery_mix'
+};
+
+export const CONSTRAINT_STATUS = {
+  SATISFIED: 'SATISFIED',
+  ENFORCED: 'ENFORCED',
+  RELAXED: 'RELAXED',
+  NOT_APPLICABLE: 'NOT_APPLICABLE'
+};
+
+// Guide values, used when the policy text does not parse
+const DEFAULT_MAX_CONSECUTIVE = 3;
+const DEFAULT_MIX_SHARE = { min: 0.2, max: 0.3 };
+
+// Review slots serve the atom the schedule made due
+const MIX_EXCLUDED_PHASES = ['WARM_UP'];
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Constraints from the guide's interleaving policy
+ * @param {Object} policy - { after_mastery, rule }
+ * @returns {Array<Object>} [{ id, type, rule, ... }]
+ */
+export function parseInterleavingPolicy(policy = {}) {
+  const constraints = [];
+
+  if (policy.rule) {
+    const max = policy.rule.match(/>\s*(\d+)\s+identical template/i);
+    constraints.push({
+      id: CONSTRAINT_TYPES.MAX_CONSECUTIVE_TEMPLATE,
+      type: CONSTRAINT_TYPES.MAX_CONSECUTIVE_TEMPLATE,
+      rule: policy.rule,
+      max: max ? Number(max[1]) : DEFAULT_MAX_CONSECUTIVE
+    });
+  }
+
+  if (policy.after_mastery) {
+    const share = policy.after_mastery.match(/(\d+)\s*-\s*(\d+)\s*%/);
+    constraints.push({
+      id: CONSTRAINT_TYPES.AFTER_MASTERY_MIX,
+      type: CONSTRAINT_TYPES.AFTER_MASTERY_MIX,
+      rule: policy.after_mastery,
+      minShare: share ? Number(share[1]) / 100 : DEFAULT_MIX_SHARE.min,
+      maxShare: share ? Number(share[2]) / 100 : DEFAULT_MIX_SHARE.max,
+      masteryThreshold: MASTERED_THRESHOLD,
+      excludedPhases: MIX_EXCLUDED_PHASES
+    });
+  }
+
+  return constraints;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Longest runs of one template longer than max
+ * @returns {Array<{ templateId, start, length }>}
+ */
+export function templateRunViolations(questions, max) {
+  const violations = [];
+  let start = 0;
+  for (let i = 1; i <= questions.length; i++) {
+    if (i < questions.length && questions[i].templateId === questions[start].templateId) continue;
+    if (i - start > max) violations.push({ templateId: questions[start].templateId, start, length: i - start });
+    start = i;
+  }
+  return violations;
+}
+
+function runLengthEndingAt(questions, index) {
+  let length = 1;
+  while (index - length >= 0 && questions[index - length].templateId === questions[index].templateId) length++;
+  return length;
+}
+
+// Content-less slots can change atom or template; gold content cannot
+function isShell(question) {
+  return !question.interaction;
+}
+
+function phaseTemplates(phases, phaseName) {
+  return phases.find(phase => phase.name === phaseName)?.templates || [];
+}
+
+/**
+ * Prerequisites first, then the atoms next to it in its module (locked
+ * neighbours left out)
+ */
+function interleavingPartners(curriculum, graph, atomId, openIds) {
+  const atom = curriculum.atoms[atomId];
+  const siblings = (curriculum.modules || []).find(m => m.module_id === atom?.moduleId)?.atoms || [];
+  const position = siblings.findIndex(a => a.atom_id === atomId);
+  const adjacent = [siblings[position - 1], siblings[position + 1]].filter(Boolean).map(a => a.atom_id);
+  return [...new Set([...(graph.prerequisites[atomId] || []), ...adjacent])].filter(id => curriculum.atoms[id] && openIds.has(id));
+}
+
+function renumber(questions) {
+  const phaseCounts = {};
+  return questions.map((question, i) => {
+    const phaseIndex = phaseCounts[question.phase] || 0;
+    phaseCounts[question.phase] = phaseIndex + 1;
+    return { ...question, slot: i + 1, phaseIndex };
+  });
+}
+
+// ============================================================================
+// CONSTRAINT HANDLERS
+// ============================================================================
+
+const CONSTRAINT_HANDLERS = {
+  [CONSTRAINT_TYPES.MAX_CONSECUTIVE_TEMPLATE]: (questions, constraint, ctx) => {
+    const { max } = constraint;
+    const before = templateRunViolations(questions, max).length;
+    const changes = [];
+
+    for (let i = 0; i < questions.length; i++) {
+      if (runLengthEndingAt(questions, i) <= max) continue;
+      const question = questions[i];
+
+      // Swap in a later item of the same phase with another template
+      const swapIndex = questions.findIndex((other, j) =>
+        j > i && other.phase === question.phase && other.templateId !== question.templateId);
+      if (swapIndex !== -1) {
+        questions[i] = questions[swapIndex];
+        questions[swapIndex] = question;
+        changes.push({ questionId: question.questionId, action: 'reorder', detail: `moved behind ${questions[i].questionId}` });
+        continue;
+      }
+
+      // Else switch a content-less slot to another of the phase's templates
+      const alternative = phaseTemplates(ctx.phases, question.phase).find(id =>
+        id !== question.templateId && id !== questions[i + 1]?.templateId);
+      if (alternative && isShell(question)) {
+        questions[i] = ctx.rebuild(question, ctx.curriculum.atoms[question.atomId], alternative);
+        changes.push({ questionId: question.questionId, action: 'substitute_template', detail: `${question.templateId} → ${alternative}` });
+      }
+    }
+
+    const after = templateRunViolations(questions, max);
+    return {
+      before: `${before} run(s) over ${max}`,
+      after: `${after.length} run(s) over ${max}`,
+      met: after.length === 0,
+      applicable: true,
+      changes,
+      ...(after.length > 0 && { note: `no reorder or template swap breaks ${after.map(v => `${v.templateId} x${v.length}`).join(', ')}` })
+    };
+  },
+
+  [CONSTRAINT_TYPES.AFTER_MASTERY_MIX]: (questions, constraint, ctx) => {
+    const { curriculum, mastery } = ctx;
+    const graph = getPrerequisiteGraph(curriculum);
+    const isMastered = (question) => (mastery[question.atomId] ?? 0) >= constraint.masteryThreshold;
+
+    // Post-mastery practice: mastered-atom slots plus items interleaved into them
+    const pool = questions.filter(q => q.isInterleaved || isMastered(q));
+    if (pool.length === 0) {
+      return { before: 'no mastered atoms', after: 'no mastered atoms', met: true, applicable: false, changes: [] };
+    }
+
+    const share = () => questions.filter(q => q.isInterleaved).length / pool.length;
+    const needed = Math.ceil(constraint.minShare * pool.length) - questions.filter(q => q.isInterleaved).length;
+    const before = share();
+    const changes = [];
+    const openIds = openAtomIds(graph, mastery);
+    const used = (atomId) => questions.filter(q => q.atomId === atomId).length;
+
+    const candidates = questions
+      .map((question, index) => ({ question, index }))
+      .filter(({ question }) => !question.isInterleaved && isMastered(question) && isShell(question)
+        && !constraint.excludedPhases.includes(question.phase));
+
+    // Spread the interleaved items over the mission
+    const count = Math.min(needed, candidates.length);
+    for (let k = 0; k < count; k++) {
+      const { question, index } = candidates[Math.floor(((k + 0.5) * candidates.length) / count)];
+      const partnerId = interleavingPartners(curriculum, graph, question.atomId, openIds)
+        .sort((a, b) => used(a) - used(b))[0];
+      if (!partnerId) continue;
+
+      const partner = curriculum.atoms[partnerId];
+      const templateId = !partner.template_ids?.length || partner.template_ids.includes(question.templateId)
+        ? question.templateId
+        : phaseTemplates(ctx.phases, question.phase).find(id => partner.template_ids.includes(id)) || question.templateId;
+      questions[index] = ctx.rebuild(question, partner, templateId, {
+        isInterleaved: true,
+        interleavedWith: question.atomId,
+        masteryBefore: mastery[partnerId] || 0.5
+      });
+      changes.push({ questionId: question.questionId, action: 'interleave', detail: `${question.atomId} → ${partnerId}` });
+    }
+
+    const after = share();
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    return {
+      before: percent(before),
+      after: percent(after),
+      met: after >= constraint.minShare,
+      applicable: true,
+      changes,
+      ...(after > constraint.maxShare && { note: `interleaved share above ${percent(constraint.maxShare)}; items are not reverted` }),
+      ...(after < constraint.minShare && { note: `only ${changes.length} slot(s) could take a prerequisite or adjacent atom` })
+    };
+  }
+};
+
+// ============================================================================
+// PASS
+// ============================================================================
+
+/**
+ * Reorder/substitute mission questions to satisfy the interleaving policy
+ * @param {Array} questions - Generated mission questions, in phase order
+ * @param {Object} options - { curriculum, mastery, phases, constraints }
+ * @returns {{ questions: Array, report: Object }}
+ */
+export function sequenceMission(questions = [], {
+  curriculum,
+  mastery = {},
+  phases = [],
+  constraints = parseInterleavingPolicy(curriculum?.sequencingRules?.interleaving_policy)
+} = {}) {
+  const sequenced = [...questions];
+  const ctx = {
+    curriculum,
+    mastery,
+    phases,
+    // Same slot, new atom/template
+    rebuild: (question, atom, templateId, fields = {}) => buildQuestionShell(curriculum, atom, templateId, {
+      questionId: `${question.questionId}:seq_${atom.atom_id}_${templateId}`,
+      phase: question.phase,
+      phaseIndex: question.phaseIndex,
+      phaseTotalSlots: question.phaseTotalSlots,
+      confidencePrompt: question.confidencePrompt,
+      slot: question.slot,
+      totalSlots: question.totalSlots,
+      difficulty: question.difficulty,
+      masteryBefore: question.masteryBefore,
+      ...(question.masteryLevel && { masteryLevel: question.masteryLevel }),
+      ...fields
+    })
+  };
+
+  // Atom substitutions first, so the template rule sees the final templates
+  const ordered = [...constraints].sort((a, b) =>
+    (a.type === CONSTRAINT_TYPES.AFTER_MASTERY_MIX ? 0 : 1) - (b.type === CONSTRAINT_TYPES.AFTER_MASTERY_MIX ? 0 : 1));
+
+  const results = ordered.map(constraint => {
+    const handler = CONSTRAINT_HANDLERS[constraint.type];
+    if (!handler) {
+      console.warn('[missionSequencer] Unknown constraint type:', constraint.type);
+      return { id: constraint.id, rule: constraint.rule, status: CONSTRAINT_STATUS.RELAXED, changes: [], note: 'unknown constraint type' };
+    }
+    const result = handler(sequenced, constraint, ctx);
+    const status = !result.applicable
+      ? CONSTRAINT_STATUS.NOT_APPLICABLE
+      : !result.met
+        ? CONSTRAINT_STATUS.RELAXED
+        : result.changes.length > 0 ? CONSTRAINT_STATUS.ENFORCED : CONSTRAINT_STATUS.SATISFIED;
+    return {
+      id: constraint.id,
+      rule: constraint.rule,
+      status,
+      before: result.before,
+      after: result.after,
+      changes: result.changes,
+      ...(result.note && { note: result.note })
+    };
+  });
+
+  return {
+    questions: renumber(sequenced),
+    report: {
+      constraints: results,
+      changeCount: results.reduce((sum, r) => sum + r.changes.length, 0),
+      allMet: results.every(r => r.status !== CONSTRAINT_STATUS.RELAXED)
+    }
+  };
+}
+
+export default {
+  parseInterleavingPolicy,
+  templateRunViolations,
+  sequenceMission,
+  CONSTRAINT_TYPES,
+  CONSTRAINT_STATUS
+};
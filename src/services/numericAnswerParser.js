@@ -0,0 +1,413 @@
+/**
+ * numericAnswerParser.js
+ *
+ * Answer parser and grader for NUMERIC_INPUT.
+ * Replaces raw parseFloat so CBSE Grade 7 answer forms are graded correctly.
+ *
+ * Accepted input forms:
+ * - integer        "12", "-5", "−5" (unicode minus)
+ * - decimal        "2.5", ".75"
+ * - fraction       "3/4", "-17/12"
+ * - mixed_number   "1 1/2", "−2 3/4"
+ * - percent        "25%", "12.5 %"
+ * - any of the above followed (or preceded) by a unit: "12 cm", "₹630", "20km"
+ * - a trailing word that is not a unit ("12 apples") is ignored when grading,
+ *   unless the answer key declares a unit
+ *
+ * Items can declare which forms they accept (e.g. "must be in lowest terms",
+ * "must include units"). A correct value in the wrong form is reported
+ * separately so the student gets targeted feedback instead of "wrong".
+ */
+
+import {
+  rational,
+  rationalFromDecimalString,
+  add,
+  mul,
+  div,
+  neg,
+  equals,
+  toNumber,
+  formatRational
+} from './rationalMath';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ANSWER_FORMS = {
+  INTEGER: 'integer',
+  DECIMAL: 'decimal',
+  FRACTION: 'fraction',
+  MIXED_NUMBER: 'mixed_number',
+  PERCENT: 'percent'
+};
+
+export const NUMERIC_REJECTION_REASONS = {
+  EMPTY: 'EMPTY',
+  UNPARSEABLE: 'UNPARSEABLE',
+  WRONG_VALUE: 'WRONG_VALUE',
+  WRONG_FORM: 'WRONG_FORM',
+  NOT_LOWEST_TERMS: 'NOT_LOWEST_TERMS',
+  MISSING_UNITS: 'MISSING_UNITS',
+  WRONG_UNITS: 'WRONG_UNITS'
+};
+
+const FORM_LABELS = {
+  integer: 'a whole number',
+  decimal: 'a decimal',
+  fraction: 'a fraction',
+  mixed_number: 'a mixed number',
+  percent: 'a percentage'
+};
+
+/**
+ * A numeric key with this many decimal places or more ("0.41666666666666663")
+ * is a rounded non-terminating value, not an exact decimal
+ */
+const APPROXIMATE_KEY_DECIMALS = 6;
+
+const REJECTION_MESSAGES = {
+  EMPTY: 'Type your answer first.',
+  UNPARSEABLE: 'We could not read that number. Try a form like 12, 3/4, 1 1/2 or 25%.',
+  WRONG_VALUE: 'Not quite. Check your working.',
+  WRONG_FORM: 'Your value is right, but write it in the form the question asks for.',
+  NOT_LOWEST_TERMS: 'Your value is right! Now write the fraction in its lowest terms.',
+  MISSING_UNITS: 'Your number is right — remember to include the unit.',
+  WRONG_UNITS: 'Check your unit: the number does not match the unit you wrote.'
+};
+
+/**
+ * Units grouped by dimension with a factor to the base unit of that dimension
+ */
+const UNIT_TABLE = {
+  mm: { dimension: 'length', factor: rational(1, 1000) },
+  cm: { dimension: 'length', factor: rational(1, 100) },
+  m: { dimension: 'length', factor: rational(1) },
+  km: { dimension: 'length', factor: rational(1000) },
+  mg: { dimension: 'mass', factor: rational(1, 1000) },
+  g: { dimension: 'mass', factor: rational(1) },
+  kg: { dimension: 'mass', factor: rational(1000) },
+  ml: { dimension: 'volume', factor: rational(1, 1000) },
+  l: { dimension: 'volume', factor: rational(1) },
+  s: { dimension: 'time', factor: rational(1) },
+  min: { dimension: 'time', factor: rational(60) },
+  h: { dimension: 'time', factor: rational(3600) },
+  'sq cm': { dimension: 'area', factor: rational(1, 10000) },
+  'sq m': { dimension: 'area', factor: rational(1) },
+  'cu cm': { dimension: 'volume', factor: rational(1, 1000) },
+  '°': { dimension: 'angle', factor: rational(1) },
+  '₹': { dimension: 'currency', factor: rational(1) },
+  paise: { dimension: 'currency', factor: rational(1, 100) }
+};
+
+const UNIT_ALIASES = {
+  millimetre: 'mm', millimeter: 'mm', millimetres: 'mm', millimeters: 'mm',
+  centimetre: 'cm', centimeter: 'cm', centimetres: 'cm', centimeters: 'cm',
+  metre: 'm', meter: 'm', metres: 'm', meters: 'm',
+  kilometre: 'km', kilometer: 'km', kilometres: 'km', kilometers: 'km',
+  milligram: 'mg', milligrams: 'mg',
+  gram: 'g', grams: 'g', gm: 'g',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  millilitre: 'ml', milliliter: 'ml', millilitres: 'ml', milliliters: 'ml',
+  litre: 'l', liter: 'l', litres: 'l', liters: 'l', ltr: 'l',
+  sec: 's', secs: 's', second: 's', seconds: 's',
+  mins: 'min', minute: 'min', minutes: 'min',
+  hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  'cm²': 'sq cm', 'cm^2': 'sq cm', 'cm2': 'sq cm',
+  'm²': 'sq m', 'm^2': 'sq m', 'm2': 'sq m',
+  'cm³': 'cu cm', 'cm^3': 'cu cm', 'cm3': 'cu cm',
+  deg: '°', degree: '°', degrees: '°',
+  rs: '₹', 'rs.': '₹', inr: '₹', rupee: '₹', rupees: '₹'
+};
+
+/**
+ * Canonical unit name for a raw unit string (or null when unknown)
+ */
+export function normalizeUnit(rawUnit) {
+  if (!rawUnit) return null;
+  const unit = String(rawUnit).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (UNIT_TABLE[unit]) return unit;
+  return UNIT_ALIASES[unit] || null;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+const NUMBER_CORE = /^(-)?\s*(?:(\d+)\s+(\d+)\s*\/\s*(\d+)|(\d+)\s*\/\s*(\d+)|(\d*\.\d+|\d+\.?))\s*(%)?$/;
+
+function splitUnit(text) {
+  // Leading currency symbol: "₹630", "Rs 630", "rs. 630"
+  const leading = /^(₹|rs\.?|inr)\s*(.+)$/i.exec(text);
+  if (leading) return { numberPart: leading[2], unitPart: leading[1] };
+
+  // Trailing unit: "12 cm", "12cm", "90°", "5 sq cm", "5 cm²"
+  const trailing = /^(.*?[\d%])\s*([a-z°²³^][a-z°²³^0-9.\s]*)$/i.exec(text);
+  if (trailing) return { numberPart: trailing[1], unitPart: trailing[2] };
+
+  return { numberPart: text, unitPart: null };
+}
+
+/**
+ * Parse a raw numeric answer.
+ * @param {string|number} raw
+ * @param {Object} options - { allowUnknownUnit }: keep the number when the
+ *   trailing word is not a known unit ("12 apples"), flagged unknownUnit
+ * @returns {Object} { ok, value, exact, form, unit, rawUnit, unknownUnit, isLowestTerms, decimalPlaces, error }
+ */
+export function parseNumericAnswer(raw, { allowUnknownUnit = false } = {}) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { ok: false, error: NUMERIC_REJECTION_REASONS.EMPTY };
+  }
+
+  const text = String(raw)
+    .trim()
+    .replace(/[−–—﹣－]/g, '-')
+    .replace(/,(?=\d{3}\b)/g, '')
+    .replace(/\s+/g, ' ');
+
+  // A sign may sit before a currency symbol: "-₹50"
+  const signed = /^-\s*(.*)$/.exec(text);
+  const { numberPart, unitPart } = splitUnit(signed ? signed[1] : text);
+  const match = NUMBER_CORE.exec((signed ? '-' : '') + numberPart.trim());
+  if (!match) {
+    return { ok: false, error: NUMERIC_REJECTION_REASONS.UNPARSEABLE };
+  }
+
+  const [, minus, mixedWhole, mixedNum, mixedDen, fracNum, fracDen, decimal, percent] = match;
+  let exact;
+  let form;
+  let isLowestTerms = true;
+  let decimalPlaces = 0;
+
+  try {
+    if (mixedWhole !== undefined) {
+      const num = Number(mixedNum);
+      const den = Number(mixedDen);
+      if (num >= den) return { ok: false, error: NUMERIC_REJECTION_REASONS.UNPARSEABLE };
+      exact = add(rational(Number(mixedWhole)), rational(num, den));
+      isLowestTerms = rational(num, den).d === den;
+      form = ANSWER_FORMS.MIXED_NUMBER;
+    } else if (fracNum !== undefined) {
+      const num = Number(fracNum);
+      const den = Number(fracDen);
+      exact = rational(num, den);
+      isLowestTerms = exact.d === den;
+      form = ANSWER_FORMS.FRACTION;
+    } else {
+      exact = rationalFromDecimalString(decimal.replace(/\.$/, ''));
+      form = decimal.includes('.') && !/\.$/.test(decimal) ? ANSWER_FORMS.DECIMAL : ANSWER_FORMS.INTEGER;
+      decimalPlaces = (decimal.split('.')[1] || '').length;
+    }
+  } catch {
+    // Zero denominator
+    return { ok: false, error: NUMERIC_REJECTION_REASONS.UNPARSEABLE };
+  }
+
+  if (minus) exact = neg(exact);
+
+  const result = {
+    ok: true,
+    raw: String(raw),
+    exact,
+    value: toNumber(exact),
+    form,
+    isLowestTerms,
+    decimalPlaces,
+    unit: null,
+    rawUnit: unitPart ? unitPart.trim() : null,
+    unknownUnit: false
+  };
+
+  if (percent) {
+    result.form = ANSWER_FORMS.PERCENT;
+    result.percentOf = result.value;
+    result.exact = div(exact, rational(100));
+    result.value = toNumber(result.exact);
+  }
+
+  if (unitPart) {
+    const unit = normalizeUnit(unitPart);
+    if (!unit && !allowUnknownUnit) return { ok: false, error: NUMERIC_REJECTION_REASONS.UNPARSEABLE, rawUnit: unitPart.trim() };
+    result.unit = unit;
+    result.unknownUnit = !unit;
+  }
+
+  return result;
+}
+
+// ============================================================================
+// GRADER
+// ============================================================================
+
+/**
+ * Read the item's accepted-form rules from interaction.config / answerKey.
+ * Both camelCase (runtime) and snake_case (V2 bank) spellings are supported.
+ */
+export function getAnswerFormRules(config = {}, answerKey = {}) {
+  const pick = (...values) => values.find(v => v !== undefined && v !== null);
+  const inputMode = pick(config.inputMode, config.input_mode);
+
+  return {
+    acceptedForms: pick(config.acceptedForms, config.accepted_forms, answerKey.acceptedForms) || null,
+    requireLowestTerms: !!pick(config.requireLowestTerms, config.require_lowest_terms, answerKey.requireLowestTerms),
+    requireUnits: !!pick(config.requireUnits, config.require_units, answerKey.requireUnits),
+    allowDecimal: pick(config.allowDecimal, config.allow_decimal),
+    inputMode,
+    unit: normalizeUnit(pick(answerKey.unit, config.unit))
+  };
+}
+
+function parseExpectedValue(expected) {
+  if (typeof expected === 'number') {
+    const parsed = parseNumericAnswer(String(expected));
+    return parsed.ok ? parsed : { ok: true, exact: null, value: expected };
+  }
+  return parseNumericAnswer(expected);
+}
+
+function convertToUnit(exact, fromUnit, toUnit) {
+  if (!fromUnit || !toUnit || fromUnit === toUnit) return exact;
+  const from = UNIT_TABLE[fromUnit];
+  const to = UNIT_TABLE[toUnit];
+  if (!from || !to || from.dimension !== to.dimension) return null;
+  return div(mul(exact, from.factor), to.factor);
+}
+
+// 1/3 has no exact decimal; 3/8 = 0.375 does
+function isTerminating({ d }) {
+  while (d % 2 === 0) d /= 2;
+  while (d % 5 === 0) d /= 5;
+  return d === 1;
+}
+
+function isApproximateKey(expected) {
+  return !!expected.exact && expected.form === ANSWER_FORMS.DECIMAL &&
+    expected.decimalPlaces >= APPROXIMATE_KEY_DECIMALS;
+}
+
+/**
+ * Tolerance for a rounded decimal ("0.33" for 1/3): half a unit in the last
+ * place the student typed. Only for keys with no exact decimal; an exact
+ * decimal key ("2.5") is compared exactly.
+ */
+function roundingTolerance(parsed, expected) {
+  if (parsed.form !== ANSWER_FORMS.DECIMAL || !expected.ok || !expected.exact) return undefined;
+  if (isTerminating(expected.exact) && !isApproximateKey(expected)) return undefined;
+  // Float slack so a correctly rounded boundary value is not lost to binary error
+  return 0.5 * 10 ** -parsed.decimalPlaces + 1e-12;
+}
+
+function valuesMatch(student, expectedExact, expectedValue, tolerance) {
+  if (tolerance !== undefined && tolerance !== null) {
+    return Math.abs(toNumber(student) - expectedValue) <= tolerance;
+  }
+  if (expectedExact) return equals(student, expectedExact);
+  return Math.abs(toNumber(student) - expectedValue) <= 1e-9;
+}
+
+/**
+ * Grade a numeric answer against an answer key.
+ *
+ * @param {string} raw - Student input
+ * @param {Object} answerKey - { value, tolerance?, unit? }
+ * @param {Object} config - interaction.config (accepted forms, lowest terms, units)
+ * @returns {Object} { isCorrect, isValueCorrect, isFormCorrect, reason, message, parsed }
+ */
+export function gradeNumericAnswer(raw, answerKey = {}, config = {}) {
+  const parsed = parseNumericAnswer(raw, { allowUnknownUnit: true });
+  if (!parsed.ok) {
+    return {
+      isCorrect: false,
+      isValueCorrect: false,
+      isFormCorrect: false,
+      reason: parsed.error,
+      message: REJECTION_MESSAGES[parsed.error],
+      parsed
+    };
+  }
+
+  const rules = getAnswerFormRules(config, answerKey);
+  const expected = parseExpectedValue(answerKey.value);
+  const expectedUnit = rules.unit || expected.unit || null;
+  const tolerance = answerKey.tolerance ?? roundingTolerance(parsed, expected);
+
+  // Bring the student's value into the expected unit before comparing
+  let studentExact = parsed.exact;
+  // A word that is not a unit ("12 apples") only matters when the key declares a unit
+  let unitMismatch = parsed.unknownUnit && !!expectedUnit;
+  if (parsed.unit && expectedUnit && parsed.unit !== expectedUnit) {
+    const converted = convertToUnit(parsed.exact, parsed.unit, expectedUnit);
+    if (converted) studentExact = converted;
+    else unitMismatch = true;
+  }
+
+  let isValueCorrect = !unitMismatch && expected.ok &&
+    valuesMatch(studentExact, expected.exact, expected.value, tolerance);
+
+  // "25%" for an answer keyed as 25 (percent points)
+  if (!isValueCorrect && parsed.form === ANSWER_FORMS.PERCENT && expectedUnit === null && expected.ok) {
+    isValueCorrect = valuesMatch(mul(parsed.exact, rational(100)), expected.exact, expected.value, tolerance);
+  }
+
+  const base = { parsed, expectedDisplay: expected.exact ? formatRational(expected.exact) : String(answerKey.value) };
+
+  if (!isValueCorrect) {
+    const reason = unitMismatch ? NUMERIC_REJECTION_REASONS.WRONG_UNITS : NUMERIC_REJECTION_REASONS.WRONG_VALUE;
+    return { ...base, isCorrect: false, isValueCorrect: false, isFormCorrect: false, reason, message: REJECTION_MESSAGES[reason] };
+  }
+
+  // Value is right — now check the form rules
+  const formProblem = findFormProblem(parsed, rules);
+  if (formProblem) {
+    return {
+      ...base,
+      isCorrect: false,
+      isValueCorrect: true,
+      isFormCorrect: false,
+      reason: formProblem.reason,
+      message: formProblem.message || REJECTION_MESSAGES[formProblem.reason]
+    };
+  }
+
+  return { ...base, isCorrect: true, isValueCorrect: true, isFormCorrect: true, reason: null, message: null };
+}
+
+function findFormProblem(parsed, rules) {
+  if (rules.acceptedForms && rules.acceptedForms.length > 0 && !rules.acceptedForms.includes(parsed.form)) {
+    const wanted = rules.acceptedForms.map(f => FORM_LABELS[f] || f).join(' or ');
+    return {
+      reason: NUMERIC_REJECTION_REASONS.WRONG_FORM,
+      message: `Your value is right, but write it as ${wanted}.`
+    };
+  }
+
+  if (rules.allowDecimal === false && parsed.form === ANSWER_FORMS.DECIMAL) {
+    return { reason: NUMERIC_REJECTION_REASONS.WRONG_FORM, message: 'Your value is right, but write it without decimals.' };
+  }
+
+  if (rules.inputMode === 'fraction' && parsed.form === ANSWER_FORMS.DECIMAL) {
+    return { reason: NUMERIC_REJECTION_REASONS.WRONG_FORM, message: 'Your value is right, but write it as a fraction.' };
+  }
+
+  const isFractionForm = parsed.form === ANSWER_FORMS.FRACTION || parsed.form === ANSWER_FORMS.MIXED_NUMBER;
+  if (rules.requireLowestTerms && isFractionForm && !parsed.isLowestTerms) {
+    return { reason: NUMERIC_REJECTION_REASONS.NOT_LOWEST_TERMS };
+  }
+
+  if (rules.requireUnits && !parsed.unit) {
+    return { reason: NUMERIC_REJECTION_REASONS.MISSING_UNITS };
+  }
+
+  return null;
+}
+
+export default {
+  parseNumericAnswer,
+  gradeNumericAnswer,
+  getAnswerFormRules,
+  normalizeUnit,
+  ANSWER_FORMS,
+  NUMERIC_REJECTION_REASONS
+};
@@ -0,0 +1,178 @@
+/**
+ * partialCreditScorer.js
+ *
+ * Shared partial-credit scoring for templates whose answer is a set of
+ * placements: CLASSIFY_SORT, MATCHING, STEP_ORDER, WORKED_EXAMPLE_COMPLETE.
+ *
+ * Features:
+ * - Fractional score in [0, 1] plus per-element correctness
+ * - STEP_ORDER credit by pairwise order agreement (Kendall tau), so one
+ *   misplaced step does not zero the answer
+ * - Blank equivalence for numbers ("3/1" = "3", "0.5" = "1/2")
+ * - Misconception diagnosis from the specific wrong placements
+ * - Item scoring params (V2 bank `scoring.params`) decide what counts as correct
+ *
+ * Spec:
+ * -----
+ * Misconception entries may list the placements that imply them:
+ *   { misconception_id, tag, triggers: [
+ *       { element: 'C2', given: 'B1' },     // card/left item/blank got this value
+ *       { element: 'S3', before: 'S1' }     // step placed before another step
+ *   ] }
+ * A trigger without `given` fires on any wrong placement of that element.
+ */
+
+import { parseNumericAnswer } from './numericAnswerParser';
+import { equals } from './rationalMath';
+
+// ============================================================================
+// RESULT SHAPE
+// ============================================================================
+
+function buildResult(elements, score, question, extra = {}) {
+  const correctCount = elements.filter(e => e.isCorrect).length;
+  const rules = getPartialCreditRules(question);
+  const fraction = elements.length === 0 ? 0 : Number(score.toFixed(3));
+  const misconceptions = diagnoseMisconceptions(elements, question, extra.order);
+
+  return {
+    isCorrect: elements.length > 0 && fraction >= rules.minScoreForCorrect &&
+      (!rules.requireAll || correctCount === elements.length),
+    score: fraction,
+    elements,
+    correctCount,
+    totalCount: elements.length,
+    misconceptionIds: misconceptions.map(m => m.id),
+    diagnosticTag: misconceptions[0]?.tag || null
+  };
+}
+
+/**
+ * Read what counts as a correct answer from the item's scoring params.
+ * Defaults to all elements right (score 1).
+ */
+export function getPartialCreditRules(question = {}) {
+  const params = question.scoring?.params || {};
+  const minScore = params.min_score_for_mastery ?? params.minScoreForMastery;
+  return {
+    minScoreForCorrect: typeof minScore === 'number' ? minScore : 1,
+    requireAll: !!(params.require_all_for_mastery ?? params.requireAllForMastery)
+  };
+}
+
+// ============================================================================
+// SCORERS
+// ============================================================================
+
+/**
+ * CLASSIFY_SORT: one element per card
+ * @param {Object} placed - { cardId: binId }
+ * @param {Object} key - { cardId: binId }
+ */
+export function scoreClassification(placed = {}, key = {}, question) {
+  const elements = Object.entries(key).map(([id, expected]) => ({
+    id,
+    expected,
+    given: placed[id] ?? null,
+    isCorrect: placed[id] === expected
+  }));
+  const correct = elements.filter(e => e.isCorrect).length;
+  return buildResult(elements, elements.length ? correct / elements.length : 0, question);
+}
+
+/**
+ * MATCHING: one element per left item
+ * @param {Object} matches - { leftId: rightId }
+ * @param {Object} key - { leftId: rightId }
+ */
+export function scoreMatching(matches = {}, key = {}, question) {
+  return scoreClassification(matches, key, question);
+}
+
+/**
+ * STEP_ORDER: elements are steps in their correct position; the score is the
+ * share of step pairs the student put in the right relative order.
+ * @param {Array} order - step ids in the student's order
+ * @param {Array} key - step ids in the correct order
+ */
+export function scoreStepOrder(order = [], key = [], question) {
+  const position = new Map(order.map((id, i) => [id, i]));
+  const elements = key.map((id, expected) => ({
+    id,
+    expected,
+    given: position.has(id) ? position.get(id) : null,
+    isCorrect: position.get(id) === expected
+  }));
+
+  let pairs = 0;
+  let concordant = 0;
+  for (let i = 0; i < key.length; i++) {
+    for (let j = i + 1; j < key.length; j++) {
+      pairs++;
+      if ((position.get(key[i]) ?? Infinity) < (position.get(key[j]) ?? -Infinity)) concordant++;
+    }
+  }
+  const score = pairs === 0 ? (elements.every(e => e.isCorrect) ? 1 : 0) : concordant / pairs;
+  return buildResult(elements, score, question, { order });
+}
+
+function blanksMatch(given, expected) {
+  if (given === undefined || given === null || String(given).trim() === '') return false;
+  const a = parseNumericAnswer(given);
+  const b = parseNumericAnswer(expected);
+  if (a.ok && b.ok) return equals(a.exact, b.exact);
+  const normalize = (v) => String(v).trim().toLowerCase().replace(/\s+/g, ' ').replace(/[−–]/g, '-');
+  return normalize(given) === normalize(expected);
+}
+
+/**
+ * WORKED_EXAMPLE_COMPLETE: one element per blank, equal weights
+ * @param {Object} filled - { blankId: text }
+ * @param {Object} key - { blankId: expected }
+ */
+export function scoreBlanks(filled = {}, key = {}, question) {
+  const elements = Object.entries(key).map(([id, expected]) => ({
+    id,
+    expected,
+    given: filled[id] ?? null,
+    isCorrect: blanksMatch(filled[id], expected)
+  }));
+  const correct = elements.filter(e => e.isCorrect).length;
+  return buildResult(elements, elements.length ? correct / elements.length : 0, question);
+}
+
+// ============================================================================
+// MISCONCEPTION DIAGNOSIS
+// ============================================================================
+
+function triggerMatches(trigger, element, order) {
+  if (trigger.element !== element.id) return false;
+  if (trigger.before !== undefined) {
+    const a = order?.indexOf(trigger.element) ?? -1;
+    const b = order?.indexOf(trigger.before) ?? -1;
+    return a >= 0 && b >= 0 && a < b;
+  }
+  return trigger.given === undefined || blanksMatch(element.given, trigger.given);
+}
+
+/**
+ * Misconceptions implied by the wrong placements
+ * @returns {Array<{ id, tag, hint }>}
+ */
+export function diagnoseMisconceptions(elements, question = {}, order) {
+  const wrong = elements.filter(e => !e.isCorrect);
+  if (wrong.length === 0) return [];
+
+  return (question.misconceptions || [])
+    .filter(m => m.triggers?.some(t => wrong.some(e => triggerMatches(t, e, order))))
+    .map(m => ({ id: m.misconception_id || m.id, tag: m.tag || null, hint: m.hint || null }));
+}
+
+export default {
+  scoreClassification,
+  scoreMatching,
+  scoreStepOrder,
+  scoreBlanks,
+  diagnoseMisconceptions,
+  getPartialCreditRules
+};
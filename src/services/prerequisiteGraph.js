@@ -0,0 +1,259 @@
+/**
+ * prerequisiteGraph.js
+ *
+ * Prerequisite graph over the core curriculum atoms (`prerequisites` lists,
+ * loaded through curriculumV2Service), used to keep students off atoms
+ * whose foundations are still weak.
+ *
+ * Features:
+ * - Graph build with direct prerequisites/dependents and dangling links
+ * - Cycle detection and topological ordering (curriculum order breaks ties)
+ * - Atom status from current mastery: MASTERED, READY or LOCKED
+ * - "Ready to learn" frontier: not yet mastered, every direct prerequisite
+ *   at or above the threshold
+ * - Lock explanations ("locked because CBSE7.CH01.INT.02 < 0.6")
+ * - Learning path to a target atom: its not-yet-solid prerequisites in order
+ *
+ * Usage:
+ * ------
+ * const graph = getPrerequisiteGraph(await curriculumV2Service.loadCurriculumV2());
+ * const frontier = computeFrontier(graph, ninjaStats.mastery);
+ * explainLock(graph, 'CBSE7.CH01.INT.03', ninjaStats.mastery).reason;
+ */
+
+import curriculumV2Service from './curriculumV2Service';
+import { getBktParams } from './masteryService';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// A prerequisite counts as in place from this mastery on
+export const PREREQUISITE_THRESHOLD = 0.6;
+
+// Atoms at or above this mastery are done, not part of the frontier
+export const MASTERED_THRESHOLD = 0.85;
+
+export const ATOM_STATUS = {
+  MASTERED: 'MASTERED',
+  READY: 'READY',
+  LOCKED: 'LOCKED'
+};
+
+const graphCache = new WeakMap();
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+
+/**
+ * Build the graph from curriculum atoms (in curriculum order)
+ * @param {Array} atoms - [{ atom_id, prerequisites }]
+ * @returns {Object} { order, atoms, prerequisites, dependents, danglingLinks, cycles, topologicalOrder }
+ */
+export function buildPrerequisiteGraph(atoms = []) {
+  const order = atoms.map(atom => atom.atom_id);
+  const known = new Set(order);
+  const prerequisites = {};
+  const dependents = Object.fromEntries(order.map(id => [id, []]));
+  const danglingLinks = [];
+
+  atoms.forEach(atom => {
+    prerequisites[atom.atom_id] = [];
+    (atom.prerequisites || []).forEach(prerequisiteId => {
+      if (!known.has(prerequisiteId)) {
+        danglingLinks.push({ atomId: atom.atom_id, prerequisiteId });
+        return;
+      }
+      prerequisites[atom.atom_id].push(prerequisiteId);
+      dependents[prerequisiteId].push(atom.atom_id);
+    });
+  });
+
+  const graph = {
+    order,
+    atoms: Object.fromEntries(atoms.map(atom => [atom.atom_id, atom])),
+    prerequisites,
+    dependents,
+    danglingLinks
+  };
+  graph.cycles = detectCycles(graph);
+  graph.topologicalOrder = topologicalOrder(graph);
+  return graph;
+}
+
+/**
+ * Graph for a loaded curriculum (built once per curriculum object)
+ */
+export function getPrerequisiteGraph(curriculum) {
+  if (!graphCache.has(curriculum)) {
+    const graph = buildPrerequisiteGraph(Object.values(curriculum.atoms || {}));
+    if (graph.cycles.length > 0) console.warn('[prerequisiteGraph] Prerequisite cycles:', graph.cycles);
+    if (graph.danglingLinks.length > 0) console.warn('[prerequisiteGraph] Unknown prerequisites:', graph.danglingLinks);
+    graphCache.set(curriculum, graph);
+  }
+  return graphCache.get(curriculum);
+}
+
+export async function loadPrerequisiteGraph() {
+  return getPrerequisiteGraph(await curriculumV2Service.loadCurriculumV2());
+}
+
+/**
+ * Prerequisite cycles, each as the atom ids around the loop
+ * @returns {Array<Array<string>>}
+ */
+export function detectCycles(graph) {
+  const state = {}; // undefined = unvisited, 1 = on the current path, 2 = done
+  const path = [];
+  const cycles = [];
+
+  const visit = (atomId) => {
+    state[atomId] = 1;
+    path.push(atomId);
+    graph.prerequisites[atomId].forEach(prerequisiteId => {
+      if (state[prerequisiteId] === 1) {
+        cycles.push(path.slice(path.indexOf(prerequisiteId)));
+      } else if (!state[prerequisiteId]) {
+        visit(prerequisiteId);
+      }
+    });
+    path.pop();
+    state[atomId] = 2;
+  };
+
+  graph.order.forEach(atomId => { if (!state[atomId]) visit(atomId); });
+  return cycles;
+}
+
+/**
+ * Atoms with every prerequisite before its dependents (Kahn's algorithm,
+ * curriculum order among atoms that are ready together). Atoms on a cycle,
+ * and atoms depending on one, are left out; detectCycles reports them.
+ */
+export function topologicalOrder(graph) {
+  const remaining = Object.fromEntries(graph.order.map(id => [id, graph.prerequisites[id].length]));
+  const position = Object.fromEntries(graph.order.map((id, i) => [id, i]));
+  const ready = graph.order.filter(id => remaining[id] === 0);
+  const sorted = [];
+
+  while (ready.length > 0) {
+    const atomId = ready.shift();
+    sorted.push(atomId);
+    graph.dependents[atomId].forEach(dependentId => {
+      remaining[dependentId] -= 1;
+      if (remaining[dependentId] === 0) {
+        const at = ready.findIndex(id => position[id] > position[dependentId]);
+        ready.splice(at === -1 ? ready.length : at, 0, dependentId);
+      }
+    });
+  }
+  return sorted;
+}
+
+/**
+ * Every prerequisite of an atom, direct and indirect (nearest first)
+ */
+export function getAllPrerequisites(graph, atomId) {
+  const seen = new Set();
+  const queue = [...(graph.prerequisites[atomId] || [])];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (seen.has(id) || id === atomId) continue;
+    seen.add(id);
+    queue.push(...graph.prerequisites[id]);
+  }
+  return [...seen];
+}
+
+// ============================================================================
+// GATING
+// ============================================================================
+
+function masteryOf(mastery, atomId) {
+  return mastery?.[atomId] ?? getBktParams(atomId).prior;
+}
+
+/**
+ * Why an atom is (not) open to learn
+ * @returns {{ atomId, status, blockers: Array<{ atomId, mastery }>, reason: string }}
+ */
+export function explainLock(graph, atomId, mastery = {}, { threshold = PREREQUISITE_THRESHOLD } = {}) {
+  const blockers = (graph.prerequisites[atomId] || [])
+    .map(prerequisiteId => ({ atomId: prerequisiteId, mastery: masteryOf(mastery, prerequisiteId) }))
+    .filter(blocker => blocker.mastery < threshold);
+
+  if (blockers.length > 0) {
+    return {
+      atomId,
+      status: ATOM_STATUS.LOCKED,
+      blockers,
+      reason: `locked because ${blockers.map(b => `${b.atomId} < ${threshold}`).join(', ')}`
+    };
+  }
+  if (masteryOf(mastery, atomId) >= MASTERED_THRESHOLD) {
+    return { atomId, status: ATOM_STATUS.MASTERED, blockers, reason: `mastered (≥ ${MASTERED_THRESHOLD})` };
+  }
+  return {
+    atomId,
+    status: ATOM_STATUS.READY,
+    blockers,
+    reason: graph.prerequisites[atomId]?.length ? `ready: prerequisites ≥ ${threshold}` : 'ready: no prerequisites'
+  };
+}
+
+/**
+ * "Ready to learn" atoms, in topological order
+ * @param {Object} mastery - ninjaStats.mastery ({ atomId: 0..1 })
+ * @returns {Array<string>} atom ids
+ */
+export function computeFrontier(graph, mastery = {}, options = {}) {
+  return graph.topologicalOrder.filter(atomId => explainLock(graph, atomId, mastery, options).status === ATOM_STATUS.READY);
+}
+
+/**
+ * Atoms a student may be given: anything already practised, plus new
+ * atoms on the frontier
+ * @returns {Set<string>}
+ */
+export function openAtomIds(graph, mastery = {}, options = {}) {
+  return new Set([
+    ...graph.order.filter(atomId => mastery[atomId] !== undefined),
+    ...computeFrontier(graph, mastery, options)
+  ]);
+}
+
+/**
+ * Path to a target atom: its prerequisites still below the threshold, then
+ * the target, in topological order
+ * @returns {Array<{ atomId, mastery, status }>}
+ */
+export function learningPath(graph, targetAtomId, mastery = {}, { threshold = PREREQUISITE_THRESHOLD } = {}) {
+  const needed = new Set([
+    ...getAllPrerequisites(graph, targetAtomId).filter(id => masteryOf(mastery, id) < threshold),
+    targetAtomId
+  ]);
+  return graph.topologicalOrder
+    .filter(atomId => needed.has(atomId))
+    .map(atomId => ({
+      atomId,
+      mastery: masteryOf(mastery, atomId),
+      status: explainLock(graph, atomId, mastery, { threshold }).status
+    }));
+}
+
+export default {
+  buildPrerequisiteGraph,
+  getPrerequisiteGraph,
+  loadPrerequisiteGraph,
+  detectCycles,
+  topologicalOrder,
+  getAllPrerequisites,
+  explainLock,
+  computeFrontier,
+  openAtomIds,
+  learningPath,
+  PREREQUISITE_THRESHOLD,
+  MASTERED_THRESHOLD,
+  ATOM_STATUS
+};
@@ -0,0 +1,407 @@
+/**
+ * probabilitySimulation.js
+ *
+ * Data-driven probability experiments for the SIMULATION template.
+ *
+ * Features:
+ * - Coins (optionally biased), dice, weighted spinners and bags of counters
+ * - Several draws per trial, bags with or without replacement
+ * - Seeded runs: the same seed always produces the same sequence of trials
+ * - Exact theoretical probabilities (rationals) by enumerating outcomes
+ * - Frequency tables comparing observed and theoretical relative frequency
+ * - Grading of a prediction/estimate against the theory with a tolerance;
+ *   when the theory cannot be enumerated it is null, never shown, and an
+ *   estimate is checked against the observed rate instead
+ *
+ * Item config (interaction.config.simulation):
+ * --------------------------------------------
+ * { type: 'coin', bias: 0.5 }
+ * { type: 'dice', faces: 6 }
+ * { type: 'spinner', sectors: [{ label: 'Red', weight: 2 }, { label: 'Blue', weight: 1 }] }
+ * { type: 'bag', contents: [{ label: 'Red', count: 3 }, { label: 'Green', count: 2 }],
+ *   draws: 2, replacement: false }
+ *
+ * Each trial draws `draws` times (default 1). With several draws a trial's
+ * outcome is the combination of labels ("Green, Red"), or the sequence when
+ * `ordered: true`. The bag is refilled before every trial.
+ *
+ * The event being studied (interaction.config.event):
+ * - { outcomes: ['Heads'] }                          outcome is one of these
+ *   (a multi-draw outcome as "Green, Red" or as ['Green', 'Red'])
+ * - { count: { outcome: 'Red', min: 1, max: 2 } }    how many draws show a label
+ */
+
+import { rational, add, sub, mul, div, toNumber, formatRational, ZERO, ONE } from './rationalMath';
+import { hashSeed, nextRandom } from './seededRandom';
+import { parseNumericAnswer } from './numericAnswerParser';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const SIMULATION_TYPES = {
+  COIN: 'coin',
+  DICE: 'dice',
+  SPINNER: 'spinner',
+  BAG: 'bag'
+};
+
+export const ANSWER_MODES = {
+  PREDICT: 'predict',   // probability entered before running any trials
+  ESTIMATE: 'estimate', // probability estimated from the experiment
+  COUNT: 'count'        // expected number of event outcomes in N trials
+};
+
+const DEFAULT_TOLERANCE = {
+  predict: 0.01,
+  estimate: 0.1,
+  count: 0.1 // relative to the expected count
+};
+
+/**
+ * Above this many draw sequences the theory is not enumerated
+ */
+const MAX_ENUMERATED_SEQUENCES = 20000;
+
+// ============================================================================
+// CONFIG NORMALIZATION
+// ============================================================================
+
+function toWeight(value) {
+  if (value === undefined || value === null) return ONE;
+  const parsed = parseNumericAnswer(String(value));
+  if (!parsed.ok || parsed.exact.n < 0) {
+    throw new RangeError(`Invalid weight: ${value}`);
+  }
+  return parsed.exact;
+}
+
+function buildOutcomes(simulation) {
+  switch (simulation.type) {
+    case SIMULATION_TYPES.COIN: {
+      const bias = simulation.bias === undefined ? rational(1, 2) : toWeight(simulation.bias);
+      if (bias.n > bias.d) throw new RangeError(`Coin bias must be at most 1: ${simulation.bias}`);
+      const [heads, tails] = simulation.labels || ['Heads', 'Tails'];
+      return [
+        { label: heads, weight: bias },
+        { label: tails, weight: sub(ONE, bias) }
+      ];
+    }
+    case SIMULATION_TYPES.DICE: {
+      const faces = simulation.faces || 6;
+      return Array.from({ length: faces }, (_, i) => ({ label: String(i + 1), weight: ONE }));
+    }
+    case SIMULATION_TYPES.SPINNER:
+      return (simulation.sectors || []).map(sector => ({
+        label: String(sector.label),
+        weight: toWeight(sector.weight)
+      }));
+    case SIMULATION_TYPES.BAG:
+      return (simulation.contents || []).map(item => ({
+        label: String(item.label),
+        weight: rational(item.count ?? 1)
+      }));
+    default:
+      throw new Error(`Unknown simulation type: ${simulation.type}`);
+  }
+}
+
+/**
+ * Normalize interaction.config into a simulation definition.
+ * Items without a simulation block fall back to a fair coin (legacy behaviour).
+ *
+ * @param {Object} config - interaction.config
+ * @param {string} fallbackSeed - Used when the item declares no seed (e.g. item id)
+ */
+export function normalizeSimulation(config = {}, fallbackSeed = 'simulation') {
+  const simulation = { type: SIMULATION_TYPES.COIN, ...(config.simulation || {}) };
+  const outcomes = buildOutcomes(simulation).filter(o => o.weight.n > 0);
+
+  if (outcomes.length === 0) {
+    throw new Error('Simulation needs at least one outcome');
+  }
+
+  const draws = Math.max(1, simulation.draws || 1);
+  const replacement = simulation.type !== SIMULATION_TYPES.BAG || simulation.replacement !== false;
+
+  if (!replacement) {
+    const bagSize = outcomes.reduce((sum, o) => sum + o.weight.n, 0);
+    if (draws > bagSize) throw new RangeError('Cannot draw more counters than the bag holds');
+  }
+
+  const event = config.event || { outcomes: [outcomes[0].label] };
+  const seed = config.seed ?? simulation.seed ?? fallbackSeed;
+
+  return {
+    type: simulation.type,
+    outcomes,
+    draws,
+    replacement,
+    ordered: !!simulation.ordered,
+    event,
+    eventLabel: event.label || describeEvent(event),
+    seed: typeof seed === 'number' ? seed >>> 0 : hashSeed(seed),
+    answerMode: config.answerMode || config.answer_mode || ANSWER_MODES.ESTIMATE,
+    countTrials: config.countTrials || config.count_trials || 100,
+    minTrials: config.minTrials ?? config.min_trials ?? 10,
+    trialBatches: config.trialBatches || [1, 10, 100]
+  };
+}
+
+function describeEvent(event) {
+  if (event.count) {
+    const { outcome, min, max } = event.count;
+    if (min !== undefined && max !== undefined) return `${min}–${max} × ${outcome}`;
+    if (min !== undefined) return `at least ${min} × ${outcome}`;
+    return `at most ${max} × ${outcome}`;
+  }
+  return (event.outcomes || []).map(outcome => (Array.isArray(outcome) ? outcome.join(', ') : outcome)).join(' or ');
+}
+
+// ============================================================================
+// OUTCOMES AND EVENTS
+// ============================================================================
+
+/**
+ * Labels of a trial outcome in canonical order (sorted unless `ordered`)
+ */
+export function outcomeLabels(sequence, ordered = false) {
+  return ordered ? [...sequence] : [...sequence].sort();
+}
+
+/**
+ * Display key of a trial outcome ("Red" or "Green, Red"). Only for showing
+ * and for matching authored event outcomes; never split it back into labels.
+ */
+export function outcomeKey(sequence, ordered = false) {
+  return outcomeLabels(sequence, ordered).join(', ');
+}
+
+// Map key of a trial outcome: survives labels that contain ", "
+const outcomeId = (sequence, ordered) => JSON.stringify(outcomeLabels(sequence, ordered));
+
+/**
+ * Does a trial's draw sequence satisfy the event?
+ */
+export function matchesEvent(sequence, sim) {
+  const { event } = sim;
+  if (event.count) {
+    const { outcome, min = 0, max = Infinity } = event.count;
+    const hits = sequence.filter(label => label === outcome).length;
+    return hits >= min && hits <= max;
+  }
+  // An outcome is authored as a key ("Green, Red") or a label list (["Green", "Red"])
+  const key = outcomeKey(sequence, sim.ordered);
+  const id = outcomeId(sequence, sim.ordered);
+  return (event.outcomes || []).some(outcome => (
+    Array.isArray(outcome) ? outcomeId(outcome, sim.ordered) === id : outcome === key
+  ));
+}
+
+/**
+ * Exact probability of every trial outcome.
+ * @returns {Map<string, Object>|null} outcome id -> { labels, probability (rational) },
+ *   or null when too large to enumerate
+ */
+export function theoreticalDistribution(sim) {
+  if (sim.replacement && sim.outcomes.length ** sim.draws > MAX_ENUMERATED_SEQUENCES) return null;
+
+  const distribution = new Map();
+  const counts = sim.outcomes.map(o => o.weight);
+
+  const walk = (sequence, probability, remaining) => {
+    if (sequence.length === sim.draws) {
+      const id = outcomeId(sequence, sim.ordered);
+      const entry = distribution.get(id) || { labels: outcomeLabels(sequence, sim.ordered), probability: ZERO };
+      distribution.set(id, { ...entry, probability: add(entry.probability, probability) });
+      return;
+    }
+    const total = remaining.reduce((sum, w) => add(sum, w), ZERO);
+    if (total.n === 0) return;
+    sim.outcomes.forEach((outcome, i) => {
+      if (remaining[i].n === 0) return;
+      const next = sim.replacement
+        ? remaining
+        : remaining.map((w, j) => (j === i ? sub(w, ONE) : w));
+      walk([...sequence, outcome.label], mul(probability, div(remaining[i], total)), next);
+    });
+  };
+
+  walk([], ONE, counts);
+  return distribution;
+}
+
+/**
+ * Exact theoretical probability of the event
+ * @returns {Object|null} rational, or null when it cannot be enumerated
+ */
+export function theoreticalEventProbability(sim) {
+  const distribution = theoreticalDistribution(sim);
+  if (!distribution) return null;
+
+  let probability = ZERO;
+  distribution.forEach(entry => {
+    if (matchesEvent(entry.labels, sim)) probability = add(probability, entry.probability);
+  });
+  return probability;
+}
+
+// ============================================================================
+// RUNNING TRIALS
+// ============================================================================
+
+function pickWeighted(weights, random) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let target = random * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0 && weights[i] > 0) return i;
+  }
+  return weights.findLastIndex(w => w > 0);
+}
+
+/**
+ * Run trials from a generator state. Pure: pass the returned state back in
+ * to continue the same reproducible run.
+ *
+ * @param {Object} sim - Normalized simulation
+ * @param {number} state - Generator state (start with sim.seed)
+ * @param {number} count - Number of trials
+ * @returns {{ trials: Array, state: number }}
+ */
+export function runTrials(sim, state, count) {
+  const trials = [];
+  let current = state;
+
+  for (let t = 0; t < count; t++) {
+    let remaining = sim.outcomes.map(o => toNumber(o.weight));
+    const sequence = [];
+
+    for (let d = 0; d < sim.draws; d++) {
+      const step = nextRandom(current);
+      current = step.state;
+      const index = pickWeighted(remaining, step.value);
+      sequence.push(sim.outcomes[index].label);
+      if (!sim.replacement) {
+        remaining = remaining.map((w, i) => (i === index ? w - 1 : w));
+      }
+    }
+
+    trials.push({
+      sequence,
+      id: outcomeId(sequence, sim.ordered),
+      key: outcomeKey(sequence, sim.ordered),
+      isEvent: matchesEvent(sequence, sim)
+    });
+  }
+
+  return { trials, state: current };
+}
+
+/**
+ * Frequency table for a run, with theoretical values alongside
+ */
+export function summarizeTrials(sim, trials) {
+  const distribution = theoreticalDistribution(sim);
+  const counts = new Map();
+  const labelsById = new Map();
+  trials.forEach(trial => {
+    counts.set(trial.id, (counts.get(trial.id) || 0) + 1);
+    labelsById.set(trial.id, outcomeLabels(trial.sequence, sim.ordered));
+  });
+
+  const ids = distribution
+    ? [...distribution.keys()]
+    : [...counts.keys()].sort();
+
+  const total = trials.length;
+  const eventCount = trials.filter(t => t.isEvent).length;
+  const eventProbability = theoreticalEventProbability(sim);
+
+  return {
+    total,
+    eventCount,
+    eventRate: total > 0 ? eventCount / total : 0,
+    theoreticalEvent: eventProbability ? toNumber(eventProbability) : null,
+    theoreticalEventDisplay: eventProbability ? formatRational(eventProbability) : null,
+    frequencies: ids.map(id => {
+      const count = counts.get(id) || 0;
+      const theoretical = distribution?.get(id);
+      const labels = theoretical?.labels || labelsById.get(id);
+      return {
+        id,
+        key: labels.join(', '),
+        labels,
+        count,
+        relative: total > 0 ? count / total : 0,
+        theoretical: theoretical ? toNumber(theoretical.probability) : null,
+        isEvent: matchesEvent(labels, sim)
+      };
+    })
+  };
+}
+
+// ============================================================================
+// GRADING
+// ============================================================================
+
+/**
+ * Grade the student's prediction/estimate against the theoretical probability.
+ *
+ * @param {string} raw - Student input ("1/2", "0.5", "50%", or a count)
+ * @param {Object} sim - Normalized simulation
+ * @param {Object} answerKey - { probability?, tolerance? } overrides the theory
+ * @param {Object} summary - Result of summarizeTrials for the student's run
+ */
+export function gradeSimulationAnswer(raw, sim, answerKey = {}, summary = null) {
+  const parsed = parseNumericAnswer(raw);
+  const observedRate = summary ? summary.eventRate : null;
+
+  if (!parsed.ok) {
+    return { isCorrect: false, reason: parsed.error, studentValue: null, observedRate };
+  }
+
+  const declared = answerKey.probability ?? answerKey.value;
+  const exact = declared === undefined ? theoreticalEventProbability(sim) : null;
+  const theoretical = declared !== undefined
+    ? parseNumericAnswer(String(declared)).value
+    : (exact ? toNumber(exact) : null);
+
+  // No theory to compare with: an estimate is checked against the student's
+  // own run, anything else cannot be graded
+  const isCount = sim.answerMode === ANSWER_MODES.COUNT;
+  const reference = theoretical ?? (sim.answerMode === ANSWER_MODES.ESTIMATE ? observedRate : null);
+  if (reference === null) {
+    return { isCorrect: false, reason: 'NO_THEORY', studentValue: parsed.value, theoretical: null, observedRate };
+  }
+
+  const expected = isCount ? reference * sim.countTrials : reference;
+  const tolerance = answerKey.tolerance ?? DEFAULT_TOLERANCE[sim.answerMode] ?? DEFAULT_TOLERANCE.estimate;
+  const allowed = isCount ? tolerance * expected : tolerance;
+  const difference = Math.abs(parsed.value - expected);
+
+  return {
+    isCorrect: difference <= allowed + 1e-9,
+    reason: difference <= allowed + 1e-9 ? null : 'OUTSIDE_TOLERANCE',
+    studentValue: parsed.value,
+    expectedValue: expected,
+    theoretical,
+    observedRate,
+    difference,
+    tolerance: allowed
+  };
+}
+
+export default {
+  normalizeSimulation,
+  theoreticalDistribution,
+  theoreticalEventProbability,
+  runTrials,
+  summarizeTrials,
+  gradeSimulationAnswer,
+  outcomeKey,
+  outcomeLabels,
+  matchesEvent,
+  SIMULATION_TYPES,
+  ANSWER_MODES
+};
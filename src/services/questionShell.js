@@ -0,0 +1,48 @@
+/**
+ * questionShell.js
+ *
+ * Content-less mission questions: atom, template and analytics fields for a
+ * slot, before any gold item content is attached. Shared by mission
+ * generation (dailyMissionService), the adaptation rules engine and the
+ * mission sequencer.
+ */
+
+/**
+ * Content-less mission question for an atom and template. Slot fields
+ * (questionId, phase, slot, difficulty...) are merged on top.
+ */
+export function buildQuestionShell(curriculum, atom, templateId, fields = {}) {
+  const template = curriculum.templates[templateId];
+  return {
+    questionId: `q_${atom.atom_id}_${templateId}`,
+    atomId: atom.atom_id,
+    atom_id: atom.atom_id, // Keep both for compatibility
+    atomName: atom.title,
+    moduleId: atom.moduleId,
+    moduleName: atom.moduleName,
+    templateId,
+    template: template ? {
+      id: templateId,
+      displayName: template.display_name,
+      description: template.description,
+      scoringModel: template.scoring_model
+    } : null,
+
+    // Curriculum metadata
+    outcomes: atom.outcomes || [],
+
+    // Analytics enrichment
+    analytics: {
+      curriculumModule: atom.moduleId,
+      curriculumAtom: atom.atom_id,
+      templateType: templateId,
+      phaseType: fields.phase || null,
+      learningOutcomeTypes: (atom.outcomes || []).map(o => o.type),
+      masteryProfile: atom.mastery_profile_id,
+      prerequisites: atom.prerequisites || []
+    },
+    ...fields
+  };
+}
+
+export default buildQuestionShell;
@@ -12,6 +12,10 @@
  * - Worked solution validation
  * - Misconceptions and feedback mapping
  * - Transfer item validation
+ * - LaTeX that fails to parse (prompt.latex and $...$ math in any text)
+ * - Parameterized variants: spec check, and a unique correct answer in
+ *   every variant (all of them when the parameter space is small, else a
+ *   seeded sample)
  * - Comprehensive error reporting
  * 
  * Usage:
@@ -23,6 +27,12 @@
  * }
  */
 
+import { validateGraphSpec } from './coordinatePlane';
+import { HINT_LEVELS } from './hintService';
+import { hasVariants, checkVariantSpec, enumerateParameters, instantiateItem, instantiateWithParameters, variantSeed } from './itemVariants';
+import { scoreResponse } from './scoringEngine';
+import { findItemLatexErrors } from './mathTypesetting';
+
 // ============================================================================
 // SUPPORTED TEMPLATES AND THEIR REQUIRED FIELDS
 // ============================================================================
@@ -126,6 +136,13 @@ const TEMPLATE_CONFIGS = {
     name: 'Multi-Step Word Problem',
     requiredFields: ['prompt', 'interaction', 'template_payload', 'answer_key'],
     interactionType: 'multi_step_word'
+  },
+  GRAPH_PLOT: {
+    name: 'Plot on Grid',
+    requiredFields: ['prompt', 'interaction', 'template_payload', 'answer_key'],
+    interactionType: 'graph_plot',
+    // Axes and targets live in interaction.config / answer_key, so this check needs the whole item
+    validateItem: (item) => validateGraphSpec(item.interaction?.config, item.answer_key)
   }
 };
 
@@ -255,6 +272,107 @@ function validateMisconceptions(misconceptions) {
   return { errors, warnings };
 }
 
+// Variants sampled per item when its parameter space is too large to list
+const DEFAULT_VARIANT_SAMPLES = 20;
+
+const optionKey = (text) => String(text ?? '').trim().toLowerCase();
+
+/**
+ * Problems with one generated variant: leftover placeholders, repeated or
+ * missing choice options, or a numeric key that does not score as correct
+ */
+function checkVariantInstance(instance, baseItem) {
+  const problems = [];
+
+  if (JSON.stringify(instance).includes('{{')) {
+    problems.push('has unresolved {{...}} placeholders');
+  }
+
+  const config = instance.interaction?.config || {};
+  Object.entries(config)
+    .filter(([, value]) => Array.isArray(value) && value.some(option => option?.text !== undefined))
+    .forEach(([key, options]) => {
+      const texts = options.map(option => optionKey(option.text));
+      if (new Set(texts).size !== texts.length) {
+        problems.push(`has repeated ${key} texts (${options.map(o => o.text).join(' | ')})`);
+      }
+    });
+
+  const correctId = instance.answer_key?.correct_option_id ?? instance.answer_key?.correct_tier1_id;
+  if (correctId !== undefined) {
+    const options = config.options || config.tier1_options || [];
+    if (options.filter(option => option.id === correctId).length !== 1) {
+      problems.push(`has no single option with the correct id '${correctId}'`);
+    }
+  }
+
+  if (typeof baseItem.answer_key?.value === 'number') {
+    const value = instance.answer_key?.value;
+    if (!Number.isFinite(value)) {
+      problems.push(`has a non-numeric answer (${value})`);
+    } else if (instance.template_id === 'NUMERIC_INPUT' && !scoreResponse(instance, { answer: String(value) }).isCorrect) {
+      problems.push(`answer ${value} does not score as correct`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Variants to check: every one when the parameter space is small enough to
+ * list, else a seeded sample
+ * @returns {Array<{ label: string, build: Function }>}
+ */
+function variantsToCheck(item, sampleCount) {
+  const enumerated = enumerateParameters(item.variant);
+  if (enumerated) {
+    return enumerated.map(params => ({
+      label: `Variant (${Object.entries(params).map(([name, value]) => `${name}=${value}`).join(', ')})`,
+      build: () => instantiateWithParameters(item, params)
+    }));
+  }
+  return Array.from({ length: sampleCount }, (_, i) => {
+    const seed = variantSeed('validator', item.item_id, i);
+    return { label: `Variant seed ${seed}`, build: () => instantiateItem(item, seed) };
+  });
+}
+
+/**
+ * Validate a variant block and the variants it generates
+ */
+function validateVariants(item, sampleCount = DEFAULT_VARIANT_SAMPLES) {
+  const errors = checkVariantSpec(item.variant, item);
+  const warnings = [];
+  if (errors.length > 0) return { errors, warnings };
+
+  const variants = variantsToCheck(item, sampleCount);
+  if (variants.length === 0) {
+    errors.push('No parameters satisfy the variant constraints');
+    return { errors, warnings };
+  }
+
+  const distinct = new Set();
+  for (const { label, build } of variants) {
+    let instance;
+    try {
+      instance = build();
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      break;
+    }
+    distinct.add(JSON.stringify(instance.variant_params));
+    checkVariantInstance(instance, item).forEach(problem => {
+      errors.push(`${label} ${problem}`);
+    });
+  }
+
+  if (errors.length === 0 && distinct.size < 2) {
+    warnings.push('variant constraints leave only one distinct variant');
+  }
+
+  return { errors: [...new Set(errors)], warnings };
+}
+
 /**
  * Validate transfer item
  */
@@ -400,6 +518,13 @@ export async function validateQuestionV2(item, options = {}) {
     }
   }
 
+  if (templateConfig?.validateItem) {
+    const itemError = templateConfig.validateItem(item);
+    if (itemError) {
+      result.errors.push(itemError);
+    }
+  }
+
   // ========================================================================
   // 7. ANSWER KEY VALIDATION
   // ========================================================================
@@ -412,7 +537,10 @@ export async function validateQuestionV2(item, options = {}) {
       item.answer_key.value !== undefined ||
       item.answer_key.correct_option_id !== undefined ||
       item.answer_key.correct_tier1_id !== undefined ||
-      item.answer_key.first_wrong_line !== undefined;
+      item.answer_key.first_wrong_line !== undefined ||
+      item.answer_key.points !== undefined ||
+      item.answer_key.segments !== undefined ||
+      item.answer_key.values !== undefined;
 
     if (!hasAnswerProperty) {
       result.errors.push(
@@ -477,6 +605,21 @@ export async function validateQuestionV2(item, options = {}) {
     }
   }
 
+  if (item.hints !== undefined) {
+    if (!Array.isArray(item.hints)) {
+      result.errors.push('hints must be an array of { level, text }');
+    } else {
+      item.hints.forEach((hint, i) => {
+        if (!HINT_LEVELS.includes(hint?.level)) {
+          result.errors.push(`hints[${i}].level must be one of: ${HINT_LEVELS.join(', ')}`);
+        }
+        if (isEmptyString(hint?.text)) {
+          result.errors.push(`hints[${i}] missing text`);
+        }
+      });
+    }
+  }
+
   // ========================================================================
   // 12. TRANSFER ITEM VALIDATION
   // ========================================================================
@@ -508,7 +651,32 @@ export async function validateQuestionV2(item, options = {}) {
   }
 
   // ========================================================================
-  // 14. QUALITY SCORING
+  // 14. VARIANT VALIDATION
+  // ========================================================================
+
+  if (item.variant !== undefined) {
+    if (!hasVariants(item)) {
+      result.errors.push('variant must declare parameters');
+    } else {
+      const { errors: varErrors, warnings: varWarnings } = validateVariants(
+        item,
+        options.variantSamples
+      );
+      result.errors.push(...varErrors);
+      result.warnings.push(...varWarnings);
+    }
+  }
+
+  // ========================================================================
+  // 15. LATEX VALIDATION
+  // ========================================================================
+
+  findItemLatexErrors(item).forEach(({ path, latex, error }) => {
+    result.errors.push(`Invalid LaTeX in ${path}: ${latex} (${error})`);
+  });
+
+  // ========================================================================
+  // 16. QUALITY SCORING
   // ========================================================================
 
   // Degrade quality based on errors and warnings
@@ -526,7 +694,7 @@ export async function validateQuestionV2(item, options = {}) {
   }
 
   // ========================================================================
-  // 15. AUTO-FIX SUGGESTIONS
+  // 17. AUTO-FIX SUGGESTIONS
   // ========================================================================
 
   if (result.warnings.length > 0 && !result.errors.length) {
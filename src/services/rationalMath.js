@@ -0,0 +1,103 @@
+/**
+ * rationalMath.js
+ *
+ * Exact rational-number helpers shared by the answer-checking engines.
+ * Grade 7 answers are dominated by fractions, so we avoid floating point
+ * whenever a value can be represented exactly as numerator/denominator.
+ *
+ * A rational is a plain object { n, d } with d > 0 and gcd(n, d) = 1.
+ */
+
+/**
+ * Greatest common divisor (always non-negative)
+ */
+export function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Build a normalized rational from a numerator and denominator
+ */
+export function rational(n, d = 1) {
+  if (d === 0) throw new RangeError('Division by zero');
+  if (d < 0) {
+    n = -n;
+    d = -d;
+  }
+  const g = gcd(n, d) || 1;
+  return { n: n / g, d: d / g };
+}
+
+/**
+ * Parse a decimal literal ("2.5", "0.125", "7") into an exact rational
+ */
+export function rationalFromDecimalString(text) {
+  const match = /^(\d*)(?:\.(\d+))?$/.exec(text);
+  if (!match || (match[1] === '' && match[2] === undefined)) {
+    throw new SyntaxError(`Invalid number: ${text}`);
+  }
+  const fractionDigits = match[2] || '';
+  const scale = 10 ** fractionDigits.length;
+  const whole = Number(match[1] || '0');
+  return rational(whole * scale + Number(fractionDigits || '0'), scale);
+}
+
+export const ZERO = Object.freeze({ n: 0, d: 1 });
+export const ONE = Object.freeze({ n: 1, d: 1 });
+
+export const add = (a, b) => rational(a.n * b.d + b.n * a.d, a.d * b.d);
+export const sub = (a, b) => rational(a.n * b.d - b.n * a.d, a.d * b.d);
+export const mul = (a, b) => rational(a.n * b.n, a.d * b.d);
+export const div = (a, b) => rational(a.n * b.d, a.d * b.n);
+export const neg = (a) => rational(-a.n, a.d);
+
+export const isZero = (a) => a.n === 0;
+export const isInteger = (a) => a.d === 1;
+export const equals = (a, b) => a.n === b.n && a.d === b.d;
+export const toNumber = (a) => a.n / a.d;
+
+/**
+ * Raise a rational to an integer power
+ */
+export function pow(base, exponent) {
+  if (!Number.isInteger(exponent)) {
+    throw new RangeError('Rational powers need an integer exponent');
+  }
+  if (exponent < 0) return pow(div(ONE, base), -exponent);
+  let result = ONE;
+  for (let i = 0; i < exponent; i++) {
+    result = mul(result, base);
+  }
+  return result;
+}
+
+/**
+ * Human-readable form ("3/4", "-5", "17/12")
+ */
+export function formatRational(a) {
+  return a.d === 1 ? String(a.n) : `${a.n}/${a.d}`;
+}
+
+export default {
+  gcd,
+  rational,
+  rationalFromDecimalString,
+  add,
+  sub,
+  mul,
+  div,
+  neg,
+  pow,
+  isZero,
+  isInteger,
+  equals,
+  toNumber,
+  formatRational,
+  ZERO,
+  ONE
+};
@@ -0,0 +1,167 @@
+/**
+ * recoveryService.js
+ *
+ * Attempt lifecycle for V2 items: first attempt, targeted feedback, an
+ * optional scaffold, another attempt, and the worked solution once the
+ * attempts run out. TemplateRouter drives the lifecycle; this module holds
+ * the pure rules so every template recovers the same way.
+ *
+ * Features:
+ * - Attempt budget from the item's `recovery.max_attempts`
+ * - Targeted feedback: the hint of the misconception the response shows,
+ *   else feedback_map.on_incorrect_attempt_N
+ * - Scaffold from `recovery.hint_ladder` (entry whose after_attempt = N)
+ * - Recovery velocity with the V1 diagnostic formula (useDiagnostic)
+ * - One result per item: the first attempt decides isCorrect, a later
+ *   correct attempt sets isRecovered
+ *
+ * Spec:
+ * -----
+ * "recovery": {
+ *   "max_attempts": 3,
+ *   "hint_ladder": [
+ *     { "after_attempt": 1, "type": "strategy", "text": "..." },
+ *     { "after_attempt": 2, "type": "scaffold", "text": "..." }
+ *   ]
+ * }
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const RECOVERY_PHASES = {
+  ATTEMPT: 'ATTEMPT',
+  FEEDBACK: 'FEEDBACK',
+  WORKED_SOLUTION: 'WORKED_SOLUTION'
+};
+
+// Items without a recovery block still get one retry
+export const DEFAULT_MAX_ATTEMPTS = 2;
+
+// ============================================================================
+// ITEM RULES
+// ============================================================================
+
+/**
+ * Attempts allowed on a question (at least 1)
+ */
+export function getMaxAttempts(question = {}) {
+  const max = question.recovery?.max_attempts ?? question.recovery?.maxAttempts;
+  return typeof max === 'number' && max >= 1 ? Math.floor(max) : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Misconception a wrong result points to: ids or tag reported by the
+ * template, else the diagnostic on the chosen option
+ */
+export function findMisconception(question = {}, result = {}) {
+  const misconceptions = question.misconceptions || [];
+  const ids = result.misconceptionIds || [];
+  const option = question.interaction?.config?.options?.[result.response?.selectedIndex ?? result.selectedIndex];
+  const optionDiagnostic = option?.diagnostic || null;
+
+  return misconceptions.find(m => ids.includes(m.misconception_id || m.id)) ||
+    misconceptions.find(m => m.tag && m.tag === result.diagnosticTag) ||
+    (optionDiagnostic && misconceptions.find(m =>
+      (m.misconception_id || m.id) === optionDiagnostic.misconception_id || m.tag === optionDiagnostic.tag
+    )) ||
+    (optionDiagnostic ? { tag: optionDiagnostic.tag, misconception_id: optionDiagnostic.misconception_id } : null);
+}
+
+/**
+ * Feedback after wrong attempt N (1-based)
+ * @returns {{ feedback: string|null, scaffold: { type: string, text: string }|null, diagnosticTag: string|null }}
+ */
+export function getAttemptFeedback(question = {}, result = {}, attempt = 1) {
+  const feedbackMap = question.feedbackMap || {};
+  const misconception = findMisconception(question, result);
+  // Attempt 3+ reuses the attempt-2 message
+  const mapped = attempt >= 2
+    ? feedbackMap.onIncorrectAttempt2 || feedbackMap.onIncorrectAttempt1
+    : feedbackMap.onIncorrectAttempt1;
+  const scaffold = (question.recovery?.hint_ladder || question.recovery?.hintLadder || [])
+    .find(step => (step.after_attempt ?? step.afterAttempt) === attempt && step.text);
+
+  return {
+    feedback: misconception?.hint || mapped || null,
+    scaffold: scaffold ? { type: scaffold.type || 'scaffold', text: scaffold.text } : null,
+    diagnosticTag: result.diagnosticTag || misconception?.tag || null
+  };
+}
+
+/**
+ * Whether a result should open another attempt
+ * (responses waiting for a teacher are never retried)
+ */
+export function shouldRetry(result = {}, attempt, maxAttempts) {
+  return !result.isCorrect && !result.needsReview && attempt < maxAttempts;
+}
+
+// ============================================================================
+// RECOVERY VELOCITY
+// ============================================================================
+
+/**
+ * Same formula as the V1 diagnostic:
+ * (initial thinking time - recovery time) / initial thinking time, in [0, 1]
+ *
+ * @param {number} initialMs - Question shown → first (wrong) answer
+ * @param {number} recoveryMs - First wrong answer → recovered answer
+ */
+export function computeRecoveryVelocity(initialMs, recoveryMs) {
+  if (!(initialMs > 0) || typeof recoveryMs !== 'number') return 0;
+  const velocity = (initialMs - recoveryMs) / initialMs;
+  return Number(Math.max(0, Math.min(1, velocity)).toFixed(3));
+}
+
+// ============================================================================
+// FINAL RESULT
+// ============================================================================
+
+/**
+ * Combine every attempt into the single result the mission logs.
+ *
+ * The first attempt's response and score are kept (they are what isCorrect
+ * describes, so re-scoring stays consistent); later attempts ride along in
+ * attemptHistory.
+ *
+ * @param {Array<{ result: Object, submittedAtMs: number }>} attempts - In order, ms since the question appeared
+ * @param {Object} question
+ * @returns {Object} Template result plus isRecovered, attempts, recoveryVelocity, attemptHistory
+ */
+export function buildRecoveryResult(attempts, question = {}) {
+  const first = attempts[0];
+  const last = attempts[attempts.length - 1];
+  const isRecovered = attempts.length > 1 && !!last.result.isCorrect;
+  const diagnosticTag = first.result.isCorrect ? null : getAttemptFeedback(question, first.result, 1).diagnosticTag;
+
+  return {
+    ...first.result,
+    isCorrect: !!first.result.isCorrect,
+    isRecovered,
+    ...(diagnosticTag && !first.result.diagnosticTag && { diagnosticTag }),
+    attempts: attempts.length,
+    recoveryVelocity: isRecovered
+      ? computeRecoveryVelocity(first.submittedAtMs, last.submittedAtMs - first.submittedAtMs)
+      : 0,
+    attemptHistory: attempts.map(({ result, submittedAtMs }, index) => ({
+      attempt: index + 1,
+      isCorrect: !!result.isCorrect,
+      score: typeof result.score === 'number' ? result.score : (result.isCorrect ? 1 : 0),
+      response: result.response ?? null,
+      submittedAtMs
+    }))
+  };
+}
+
+export default {
+  getMaxAttempts,
+  findMisconception,
+  getAttemptFeedback,
+  shouldRetry,
+  computeRecoveryVelocity,
+  buildRecoveryResult,
+  RECOVERY_PHASES,
+  DEFAULT_MAX_ATTEMPTS
+};
@@ -0,0 +1,263 @@
+/**
+ * rescoringService.js
+ *
+ * Re-scores historical responses to one item after its answer key is
+ * corrected, and rolls the resulting mastery changes back onto students.
+ *
+ * Features:
+ * - Load an item from the published bank (falls back to the gold file)
+ * - Find every synced session log for the item across all students
+ * - Dry-run plan: old vs new result and the mastery correction per log
+ * - Apply in one batch: session logs, student atom mastery and (when edited)
+ *   the published answer key
+ *
+ * Responses logged before the scoring engine existed carry no raw `response`
+ * and are skipped. Teacher-graded and pending-review logs are left to the
+ * grading queue. Transfer logs are re-scored but never moved mastery, so
+ * they get no correction. Logs of a parameterized variant are re-scored
+ * against that variant, rebuilt from the logged seed.
+ *
+ * Usage:
+ * ------
+ * const { item } = await fetchItemForRescore('SAMPLE.NUM.0003');
+ * const logs = await fetchLogsForItem('SAMPLE.NUM.0003');
+ * const plan = buildRescorePlan(correctedItem, logs, await fetchStudentMastery(logs));
+ * await applyRescore(plan, { adminId, answerKey: correctedItem.answer_key });
+ */
+
+import { db } from '../firebase/config';
+import {
+  collection,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  limit,
+  writeBatch
+} from 'firebase/firestore';
+import { scoreResponse } from './scoringEngine';
+import { correctMastery } from './masteryService';
+import { mapFieldPath } from '../utils/firestoreKey';
+import { getGoldItem, buildTransferQuestion } from './transferService';
+import { hasVariants, instantiateItem } from './itemVariants';
+import { GRADING_STATUS } from './gradingQueueService';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Firestore caps a write batch at 500 operations
+const MAX_BATCH_WRITES = 450;
+
+export const RESCORE_SKIP_REASONS = {
+  NO_RESPONSE: 'NO_RESPONSE',
+  TEACHER_GRADED: 'TEACHER_GRADED',
+  PENDING_REVIEW: 'PENDING_REVIEW',
+  SCORING_ERROR: 'SCORING_ERROR'
+};
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Item as currently published (questions collection), else the gold bank copy
+ * @returns {Promise<{ item: Object|null, docId: string|null, source: string|null }>}
+ */
+export async function fetchItemForRescore(itemId) {
+  const snapshot = await getDocs(query(collection(db, 'questions'), where('item_id', '==', itemId), limit(1)));
+  if (!snapshot.empty) {
+    return { item: snapshot.docs[0].data(), docId: snapshot.docs[0].id, source: 'questions' };
+  }
+
+  const gold = getGoldItem(itemId);
+  return { item: gold, docId: null, source: gold ? 'gold' : null };
+}
+
+/**
+ * Synced session logs for an item (direct answers and its transfer item),
+ * oldest first
+ */
+export async function fetchLogsForItem(itemId) {
+  const [direct, transfer] = await Promise.all([
+    getDocs(query(collectionGroup(db, 'session_logs'), where('itemId', '==', itemId))),
+    getDocs(query(collectionGroup(db, 'session_logs'), where('transferSourceItemId', '==', itemId)))
+  ]);
+
+  const byPath = new Map();
+  [...direct.docs, ...transfer.docs].forEach(d => {
+    byPath.set(d.ref.path, {
+      id: d.id,
+      path: d.ref.path,
+      ...d.data(),
+      studentId: d.data().studentId || d.ref.parent.parent.id
+    });
+  });
+
+  return [...byPath.values()].sort((a, b) => (a.syncedAt || 0) - (b.syncedAt || 0));
+}
+
+/**
+ * Current atom mastery of every student in the logs
+ * @returns {Promise<Object>} { studentId: { atomId: mastery } }
+ */
+export async function fetchStudentMastery(logs) {
+  const studentIds = [...new Set(logs.map(log => log.studentId))];
+  const snaps = await Promise.all(studentIds.map(id => getDoc(doc(db, 'students', id))));
+  return Object.fromEntries(snaps.map((snap, i) => [studentIds[i], snap.exists() ? snap.data().mastery || {} : {}]));
+}
+
+// ============================================================================
+// PLANNING (pure)
+// ============================================================================
+
+function skipReason(log) {
+  if (!log.response) return RESCORE_SKIP_REASONS.NO_RESPONSE;
+  if (log.gradingStatus === GRADING_STATUS.TEACHER_GRADED) return RESCORE_SKIP_REASONS.TEACHER_GRADED;
+  if (log.gradingStatus === GRADING_STATUS.PENDING_REVIEW) return RESCORE_SKIP_REASONS.PENDING_REVIEW;
+  return null;
+}
+
+/**
+ * Re-score every log against the (corrected) item.
+ *
+ * Corrections for the same student and atom are applied one after another,
+ * so several affected answers add up on the stored mastery.
+ *
+ * @param {Object} item - Corrected item (V2 bank format)
+ * @param {Array} logs - From fetchLogsForItem
+ * @param {Object} masteryByStudent - From fetchStudentMastery
+ * @returns {Object} { entries, skipped, changedCount, masteryUpdates }
+ */
+export function buildRescorePlan(item, logs = [], masteryByStudent = {}) {
+  const transferQuestion = item?.transfer_item ? buildTransferQuestion(item) : null;
+  // The item (or transfer question) exactly as this log's student saw it
+  const scoredAgainst = (log) => {
+    if (typeof log.variantSeed !== 'number' || !hasVariants(item)) {
+      return log.isTransfer ? transferQuestion : item;
+    }
+    const variant = instantiateItem(item, log.variantSeed);
+    return log.isTransfer ? buildTransferQuestion(variant) : variant;
+  };
+  const running = {};
+  const entries = [];
+  const skipped = [];
+
+  logs.forEach(log => {
+    const reason = skipReason(log);
+    if (reason) {
+      skipped.push({ log, reason });
+      return;
+    }
+
+    let scored;
+    try {
+      scored = scoreResponse(scoredAgainst(log), log.response);
+    } catch (error) {
+      skipped.push({ log, reason: RESCORE_SKIP_REASONS.SCORING_ERROR, error: error.message });
+      return;
+    }
+
+    const previousScore = typeof log.score === 'number' ? log.score : (log.isCorrect ? 1 : 0);
+    const changed = scored.isCorrect !== !!log.isCorrect || scored.score !== previousScore;
+    const entry = { log, scored, previousIsCorrect: !!log.isCorrect, previousScore, changed, correction: 0 };
+
+    if (changed && !log.isTransfer && log.atomId) {
+      const key = `${log.studentId}|${log.atomId}`;
+      const current = running[key] ?? masteryByStudent[log.studentId]?.[log.atomId];
+      const corrected = correctMastery(current, log, {
+        isCorrect: scored.isCorrect,
+        isRecovered: log.isRecovered,
+        score: scored.score
+      });
+      running[key] = corrected.masteryAfter;
+      entry.correction = corrected.correction;
+      entry.loggedMasteryAfter = corrected.loggedMasteryAfter;
+      entry.masteryAfter = corrected.masteryAfter;
+    }
+
+    entries.push(entry);
+  });
+
+  const masteryUpdates = Object.entries(running).map(([key, masteryAfter]) => {
+    const [studentId, atomId] = key.split('|');
+    return { studentId, atomId, masteryBefore: masteryByStudent[studentId]?.[atomId] ?? null, masteryAfter };
+  });
+
+  return {
+    itemId: item?.item_id || item?.itemId || null,
+    entries,
+    skipped,
+    changedCount: entries.filter(e => e.changed).length,
+    masteryUpdates
+  };
+}
+
+// ============================================================================
+// APPLY
+// ============================================================================
+
+/**
+ * Write a plan: changed session logs, student mastery and, when given, the
+ * corrected answer key on the published question.
+ *
+ * @param {Object} plan - From buildRescorePlan
+ * @param {Object} options - { adminId, questionDocId, answerKey }
+ * @returns {Promise<{ logsUpdated: number, studentsUpdated: number }>}
+ */
+export async function applyRescore(plan, { adminId = null, questionDocId = null, answerKey = null } = {}) {
+  const writes = [];
+  const rescoredAt = Date.now();
+
+  plan.entries.filter(e => e.changed).forEach(({ log, scored, previousIsCorrect, previousScore, correction, loggedMasteryAfter }) => {
+    const masteryFields = loggedMasteryAfter !== undefined
+      ? {
+        masteryAfter: loggedMasteryAfter,
+        masteryDelta: Number((loggedMasteryAfter - (log.masteryBefore ?? loggedMasteryAfter)).toFixed(3))
+      }
+      : {};
+
+    writes.push([doc(db, log.path), {
+      isCorrect: scored.isCorrect,
+      isSuccess: !!(scored.isCorrect || log.isRecovered),
+      score: scored.score,
+      ...masteryFields,
+      rescore: {
+        previousIsCorrect,
+        previousScore,
+        masteryCorrection: correction,
+        rescoredAt,
+        rescoredBy: adminId
+      }
+    }]);
+  });
+
+  plan.masteryUpdates.forEach(({ studentId, atomId, masteryAfter }) => {
+    // Same raw-id key fetchStudentMastery reads (a dotted string path would nest)
+    writes.push([doc(db, 'students', studentId), mapFieldPath('mastery', atomId), masteryAfter]);
+  });
+
+  if (questionDocId && answerKey) {
+    writes.push([doc(db, 'questions', questionDocId), { answer_key: answerKey, answerKeyCorrectedAt: rescoredAt }]);
+  }
+
+  for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    writes.slice(start, start + MAX_BATCH_WRITES).forEach(write => batch.update(...write));
+    await batch.commit();
+  }
+
+  console.log('[rescoringService] Re-scored', plan.itemId, '- logs:', plan.changedCount, 'students:', plan.masteryUpdates.length);
+  return { logsUpdated: plan.changedCount, studentsUpdated: plan.masteryUpdates.length };
+}
+
+export default {
+  fetchItemForRescore,
+  fetchLogsForItem,
+  fetchStudentMastery,
+  buildRescorePlan,
+  applyRescore,
+  RESCORE_SKIP_REASONS
+};
@@ -0,0 +1,263 @@
+/**
+ * reviewScheduler.js
+ *
+ * Per-student, per-atom spaced review schedule following the assessment
+ * guide's `spaced_review_scheduler` (SM2-lite + retrieval-first). The daily
+ * mission's WARM_UP phase draws due atoms from it, within the daily review
+ * time cap.
+ *
+ * Features:
+ * - Intervals from the guide ([1, 3, 7, 14, 30] days)
+ * - Promotion: correct, low hint use (≤ 1) and confidence ≥ 3 advance the
+ *   interval; demotion: a wrong answer goes back one interval and tags the
+ *   misconception; anything else holds the interval
+ * - Correct answers before the due date leave the schedule as is
+ * - Due list (most overdue first) and WARM_UP slots that fit the cap
+ * - Student "due for review" view and per-class due-load forecast
+ *
+ * Spec:
+ * -----
+ * students/{uid}.reviewSchedule.{firestoreKey(atomId)}:
+ * { atomId, intervalIndex, intervalDays, dueAt, lastOutcome, lastCorrect,
+ *   lastReviewedAt, reviewCount, misconceptionTag }
+ */
+
+import { db } from '../firebase/config';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import assessmentGuide from '../data/cbse7_mathquest_assessment_guide_v2.json';
+import coreCurriculum from '../data/cbse7_mathquest_core_curriculum_v2.json';
+import { getTemplate } from '../config/templateRegistry';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const scheduler = assessmentGuide.spaced_review_scheduler || {};
+
+export const REVIEW_INTERVALS_DAYS = scheduler.initial_intervals_days || [1, 3, 7, 14, 30];
+export const DAILY_REVIEW_CAP_MINUTES = scheduler.daily_review_cap_minutes || 8;
+
+export const REVIEW_OUTCOMES = {
+  PROMOTED: 'PROMOTED',
+  HELD: 'HELD',
+  DEMOTED: 'DEMOTED',
+  EARLY: 'EARLY' // Correct before the due date: schedule unchanged
+};
+
+// "low hint": the first nudge is fine
+export const LOW_HINT_USE = 1;
+export const MIN_PROMOTION_CONFIDENCE = 3;
+
+// Minutes a review item takes when its template gives no estimate
+const DEFAULT_ITEM_MINUTES = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const atomTitles = Object.fromEntries(
+  (coreCurriculum.modules || []).flatMap(m => (m.atoms || []).map(a => [a.atom_id, a.title]))
+);
+
+// ============================================================================
+// SCHEDULING
+// ============================================================================
+
+/**
+ * Whether an answer earns promotion. `confidence` undefined means the
+ * mission did not ask; null means it asked and the student skipped.
+ */
+export function meetsPromotionRule({ isCorrect, hintsUsed = 0, confidence }) {
+  if (!isCorrect || hintsUsed > LOW_HINT_USE) return false;
+  if (confidence === undefined) return true;
+  return typeof confidence === 'number' && confidence >= MIN_PROMOTION_CONFIDENCE;
+}
+
+export function isDue(entry, now = Date.now()) {
+  return !entry || (entry.dueAt || 0) <= now;
+}
+
+/**
+ * Next schedule entry for an atom after an answer
+ *
+ * A first answer starts the atom on the first interval. Promotion moves up
+ * one interval (capped at the last), demotion down one (floored at the
+ * first).
+ *
+ * @param {Object|undefined} entry - Current entry (undefined for a new atom)
+ * @param {Object} answer - { atomId, isCorrect, hintsUsed, confidence, misconceptionTag, now }
+ * @returns {Object} entry
+ */
+export function scheduleReview(entry, answer) {
+  const now = answer.now ?? Date.now();
+  const reviewed = {
+    lastCorrect: !!answer.isCorrect,
+    lastReviewedAt: now,
+    reviewCount: (entry?.reviewCount || 0) + 1
+  };
+
+  if (entry && answer.isCorrect && !isDue(entry, now)) {
+    return { ...entry, ...reviewed, lastOutcome: REVIEW_OUTCOMES.EARLY };
+  }
+
+  const last = REVIEW_INTERVALS_DAYS.length - 1;
+  const current = entry ? entry.intervalIndex : -1;
+  let intervalIndex;
+  let lastOutcome;
+
+  if (!answer.isCorrect) {
+    intervalIndex = Math.max(0, current - 1);
+    lastOutcome = REVIEW_OUTCOMES.DEMOTED;
+  } else if (meetsPromotionRule(answer)) {
+    intervalIndex = Math.min(last, current + 1);
+    lastOutcome = REVIEW_OUTCOMES.PROMOTED;
+  } else {
+    intervalIndex = Math.max(0, current);
+    lastOutcome = REVIEW_OUTCOMES.HELD;
+  }
+
+  const intervalDays = REVIEW_INTERVALS_DAYS[intervalIndex];
+  return {
+    atomId: answer.atomId || entry?.atomId,
+    intervalIndex,
+    intervalDays,
+    dueAt: now + intervalDays * DAY_MS,
+    lastOutcome,
+    ...reviewed,
+    misconceptionTag: answer.isCorrect ? null : answer.misconceptionTag || entry?.misconceptionTag || null
+  };
+}
+
+// ============================================================================
+// DUE REVIEWS
+// ============================================================================
+
+/**
+ * Due entries, most overdue first
+ * @param {Object} schedule - students/{uid}.reviewSchedule
+ */
+export function selectDueReviews(schedule = {}, { now = Date.now() } = {}) {
+  return Object.values(schedule)
+    .filter(entry => entry?.atomId && isDue(entry, now))
+    .sort((a, b) => (a.dueAt || 0) - (b.dueAt || 0));
+}
+
+/**
+ * Minutes a template's item takes (midpoint of the registry's "2-3 min")
+ */
+export function estimateItemMinutes(templateId) {
+  const estimate = getTemplate(templateId)?.timeEstimate;
+  const bounds = String(estimate || '').match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?/);
+  if (!bounds) return DEFAULT_ITEM_MINUTES;
+  const low = Number(bounds[1]);
+  const high = bounds[2] ? Number(bounds[2]) : low;
+  return (low + high) / 2;
+}
+
+/**
+ * How many review slots fit the daily cap, templates taken in slot order
+ * (at least one, so a warm-up is never empty)
+ */
+export function reviewSlotsWithinCap(templateIds = [], slots = 0, capMinutes = DAILY_REVIEW_CAP_MINUTES) {
+  let minutes = 0;
+  for (let i = 0; i < slots; i++) {
+    minutes += estimateItemMinutes(templateIds[i % templateIds.length]);
+    if (minutes > capMinutes) return Math.max(1, i);
+  }
+  return slots;
+}
+
+/**
+ * Days since the atom was last reviewed (null when never)
+ */
+export function daysSinceReview(entry, now = Date.now()) {
+  if (!entry?.lastReviewedAt) return null;
+  return Math.min(365, Math.floor((now - entry.lastReviewedAt) / DAY_MS));
+}
+
+// ============================================================================
+// VIEWS
+// ============================================================================
+
+/**
+ * Student view: atoms due now and the next ones coming up
+ * @returns {{ due: Array, upcoming: Array }} entries with atomTitle, daysOverdue / inDays
+ */
+export function buildDueView(schedule = {}, { now = Date.now(), upcomingLimit = 5 } = {}) {
+  const withTitle = (entry) => ({ ...entry, atomTitle: atomTitles[entry.atomId] || entry.atomId });
+  const entries = Object.values(schedule).filter(entry => entry?.atomId);
+
+  const due = selectDueReviews(schedule, { now }).map(entry => ({
+    ...withTitle(entry),
+    daysOverdue: Math.max(0, Math.floor((now - (entry.dueAt || 0)) / DAY_MS))
+  }));
+  const upcoming = entries
+    .filter(entry => !isDue(entry, now))
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .slice(0, upcomingLimit)
+    .map(entry => ({ ...withTitle(entry), inDays: Math.ceil((entry.dueAt - now) / DAY_MS) }));
+
+  return { due, upcoming };
+}
+
+// YYYY-MM-DD in the viewer's time zone
+function localDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Class due-load forecast: reviews falling due per day (overdue counts on
+ * day 0) and the review minutes they need, each student capped at the
+ * daily limit
+ *
+ * @param {Array<{ studentId, reviewSchedule }>} students
+ * @returns {Array<{ dayOffset, date, dueCount, studentsDue, minutes }>}
+ */
+export function forecastDueLoad(students = [], { now = Date.now(), days = 7, minutesPerItem = DEFAULT_ITEM_MINUTES } = {}) {
+  const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+  const dayOf = (dueAt) => Math.max(0, Math.floor((dueAt - startOfToday) / DAY_MS));
+
+  return Array.from({ length: days }, (_, dayOffset) => {
+    const perStudent = students.map(student =>
+      Object.values(student.reviewSchedule || {}).filter(entry => entry?.atomId && dayOf(entry.dueAt || 0) === dayOffset).length
+    );
+    return {
+      dayOffset,
+      date: localDate(startOfToday + dayOffset * DAY_MS),
+      dueCount: perStudent.reduce((a, b) => a + b, 0),
+      studentsDue: perStudent.filter(n => n > 0).length,
+      minutes: perStudent.reduce((sum, n) => sum + Math.min(DAILY_REVIEW_CAP_MINUTES, n * minutesPerItem), 0)
+    };
+  });
+}
+
+/**
+ * Review schedules of a class's students
+ * @returns {Promise<Array<{ studentId, name, reviewSchedule }>>}
+ */
+export async function fetchClassReviewSchedules({ classId = null } = {}) {
+  if (!classId) return [];
+  const snapshot = await getDocs(query(collection(db, 'students'), where('classId', '==', classId)));
+  return snapshot.docs.map(d => ({
+    studentId: d.id,
+    name: d.data().name || d.data().displayName || d.id,
+    reviewSchedule: d.data().reviewSchedule || {}
+  }));
+}
+
+export default {
+  meetsPromotionRule,
+  isDue,
+  scheduleReview,
+  selectDueReviews,
+  estimateItemMinutes,
+  reviewSlotsWithinCap,
+  daysSinceReview,
+  buildDueView,
+  forecastDueLoad,
+  fetchClassReviewSchedules,
+  REVIEW_INTERVALS_DAYS,
+  DAILY_REVIEW_CAP_MINUTES,
+  REVIEW_OUTCOMES,
+  LOW_HINT_USE,
+  MIN_PROMOTION_CONFIDENCE
+};
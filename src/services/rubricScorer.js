@@ -0,0 +1,302 @@
+/**
+ * rubricScorer.js
+ *
+ * Offline "rubric-lite" scorer for SHORT_EXPLAIN responses.
+ *
+ * Features:
+ * - Scores each rubric dimension 0–2 (e.g. reasoning, representation)
+ * - Criteria declared per item: key ideas (with synonyms), required terms, numbers
+ * - Numbers match by value, so "1.5", "3/2" and "1 1/2" are the same number
+ * - Light stemming and single-typo tolerance for longer words
+ * - Negated mentions ("not the same denominator") do not count
+ * - Confidence estimate; low-confidence scores are flagged for teacher review
+ *
+ * Item config (answerKey.rubric / answer_key.rubric):
+ * ---------------------------------------------------
+ * {
+ *   dimensions: [
+ *     { id: 'reasoning',
+ *       keyIdeas: [{ id: 'common_denominator', phrases: ['common denominator', 'same denominator'] }] },
+ *     { id: 'representation', numbers: ['17/12'], requiredTerms: ['denominator'] }
+ *   ],
+ *   synonyms: { denominator: ['bottom number'] },
+ *   passScore: 1,             // minimum per dimension for isCorrect
+ *   reviewBelowConfidence: 0.6
+ * }
+ */
+
+import { parseNumericAnswer } from './numericAnswerParser';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const MAX_DIMENSION_SCORE = 2;
+
+const DEFAULT_PASS_SCORE = 1;
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'isnt', 'arent', 'dont', 'doesnt', 'cant', 'wont']);
+
+// ============================================================================
+// TEXT NORMALIZATION
+// ============================================================================
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Split text into comparable word tokens (numbers kept intact)
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[−–—]/g, '-')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9./%\s-]/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/^-+(?!\d)/, '').replace(/\.+$/, ''))
+    .filter(Boolean)
+    .map(token => (/\d/.test(token) ? token : stem(token)));
+}
+
+function editDistanceAtMostOne(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Compare one token pair: exact, or fuzzy (one typo) for words of 5+ letters
+ * @returns {'exact'|'fuzzy'|null}
+ */
+function compareToken(textToken, phraseToken) {
+  if (textToken === phraseToken) return 'exact';
+  if (phraseToken.length >= 5 && !/\d/.test(phraseToken) && editDistanceAtMostOne(textToken, phraseToken)) {
+    return 'fuzzy';
+  }
+  return null;
+}
+
+/**
+ * Find a phrase in the token stream.
+ * @returns {{ found: boolean, fuzzy: boolean, negated: boolean }}
+ */
+function findPhrase(tokens, phrase) {
+  const phraseTokens = tokenize(phrase);
+  if (phraseTokens.length === 0) return { found: false, fuzzy: false, negated: false };
+
+  let best = null;
+  for (let start = 0; start + phraseTokens.length <= tokens.length; start++) {
+    let fuzzy = false;
+    let matched = true;
+    for (let k = 0; k < phraseTokens.length; k++) {
+      const result = compareToken(tokens[start + k], phraseTokens[k]);
+      if (!result) {
+        matched = false;
+        break;
+      }
+      if (result === 'fuzzy') fuzzy = true;
+    }
+    if (!matched) continue;
+
+    const window = tokens.slice(Math.max(0, start - 3), start);
+    const negated = window.some(token => NEGATIONS.has(token));
+    const candidate = { found: !negated, fuzzy, negated };
+
+    // Prefer a clean, affirmative match if the phrase appears several times
+    if (candidate.found && !fuzzy) return candidate;
+    if (!best || (candidate.found && !best.found)) best = candidate;
+  }
+  return best || { found: false, fuzzy: false, negated: false };
+}
+
+function findAny(tokens, phrases) {
+  let fallback = { found: false, fuzzy: false, negated: false };
+  for (const phrase of phrases) {
+    const result = findPhrase(tokens, phrase);
+    if (result.found && !result.fuzzy) return result;
+    if (result.found || (result.negated && !fallback.found)) fallback = result;
+  }
+  return fallback;
+}
+
+function findNumber(tokens, expected) {
+  const target = parseNumericAnswer(String(expected));
+  if (!target.ok) return { found: false, fuzzy: false, negated: false };
+
+  for (let i = 0; i < tokens.length; i++) {
+    // Mixed numbers span two tokens ("1 1/2")
+    const candidates = [tokens[i], i + 1 < tokens.length ? `${tokens[i]} ${tokens[i + 1]}` : null];
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const parsed = parseNumericAnswer(candidate);
+      if (parsed.ok && Math.abs(parsed.value - target.value) < 1e-9) {
+        return { found: true, fuzzy: false, negated: false };
+      }
+    }
+  }
+  return { found: false, fuzzy: false, negated: false };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Read the rubric from either the runtime (camelCase) or V2 bank (snake_case) shape
+ */
+export function getRubric(question) {
+  return question?.answerKey?.rubric || question?.answer_key?.rubric || null;
+}
+
+function ratioToScore(hits, total) {
+  if (total === 0) return 0;
+  if (hits === total) return MAX_DIMENSION_SCORE;
+  if (hits * 2 >= total) return 1;
+  return 0;
+}
+
+function scoreDimension(tokens, dimension, synonyms) {
+  const criteria = [];
+
+  (dimension.keyIdeas || dimension.key_ideas || []).forEach((idea, i) => {
+    const phrases = [...(idea.phrases || []), ...(idea.synonyms || [])];
+    if (idea.text) phrases.unshift(idea.text);
+    criteria.push({ id: idea.id || `idea_${i + 1}`, kind: 'keyIdea', label: idea.text || phrases[0], ...findAny(tokens, phrases) });
+  });
+
+  (dimension.requiredTerms || dimension.required_terms || []).forEach(term => {
+    const phrases = [term, ...(synonyms[term] || [])];
+    criteria.push({ id: term, kind: 'term', label: term, ...findAny(tokens, phrases) });
+  });
+
+  (dimension.numbers || []).forEach(number => {
+    criteria.push({ id: String(number), kind: 'number', label: String(number), ...findNumber(tokens, number) });
+  });
+
+  const hits = criteria.filter(c => c.found).length;
+  return {
+    id: dimension.id,
+    score: ratioToScore(hits, criteria.length),
+    max: MAX_DIMENSION_SCORE,
+    criteria,
+    matched: criteria.filter(c => c.found).map(c => c.id),
+    missing: criteria.filter(c => !c.found).map(c => c.id)
+  };
+}
+
+function estimateConfidence(tokens, dimensions) {
+  let confidence = 1;
+  const criteria = dimensions.flatMap(d => d.criteria);
+
+  if (tokens.length < 5) confidence -= 0.3;
+  if (tokens.length > 80) confidence -= 0.2;
+  confidence -= 0.15 * criteria.filter(c => c.found && c.fuzzy).length;
+  confidence -= 0.25 * criteria.filter(c => c.negated).length;
+  // Partial credit is where keyword matching is least reliable
+  confidence -= 0.1 * dimensions.filter(d => d.score === 1).length;
+
+  return Math.max(0, Math.min(1, Number(confidence.toFixed(2))));
+}
+
+/**
+ * Score an explanation against an item rubric.
+ *
+ * @param {string} text - Student explanation
+ * @param {Object|null} rubric - Item rubric (see header)
+ * @returns {Object} { isCorrect, scores, dimensions, total, max, fraction, confidence, needsReview }
+ */
+export function scoreExplanation(text, rubric) {
+  const tokens = tokenize(text);
+
+  // Without a rubric there is nothing to score offline: a teacher must grade it
+  if (!rubric || !Array.isArray(rubric.dimensions) || rubric.dimensions.length === 0) {
+    return {
+      isCorrect: false,
+      scores: {},
+      dimensions: [],
+      total: 0,
+      max: 0,
+      fraction: 0,
+      confidence: 0,
+      needsReview: true,
+      reviewReason: 'NO_RUBRIC'
+    };
+  }
+
+  const synonyms = rubric.synonyms || {};
+  const dimensions = rubric.dimensions.map(dimension => scoreDimension(tokens, dimension, synonyms));
+  return summarizeScores(dimensions, rubric, estimateConfidence(tokens, dimensions));
+}
+
+/**
+ * Rebuild the result from per-dimension scores (used for teacher overrides)
+ */
+export function summarizeScores(dimensions, rubric = {}, confidence = 1) {
+  const passScore = rubric.passScore ?? rubric.pass_score ?? DEFAULT_PASS_SCORE;
+  const threshold = rubric.reviewBelowConfidence ?? rubric.review_below_confidence ?? DEFAULT_REVIEW_THRESHOLD;
+
+  const scores = Object.fromEntries(dimensions.map(d => [d.id, d.score]));
+  const total = dimensions.reduce((sum, d) => sum + d.score, 0);
+  const max = dimensions.length * MAX_DIMENSION_SCORE;
+
+  return {
+    isCorrect: dimensions.length > 0 && dimensions.every(d => d.score >= passScore),
+    scores,
+    dimensions,
+    total,
+    max,
+    fraction: max > 0 ? total / max : 0,
+    confidence,
+    needsReview: confidence < threshold,
+    reviewReason: confidence < threshold ? 'LOW_CONFIDENCE' : null
+  };
+}
+
+/**
+ * Apply teacher-assigned scores ({ reasoning: 2, representation: 1 })
+ */
+export function applyOverrideScores(scores, rubric = {}) {
+  const dimensions = Object.entries(scores).map(([id, score]) => ({
+    id,
+    score: Math.max(0, Math.min(MAX_DIMENSION_SCORE, Math.round(Number(score) || 0))),
+    max: MAX_DIMENSION_SCORE,
+    criteria: [],
+    matched: [],
+    missing: []
+  }));
+  return summarizeScores(dimensions, rubric, 1);
+}
+
+export default {
+  scoreExplanation,
+  summarizeScores,
+  applyOverrideScores,
+  getRubric,
+  tokenize,
+  MAX_DIMENSION_SCORE
+};
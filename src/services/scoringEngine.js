@@ -0,0 +1,302 @@
+/**
+ * scoringEngine.js
+ *
+ * Headless scoring for every question template. Templates collect the
+ * student's raw response and call scoreResponse; the same function re-scores
+ * logged responses after an answer-key correction, with no React involved.
+ *
+ * Features:
+ * - One scorer per template_id, all pure
+ * - Accepts runtime questions (camelCase) or V2 bank items (snake_case)
+ * - Uniform result: { templateId, isCorrect, score, details }
+ * - Deterministic replay for SIMULATION (seed + trial count)
+ *
+ * Responses (what each template logs as `response`):
+ * ---------------------------------------------------
+ * MCQ_CONCEPT / MCQ_SKILL   { selectedIndex }
+ * TWO_TIER                  { tier1Answer, tier2Explanation }
+ * NUMERIC_INPUT             { answer }
+ * EXPRESSION_INPUT          { expression }
+ * WORKED_EXAMPLE_COMPLETE   { blanks }, or { predictions } in predict-next-step mode
+ * STEP_ORDER                { order }          original step indices
+ * ERROR_ANALYSIS            { selectedError, explanation }   option index
+ * CLASSIFY_SORT             { categorized }
+ * NUMBER_LINE_PLACE         { placed }
+ * MATCHING                  { matches }
+ * BALANCE_OPS               { moves }
+ * GEOMETRY_TAP              { selected }
+ * MULTI_STEP_WORD           { responses }
+ * SIMULATION                { answer, simCount }
+ * SHORT_EXPLAIN             { explanation }
+ * GRAPH_PLOT                { points, segments, values }
+ * TRANSFER_MINI             the inner template's response
+ *
+ * Usage:
+ * ------
+ * const { isCorrect, score, details } = scoreResponse(question, { selectedIndex: 2 });
+ */
+
+import { toTemplateQuestion } from './itemAdapter';
+import { gradeNumericAnswer } from './numericAnswerParser';
+import { checkExpressionAnswer } from './expressionEquivalence';
+import { scoreClassification, scoreMatching, scoreStepOrder, scoreBlanks } from './partialCreditScorer';
+import { gradeBalanceProcess } from './balanceEquation';
+import { getCorrectIds, gradeGeometrySelection } from './geometryDiagram';
+import { normalizeSimulation, runTrials, summarizeTrials, gradeSimulationAnswer } from './probabilitySimulation';
+import { getRubric, scoreExplanation } from './rubricScorer';
+import { gradeGraphAnswer } from './coordinatePlane';
+import { isPredictMode, scoreStepPredictions } from './stepPrediction';
+
+// ============================================================================
+// SHARED SETUP
+// ============================================================================
+
+const DEFAULT_NUMBER_LINE_TOLERANCE = 2;
+const DEFAULT_BALANCE_MAX_STEPS = 5;
+
+/**
+ * V2 bank items are adapted first; runtime questions pass through
+ */
+function asTemplateQuestion(item = {}) {
+  if (item.answerKey || !item.answer_key) return item;
+  return toTemplateQuestion(item);
+}
+
+const binary = (isCorrect, details) => ({ isCorrect, score: isCorrect ? 1 : 0, details });
+
+/**
+ * Equation, allowed operation ids and step budget for a BALANCE_OPS question
+ */
+export function getBalanceSetup(question) {
+  const config = question.interaction?.config || {};
+  const allowedOps = config.controls?.allowed_ops || config.controls?.allowedOps || config.allowedOps || [];
+  return {
+    equation: config.equation || question.templatePayload?.equation || {},
+    allowedOpIds: allowedOps.map(op => op.id),
+    maxSteps: config.maxSteps || config.controls?.max_steps || config.controls?.maxSteps || DEFAULT_BALANCE_MAX_STEPS
+  };
+}
+
+/**
+ * Normalized simulation for a SIMULATION question (throws on bad config)
+ */
+export function getSimulationSetup(question) {
+  const seedSource = question.id || question.itemId || question.item_id || question.content?.prompt?.text;
+  return normalizeSimulation(question.interaction?.config || {}, seedSource);
+}
+
+// ============================================================================
+// SCORERS
+// ============================================================================
+
+function scoreChoice(question, { selectedIndex } = {}) {
+  const correctIndex = question.answerKey?.correctOptionIndex;
+  return binary(selectedIndex !== null && selectedIndex !== undefined && selectedIndex === correctIndex, {
+    selectedIndex,
+    correctIndex
+  });
+}
+
+function scoreTwoTier(question, { tier1Answer } = {}) {
+  const correctIndex = question.answerKey?.tier1CorrectIndex;
+  return binary(tier1Answer !== null && tier1Answer !== undefined && tier1Answer === correctIndex, {
+    tier1Answer,
+    correctIndex
+  });
+}
+
+function scoreNumeric(question, { answer } = {}) {
+  const grade = gradeNumericAnswer(answer, question.answerKey || {}, question.interaction?.config || {});
+  return binary(grade.isCorrect, grade);
+}
+
+function scoreExpression(question, { expression } = {}) {
+  const config = question.interaction?.config || {};
+  const expected = question.answerKey?.expression;
+  const check = checkExpressionAnswer(expression || '', [expected, ...(question.answerKey?.acceptableForms || [])], {
+    format: config.format || 'algebraic',
+    requireSimplified: config.requireSimplified,
+    variables: config.variables
+  });
+  return binary(check.isCorrect, { ...check, expectedExpression: expected });
+}
+
+function fromPartialCredit(scored) {
+  return { isCorrect: scored.isCorrect, score: scored.score, details: scored };
+}
+
+function scoreWorkedExample(question, response = {}) {
+  if (isPredictMode(question)) return fromPartialCredit(scoreStepPredictions(question, response));
+  return fromPartialCredit(scoreBlanks(response.blanks, question.answerKey?.blankAnswers || {}, question));
+}
+
+function scoreOrder(question, { order } = {}) {
+  // Steps are compared by authored id when present, else by original index
+  const steps = question.interaction?.config?.steps || [];
+  const stepKey = (index) => steps[index]?.id ?? index;
+  const key = (question.answerKey?.correctOrder || []).map(stepKey);
+  return fromPartialCredit(scoreStepOrder((order || []).map(stepKey), key, question));
+}
+
+function scoreErrorAnalysis(question, { selectedError } = {}) {
+  const correctErrorId = question.answerKey?.errorId;
+  const errorType = question.answerKey?.errorType;
+  // The template sends the option index; logs may carry the authored error code
+  const isCorrect = selectedError !== null && selectedError !== undefined &&
+    (selectedError === correctErrorId || (errorType !== undefined && selectedError === errorType));
+  return binary(isCorrect, {
+    selectedError,
+    correctErrorId,
+    errorType
+  });
+}
+
+function scoreClassify(question, { categorized } = {}) {
+  return fromPartialCredit(scoreClassification(categorized, question.answerKey?.classification || {}, question));
+}
+
+function scoreMatch(question, { matches } = {}) {
+  return fromPartialCredit(scoreMatching(matches, question.answerKey?.matches || {}, question));
+}
+
+function scoreNumberLine(question, { placed = {} } = {}) {
+  const positions = question.answerKey?.positions || {};
+  const tolerance = question.answerKey?.tolerance ?? question.interaction?.config?.tolerance ?? DEFAULT_NUMBER_LINE_TOLERANCE;
+  const elements = Object.entries(positions).map(([id, expected]) => ({
+    id,
+    expected,
+    given: placed[id] ?? null,
+    isCorrect: typeof placed[id] === 'number' && Math.abs(placed[id] - expected) <= tolerance
+  }));
+  const correct = elements.filter(e => e.isCorrect).length;
+  return {
+    isCorrect: elements.length > 0 && correct === elements.length,
+    score: elements.length ? Number((correct / elements.length).toFixed(3)) : 0,
+    details: { elements, tolerance }
+  };
+}
+
+function scoreBalance(question, { moves = [] } = {}) {
+  const { equation, allowedOpIds, maxSteps } = getBalanceSetup(question);
+  const process = gradeBalanceProcess(equation, moves, question.answerKey || {}, { allowedOps: allowedOpIds, maxSteps });
+  return binary(process.isCorrect, process);
+}
+
+function scoreGeometry(question, { selected = [] } = {}) {
+  const correctIds = getCorrectIds(question.answerKey || {});
+  const grade = gradeGeometrySelection(selected, correctIds);
+  const considered = new Set([...correctIds, ...selected]).size;
+  return {
+    isCorrect: grade.isCorrect,
+    score: considered ? Number((grade.correctSelected.length / considered).toFixed(3)) : 0,
+    details: { ...grade, correctIds }
+  };
+}
+
+function scoreMultiStep(question, { responses = {} } = {}) {
+  const steps = question.interaction?.config?.steps || [];
+  const stepAnswers = question.answerKey?.stepAnswers || {};
+  const elements = Object.entries(stepAnswers).map(([id, expected]) => {
+    const tolerance = steps.find(s => s.id === id)?.expected?.tolerance;
+    const grade = gradeNumericAnswer(responses[id], { value: expected, ...(tolerance ? { tolerance } : {}) });
+    return { id, expected, given: responses[id] ?? null, isCorrect: grade.isValueCorrect };
+  });
+  const correct = elements.filter(e => e.isCorrect).length;
+  const score = elements.length ? Number((correct / elements.length).toFixed(3)) : 0;
+  const threshold = question.scoring?.params?.mastery_threshold ?? question.scoring?.params?.masteryThreshold ?? 1;
+  return {
+    isCorrect: elements.length > 0 && score >= threshold,
+    score,
+    details: { elements, correctCount: correct, totalCount: elements.length }
+  };
+}
+
+function scoreSimulation(question, { answer, simCount = 0 } = {}) {
+  const sim = getSimulationSetup(question);
+  // Trials are replayed from the seed, so the logged count is enough
+  const { trials } = runTrials(sim, sim.seed, simCount);
+  const summary = summarizeTrials(sim, trials);
+  const grade = gradeSimulationAnswer(answer, sim, question.answerKey || {}, summary);
+  return binary(grade.isCorrect, { ...grade, answerMode: sim.answerMode, seed: sim.seed, summary });
+}
+
+function scoreShortExplain(question, { explanation = '' } = {}) {
+  const rubric = getRubric(question);
+  const scored = scoreExplanation(explanation, rubric);
+  return { isCorrect: scored.isCorrect, score: scored.fraction, details: { ...scored, rubric } };
+}
+
+function scoreGraph(question, { points = [], segments = [], values = {} } = {}) {
+  const grade = gradeGraphAnswer({ points, segments, values }, question.answerKey || {});
+  const { correct, targets } = grade.summary;
+  return {
+    isCorrect: grade.isCorrect,
+    score: targets ? Number((correct / targets).toFixed(3)) : (grade.isCorrect ? 1 : 0),
+    details: grade
+  };
+}
+
+function scoreTransfer(question, response) {
+  const inner = question.transfer?.question;
+  return inner ? scoreResponse(inner, response) : scoreShortExplain(question, response);
+}
+
+/**
+ * template_id → scorer(question, response)
+ */
+export const TEMPLATE_SCORERS = {
+  MCQ_CONCEPT: scoreChoice,
+  MCQ_SKILL: scoreChoice,
+  TWO_TIER: scoreTwoTier,
+  NUMERIC_INPUT: scoreNumeric,
+  EXPRESSION_INPUT: scoreExpression,
+  WORKED_EXAMPLE_COMPLETE: scoreWorkedExample,
+  STEP_ORDER: scoreOrder,
+  STEP_BUILDER: scoreOrder,
+  ERROR_ANALYSIS: scoreErrorAnalysis,
+  CLASSIFY_SORT: scoreClassify,
+  NUMBER_LINE_PLACE: scoreNumberLine,
+  MATCHING: scoreMatch,
+  DRAG_DROP_MATCH: scoreMatch,
+  BALANCE_OPS: scoreBalance,
+  BALANCE_SLIDER: scoreBalance,
+  GEOMETRY_TAP: scoreGeometry,
+  MULTI_STEP_WORD: scoreMultiStep,
+  SIMULATION: scoreSimulation,
+  SHORT_EXPLAIN: scoreShortExplain,
+  GRAPH_PLOT: scoreGraph,
+  TRANSFER_MINI: scoreTransfer
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Score one response.
+ *
+ * @param {Object} item - Runtime question or V2 bank item
+ * @param {Object} response - Raw response (see table above)
+ * @returns {{ templateId: string, isCorrect: boolean, score: number, details: Object }}
+ */
+export function scoreResponse(item, response = {}) {
+  const question = asTemplateQuestion(item);
+  const templateId = question.templateId || question.template_id;
+  const scorer = TEMPLATE_SCORERS[templateId];
+  if (!scorer) throw new Error(`No scorer for template: ${templateId}`);
+
+  const { isCorrect, score, details } = scorer(question, response || {});
+  return { templateId, isCorrect: !!isCorrect, score, details };
+}
+
+export function isScorable(templateId) {
+  return !!TEMPLATE_SCORERS[templateId];
+}
+
+export default {
+  scoreResponse,
+  isScorable,
+  getBalanceSetup,
+  getSimulationSetup,
+  TEMPLATE_SCORERS
+};
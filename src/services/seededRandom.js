@@ -0,0 +1,71 @@
+/**
+ * seededRandom.js
+ *
+ * Small deterministic pseudo-random helpers.
+ * Used wherever a run must be reproducible from a seed (simulations,
+ * generated practice), so never reach for Math.random() in those paths.
+ *
+ * The generator is mulberry32: its whole state is one 32-bit integer, which
+ * lets React components keep the state in useState and replay a run exactly.
+ */
+
+/**
+ * Hash any string (or number) into a 32-bit unsigned seed (FNV-1a)
+ */
+export function hashSeed(value) {
+  const text = String(value ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Advance a mulberry32 state by one step.
+ * @returns {{ value: number, state: number }} value in [0, 1) and the next state
+ */
+export function nextRandom(state) {
+  const nextState = (state + 0x6d2b79f5) >>> 0;
+  let t = nextState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: nextState };
+}
+
+/**
+ * Stateful generator for code that does not need to persist the state
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+  return () => {
+    const step = nextRandom(state);
+    state = step.state;
+    return step.value;
+  };
+}
+
+/**
+ * Fisher-Yates shuffle seeded by any string (or number), so the same seed
+ * always gives the same order. Returns a new array.
+ */
+export function seededShuffle(list, seed) {
+  const out = [...list];
+  let state = hashSeed(String(seed));
+  for (let i = out.length - 1; i > 0; i--) {
+    const step = nextRandom(state);
+    state = step.state;
+    const j = Math.floor(step.value * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+export default {
+  hashSeed,
+  nextRandom,
+  createRandom,
+  seededShuffle
+};
@@ -0,0 +1,248 @@
+/**
+ * stepPrediction.js
+ *
+ * "Predict the next step" mode for WORKED_EXAMPLE_COMPLETE, used by the
+ * TEACH_BY_EXAMPLE mission phase. The steps of a worked solution are
+ * revealed one at a time; before each reveal the student picks (or types)
+ * what comes next.
+ *
+ * Features:
+ * - Worked examples drawn from the gold bank's worked_solution steps
+ * - Generated options per step: the real step, a changed-number version of
+ *   it and later steps (skipping ahead), shuffled by item id
+ * - Typed predictions where too few options can be generated, matched on
+ *   the step's numbers and key words
+ * - Per-step prediction accuracy and a partial-credit score
+ *
+ * Spec:
+ * -----
+ * interaction.config: { mode: 'predict_next_step', steps: [text], finalAnswer }
+ * response:           { predictions: [{ step, mode: 'choice'|'typed', text }] }
+ * Step 0 is shown as given, so steps 1..n-1 are predicted.
+ */
+
+import goldBank from '../data/cbse7_mathquest_gold_questions_v2.json';
+import { toTemplateQuestion } from './itemAdapter';
+import { seededShuffle } from './seededRandom';
+import { tokenize } from './rubricScorer';
+import { getPartialCreditRules } from './partialCreditScorer';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const PREDICT_NEXT_STEP_MODE = 'predict_next_step';
+
+export const PREDICTION_MODES = {
+  CHOICE: 'choice',
+  TYPED: 'typed'
+};
+
+// A worked example needs at least two steps to predict
+export const MIN_EXAMPLE_STEPS = 3;
+
+const MAX_DISTRACTORS = 3;
+const TYPED_KEYWORD_SHARE = 0.4;
+
+const goldItems = goldBank.items || [];
+
+// ============================================================================
+// STEPS
+// ============================================================================
+
+const stepText = (step) => (typeof step === 'string' ? step : step?.text || '');
+
+export function isPredictMode(question = {}) {
+  return question.interaction?.config?.mode === PREDICT_NEXT_STEP_MODE;
+}
+
+/**
+ * Step texts of the worked example (predict-mode config first, else the
+ * worked solution)
+ */
+export function getExampleSteps(question = {}) {
+  const configured = isPredictMode(question) ? question.interaction.config.steps : null;
+  const steps = configured?.length ? configured : question.workedSolution?.steps || [];
+  return steps.map(stepText).filter(Boolean);
+}
+
+const normalize = (text) => tokenize(text).join(' ');
+
+// Last number in a step, e.g. "5 × 4 = 20 km" → 20
+const LAST_NUMBER = /(\d+(?:\.\d+)?)(?!.*\d)/;
+
+function changedNumberVariants(text) {
+  const match = text.match(LAST_NUMBER);
+  if (!match) return [];
+  const value = Number(match[1]);
+  const decimals = (match[1].split('.')[1] || '').length;
+  const candidates = [value + 1, value - 1, value * 2, value / 2]
+    .filter(v => v >= 0 && v !== value && Number.isFinite(v))
+    .map(v => Number(v.toFixed(Math.max(decimals, Number.isInteger(v) ? 0 : 2))));
+  return [...new Set(candidates)].map(v => text.replace(LAST_NUMBER, String(v)));
+}
+
+/**
+ * Options for predicting step `index` (empty = type the prediction)
+ * @returns {string[]} Shuffled option texts, the real step among them
+ */
+export function buildStepOptions(steps, index, seed = '') {
+  const correct = steps[index];
+  if (!correct) return [];
+
+  const seen = new Set([normalize(correct)]);
+  const distractors = [];
+  const add = (text) => {
+    const key = normalize(text);
+    if (!text || seen.has(key) || distractors.length >= MAX_DISTRACTORS) return;
+    seen.add(key);
+    distractors.push(text);
+  };
+
+  // One changed-number slip, then skipping ahead, then more slips
+  const variants = seededShuffle(changedNumberVariants(correct), `${seed}:${index}:num`);
+  add(variants[0]);
+  steps.slice(index + 1).forEach(add);
+  variants.slice(1).forEach(add);
+
+  if (distractors.length < 2) return [];
+  return seededShuffle([correct, ...distractors], `${seed}:${index}`);
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Whether a typed prediction says what the step says: every number in the
+ * step, and a share of its longer words
+ */
+export function typedPredictionMatches(prediction, step) {
+  const given = new Set(tokenize(prediction));
+  const expected = tokenize(step);
+  const numbers = expected.filter(t => /\d/.test(t));
+  const words = expected.filter(t => !/\d/.test(t) && t.length >= 4);
+
+  if (numbers.some(n => !given.has(n))) return false;
+  if (words.length === 0) return numbers.length > 0;
+  const hits = words.filter(w => given.has(w)).length;
+  return hits / words.length >= TYPED_KEYWORD_SHARE;
+}
+
+/**
+ * Score the predictions for a worked example. Steps the student saw without
+ * predicting (hide steps switched off) count as missed.
+ */
+export function scoreStepPredictions(question, { predictions = [] } = {}) {
+  const steps = getExampleSteps(question);
+  const byStep = Object.fromEntries((predictions || []).map(p => [p.step, p]));
+
+  const elements = steps.slice(1).map((expected, i) => {
+    const step = i + 1;
+    const prediction = byStep[step];
+    const isCorrect = !!prediction && (prediction.mode === PREDICTION_MODES.TYPED
+      ? typedPredictionMatches(prediction.text, expected)
+      : normalize(prediction.text) === normalize(expected));
+    return {
+      id: `step${step}`,
+      step,
+      expected,
+      given: prediction?.text ?? null,
+      mode: prediction?.mode ?? null,
+      isCorrect
+    };
+  });
+
+  const correctCount = elements.filter(e => e.isCorrect).length;
+  const predictedCount = elements.filter(e => e.given !== null).length;
+  const score = elements.length ? Number((correctCount / elements.length).toFixed(3)) : 0;
+  const rules = getPartialCreditRules(question);
+
+  return {
+    isCorrect: elements.length > 0 && score >= rules.minScoreForCorrect &&
+      (!rules.requireAll || correctCount === elements.length),
+    score,
+    elements,
+    correctCount,
+    totalCount: elements.length,
+    predictedCount,
+    // Accuracy over the steps actually predicted
+    predictionAccuracy: predictedCount ? Number((correctCount / predictedCount).toFixed(3)) : 0
+  };
+}
+
+// ============================================================================
+// WORKED EXAMPLES FROM THE GOLD BANK
+// ============================================================================
+
+/**
+ * Gold item with the longest worked solution for an atom (null when none
+ * has enough steps)
+ */
+export function findWorkedExampleItem(atomId) {
+  return goldItems
+    .filter(item => item.atom_id === atomId && (item.worked_solution?.steps || []).length >= MIN_EXAMPLE_STEPS)
+    .sort((a, b) => b.worked_solution.steps.length - a.worked_solution.steps.length)[0] || null;
+}
+
+/**
+ * Atoms that have a worked example to predict
+ */
+export function getWorkedExampleAtomIds() {
+  return [...new Set(goldItems.map(item => item.atom_id))].filter(atomId => findWorkedExampleItem(atomId));
+}
+
+/**
+ * Predict-the-next-step question built from a gold item's worked solution.
+ *
+ * The source item id is kept apart from itemId, so re-scoring the source
+ * item never picks up prediction logs. One attempt only: every step is
+ * shown by the end.
+ */
+export function buildPredictNextStepQuestion(source) {
+  const item = typeof source === 'string' ? findWorkedExampleItem(source) : source;
+  if (!item) return null;
+
+  const base = toTemplateQuestion(item);
+  return {
+    ...base,
+    questionId: `${item.item_id}:predict`,
+    itemId: null,
+    workedExampleSourceItemId: item.item_id,
+    templateId: 'WORKED_EXAMPLE_COMPLETE',
+    content: {
+      ...base.content,
+      instruction: 'Before each step is shown, predict what comes next.'
+    },
+    interaction: {
+      type: 'worked_example_complete',
+      config: {
+        mode: PREDICT_NEXT_STEP_MODE,
+        steps: getExampleSteps(base),
+        finalAnswer: base.workedSolution?.finalAnswer ?? null
+      }
+    },
+    answerKey: {},
+    // Steps live in the config; a worked solution would also feed the hint ladder.
+    // The source item's feedback and misconceptions are about its own question.
+    workedSolution: null,
+    feedbackMap: {},
+    misconceptions: [],
+    hints: null,
+    scoring: null,
+    recovery: { max_attempts: 1 }
+  };
+}
+
+export default {
+  isPredictMode,
+  getExampleSteps,
+  buildStepOptions,
+  typedPredictionMatches,
+  scoreStepPredictions,
+  findWorkedExampleItem,
+  getWorkedExampleAtomIds,
+  buildPredictNextStepQuestion,
+  PREDICT_NEXT_STEP_MODE,
+  PREDICTION_MODES
+};
@@ -0,0 +1,178 @@
+/**
+ * templateTelemetry.js
+ *
+ * Interaction event stream for templates. Each template in the template
+ * library declares the events it must emit (telemetry.events_required) and
+ * the ones it may emit (telemetry.events_optional). Templates emit through
+ * the shared useTemplateTelemetry hook; events are buffered in NinjaContext
+ * and written by syncToCloud with the session logs.
+ *
+ * Features:
+ * - Event contract per template, read from mathquest_template_library_v2
+ * - Event records with snake_case fields, as in the assessment guide's
+ *   analytics_spec core_events
+ * - Contract check: required events missing for an item, undeclared events
+ *   (a miss is recorded in the stream as a contract_violation event)
+ * - Derived timings: time to first action, time on task, feedback dwell
+ *
+ * Event shape:
+ * ------------
+ * { event: 'first_action', question_id, item_id, template_id, atom_id,
+ *   t_ms (since item_viewed), client_ts, ...payload }
+ */
+
+import templateLibrary from '../data/mathquest_template_library_v2.json';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const TELEMETRY_EVENTS = {
+  ITEM_VIEWED: 'item_viewed',
+  FIRST_ACTION: 'first_action',
+  ATTEMPT_SUBMITTED: 'attempt_submitted',
+  FEEDBACK_SHOWN: 'feedback_shown',
+  HINT_USED: 'hint_used',
+  STEP_ADDED: 'step_added',
+  DRAG_DROP: 'drag_drop',
+  UNDO: 'undo',
+  RETRY: 'retry',
+  CONFIDENCE_RATED: 'confidence_rated',
+  CONTRACT_VIOLATION: 'contract_violation'
+};
+
+// Templates missing from the library (e.g. MCQ_SKILL) get the common contract
+const DEFAULT_CONTRACT = {
+  required: [
+    TELEMETRY_EVENTS.ITEM_VIEWED,
+    TELEMETRY_EVENTS.FIRST_ACTION,
+    TELEMETRY_EVENTS.ATTEMPT_SUBMITTED,
+    TELEMETRY_EVENTS.FEEDBACK_SHOWN
+  ],
+  optional: [TELEMETRY_EVENTS.HINT_USED, TELEMETRY_EVENTS.RETRY]
+};
+
+// Recorded for every template, whatever its library entry lists
+const PLATFORM_EVENTS = [TELEMETRY_EVENTS.CONFIDENCE_RATED, TELEMETRY_EVENTS.CONTRACT_VIOLATION];
+
+const contracts = Object.fromEntries(
+  (templateLibrary.templates || []).map(t => [
+    t.template_id,
+    {
+      required: t.telemetry?.events_required || DEFAULT_CONTRACT.required,
+      optional: t.telemetry?.events_optional || []
+    }
+  ])
+);
+
+// ============================================================================
+// CONTRACT
+// ============================================================================
+
+/**
+ * Declared events for a template
+ * @returns {{ required: string[], optional: string[] }}
+ */
+export function getTelemetryContract(templateId) {
+  return contracts[templateId] || DEFAULT_CONTRACT;
+}
+
+/**
+ * Check one item's events against its template's contract
+ * @param {string} templateId
+ * @param {Array} events - Events for a single item
+ * @returns {{ templateId, ok: boolean, missing: string[], undeclared: string[] }}
+ */
+export function checkEventContract(templateId, events = []) {
+  const { required, optional } = getTelemetryContract(templateId);
+  const emitted = new Set(events.map(e => e.event));
+  const declared = new Set([...required, ...optional, ...PLATFORM_EVENTS]);
+
+  const missing = required.filter(name => !emitted.has(name));
+  const undeclared = [...emitted].filter(name => !declared.has(name));
+
+  return { templateId, ok: missing.length === 0 && undeclared.length === 0, missing, undeclared };
+}
+
+/**
+ * Check a whole stream (e.g. a synced session): one result per item that
+ * breaks its contract
+ * @returns {Array<{ questionId, templateId, ok, missing, undeclared }>}
+ */
+export function validateEventStream(events = []) {
+  const byQuestion = {};
+  events.forEach(e => {
+    const key = e.question_id || e.item_id;
+    if (!key) return;
+    (byQuestion[key] = byQuestion[key] || []).push(e);
+  });
+
+  return Object.entries(byQuestion)
+    .map(([questionId, itemEvents]) => ({
+      questionId,
+      ...checkEventContract(itemEvents[0].template_id, itemEvents)
+    }))
+    .filter(result => !result.ok);
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * One event record for a question
+ * @param {string} event - TELEMETRY_EVENTS value
+ * @param {Object} question - Template question (questionId, itemId, templateId, atomId)
+ * @param {number} tMs - Milliseconds since the item was viewed
+ * @param {Object} payload - Event-specific fields
+ */
+export function createTelemetryEvent(event, question, tMs, payload = {}) {
+  return {
+    event,
+    question_id: question?.questionId || question?.id || null,
+    item_id: question?.itemId || question?.item_id || question?.questionId || null,
+    template_id: question?.templateId || null,
+    atom_id: question?.atomId || question?.atom_id || null,
+    t_ms: Math.max(0, Math.round(tMs)),
+    client_ts: Date.now(),
+    ...payload
+  };
+}
+
+/**
+ * Timings for one item's events
+ * @returns {{ timeToFirstActionMs, timeOnTaskMs, feedbackDwellMs, attempts }}
+ */
+export function summarizeTelemetry(events = []) {
+  const first = (name) => events.find(e => e.event === name);
+  const all = (name) => events.filter(e => e.event === name);
+
+  const firstAction = first(TELEMETRY_EVENTS.FIRST_ACTION);
+  const attempts = all(TELEMETRY_EVENTS.ATTEMPT_SUBMITTED);
+  const feedback = all(TELEMETRY_EVENTS.FEEDBACK_SHOWN);
+  const lastAttempt = attempts[attempts.length - 1];
+
+  // Time spent reading feedback before retrying
+  const dwell = feedback
+    .map(f => {
+      const next = events.find(e => e.t_ms > f.t_ms && (e.event === TELEMETRY_EVENTS.RETRY || e.event === TELEMETRY_EVENTS.ATTEMPT_SUBMITTED));
+      return next ? next.t_ms - f.t_ms : null;
+    })
+    .filter(ms => ms !== null);
+
+  return {
+    timeToFirstActionMs: firstAction ? firstAction.t_ms : null,
+    timeOnTaskMs: lastAttempt ? lastAttempt.t_ms : null,
+    feedbackDwellMs: dwell.length > 0 ? dwell.reduce((a, b) => a + b, 0) : null,
+    attempts: attempts.length
+  };
+}
+
+export default {
+  getTelemetryContract,
+  checkEventContract,
+  validateEventStream,
+  createTelemetryEvent,
+  summarizeTelemetry,
+  TELEMETRY_EVENTS
+};
@@ -0,0 +1,189 @@
+/**
+ * transferService.js
+ *
+ * Serves each gold item's `transfer_item` once the student has mastered the
+ * original, and keeps transfer outcomes apart from ordinary practice so the
+ * TRANSFER mastery level can be computed.
+ *
+ * Features:
+ * - Unlock rule: original answered correctly first time with atom mastery ≥ 0.7
+ * - Transfer queue (students/{uid}.transferQueue.{key})
+ * - Transfer history per atom (students/{uid}.transferResults.{atomId}, last 3)
+ * - TRANSFER level: ≥2 of the last 3 transfer items correct
+ *
+ * Spec:
+ * -----
+ * transferQueue:   { [transferKey(itemId)]: { itemId, atomId, unlockedAt } }
+ * transferResults: { [atomId]: [{ itemId, isCorrect, answeredAt }] }
+ */
+
+import goldBank from '../data/cbse7_mathquest_gold_questions_v2.json';
+import { toTemplateQuestion, toVariantInfo, templateIdForInteraction } from './itemAdapter';
+import { firestoreKey } from '../utils/firestoreKey';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const TRANSFER_TEMPLATE_ID = 'TRANSFER_MINI';
+export const TRANSFER_UNLOCK_MASTERY = 0.7;
+export const TRANSFER_WINDOW = 3;
+export const TRANSFER_REQUIRED_CORRECT = 2;
+
+const goldItems = goldBank.items || [];
+const goldById = Object.fromEntries(goldItems.map(item => [item.item_id, item]));
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Gold item by id (null when unknown)
+ */
+export function getGoldItem(itemId) {
+  return goldById[itemId] || null;
+}
+
+/**
+ * Gold items that carry a transfer item for an atom
+ */
+export function getTransferSourcesForAtom(atomId) {
+  return goldItems.filter(item => item.atom_id === atomId && item.transfer_item);
+}
+
+/**
+ * transferQueue map key for an item id
+ */
+export function transferKey(itemId) {
+  return firestoreKey(itemId);
+}
+
+// ============================================================================
+// UNLOCKING
+// ============================================================================
+
+function attemptedItemIds(transferResults = {}) {
+  return new Set(Object.values(transferResults).flat().map(r => r.itemId));
+}
+
+/**
+ * Decide which source item (if any) a response unlocks a transfer for.
+ *
+ * Gold-backed questions unlock their own item; content-less mission slots
+ * unlock the atom's first gold item whose transfer is neither queued nor done.
+ *
+ * @param {Object} response - { atomId, itemId, isCorrect, isRecovered, masteryAfter }
+ * @param {Object} studentState - { transferQueue, transferResults }
+ * @returns {string|null} source item id
+ */
+export function findTransferToUnlock(response, { transferQueue = {}, transferResults = {} } = {}) {
+  const { atomId, itemId, isCorrect, isRecovered, masteryAfter } = response;
+  if (!isCorrect || isRecovered || (masteryAfter ?? 0) < TRANSFER_UNLOCK_MASTERY) return null;
+
+  const seen = attemptedItemIds(transferResults);
+  const isOpen = (id) => !transferQueue[transferKey(id)] && !seen.has(id);
+
+  if (itemId) {
+    const item = getGoldItem(itemId);
+    return item?.transfer_item && isOpen(itemId) ? itemId : null;
+  }
+
+  const next = getTransferSourcesForAtom(atomId).find(item => isOpen(item.item_id));
+  return next ? next.item_id : null;
+}
+
+/**
+ * Oldest queued transfer (null when the queue is empty)
+ * @returns {{ itemId: string, atomId: string, unlockedAt: number } | null}
+ */
+export function nextQueuedTransfer(transferQueue = {}) {
+  const [oldest] = Object.values(transferQueue)
+    .filter(entry => getGoldItem(entry?.itemId)?.transfer_item)
+    .sort((a, b) => (a.unlockedAt || 0) - (b.unlockedAt || 0));
+  return oldest || null;
+}
+
+// ============================================================================
+// SERVING
+// ============================================================================
+
+/**
+ * Build the TRANSFER_MINI question for a source item.
+ *
+ * The transfer item is adapted to its own template (usually NUMERIC_INPUT or
+ * MCQ_CONCEPT) and carried as `transfer.question`; the outer question keeps
+ * templateId TRANSFER_MINI so routing and analytics see it as a transfer.
+ *
+ * @param {Object|string} source - gold item (or a variant of it) or its id
+ * @param {Object} overrides - slot fields (questionId, phase, slot...)
+ */
+export function buildTransferQuestion(source, overrides = {}) {
+  const item = typeof source === 'string' ? getGoldItem(source) : source;
+  if (!item?.transfer_item) return null;
+
+  const innerTemplateId = templateIdForInteraction(item.transfer_item.interaction);
+  const inner = toTemplateQuestion(
+    { ...item.transfer_item, atom_id: item.atom_id, module_id: item.module_id },
+    {
+      itemId: `${item.item_id}__transfer`,
+      templateId: innerTemplateId,
+      misconceptions: item.misconceptions || []
+    }
+  );
+
+  return {
+    ...inner,
+    questionId: `transfer_${item.item_id}`,
+    templateId: TRANSFER_TEMPLATE_ID,
+    variant: toVariantInfo(item),
+    transfer: {
+      sourceItemId: item.item_id,
+      sourcePrompt: item.prompt?.text,
+      innerTemplateId,
+      question: inner
+    },
+    ...overrides
+  };
+}
+
+// ============================================================================
+// OUTCOMES
+// ============================================================================
+
+/**
+ * Append a transfer outcome, keeping only the scoring window
+ */
+export function recordTransferOutcome(history = [], outcome) {
+  return [...history, {
+    itemId: outcome.itemId,
+    isCorrect: !!outcome.isCorrect,
+    answeredAt: outcome.answeredAt ?? Date.now()
+  }].slice(-TRANSFER_WINDOW);
+}
+
+/**
+ * TRANSFER level for one atom (MASTERY_LEVELS.TRANSFER)
+ * @returns {{ attempts: number, correct: number, achieved: boolean }}
+ */
+export function computeTransferLevel(history = []) {
+  const recent = history.slice(-TRANSFER_WINDOW);
+  const correct = recent.filter(r => r.isCorrect).length;
+  return {
+    attempts: recent.length,
+    correct,
+    achieved: correct >= TRANSFER_REQUIRED_CORRECT
+  };
+}
+
+export default {
+  getGoldItem,
+  getTransferSourcesForAtom,
+  transferKey,
+  findTransferToUnlock,
+  nextQueuedTransfer,
+  buildTransferQuestion,
+  recordTransferOutcome,
+  computeTransferLevel,
+  TRANSFER_TEMPLATE_ID,
+  TRANSFER_UNLOCK_MASTERY
+};
@@ -0,0 +1,26 @@
+/**
+ * firestoreKey.js
+ *
+ * Firestore-safe map key for an id. Atom and item ids contain dots, which
+ * updateDoc would read as nested field paths ("reviewSchedule.CBSE7.CH01"),
+ * so every per-id map (student doc, mastery_model/bkt_params) is keyed
+ * through this helper.
+ *
+ * `mastery` predates the helper and keeps the raw atom id as its key (it is
+ * written whole by syncToCloud); update one entry through mapFieldPath.
+ */
+import { FieldPath } from 'firebase/firestore';
+
+export function firestoreKey(id) {
+  return String(id).replace(/\./g, '_');
+}
+
+/**
+ * Field path of one entry of a map keyed by raw ids, for the
+ * update(ref, fieldPath, value) form
+ */
+export function mapFieldPath(mapField, id) {
+  return new FieldPath(mapField, String(id));
+}
+
+export default firestoreKey;